@@ -1,8 +1,20 @@
-const { defineConfig } = require('electron-vite');
+const { defineConfig, externalizeDepsPlugin } = require('electron-vite');
 const react = require('@vitejs/plugin-react');
 
 module.exports = defineConfig({
-  main: {},
+  main: {
+    // Keep node_modules (e.g. the tokenizer's WASM) out of the bundle
+    plugins: [externalizeDepsPlugin()],
+    build: {
+      rollupOptions: {
+        // Scan workers are loaded from their own file next to main.js
+        input: {
+          main: 'src/main/main.ts',
+          scanWorker: 'src/main/scanWorker.ts',
+        },
+      },
+    },
+  },
   preload: {
     build: {
       rollupOptions: { input: 'src/preload/index.ts' },
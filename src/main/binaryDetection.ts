@@ -30,8 +30,21 @@ export interface BinaryDetectionOptions {
   checkExtension?: boolean;    // Whether to check file extension (default: true)
   sampleSize?: number;         // Bytes to sample for content check (default: 512)
   binaryThreshold?: number;    // Binary threshold percentage (default: 10%)
+  oversizedFiles?: OversizedFilePolicy; // Text files over maxSizeBytes (default: skip)
+  truncateUnit?: TruncateUnit;  // What truncateHead/truncateTail count (default: lines)
+  truncateHead?: number;       // Lines or tokens kept from the start (default: 200)
+  truncateTail?: number;       // Lines or tokens kept from the end (default: 100)
 }
 
+/**
+ * What happens to text files over the size limit
+ * - skip: leave them out
+ * - truncate: keep their first and last lines (or tokens)
+ */
+export type OversizedFilePolicy = 'skip' | 'truncate';
+
+export type TruncateUnit = 'lines' | 'tokens';
+
 /**
  * Default options for binary detection
  */
@@ -40,7 +53,11 @@ export const DEFAULT_BINARY_OPTIONS: BinaryDetectionOptions = {
   checkContent: true,
   checkExtension: true,
   sampleSize: 512,             // Sample 512 bytes
-  binaryThreshold: 10          // 10% non-UTF8 characters
+  binaryThreshold: 10,         // 10% non-UTF8 characters
+  oversizedFiles: 'skip',
+  truncateUnit: 'lines',
+  truncateHead: 200,
+  truncateTail: 100
 };
 
 /**
@@ -60,6 +77,26 @@ export function isLikelyBinaryByExtension(filePath: string): boolean {
   return BINARY_EXTENSIONS.includes(extension);
 }
 
+/**
+ * Share of null bytes and control characters (except common ones like newlines, tabs)
+ * in a sample read with the 'binary' encoding
+ */
+function measureNonText(sample: string): { isBinary: boolean, nonTextPercentage: number } {
+  let nonTextChars = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const charCode = sample.charCodeAt(i);
+    // Check for null bytes or non-printable controls (except tabs, newlines, etc.)
+    if (charCode === 0 || (charCode < 9 || (charCode > 13 && charCode < 32))) {
+      nonTextChars++;
+    }
+  }
+  
+  const nonTextPercentage = (nonTextChars / sample.length) * 100;
+  const isBinary = nonTextPercentage > 10; // Consider binary if > 10% non-text chars
+  
+  return { isBinary, nonTextPercentage };
+}
+
 /**
  * Sample file content to detect binary data
  * This checks for the presence of null bytes and other non-printable characters
@@ -78,26 +115,13 @@ export async function sampleFileContent(
       });
       
       let buffer = '';
-      let nonTextChars = 0;
       
       fileStream.on('data', (chunk) => {
         buffer += chunk;
       });
       
       fileStream.on('end', () => {
-        // Count null bytes and control characters (except common ones like newlines, tabs)
-        for (let i = 0; i < buffer.length; i++) {
-          const charCode = buffer.charCodeAt(i);
-          // Check for null bytes or non-printable controls (except tabs, newlines, etc.)
-          if (charCode === 0 || (charCode < 9 || (charCode > 13 && charCode < 32))) {
-            nonTextChars++;
-          }
-        }
-        
-        const nonTextPercentage = (nonTextChars / buffer.length) * 100;
-        const isBinary = nonTextPercentage > 10; // Consider binary if > 10% non-text chars
-        
-        resolve({ isBinary, nonTextPercentage });
+        resolve(measureNonText(buffer));
       });
       
       fileStream.on('error', (err) => {
@@ -109,6 +133,75 @@ export async function sampleFileContent(
   });
 }
 
+/**
+ * Whether a file over the size limit is kept truncated instead of skipped
+ */
+export function isTruncatedBySize(size: number, options: BinaryDetectionOptions = DEFAULT_BINARY_OPTIONS): boolean {
+  const mergedOptions = { ...DEFAULT_BINARY_OPTIONS, ...options };
+  return size > (mergedOptions.maxSizeBytes || 1024 * 1024) && mergedOptions.oversizedFiles === 'truncate';
+}
+
+/**
+ * The checks that need no file content: too large, or a binary extension.
+ * Returns null when neither applies (files to truncate are not too large).
+ */
+export function checkSizeAndExtension(
+  filePath: string,
+  size: number,
+  options: BinaryDetectionOptions = DEFAULT_BINARY_OPTIONS
+): BinaryCheckResult | null {
+  const mergedOptions = { ...DEFAULT_BINARY_OPTIONS, ...options };
+  
+  if (size > (mergedOptions.maxSizeBytes || 1024 * 1024) && mergedOptions.oversizedFiles !== 'truncate') {
+    return {
+      isBinary: true,
+      reason: 'size',
+      details: `File exceeds maximum size (${formatFileSize(size)})`
+    };
+  }
+  
+  if (mergedOptions.checkExtension && isLikelyBinaryByExtension(filePath)) {
+    return {
+      isBinary: true,
+      reason: 'extension',
+      details: `File has binary extension (${path.extname(filePath)})`
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Same heuristics as isFileBinary() for content already in memory
+ * (e.g. a file read from a git commit); `filePath` is only used for its extension
+ */
+export function isContentBinary(
+  filePath: string,
+  content: Uint8Array,
+  options: BinaryDetectionOptions = DEFAULT_BINARY_OPTIONS
+): BinaryCheckResult {
+  const mergedOptions = { ...DEFAULT_BINARY_OPTIONS, ...options };
+  
+  const sizeOrExtension = checkSizeAndExtension(filePath, content.length, mergedOptions);
+  if (sizeOrExtension) {
+    return sizeOrExtension;
+  }
+  
+  if (mergedOptions.checkContent) {
+    const sample = Buffer.from(content.buffer, content.byteOffset, Math.min(content.length, mergedOptions.sampleSize || 512));
+    const { isBinary, nonTextPercentage } = measureNonText(sample.toString('binary'));
+    if (isBinary) {
+      return {
+        isBinary: true,
+        reason: 'content',
+        details: `Content appears to be binary (${nonTextPercentage.toFixed(1)}% non-text characters)`
+      };
+    }
+  }
+  
+  return { isBinary: false };
+}
+
 /**
  * Check if a file is binary based on multiple heuristics
  */
@@ -119,23 +212,11 @@ export async function isFileBinary(
   const mergedOptions = { ...DEFAULT_BINARY_OPTIONS, ...options };
   
   try {
-    // 1. Check file size
+    // 1. Check file size, 2. Check extension
     const stats = await fs.promises.stat(filePath);
-    if (stats.size > (mergedOptions.maxSizeBytes || 1024 * 1024)) {
-      return {
-        isBinary: true,
-        reason: 'size',
-        details: `File exceeds maximum size (${formatFileSize(stats.size)})`
-      };
-    }
-    
-    // 2. Check extension
-    if (mergedOptions.checkExtension && isLikelyBinaryByExtension(filePath)) {
-      return {
-        isBinary: true,
-        reason: 'extension',
-        details: `File has binary extension (${path.extname(filePath)})`
-      };
+    const sizeOrExtension = checkSizeAndExtension(filePath, stats.size, mergedOptions);
+    if (sizeOrExtension) {
+      return sizeOrExtension;
     }
     
     // 3. Sample file content
@@ -0,0 +1,85 @@
+import { isFileBinary, isContentBinary, BinaryDetectionOptions } from './binaryDetection';
+import { countTokens, TokenEncoding } from './tokenizer';
+import { getTruncation, readPromptText, truncateText } from './truncation';
+import type { CachedFileEntry } from './scanCache';
+
+/**
+ * Result of classifying a single file: binary / too large / text, and its token count
+ */
+export interface FileClassificationResult {
+  isSkipped: boolean;
+  skipReason: string;
+  binaryReason?: CachedFileEntry['binaryReason'];
+  tokenEstimate: number;
+  isTruncated?: boolean;     // Over the size limit and sent truncated (the count is of the truncated text)
+}
+
+/**
+ * Classify a file and count its tokens.
+ * Runs in the scan workers, and in the main process when no worker is available.
+ */
+export async function classifyFileContent(
+  filePath: string,
+  detectionOptions: BinaryDetectionOptions,
+  tokenEncoding: TokenEncoding
+): Promise<FileClassificationResult> {
+  // Check for binary content
+  const binaryCheck = await isFileBinary(filePath, detectionOptions);
+  if (binaryCheck.isBinary) {
+    return {
+      isSkipped: true,
+      skipReason: binaryCheck.details || 'Binary file',
+      binaryReason: binaryCheck.reason,
+      tokenEstimate: 0
+    };
+  }
+
+  try {
+    const { content, isTruncated } = await readPromptText(filePath, detectionOptions, tokenEncoding);
+    return {
+      isSkipped: false,
+      skipReason: '',
+      tokenEstimate: countTokens(content, tokenEncoding),
+      ...(isTruncated ? { isTruncated } : {})
+    };
+  } catch (readError) {
+    // If we can't read as UTF-8, it's likely binary
+    console.error(`Error reading file ${filePath}:`, readError);
+    return {
+      isSkipped: true,
+      skipReason: 'Failed to read as text',
+      binaryReason: 'read',
+      tokenEstimate: 0
+    };
+  }
+}
+
+/**
+ * Classify content already in memory (a file of a git commit) and count its tokens.
+ * `filePath` is only used for its extension.
+ */
+export function classifyContent(
+  filePath: string,
+  content: Uint8Array,
+  detectionOptions: BinaryDetectionOptions,
+  tokenEncoding: TokenEncoding
+): FileClassificationResult {
+  const binaryCheck = isContentBinary(filePath, content, detectionOptions);
+  if (binaryCheck.isBinary) {
+    return {
+      isSkipped: true,
+      skipReason: binaryCheck.details || 'Binary file',
+      binaryReason: binaryCheck.reason,
+      tokenEstimate: 0
+    };
+  }
+
+  const text = Buffer.from(content.buffer, content.byteOffset, content.length).toString('utf8');
+  const truncation = getTruncation(content.length, detectionOptions);
+  return {
+    isSkipped: false,
+    skipReason: '',
+    tokenEstimate: countTokens(truncation ? truncateText(text, truncation, tokenEncoding) : text, tokenEncoding),
+    ...(truncation ? { isTruncated: true } : {})
+  };
+}
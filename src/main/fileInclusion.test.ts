@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { applyInclusion, extractLineRanges, normalizeLineRanges } from './fileInclusion';
+
+describe('fileInclusion', () => {
+  const content = ['one', 'two', 'three', 'four', 'five', 'six'].join('\n');
+
+  it('merges overlapping ranges and clamps them to the file', () => {
+    expect(normalizeLineRanges([{ start: 5, end: 9 }, { start: 1, end: 2 }, { start: 2, end: 3 }], 6))
+      .toEqual([{ start: 1, end: 3 }, { start: 5, end: 6 }]);
+  });
+
+  it('marks the lines left out between ranges', () => {
+    expect(extractLineRanges(content, [{ start: 2, end: 2 }, { start: 4, end: 5 }])).toBe('two\n...\nfour\nfive');
+  });
+
+  it('describes the included lines in the attributes', () => {
+    expect(applyInclusion('notes.txt', content, { mode: 'ranges', ranges: [{ start: 5, end: 10 }, { start: 1, end: 1 }] }))
+      .toEqual({ content: 'one\n...\nfive\nsix', attributes: { lines: '1,5-6' } });
+    expect(applyInclusion('notes.txt', content, { mode: 'ranges', ranges: [{ start: 10, end: 12 }] })).toBeNull();
+    expect(applyInclusion('notes.txt', content, { mode: 'outline' })).toBeNull();
+    expect(applyInclusion('notes.txt', content)).toBeNull();
+    expect(applyInclusion('index.ts', 'export function f() {\n  return 1;\n}', { mode: 'outline' }))
+      .toEqual({ content: 'export function f() { ... }', attributes: { mode: 'outline' } });
+  });
+});
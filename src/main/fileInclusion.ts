@@ -0,0 +1,81 @@
+import { extractOutline } from './outline';
+
+/**
+ * Lines of a file, 1-based and inclusive
+ */
+export interface LineRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * How much of a selected file is sent (files without one are sent in full)
+ * - outline: only its top-level declarations
+ * - ranges: only the given lines
+ */
+export type FileInclusion =
+  | { mode: 'outline' }
+  | { mode: 'ranges'; ranges: LineRange[] };
+
+// Stands for the lines left out between two ranges
+const GAP_MARKER = '...';
+
+/**
+ * Sort ranges, clamp them to the file and merge overlapping or adjacent ones
+ */
+export function normalizeLineRanges(ranges: LineRange[], lineCount: number = Infinity): LineRange[] {
+  const sorted = ranges
+    .map(range => ({ start: Math.max(1, Math.floor(range.start)), end: Math.min(lineCount, Math.floor(range.end)) }))
+    .filter(range => range.start <= range.end)
+    .sort((a, b) => a.start - b.start);
+
+  const merged: LineRange[] = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Ranges as written in a tag: `10-42,100`
+ */
+export function formatLineRanges(ranges: LineRange[]): string {
+  return ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`)).join(',');
+}
+
+/**
+ * The lines of the ranges, with a `...` line where lines are left out between them
+ */
+export function extractLineRanges(content: string, ranges: LineRange[]): string {
+  const lines = content.split(/\r?\n/);
+  return normalizeLineRanges(ranges, lines.length)
+    .map(({ start, end }) => lines.slice(start - 1, end).join('\n'))
+    .join(`\n${GAP_MARKER}\n`);
+}
+
+/**
+ * The part of a file to send for an inclusion, with the attributes that
+ * describe it in the payload (`lines="10-42"` in XML). Null when the whole
+ * file is sent (no inclusion, a language without outlines, or no lines left in range).
+ */
+export function applyInclusion(
+  filePath: string,
+  content: string,
+  inclusion?: FileInclusion
+): { content: string; attributes: Record<string, string> } | null {
+  if (inclusion?.mode === 'outline') {
+    const outline = extractOutline(filePath, content);
+    return outline === null ? null : { content: outline, attributes: { mode: 'outline' } };
+  }
+  if (inclusion?.mode === 'ranges') {
+    const ranges = normalizeLineRanges(inclusion.ranges, content.split(/\r?\n/).length);
+    if (ranges.length === 0) return null;
+    return { content: extractLineRanges(content, ranges), attributes: { lines: formatLineRanges(ranges) } };
+  }
+  return null;
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DirectoryWatcher } from './fileWatcher';
+import { IgnoreManager } from './ignoreUtils';
+
+describe('DirectoryWatcher', () => {
+  const root = path.join(path.sep, 'repo');
+  let emit: (fileName: string | null) => void;
+  let close: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    close = vi.fn();
+    vi.spyOn(fs, 'watch').mockImplementation(((_root: string, _options: unknown, listener: (eventType: string, fileName: string | null) => void) => {
+      emit = (fileName) => listener('change', fileName);
+      return { on: vi.fn(), close } as unknown as fs.FSWatcher;
+    }) as unknown as typeof fs.watch);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('reports a burst of events once, after the debounce delay', () => {
+    const onChanges = vi.fn();
+    const watcher = new DirectoryWatcher(root, onChanges, { debounceMs: 100 });
+    expect(watcher.start()).toBe(true);
+    expect(fs.watch).toHaveBeenCalledWith(root, { recursive: true }, expect.any(Function));
+
+    emit('a.ts');
+    vi.advanceTimersByTime(60);
+    emit('b.ts');
+    vi.advanceTimersByTime(60);
+    expect(onChanges).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(40);
+    expect(onChanges).toHaveBeenCalledTimes(1);
+    expect(onChanges).toHaveBeenCalledWith([path.join(root, 'a.ts'), path.join(root, 'b.ts')]);
+  });
+
+  it('coalesces repeated events for the same path', () => {
+    const onChanges = vi.fn();
+    new DirectoryWatcher(root, onChanges, { debounceMs: 100 }).start();
+
+    emit('a.ts');
+    emit('a.ts');
+    emit(null);
+    vi.advanceTimersByTime(100);
+    expect(onChanges).toHaveBeenCalledWith([path.join(root, 'a.ts')]);
+
+    // A later burst is a new batch
+    emit('a.ts');
+    vi.advanceTimersByTime(100);
+    expect(onChanges).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops events for ignored paths before debouncing', () => {
+    const onChanges = vi.fn();
+    const isIgnored = (fullPath: string) => fullPath.includes(`${path.sep}node_modules${path.sep}`);
+    new DirectoryWatcher(root, onChanges, { debounceMs: 100, isIgnored }).start();
+
+    emit(path.join('node_modules', 'lib', 'index.js'));
+    vi.advanceTimersByTime(100);
+    expect(onChanges).not.toHaveBeenCalled();
+
+    emit(path.join('node_modules', 'lib', 'index.js'));
+    emit('a.ts');
+    vi.advanceTimersByTime(100);
+    expect(onChanges).toHaveBeenCalledWith([path.join(root, 'a.ts')]);
+  });
+
+  it('filters with the ignore rules loaded so far without caching the decisions', async () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+    try {
+      fs.mkdirSync(path.join(repo, 'packages', 'app'), { recursive: true });
+      fs.writeFileSync(path.join(repo, 'packages', 'app', '.gitignore'), 'dist/\n');
+      const ignoreManager = new IgnoreManager(repo);
+      await ignoreManager.loadIgnoreFile();
+
+      const onChanges = vi.fn();
+      new DirectoryWatcher(repo, onChanges, {
+        debounceMs: 100,
+        isIgnored: (fullPath) => ignoreManager.isDirectoryIgnoredByLoadedRules(path.dirname(fullPath))
+      }).start();
+
+      // packages/app/.gitignore isn't loaded yet, so the event gets through
+      const changed = path.join(repo, 'packages', 'app', 'dist', 'x.js');
+      emit(path.join('packages', 'app', 'dist', 'x.js'));
+      vi.advanceTimersByTime(100);
+      expect(onChanges).toHaveBeenCalledWith([changed]);
+
+      await ignoreManager.loadIgnoreFilesForDirectory(path.dirname(changed));
+      expect(ignoreManager.shouldIgnore(changed, false)).toBe(true);
+
+      emit(path.join('packages', 'app', 'dist', 'y.js'));
+      vi.advanceTimersByTime(100);
+      expect(onChanges).toHaveBeenCalledTimes(1);
+    } finally {
+      fs.rmSync(repo, { recursive: true, force: true });
+    }
+  });
+
+  it('drops pending events when closed', () => {
+    const onChanges = vi.fn();
+    const watcher = new DirectoryWatcher(root, onChanges, { debounceMs: 100 });
+    watcher.start();
+
+    emit('a.ts');
+    watcher.close();
+    vi.advanceTimersByTime(100);
+    expect(onChanges).not.toHaveBeenCalled();
+    expect(close).toHaveBeenCalled();
+    expect(watcher.isWatching).toBe(false);
+  });
+});
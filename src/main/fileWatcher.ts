@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+
+// Delay before a burst of file system events is reported (editors often write a file several times)
+const DEFAULT_DEBOUNCE_MS = 150;
+
+export interface DirectoryWatcherOptions {
+  debounceMs?: number;
+  // Paths whose events are dropped before debouncing (e.g. inside ignored directories)
+  isIgnored?: (fullPath: string) => boolean;
+}
+
+/**
+ * Recursive watcher for a scanned root directory.
+ * Raw fs.watch events are collapsed into one batch of absolute paths per burst;
+ * callers stat the paths to find out what actually happened.
+ */
+export class DirectoryWatcher {
+  private rootPath: string;
+  private onChanges: (changedPaths: string[]) => void;
+  private debounceMs: number;
+  private isIgnored: (fullPath: string) => boolean;
+  private watcher: fs.FSWatcher | null = null;
+  private pendingPaths = new Set<string>();
+  private timer: NodeJS.Timeout | null = null;
+
+  constructor(rootPath: string, onChanges: (changedPaths: string[]) => void, options: DirectoryWatcherOptions = {}) {
+    this.rootPath = rootPath;
+    this.onChanges = onChanges;
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.isIgnored = options.isIgnored ?? (() => false);
+  }
+
+  /**
+   * Start watching; returns false if the platform can't watch the directory
+   */
+  start(): boolean {
+    if (this.watcher) return true;
+
+    try {
+      this.watcher = fs.watch(this.rootPath, { recursive: true }, (_eventType, fileName) => {
+        // Some platforms don't report the file name; there is nothing useful to refresh then
+        if (!fileName) return;
+        const fullPath = path.join(this.rootPath, fileName.toString());
+        // Builds and git operations churn ignored trees; don't let them trigger refreshes
+        if (this.isIgnored(fullPath)) return;
+        this.pendingPaths.add(fullPath);
+        this.scheduleFlush();
+      });
+      this.watcher.on('error', (error) => {
+        console.error(`Error watching ${this.rootPath}:`, error);
+        this.close();
+      });
+      return true;
+    } catch (error) {
+      console.error(`Unable to watch ${this.rootPath}:`, error);
+      this.watcher = null;
+      return false;
+    }
+  }
+
+  /**
+   * Stop watching and drop any pending events
+   */
+  close(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pendingPaths.clear();
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  get isWatching(): boolean {
+    return this.watcher !== null;
+  }
+
+  private scheduleFlush(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const changedPaths = [...this.pendingPaths];
+      this.pendingPaths.clear();
+      if (changedPaths.length > 0) {
+        this.onChanges(changedPaths);
+      }
+    }, this.debounceMs);
+  }
+}
@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getGitRepoInfo, getGitStatus, listGitFiles, getGitDiffs, listTreeAtRef, getCoChangeSuggestions, GitBlobReader } from './gitService';
+
+describe('gitService', () => {
+  let repo: string;
+
+  const git = (...args: string[]) => execFileSync('git', args, { cwd: repo, stdio: 'pipe' }).toString();
+  const write = (relativePath: string, content: string) => {
+    const fullPath = path.join(repo, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'git-service-'));
+    git('init', '--quiet', '--initial-branch=main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'commit.gpgsign', 'false');
+
+    write('.gitignore', 'dist/\n');
+    write('README.md', 'readme\n');
+    write('src/a.ts', 'a\n');
+    write('src/b.ts', 'b\n');
+    write('src/old.ts', 'old\n');
+    git('add', '-A');
+    git('commit', '--quiet', '-m', 'initial');
+
+    // Branch work: a committed change, a deletion, an unstaged edit, a staged file and untracked files
+    git('checkout', '--quiet', '-b', 'feature');
+    write('src/a.ts', 'a changed\n');
+    git('rm', '--quiet', 'src/old.ts');
+    git('commit', '--quiet', '-am', 'feature work');
+    write('README.md', 'readme edited\n');
+    write('src/staged.ts', 'staged\n');
+    git('add', 'src/staged.ts');
+    write('src/new.ts', 'new\n');
+    write('dist/out.js', 'ignored\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('describes the repository', async () => {
+    const info = await getGitRepoInfo(repo);
+
+    expect(info?.branch).toBe('feature');
+    expect(info?.refs.sort()).toEqual(['feature', 'main']);
+    expect(info?.defaultBaseRef).toBe('main');
+  });
+
+  it('returns null outside a repository', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'git-service-outside-'));
+    try {
+      expect(await getGitRepoInfo(outside)).toBeNull();
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+
+  it('lists files changed since the merge base, without deletions', async () => {
+    const files = await listGitFiles(repo, 'changed', 'main');
+    expect(files.sort()).toEqual(['README.md', 'src/a.ts', 'src/staged.ts']);
+  });
+
+  it('lists staged and untracked files', async () => {
+    expect(await listGitFiles(repo, 'staged')).toEqual(['src/staged.ts']);
+    expect((await listGitFiles(repo, 'untracked')).sort()).toEqual(['src/new.ts']);
+  });
+
+  it('returns paths relative to a subdirectory root', async () => {
+    const files = await listGitFiles(path.join(repo, 'src'), 'changed', 'main');
+    expect(files.sort()).toEqual(['a.ts', 'staged.ts']);
+    expect(await listGitFiles(path.join(repo, 'src'), 'untracked')).toEqual(['new.ts']);
+  });
+
+  it('diffs the working tree against HEAD, one entry per file', async () => {
+    const diffs = await getGitDiffs(repo, 'head');
+
+    expect([...diffs.keys()].sort()).toEqual(['README.md', 'src/staged.ts']);
+    expect(diffs.get('README.md')).toContain('+readme edited');
+    expect(diffs.get('README.md')).not.toContain('staged');
+  });
+
+  it('reads the paths git quotes in diff headers', async () => {
+    const names = ['with space.ts', 'say "hi".ts', 'tab\there.ts', 'café.ts'];
+    names.forEach(name => write(`quoted/${name}`, 'before\n'));
+    git('add', 'quoted');
+    git('commit', '--quiet', '-m', 'quoted names');
+    names.forEach(name => write(`quoted/${name}`, 'after\n'));
+
+    const diffs = await getGitDiffs(path.join(repo, 'quoted'), 'head');
+
+    expect([...diffs.keys()].sort()).toEqual([...names].sort());
+    expect(diffs.get('say "hi".ts')).toContain('+after');
+  });
+
+  it('diffs the branch against its merge base, relative to a subdirectory root', async () => {
+    const diffs = await getGitDiffs(path.join(repo, 'src'), 'base', 'main');
+
+    expect([...diffs.keys()].sort()).toEqual(['a.ts', 'old.ts', 'staged.ts']);
+    expect(diffs.get('a.ts')).toContain('+a changed');
+  });
+
+  it('reports the working tree status of each path', async () => {
+    write('untracked-dir/one.ts', 'one\n');
+
+    expect(await getGitStatus(repo)).toEqual({
+      'README.md': 'modified',
+      'src/staged.ts': 'added',
+      'src/new.ts': 'untracked',
+      'untracked-dir/': 'untracked',
+      'dist/': 'ignored'
+    });
+    expect(await getGitStatus(path.join(repo, 'src'))).toEqual({
+      'staged.ts': 'added',
+      'new.ts': 'untracked'
+    });
+  });
+
+  it('reports merge conflicts', async () => {
+    git('stash', '--include-untracked', '--quiet');
+    git('checkout', '--quiet', 'main');
+    write('src/a.ts', 'a on main\n');
+    git('commit', '--quiet', '-am', 'main work');
+    try {
+      git('merge', '--quiet', 'feature');
+    } catch {
+      // Expected: both branches changed src/a.ts
+    }
+
+    expect((await getGitStatus(repo))['src/a.ts']).toBe('conflicted');
+  });
+
+  it('lists the tree of a commit without checking it out', async () => {
+    const entries = await listTreeAtRef(repo, 'main');
+    const byPath = new Map(entries.map(entry => [entry.relativePath, entry]));
+
+    expect([...byPath.keys()].sort()).toEqual(['.gitignore', 'README.md', 'src', 'src/a.ts', 'src/b.ts', 'src/old.ts']);
+    expect(byPath.get('src')?.type).toBe('tree');
+    expect(byPath.get('src/a.ts')).toMatchObject({ type: 'blob', size: 2 });
+
+    const subdirEntries = await listTreeAtRef(path.join(repo, 'src'), 'main');
+    expect(subdirEntries.map(entry => entry.relativePath).sort()).toEqual(['a.ts', 'b.ts', 'old.ts']);
+  });
+
+  it('reads objects by id and by ref and path', async () => {
+    const entries = await listTreeAtRef(repo, 'main');
+    const reader = new GitBlobReader(path.join(repo, 'src'));
+    try {
+      const [byId, byPath] = await Promise.all([
+        reader.read(entries.find(entry => entry.relativePath === 'src/a.ts')!.objectId),
+        reader.read('feature:./a.ts')
+      ]);
+      expect(byId.toString()).toBe('a\n');
+      expect(byPath.toString()).toBe('a changed\n');
+      await expect(reader.read('main:./missing.ts')).rejects.toThrow('Object not found');
+    } finally {
+      reader.close();
+    }
+  });
+
+  it('keeps reading after a missing object whose name has spaces', async () => {
+    const reader = new GitBlobReader(repo);
+    try {
+      const [missing, found] = await Promise.allSettled([
+        reader.read('HEAD:src/my file.ts'),
+        reader.read('HEAD:src/a.ts')
+      ]);
+      expect(missing.status === 'rejected' && missing.reason.message).toBe('Object not found: HEAD:src/my file.ts');
+      expect(found.status === 'fulfilled' && found.value.toString()).toBe('a changed\n');
+    } finally {
+      reader.close();
+    }
+  });
+
+  it('suggests files committed together with the selection', async () => {
+    const commit = (files: string[], message: string) => {
+      files.forEach(file => write(file, `${message}\n`));
+      git('add', ...files);
+      git('commit', '--quiet', '-m', message);
+    };
+    commit(['src/a.ts', 'src/b.ts'], 'change a and b');
+    commit(['src/a.ts', 'src/b.ts', 'README.md'], 'change a, b and readme');
+    commit(['src/a.ts', 'README.md'], 'change a and readme again');
+    commit(['src/b.ts', 'src/staged.ts'], 'change b alone');
+
+    const { suggestions, commitCount } = await getCoChangeSuggestions(repo, ['src/a.ts']);
+    // a.ts was changed in 5 commits; old.ts was deleted, so it is not suggested
+    expect(commitCount).toBe(5);
+    expect(suggestions).toEqual([
+      { relativePath: 'README.md', coChangeCount: 3, score: 3 / 5 },
+      { relativePath: 'src/b.ts', coChangeCount: 3, score: 3 / 5 }
+    ]);
+
+    // staged.ts was already in the index, so it went into the first commit with a.ts
+    const fromSubdir = await getCoChangeSuggestions(path.join(repo, 'src'), ['a.ts'], { minCoChanges: 1 });
+    expect(fromSubdir.suggestions.map(suggestion => suggestion.relativePath)).toEqual(['b.ts', 'staged.ts']);
+  });
+
+  it('rejects refs that look like options', async () => {
+    await expect(listGitFiles(repo, 'changed', '--output=/tmp/x')).rejects.toThrow('Invalid git ref');
+  });
+});
@@ -0,0 +1,432 @@
+import { execFile, spawn, ChildProcessWithoutNullStreams } from 'child_process';
+
+/**
+ * Which files a git selection picks
+ * - changed: tracked files that differ from the merge base with a base ref
+ *   (committed on this branch or modified in the working tree)
+ * - staged: files in the index that differ from HEAD
+ * - untracked: new files that are not ignored
+ */
+export type GitFileKind = 'changed' | 'staged' | 'untracked';
+
+/**
+ * Working tree status of a file, as shown in the file tree
+ */
+export type GitFileStatus = 'modified' | 'added' | 'untracked' | 'ignored' | 'conflicted';
+
+/**
+ * Repository facts shown in the Git panel
+ */
+export interface GitRepoInfo {
+  repoRoot: string;
+  branch: string | null;     // Current branch (null when HEAD is detached or unborn)
+  refs: string[];            // Local branches, remote branches and tags
+  defaultBaseRef: string | null;
+}
+
+/**
+ * What a diff compares the working tree against
+ * - head: the last commit (staged and unstaged changes)
+ * - base: the merge base with a base ref (everything done on this branch)
+ */
+export type GitDiffTarget = 'head' | 'base';
+
+/**
+ * An entry of a commit's tree
+ */
+export interface GitTreeEntry {
+  relativePath: string;      // Relative to the listed directory, with `/` separators
+  type: 'blob' | 'tree' | 'commit';  // File, directory or submodule
+  mode: string;              // e.g. 100644, 100755, 120000 (symbolic link)
+  objectId: string;
+  size: number;              // Blob size in bytes (0 for trees and submodules)
+}
+
+/**
+ * A file that is often committed together with the selection
+ */
+export interface CoChangeSuggestion {
+  relativePath: string;
+  coChangeCount: number;     // Commits touching both this file and the selection
+  score: number;             // Share of the selection's commits that also touched this file (0-1)
+}
+
+/**
+ * How much history co-change suggestions look at
+ */
+export interface CoChangeOptions {
+  maxCommits?: number;       // Most recent commits to read (default: 500)
+  maxFilesPerCommit?: number; // Larger commits (mass renames, reformatting) are ignored (default: 50)
+  minCoChanges?: number;     // Fewer shared commits than this are treated as chance (default: 2)
+  limit?: number;            // Number of suggestions returned (default: 20)
+}
+
+// Large enough for file lists and diffs of big repositories
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// Branch names tried, in order, when picking the default base ref
+const DEFAULT_BASE_CANDIDATES = ['main', 'master', 'origin/main', 'origin/master', 'develop'];
+
+/**
+ * Run git in a directory and resolve with its stdout.
+ * Rejects with git's own error message (or a hint when git is not installed).
+ */
+export function runGit(cwd: string, args: string[]): Promise<string> {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_OUTPUT_BYTES, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+          reject(new Error('Git is not installed or not on the PATH'));
+        } else {
+          reject(new Error(stderr.trim() || error.message));
+        }
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Split NUL-separated output (`-z`) into paths
+function splitPaths(output: string): string[] {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Reject ref names git could mistake for options
+ */
+export function assertValidRef(ref: string): void {
+  if (!ref || ref.startsWith('-') || /[\s\0]/.test(ref)) {
+    throw new Error(`Invalid git ref: ${ref}`);
+  }
+}
+
+/**
+ * Describe the repository containing a directory, or null when it is not in one
+ */
+export async function getGitRepoInfo(rootPath: string): Promise<GitRepoInfo | null> {
+  let repoRoot: string;
+  try {
+    repoRoot = (await runGit(rootPath, ['rev-parse', '--show-toplevel'])).trim();
+  } catch {
+    return null;
+  }
+
+  const branch = (await runGit(rootPath, ['symbolic-ref', '--quiet', '--short', 'HEAD']).catch(() => '')).trim() || null;
+  const refs = (await runGit(rootPath, [
+    'for-each-ref',
+    '--format=%(refname:short)',
+    'refs/heads',
+    'refs/remotes',
+    'refs/tags'
+  ]).catch(() => ''))
+    .split('\n')
+    .map(ref => ref.trim())
+    // `origin/HEAD` is an alias of another remote branch
+    .filter(ref => ref && !ref.endsWith('/HEAD'));
+
+  const remoteHead = (await runGit(rootPath, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']).catch(() => '')).trim();
+  const candidates = remoteHead ? [remoteHead, ...DEFAULT_BASE_CANDIDATES] : DEFAULT_BASE_CANDIDATES;
+  const defaultBaseRef = candidates.find(ref => refs.includes(ref) && ref !== branch) ?? null;
+
+  return { repoRoot, branch, refs, defaultBaseRef };
+}
+
+/**
+ * List files of one kind, relative to `rootPath` with `/` separators.
+ * Only files under `rootPath` are returned, and deleted files are left out
+ * since they can't be selected.
+ */
+export async function listGitFiles(rootPath: string, kind: GitFileKind, baseRef?: string): Promise<string[]> {
+  switch (kind) {
+    case 'changed': {
+      if (!baseRef) throw new Error('A base ref is required to list changed files');
+      assertValidRef(baseRef);
+      const mergeBase = (await runGit(rootPath, ['merge-base', baseRef, 'HEAD'])).trim();
+      // `--relative` limits the diff to the current directory and makes paths relative to it
+      return splitPaths(await runGit(rootPath, ['diff', '--name-only', '-z', '--no-renames', '--diff-filter=d', '--relative', mergeBase]));
+    }
+    case 'staged':
+      return splitPaths(await runGit(rootPath, ['diff', '--cached', '--name-only', '-z', '--no-renames', '--diff-filter=d', '--relative']));
+    case 'untracked':
+      // ls-files lists paths under the current directory, relative to it
+      return splitPaths(await runGit(rootPath, ['ls-files', '--others', '--exclude-standard', '-z']));
+    default:
+      throw new Error(`Unknown git file kind: ${kind}`);
+  }
+}
+
+// Index / working tree status pairs that mean a merge conflict
+const CONFLICT_CODES = new Set(['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU']);
+
+// Map a porcelain status code (XY) to a file status; deleted files get none
+function toFileStatus(code: string): GitFileStatus | null {
+  if (code === '??') return 'untracked';
+  if (code === '!!') return 'ignored';
+  if (CONFLICT_CODES.has(code)) return 'conflicted';
+  if (code[1] === 'D' || (code[0] === 'D' && code[1] === ' ')) return null;
+  if (code[0] === 'A') return 'added';
+  return 'modified';
+}
+
+/**
+ * Status of every changed, untracked or ignored path under `rootPath`, keyed by
+ * path relative to `rootPath`. Keys ending in `/` are whole untracked or ignored
+ * directories. Deleted files are left out since they aren't in the tree.
+ */
+export async function getGitStatus(rootPath: string): Promise<Record<string, GitFileStatus>> {
+  // Porcelain paths are relative to the repository root, not the current directory
+  const prefix = (await runGit(rootPath, ['rev-parse', '--show-prefix'])).trim();
+  const output = await runGit(rootPath, [
+    'status', '--porcelain=v1', '-z', '--ignored', '--untracked-files=normal', '--', '.'
+  ]);
+
+  const statuses: Record<string, GitFileStatus> = {};
+  const records = output.split('\0');
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (record.length < 4) continue;
+    const code = record.slice(0, 2);
+    // Renames and copies are followed by the original path
+    if (code[0] === 'R' || code[0] === 'C') i++;
+
+    const status = toFileStatus(code);
+    const repoPath = record.slice(3);
+    if (!status || !repoPath.startsWith(prefix)) continue;
+    statuses[repoPath.slice(prefix.length)] = status;
+  }
+  return statuses;
+}
+
+// Prefix of the header line that starts each file's diff
+const DIFF_HEADER = 'diff --git ';
+
+// Escapes git uses in quoted paths, besides octal bytes
+const QUOTED_PATH_ESCAPES: Record<string, number> = {
+  a: 0x07, b: 0x08, t: 0x09, n: 0x0a, v: 0x0b, f: 0x0c, r: 0x0d, '"': 0x22, '\\': 0x5c
+};
+
+/**
+ * Decode a path git quoted C-style (`"dir/say \"hi\"\t.ts"`); octal escapes are UTF-8 bytes
+ */
+function unquoteGitPath(quoted: string): string {
+  const bytes: number[] = [];
+  for (let i = 1; i < quoted.length - 1; i++) {
+    const char = quoted[i];
+    if (char !== '\\') {
+      bytes.push(...Buffer.from(char, 'utf8'));
+    } else if (/^[0-7]{3}$/.test(quoted.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(quoted.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(QUOTED_PATH_ESCAPES[quoted[i + 1]] ?? quoted.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Path of a `diff --git a/<path> b/<path>` header, or null if it can't be read.
+ * Without renames both sides name the same path; paths with quotes, backslashes
+ * or control characters are quoted on both sides.
+ */
+function parseDiffHeaderPath(header: string): string | null {
+  const sides = header.slice(DIFF_HEADER.length);
+  if (sides.startsWith('"')) {
+    let end = 1;
+    while (end < sides.length && sides[end] !== '"') {
+      end += sides[end] === '\\' ? 2 : 1;
+    }
+    const oldPath = unquoteGitPath(sides.slice(0, end + 1));
+    return oldPath.startsWith('a/') && oldPath.length > 2 ? oldPath.slice(2) : null;
+  }
+  // Unquoted paths may hold spaces, so split the header in the middle
+  const pathLength = (sides.length - 'a/'.length - ' b/'.length) / 2;
+  if (!sides.startsWith('a/') || !Number.isInteger(pathLength) || pathLength <= 0) return null;
+  return sides.slice('a/'.length, 'a/'.length + pathLength);
+}
+
+/**
+ * Diff the working tree against HEAD or the merge base with `baseRef`.
+ * Returns one diff per changed file under `rootPath`, keyed by its path relative
+ * to `rootPath`. Renames are shown as a deletion plus an addition, so every
+ * diff belongs to a single path. Untracked files have no diff: they are sent
+ * in full already, and a diff would only repeat their contents.
+ */
+export async function getGitDiffs(rootPath: string, target: GitDiffTarget, baseRef?: string): Promise<Map<string, string>> {
+  let from = 'HEAD';
+  if (target === 'base') {
+    if (!baseRef) throw new Error('A base ref is required to diff against the branch base');
+    assertValidRef(baseRef);
+    from = (await runGit(rootPath, ['merge-base', baseRef, 'HEAD'])).trim();
+  }
+
+  const output = await runGit(rootPath, [
+    '-c', 'core.quotePath=false',
+    'diff', '--no-color', '--no-ext-diff', '--no-renames', '--relative', from
+  ]);
+
+  const diffs = new Map<string, string>();
+  for (const chunk of output.split(/^(?=diff --git )/m)) {
+    const header = chunk.split('\n', 1)[0];
+    if (!header.startsWith(DIFF_HEADER)) continue;
+    const relativePath = parseDiffHeaderPath(header);
+    if (relativePath) diffs.set(relativePath, chunk.trimEnd());
+  }
+  return diffs;
+}
+
+/**
+ * List every file and directory of a commit under `rootPath`, without checking it out.
+ * Paths are relative to `rootPath`.
+ */
+export async function listTreeAtRef(rootPath: string, ref: string): Promise<GitTreeEntry[]> {
+  assertValidRef(ref);
+  // From a subdirectory, ls-tree lists that directory with paths relative to it
+  const output = await runGit(rootPath, ['ls-tree', '-r', '-t', '-l', '-z', `${ref}^{tree}`]);
+  const entries: GitTreeEntry[] = [];
+  for (const line of splitPaths(output)) {
+    // <mode> SP <type> SP <object> SP+ <size> TAB <path>
+    const tab = line.indexOf('\t');
+    const [mode, type, objectId, size] = line.slice(0, tab).split(/ +/);
+    const relativePath = line.slice(tab + 1).replace(/\/$/, '');
+    // The listed directory itself shows up as `./`
+    if (relativePath === '.' || relativePath === '') continue;
+    entries.push({
+      relativePath: relativePath.replace(/^\.\//, ''),
+      type: type as GitTreeEntry['type'],
+      mode,
+      objectId,
+      size: size === '-' ? 0 : Number(size)
+    });
+  }
+  return entries;
+}
+
+/**
+ * Reads objects through one long-running `git cat-file --batch` process,
+ * so scanning a commit doesn't start a process per file.
+ * Requests are answered in order; call close() when done.
+ */
+export class GitBlobReader {
+  private process: ChildProcessWithoutNullStreams;
+  private buffer: Buffer = Buffer.alloc(0);
+  private waiting: Array<{ resolve: (content: Buffer) => void; reject: (error: Error) => void }> = [];
+  private failure: Error | null = null;
+
+  constructor(cwd: string) {
+    this.process = spawn('git', ['cat-file', '--batch'], { cwd, windowsHide: true });
+    this.process.stdout.on('data', (chunk: Buffer) => {
+      this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+      this.drain();
+    });
+    this.process.on('error', (error: NodeJS.ErrnoException) => {
+      this.fail(error.code === 'ENOENT' ? new Error('Git is not installed or not on the PATH') : error);
+    });
+    this.process.on('close', () => this.fail(new Error('git cat-file exited')));
+    // A closed stdin (e.g. git already exited) is reported through 'close'
+    this.process.stdin.on('error', () => {});
+  }
+
+  /**
+   * Read an object by id or by `<ref>:./<path>` (relative to the reader's directory)
+   */
+  read(objectName: string): Promise<Buffer> {
+    if (this.failure) return Promise.reject(this.failure);
+    if (/[\r\n]/.test(objectName)) return Promise.reject(new Error(`Invalid object name: ${objectName}`));
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+      this.process.stdin.write(`${objectName}\n`);
+    });
+  }
+
+  close(): void {
+    this.process.stdin.end();
+  }
+
+  // Answer waiting reads from the buffered output: `<id> <type> <size>\n<content>\n` or `<name> missing\n`
+  private drain(): void {
+    while (this.waiting.length > 0) {
+      const newline = this.buffer.indexOf(10);
+      if (newline === -1) return;
+
+      const header = this.buffer.subarray(0, newline).toString('utf8');
+      // `<name> missing` or `<name> ambiguous`; the name itself may contain spaces
+      const notFound = /^(.*) (missing|ambiguous)$/.exec(header);
+      // Otherwise `<object> <type> <size>`
+      const size = notFound ? NaN : Number(header.split(' ')[2]);
+      if (!Number.isInteger(size) || size < 0) {
+        this.buffer = this.buffer.subarray(newline + 1);
+        this.waiting.shift()!.reject(new Error(`Object not found: ${notFound ? notFound[1] : header}`));
+        continue;
+      }
+
+      const end = newline + 1 + size;
+      if (this.buffer.length < end + 1) return;
+      const content = Buffer.from(this.buffer.subarray(newline + 1, end));
+      this.buffer = this.buffer.subarray(end + 1);
+      this.waiting.shift()!.resolve(content);
+    }
+  }
+
+  private fail(error: Error): void {
+    if (!this.failure) this.failure = error;
+    const waiting = this.waiting;
+    this.waiting = [];
+    for (const request of waiting) {
+      request.reject(error);
+    }
+  }
+}
+
+// Marks the start of each commit in `git log` output (`%x1e` in the format)
+const COMMIT_SEPARATOR = '\x1e';
+
+/**
+ * Suggest files that are frequently committed together with the selected files,
+ * mined from the local history. Paths are relative to `rootPath`; files outside
+ * it, selected files and files that no longer exist are not suggested.
+ */
+export async function getCoChangeSuggestions(
+  rootPath: string,
+  selectedPaths: string[],
+  options: CoChangeOptions = {}
+): Promise<{ suggestions: CoChangeSuggestion[]; commitCount: number }> {
+  const { maxCommits = 500, maxFilesPerCommit = 50, minCoChanges = 2, limit = 20 } = options;
+  const selected = new Set(selectedPaths);
+  if (selected.size === 0) return { suggestions: [], commitCount: 0 };
+
+  const [log, tracked] = await Promise.all([
+    runGit(rootPath, [
+      '-c', 'core.quotePath=false',
+      'log', '--no-merges', '--no-renames', '--name-only', '--relative',
+      '--format=%x1e', '-n', String(maxCommits), '--', '.'
+    ]),
+    runGit(rootPath, ['ls-files', '-z'])
+  ]);
+  const existing = new Set(splitPaths(tracked));
+
+  // Commits touching the selection, and how often every other file appears in them
+  let commitCount = 0;
+  const coChanges = new Map<string, number>();
+  for (const commit of log.split(COMMIT_SEPARATOR)) {
+    const files = commit.split('\n').filter(Boolean);
+    if (files.length > maxFilesPerCommit || !files.some(file => selected.has(file))) continue;
+    commitCount++;
+    for (const file of files) {
+      if (!selected.has(file) && existing.has(file)) {
+        coChanges.set(file, (coChanges.get(file) ?? 0) + 1);
+      }
+    }
+  }
+
+  const suggestions = [...coChanges.entries()]
+    .filter(([, count]) => count >= minCoChanges)
+    .map(([relativePath, count]) => ({ relativePath, coChangeCount: count, score: count / commitCount }))
+    .sort((a, b) => b.score - a.score || a.relativePath.localeCompare(b.relativePath))
+    .slice(0, limit);
+
+  return { suggestions, commitCount };
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IgnoreManager, parseIgnoreFile } from './ignoreUtils';
+
+describe('ignoreUtils', () => {
+  describe('parseIgnoreFile', () => {
+    it('skips comments and blank lines and unescapes special prefixes', () => {
+      const rules = parseIgnoreFile('# comment\n\n\\#hash\n\\!bang\n');
+      expect(rules.map(r => r.pattern)).toEqual(['\\#hash', '\\!bang']);
+      expect(rules[0].matcher('#hash')).toBe(true);
+      expect(rules[1].negated).toBe(false);
+      expect(rules[1].matcher('!bang')).toBe(true);
+    });
+
+    it('matches unanchored patterns at any depth', () => {
+      const [rule] = parseIgnoreFile('*.log');
+      expect(rule.matcher('debug.log')).toBe(true);
+      expect(rule.matcher('logs/nested/debug.log')).toBe(true);
+    });
+
+    it('anchors patterns with a leading or middle slash', () => {
+      const [leading, middle] = parseIgnoreFile('/build\ndocs/api');
+      expect(leading.matcher('build')).toBe(true);
+      expect(leading.matcher('src/build')).toBe(false);
+      expect(middle.matcher('docs/api')).toBe(true);
+      expect(middle.matcher('src/docs/api')).toBe(false);
+    });
+
+    it('parses negation, directory-only patterns and braces', () => {
+      const [negated, dirOnly, braces] = parseIgnoreFile('!keep.log\ntmp/\n*.{png,jpg}');
+      expect(negated.negated).toBe(true);
+      expect(dirOnly.directoryOnly).toBe(true);
+      expect(braces.matcher('img/a.jpg')).toBe(true);
+      expect(braces.matcher('img/a.gif')).toBe(false);
+    });
+
+    it('does not match the directory itself for foo/**', () => {
+      const [rule] = parseIgnoreFile('foo/**');
+      expect(rule.matcher('foo')).toBe(false);
+      expect(rule.matcher('foo/bar.txt')).toBe(true);
+    });
+  });
+
+  describe('IgnoreManager', () => {
+    let root: string;
+
+    const write = (relativePath: string, content = '') => {
+      const fullPath = path.join(root, relativePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content);
+    };
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'ignore-utils-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('ignores node_modules and .git by default', async () => {
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFile();
+      expect(manager.shouldIgnore(path.join(root, 'node_modules'), true)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'a/node_modules/x.js'), false)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, '.git/config'), false)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'src/index.ts'), false)).toBe(false);
+    });
+
+    it('lets a later negation re-include a file', async () => {
+      write('.gitignore', '*.log\n!keep.log\n');
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFile();
+      expect(manager.shouldIgnore(path.join(root, 'debug.log'), false)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'keep.log'), false)).toBe(false);
+    });
+
+    it('applies directory-only patterns to directories only', async () => {
+      write('.gitignore', 'tmp/\n');
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFile();
+      expect(manager.shouldIgnore(path.join(root, 'tmp'), true)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'tmp'), false)).toBe(false);
+      expect(manager.shouldIgnore(path.join(root, 'tmp/file.txt'), false)).toBe(true);
+    });
+
+    it('cannot re-include a file whose parent directory is excluded', async () => {
+      write('.gitignore', 'build/\n!build/keep.txt\n');
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFile();
+      expect(manager.shouldIgnore(path.join(root, 'build/keep.txt'), false)).toBe(true);
+    });
+
+    it('honours nested ignore files, with deeper files taking precedence', async () => {
+      write('.gitignore', '*.txt\n');
+      write('pkg/.gitignore', '!notes.txt\ngenerated/\n');
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFilesForDirectory(path.join(root, 'pkg'));
+      expect(manager.shouldIgnore(path.join(root, 'notes.txt'), false)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'pkg/notes.txt'), false)).toBe(false);
+      expect(manager.shouldIgnore(path.join(root, 'pkg/other.txt'), false)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'pkg/generated'), true)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'generated'), true)).toBe(false);
+    });
+
+    it('revisits earlier decisions once nested ignore files are loaded', async () => {
+      write('packages/app/.gitignore', 'dist/\n');
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFile();
+      // Checked while only the root rules are known
+      expect(manager.shouldIgnore(path.join(root, 'packages/app/dist'), true)).toBe(false);
+
+      await manager.loadIgnoreFilesForDirectory(path.join(root, 'packages/app/dist'));
+      expect(manager.shouldIgnore(path.join(root, 'packages/app/dist/x.js'), false)).toBe(true);
+      expect(manager.shouldIgnore(path.join(root, 'packages/app/dist'), true)).toBe(true);
+    });
+
+    it('lets .repopromptignore override .gitignore in the same directory', async () => {
+      write('.gitignore', 'dist/\n');
+      write('.repopromptignore', '!dist/\n');
+      const manager = new IgnoreManager(root);
+      await manager.loadIgnoreFile();
+      expect(manager.shouldIgnore(path.join(root, 'dist'), true)).toBe(false);
+    });
+  });
+});
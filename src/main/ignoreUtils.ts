@@ -1,102 +1,272 @@
 import fs from 'fs';
 import path from 'path';
+import micromatch from 'micromatch';
 
 /**
- * Simple pattern matching for ignore files
- * @param path Path to check
- * @param pattern Pattern to match against
+ * Ignore files read in every directory, in precedence order
+ * (a later file overrides an earlier one in the same directory)
  */
-function isMatch(filePath: string, pattern: string): boolean {
-  // Convert glob pattern to regex
-  let regexPattern = pattern
-    .replace(/\./g, '\\.') // Escape dots
-    .replace(/\*\*/g, '{{GLOBSTAR}}') // Temporarily replace ** with a placeholder
-    .replace(/\*/g, '[^/]*') // Replace * with regex for any character except slash
-    .replace(/\?/g, '[^/]') // Replace ? with regex for any character except slash
-    .replace(/{{GLOBSTAR}}/g, '.*'); // Replace ** placeholder with regex for any character
-  
-  // Add start/end anchors if not already present
-  if (!regexPattern.startsWith('^')) {
-    regexPattern = '^' + regexPattern;
-  }
-  if (!regexPattern.endsWith('$')) {
-    regexPattern += '$';
+export const IGNORE_FILE_NAMES = ['.gitignore', '.repopromptignore'];
+
+/**
+ * Patterns that are always ignored unless explicitly re-included with `!`
+ */
+export const DEFAULT_IGNORE_PATTERNS = ['node_modules/', '.git/'];
+
+/**
+ * A single parsed line of an ignore file
+ */
+export interface IgnoreRule {
+  pattern: string;        // Original pattern text (for display)
+  negated: boolean;       // `!pattern` re-includes a previously ignored path
+  directoryOnly: boolean; // `pattern/` only matches directories
+  baseDir: string;        // Directory (relative to root, '' for root) the rule applies to
+  source: string;         // File the rule came from
+  matcher: (relativePath: string) => boolean;
+}
+
+// Shared micromatch options: gitignore globs match dotfiles and `*` never crosses `/`
+const MATCH_OPTIONS = { dot: true };
+
+/**
+ * Parse the contents of a .gitignore-style file into rules.
+ * Supports comments, `\#` / `\!` escapes, negation, anchored (`/foo`, `foo/bar`)
+ * and unanchored (`foo`, matched at any depth) patterns, directory-only
+ * patterns (`foo/`), and the glob syntax micromatch understands (`**`, braces, classes).
+ */
+export function parseIgnoreFile(content: string, baseDir: string = '', source: string = ''): IgnoreRule[] {
+  const rules: IgnoreRule[] = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let line = /\\ $/.test(rawLine) ? rawLine : rawLine.replace(/\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negated = false;
+    if (line.startsWith('!')) {
+      negated = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (line.endsWith('/')) {
+      directoryOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+
+    // A slash at the start or in the middle anchors the pattern to baseDir
+    const anchored = line.includes('/');
+    line = line.replace(/^\/+/, '');
+    if (!line) continue;
+
+    const glob = anchored || line.startsWith('**/') ? line : `**/${line}`;
+    let isMatch = micromatch.matcher(glob, MATCH_OPTIONS);
+    // In git, `foo/**` matches everything inside foo but not foo itself,
+    // while micromatch also matches foo
+    if (glob.endsWith('/**')) {
+      const matchesContents = isMatch;
+      const matchesParent = micromatch.matcher(glob.slice(0, -3), MATCH_OPTIONS);
+      isMatch = (relativePath: string) => matchesContents(relativePath) && !matchesParent(relativePath);
+    }
+
+    rules.push({
+      pattern: rawLine.trim(),
+      negated,
+      directoryOnly,
+      baseDir,
+      source,
+      matcher: isMatch
+    });
   }
-  
-  const regex = new RegExp(regexPattern);
-  return regex.test(filePath);
+
+  return rules;
 }
 
 /**
- * Class to handle .repopromptignore file patterns
+ * Class to handle .gitignore / .repopromptignore patterns at every directory level,
+ * following git's precedence rules:
+ * - within a file, the last matching pattern wins
+ * - files in deeper directories override files in their ancestors
+ * - a path can't be re-included if one of its parent directories is excluded
  */
 export class IgnoreManager {
-  private ignorePatterns: string[] = [];
   private rootPath: string = '';
   private loaded: boolean = false;
+  // Rules by directory (relative to root, '' for root)
+  private rulesByDir = new Map<string, IgnoreRule[]>();
+  // Cache of decisions for directories, since every descendant re-checks them
+  private directoryCache = new Map<string, boolean>();
 
   constructor(rootPath: string) {
     this.rootPath = rootPath;
   }
 
+  /**
+   * Load the default patterns and the ignore files in the root directory
+   */
   async loadIgnoreFile(): Promise<void> {
-    try {
-      const ignoreFilePath = path.join(this.rootPath, '.repopromptignore');
-      
-      // Check if the file exists
-      try {
-        await fs.promises.access(ignoreFilePath);
-      } catch {
-        // If file doesn't exist, use default patterns
-        this.ignorePatterns = ['node_modules/**', '.git/**'];
-        this.loaded = true;
-        return;
-      }
-      
-      // Read and parse the ignore file
-      const content = await fs.promises.readFile(ignoreFilePath, 'utf8');
-      this.ignorePatterns = content
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#')) // Skip empty lines and comments
-        .map(pattern => {
-          // Ensure patterns work with directory structure
-          if (!pattern.includes('/') && !pattern.endsWith('/**')) {
-            return `${pattern}/**`;
-          }
-          return pattern;
-        });
-      
-      // Always include node_modules and .git by default if not specified
-      if (!this.ignorePatterns.some(p => p.startsWith('node_modules'))) {
-        this.ignorePatterns.push('node_modules/**');
+    const rootRules: IgnoreRule[] = parseIgnoreFile(DEFAULT_IGNORE_PATTERNS.join('\n'), '', 'defaults');
+
+    // Per-repository excludes that git honours but never commits
+    const excludeFile = path.join(this.rootPath, '.git', 'info', 'exclude');
+    rootRules.push(...(await this.readRules(excludeFile, '')));
+
+    for (const fileName of IGNORE_FILE_NAMES) {
+      rootRules.push(...(await this.readRules(path.join(this.rootPath, fileName), '')));
+    }
+
+    this.rulesByDir.clear();
+    this.directoryCache.clear();
+    this.rulesByDir.set('', rootRules);
+    this.loaded = true;
+  }
+
+  /**
+   * Load the ignore files of a directory and all its ancestors below the root.
+   * Must be called before checking the entries of that directory.
+   */
+  async loadIgnoreFilesForDirectory(dirPath: string): Promise<void> {
+    if (!this.loaded) {
+      await this.loadIgnoreFile();
+    }
+
+    const relativeDir = this.toRelative(dirPath);
+    if (relativeDir === null || relativeDir === '') return;
+
+    const segments = relativeDir.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      const dir = segments.slice(0, i).join('/');
+      if (this.rulesByDir.has(dir)) continue;
+
+      const rules: IgnoreRule[] = [];
+      for (const fileName of IGNORE_FILE_NAMES) {
+        rules.push(...(await this.readRules(path.join(this.rootPath, dir, fileName), dir)));
       }
-      if (!this.ignorePatterns.some(p => p.startsWith('.git'))) {
-        this.ignorePatterns.push('.git/**');
+      this.rulesByDir.set(dir, rules);
+      // Decisions made below this directory before its rules were known may be wrong now
+      if (rules.length > 0) {
+        for (const cachedPath of [...this.directoryCache.keys()]) {
+          if (cachedPath.startsWith(`${dir}/`)) this.directoryCache.delete(cachedPath);
+        }
       }
-      
-      this.loaded = true;
-    } catch (error) {
-      console.error('Error loading ignore file:', error);
-      // Default to node_modules if there's an error
-      this.ignorePatterns = ['node_modules/**', '.git/**'];
-      this.loaded = true;
     }
   }
 
-  shouldIgnore(filePath: string): boolean {
+  /**
+   * Check whether a path is ignored.
+   * Pass isDirectory when known (directory-only patterns need it); otherwise the path is stat'ed.
+   */
+  shouldIgnore(filePath: string, isDirectory?: boolean): boolean {
     if (!this.loaded) {
       throw new Error('Ignore patterns not loaded yet. Call loadIgnoreFile() first.');
     }
-    
-    const relativePath = path.relative(this.rootPath, filePath);
-    
-    for (const pattern of this.ignorePatterns) {
-      if (isMatch(relativePath, pattern)) {
+
+    const relativePath = this.toRelative(filePath);
+    // The root itself and paths outside of it are never ignored
+    if (!relativePath) return false;
+
+    // An excluded parent directory excludes everything below it
+    const segments = relativePath.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      if (this.isDirectoryIgnored(segments.slice(0, i).join('/'))) {
+        return true;
+      }
+    }
+
+    const directory = isDirectory ?? this.isDirectoryOnDisk(filePath);
+    return directory
+      ? this.isDirectoryIgnored(relativePath)
+      : this.matchRules(relativePath, false);
+  }
+
+  /**
+   * Check a directory against the rules loaded so far without caching the decision.
+   * For quick filtering before the ignore files below the root have been loaded.
+   */
+  isDirectoryIgnoredByLoadedRules(dirPath: string): boolean {
+    if (!this.loaded) return false;
+
+    const relativePath = this.toRelative(dirPath);
+    if (!relativePath) return false;
+
+    const segments = relativePath.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      const ancestor = segments.slice(0, i).join('/');
+      if (this.directoryCache.get(ancestor) ?? this.matchRules(ancestor, true)) {
         return true;
       }
     }
-    
     return false;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Get all loaded rules (for display), in precedence order
+   */
+  getRules(): IgnoreRule[] {
+    return [...this.rulesByDir.keys()]
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+      .flatMap(dir => this.rulesByDir.get(dir) || []);
+  }
+
+  private isDirectoryIgnored(relativePath: string): boolean {
+    const cached = this.directoryCache.get(relativePath);
+    if (cached !== undefined) return cached;
+
+    const ignored = this.matchRules(relativePath, true);
+    this.directoryCache.set(relativePath, ignored);
+    return ignored;
+  }
+
+  // Evaluate the rules of every directory from the root down to the path's parent;
+  // the last matching rule decides
+  private matchRules(relativePath: string, isDirectory: boolean): boolean {
+    const segments = relativePath.split('/');
+    let ignored = false;
+
+    for (let depth = 0; depth < segments.length; depth++) {
+      const dir = segments.slice(0, depth).join('/');
+      const rules = this.rulesByDir.get(dir);
+      if (!rules) continue;
+
+      const pathFromDir = segments.slice(depth).join('/');
+      for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.matcher(pathFromDir)) {
+          ignored = !rule.negated;
+        }
+      }
+    }
+
+    return ignored;
+  }
+
+  private async readRules(filePath: string, baseDir: string): Promise<IgnoreRule[]> {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return parseIgnoreFile(content, baseDir, path.relative(this.rootPath, filePath));
+    } catch (error) {
+      // Missing ignore files are the normal case
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT' && (error as NodeJS.ErrnoException).code !== 'ENOTDIR') {
+        console.error(`Error loading ignore file ${filePath}:`, error);
+      }
+      return [];
+    }
+  }
+
+  // Path relative to the root with forward slashes, or null if outside the root
+  private toRelative(filePath: string): string | null {
+    const relativePath = path.relative(this.rootPath, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+    return relativePath.split(path.sep).join('/');
+  }
+
+  private isDirectoryOnDisk(filePath: string): boolean {
+    try {
+      return fs.statSync(filePath).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+}
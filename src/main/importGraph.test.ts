@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandImports, extractJsImports, extractPythonImports, ImportResolver } from './importGraph';
+
+describe('importGraph', () => {
+  describe('extractJsImports', () => {
+    it('finds static, re-exported, dynamic and required modules', () => {
+      const content = [
+        "import React, { useState } from 'react';",
+        "import type { FileInfo } from './types';",
+        'import {',
+        '  a,',
+        '  b',
+        "} from \"./multi\";",
+        "import './styles.css';",
+        "export * from './reexport';",
+        "const lazy = import('./lazy');",
+        "const fs = require('fs');",
+        "// import './commented';",
+        "/* import './blocked'; */",
+        "const url = 'http://example.com/import';"
+      ].join('\n');
+
+      expect(extractJsImports(content)).toEqual([
+        'react', './types', './multi', './styles.css', './reexport', './lazy', 'fs'
+      ]);
+    });
+
+    it('does not take comment markers inside strings, templates or regexes for comments', () => {
+      const content = [
+        "const patterns = ['src/*'];",
+        "import a from './a';",
+        'const glob = `docs/*.md`;',
+        "import b from './b';",
+        'const slashes = /\\/*/g;',
+        "import c from './c';",
+        "const entry = ['lib/*/index.js'];",
+        "const url = 'http://example.com'; import d from './d';",
+        "const half = total / 2; // import './commented';",
+        "/* import './blocked'; */ import e from './e';"
+      ].join('\n');
+
+      expect(extractJsImports(content)).toEqual(['./a', './b', './c', './d', './e']);
+    });
+  });
+
+  describe('extractPythonImports', () => {
+    it('finds plain, aliased, relative and parenthesized imports', () => {
+      const content = [
+        'import os, app.models as models',
+        'from . import utils',
+        'from ..core import (',
+        '    engine,',
+        '    helpers as h,',
+        ')',
+        'from app.views import *  # everything'
+      ].join('\n');
+
+      expect(extractPythonImports(content)).toEqual([
+        { module: 'os', names: [] },
+        { module: 'app.models', names: [] },
+        { module: '.', names: ['utils'] },
+        { module: '..core', names: ['engine', 'helpers'] },
+        { module: 'app.views', names: [] }
+      ]);
+    });
+  });
+
+  describe('resolving files', () => {
+    let root: string;
+
+    const write = (relativePath: string, content: string) => {
+      const fullPath = path.join(root, relativePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content);
+    };
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'import-graph-'));
+      write('tsconfig.json', [
+        '{',
+        '  // Comments and trailing commas are allowed',
+        '  "compilerOptions": {',
+        '    "baseUrl": ".",',
+        '    "paths": { "@components/*": ["src/components/*"], },',
+        '  },',
+        '}'
+      ].join('\n'));
+      write('src/App.tsx', [
+        "import React from 'react';",
+        "import Button from '@components/Button';",
+        "import { format } from './utils/format.js';",
+        "import config from './config';"
+      ].join('\n'));
+      write('src/components/Button.tsx', "import { theme } from '../theme';");
+      write('src/theme/index.ts', 'export const theme = {};');
+      write('src/utils/format.ts', 'export const format = () => "";');
+      write('src/config.json', '{}');
+      write('src/main.tsx', "import App from './App';");
+
+      write('app/__init__.py', '');
+      write('app/models.py', 'from .db import session');
+      write('app/db.py', '');
+      write('app/api/__init__.py', '');
+      write('app/api/views.py', 'from .. import models\nfrom app.api import serializers\nimport requests');
+      write('app/api/serializers.py', '');
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('resolves relative, aliased and index imports and ignores packages', async () => {
+      const resolver = new ImportResolver(root);
+      expect((await resolver.resolveFile('src/App.tsx')).sort()).toEqual([
+        'src/components/Button.tsx', 'src/config.json', 'src/utils/format.ts'
+      ]);
+      expect(await resolver.resolveFile('src/components/Button.tsx')).toEqual(['src/theme/index.ts']);
+    });
+
+    it('resolves relative and absolute Python imports, including submodules', async () => {
+      const resolver = new ImportResolver(root);
+      expect((await resolver.resolveFile('app/api/views.py')).sort()).toEqual([
+        'app/__init__.py', 'app/api/__init__.py', 'app/api/serializers.py', 'app/models.py'
+      ]);
+      expect(await resolver.resolveFile('app/models.py')).toEqual(['app/db.py']);
+    });
+
+    it('expands imports up to the requested depth', async () => {
+      expect(await expandImports(root, ['src/App.tsx'], { direction: 'imports', depth: 1 })).toEqual([
+        'src/components/Button.tsx', 'src/utils/format.ts', 'src/config.json'
+      ]);
+      expect(await expandImports(root, ['src/App.tsx'], { direction: 'imports', depth: 2 })).toContain('src/theme/index.ts');
+    });
+
+    it('finds importers among the candidate files', async () => {
+      const candidatePaths = ['src/App.tsx', 'src/main.tsx', 'src/components/Button.tsx', 'src/theme/index.ts'];
+
+      expect(await expandImports(root, ['src/theme/index.ts'], { direction: 'importers', depth: 1, candidatePaths }))
+        .toEqual(['src/components/Button.tsx']);
+      expect(await expandImports(root, ['src/theme/index.ts'], { direction: 'importers', depth: 3, candidatePaths }))
+        .toEqual(['src/components/Button.tsx', 'src/App.tsx', 'src/main.tsx']);
+    });
+  });
+});
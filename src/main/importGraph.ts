@@ -0,0 +1,407 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Which way an import expansion walks the dependency graph
+ * - imports: the modules the selected files import
+ * - importers: the files that import the selected files
+ */
+export type ImportDirection = 'imports' | 'importers';
+
+/**
+ * Options for expanding a selection along the import graph
+ */
+export interface ImportExpansionOptions {
+  direction: ImportDirection;
+  depth: number;              // Levels of the graph to follow (1 = direct imports only)
+  candidatePaths?: string[];  // Files searched for importers (relative to the root)
+}
+
+// Extensions resolved for extensionless JS/TS imports, in TypeScript's order
+const JS_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+const JS_SOURCE = /\.(?:[cm]?[jt]sx?)$/;
+const PYTHON_SOURCE = /\.pyi?$/;
+
+// Files larger than this are not parsed for imports
+const MAX_PARSE_SIZE = 1024 * 1024;
+
+// Concurrent reads when parsing every candidate for importers
+const READ_BATCH_SIZE = 32;
+
+// `import x from 'y'`, `import 'y'`, `export { x } from 'y'`, `import type { X } from 'y'`
+const JS_STATIC_IMPORT = /(?:^|[^\w$.])(?:import|export)\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s*)?['"]([^'"\n]+)['"]/g;
+// `require('y')` and dynamic `import('y')`
+const JS_CALL_IMPORT = /(?:^|[^\w$.])(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+// A `/` after one of these (or at the start) opens a regex literal rather than dividing
+const JS_REGEX_PRECEDER = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*$/;
+
+// `import a.b, c as d`
+const PYTHON_IMPORT = /^[ \t]*import[ \t]+([\w.]+(?:[ \t]+as[ \t]+\w+)?(?:[ \t]*,[ \t]*[\w.]+(?:[ \t]+as[ \t]+\w+)?)*)/gm;
+// `from .a import b, c` and `from a import (\n b,\n c\n)`
+const PYTHON_FROM_IMPORT = /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n#]+)/gm;
+
+/**
+ * A Python import: the module (with leading dots when relative) and, for
+ * `from ... import` statements, the imported names (which may be submodules)
+ */
+export interface PythonImport {
+  module: string;
+  names: string[];
+}
+
+/**
+ * Module specifiers imported or re-exported by a JS/TS file
+ */
+export function extractJsImports(content: string): string[] {
+  const code = stripJsComments(content);
+  const specifiers = new Set<string>();
+  for (const pattern of [JS_STATIC_IMPORT, JS_CALL_IMPORT]) {
+    for (const match of code.matchAll(pattern)) {
+      specifiers.add(match[1]);
+    }
+  }
+  return [...specifiers];
+}
+
+// Remove comments, keeping string, template and regex literals intact
+// (a glob like 'src/*' must not be taken for the start of a comment)
+function stripJsComments(content: string): string {
+  let result = '';
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const next = content[i + 1];
+    if (char === '"' || char === "'" || char === '`') {
+      const start = i;
+      for (i++; i < content.length && content[i] !== char; i++) {
+        if (content[i] === '\\') i++;
+        // Unterminated quotes end at the line; templates may span lines
+        else if (content[i] === '\n' && char !== '`') break;
+      }
+      result += content.slice(start, i + 1);
+    } else if (char === '/' && next === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      if (end === -1) break;
+      i = end + 1;
+      result += ' ';
+    } else if (char === '/' && JS_REGEX_PRECEDER.test(result.slice(-16))) {
+      const start = i;
+      let inClass = false;
+      for (i++; i < content.length && content[i] !== '\n'; i++) {
+        if (content[i] === '\\') i++;
+        else if (content[i] === '[') inClass = true;
+        else if (content[i] === ']') inClass = false;
+        else if (content[i] === '/' && !inClass) break;
+      }
+      result += content.slice(start, i + 1);
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Modules imported by a Python file
+ */
+export function extractPythonImports(content: string): PythonImport[] {
+  const imports: PythonImport[] = [];
+  for (const match of content.matchAll(PYTHON_IMPORT)) {
+    for (const part of match[1].split(',')) {
+      imports.push({ module: part.trim().split(/\s+/)[0], names: [] });
+    }
+  }
+  for (const match of content.matchAll(PYTHON_FROM_IMPORT)) {
+    const names = match[2]
+      .replace(/[()]/g, '')
+      .split(',')
+      .map(name => name.trim().split(/\s+/)[0])
+      .filter(name => name && name !== '*' && !name.startsWith('#'));
+    imports.push({ module: match[1], names });
+  }
+  return imports;
+}
+
+// Remove comments and trailing commas so tsconfig.json (JSONC) parses as JSON
+function parseJsonc(text: string): any {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') result += text[++i] ?? '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+  return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Path aliases from a tsconfig/jsconfig, with targets relative to the scanned root
+ */
+interface PathAliases {
+  baseUrl: string | null;               // Non-relative imports also resolve from here
+  paths: { pattern: string; targets: string[] }[];
+}
+
+/**
+ * Read `baseUrl` and `paths` from tsconfig.json (or jsconfig.json) in the root,
+ * following relative `extends`. Missing or invalid files give no aliases.
+ */
+export function loadPathAliases(rootPath: string): PathAliases {
+  const aliases: PathAliases = { baseUrl: null, paths: [] };
+
+  const load = (configPath: string, seen: Set<string>) => {
+    if (seen.has(configPath)) return;
+    seen.add(configPath);
+    let config: any;
+    try {
+      config = parseJsonc(fs.readFileSync(configPath, 'utf8'));
+    } catch {
+      return;
+    }
+
+    // Settings from the extended config apply first and are overridden below
+    const extendsPaths = ([] as unknown[]).concat(config.extends ?? []);
+    for (const extended of extendsPaths) {
+      if (typeof extended === 'string' && extended.startsWith('.')) {
+        const extendedPath = path.resolve(path.dirname(configPath), extended);
+        load(extendedPath.endsWith('.json') ? extendedPath : `${extendedPath}.json`, seen);
+      }
+    }
+
+    const options = config.compilerOptions ?? {};
+    const configDir = path.dirname(configPath);
+    if (typeof options.baseUrl === 'string') {
+      aliases.baseUrl = path.resolve(configDir, options.baseUrl);
+    }
+    if (options.paths && typeof options.paths === 'object') {
+      const pathsBase = aliases.baseUrl ?? configDir;
+      aliases.paths = Object.entries(options.paths)
+        .filter((entry): entry is [string, string[]] => Array.isArray(entry[1]))
+        .map(([pattern, targets]) => ({
+          pattern,
+          targets: targets.map(target => path.resolve(pathsBase, target))
+        }));
+    }
+  };
+
+  for (const name of ['tsconfig.json', 'jsconfig.json']) {
+    const configPath = path.join(rootPath, name);
+    if (fs.existsSync(configPath)) {
+      load(configPath, new Set());
+      break;
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Resolves the imports of JS/TS and Python files to files under a root.
+ * Package imports (node_modules, site-packages) and anything outside the root
+ * are not resolved. All paths are relative to the root with `/` separators.
+ */
+export class ImportResolver {
+  private readonly aliases: PathAliases;
+  private readonly fileCache = new Map<string, boolean>();
+
+  constructor(private readonly rootPath: string) {
+    this.aliases = loadPathAliases(rootPath);
+  }
+
+  /**
+   * Whether a file can be parsed for imports
+   */
+  static isSupported(relativePath: string): boolean {
+    return JS_SOURCE.test(relativePath) || PYTHON_SOURCE.test(relativePath);
+  }
+
+  /**
+   * Files under the root imported by the file at `relativePath`
+   */
+  async resolveFile(relativePath: string): Promise<string[]> {
+    if (!ImportResolver.isSupported(relativePath)) return [];
+
+    const fullPath = path.join(this.rootPath, relativePath);
+    let content: string;
+    try {
+      const stats = await fs.promises.stat(fullPath);
+      if (!stats.isFile() || stats.size > MAX_PARSE_SIZE) return [];
+      content = await fs.promises.readFile(fullPath, 'utf8');
+    } catch {
+      return [];
+    }
+
+    const resolved = new Set<string>();
+    if (PYTHON_SOURCE.test(relativePath)) {
+      for (const pythonImport of extractPythonImports(content)) {
+        this.resolvePython(relativePath, pythonImport).forEach(file => resolved.add(file));
+      }
+    } else {
+      for (const specifier of extractJsImports(content)) {
+        const file = this.resolveJs(relativePath, specifier);
+        if (file) resolved.add(file);
+      }
+    }
+    resolved.delete(relativePath);
+    return [...resolved];
+  }
+
+  // Relative specifiers, then tsconfig `paths`, then `baseUrl`
+  private resolveJs(fromPath: string, specifier: string): string | null {
+    if (specifier.startsWith('.')) {
+      return this.resolveJsPath(path.resolve(this.rootPath, path.dirname(fromPath), specifier));
+    }
+
+    for (const { pattern, targets } of this.aliases.paths) {
+      const star = pattern.indexOf('*');
+      let wildcard: string | null = null;
+      if (star === -1) {
+        if (specifier === pattern) wildcard = '';
+      } else {
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length) {
+          wildcard = specifier.slice(prefix.length, specifier.length - suffix.length);
+        }
+      }
+      if (wildcard === null) continue;
+      for (const target of targets) {
+        const file = this.resolveJsPath(target.replace('*', wildcard));
+        if (file) return file;
+      }
+    }
+
+    if (this.aliases.baseUrl) {
+      return this.resolveJsPath(path.resolve(this.aliases.baseUrl, specifier));
+    }
+    return null;
+  }
+
+  // The file itself, the same path with a source extension, or an index file
+  private resolveJsPath(basePath: string): string | null {
+    const candidates = [basePath];
+    // TypeScript sources import './foo.js' to mean './foo.ts'
+    const emitted = basePath.match(/^(.*)\.([cm]?)js(x?)$/);
+    if (emitted) candidates.push(`${emitted[1]}.${emitted[2]}ts${emitted[3]}`);
+    candidates.push(...JS_EXTENSIONS.map(ext => basePath + ext));
+    candidates.push(...JS_EXTENSIONS.map(ext => path.join(basePath, `index${ext}`)));
+    return candidates.map(candidate => this.toExistingFile(candidate)).find(Boolean) ?? null;
+  }
+
+  // Modules resolve from the package (relative imports), or from the root, `src/` or the file's folder
+  private resolvePython(fromPath: string, { module, names }: PythonImport): string[] {
+    const dots = module.match(/^\.*/)![0].length;
+    const parts = module.slice(dots).split('.').filter(Boolean);
+
+    let searchDirs: string[];
+    if (dots > 0) {
+      let packageDir = path.dirname(fromPath);
+      for (let i = 1; i < dots; i++) packageDir = path.dirname(packageDir);
+      searchDirs = [packageDir];
+    } else {
+      searchDirs = ['', 'src', path.dirname(fromPath)];
+    }
+
+    for (const dir of searchDirs) {
+      const moduleBase = path.resolve(this.rootPath, dir, ...parts);
+      const moduleFile = parts.length > 0 ? this.resolvePythonModule(moduleBase) : this.toExistingFile(path.join(moduleBase, '__init__.py'));
+      // `from pkg import name` can import submodules as well as names
+      const submodules = names
+        .map(name => this.resolvePythonModule(path.join(moduleBase, name)))
+        .filter((file): file is string => file !== null);
+      if (moduleFile || submodules.length > 0) {
+        return [...(moduleFile ? [moduleFile] : []), ...submodules];
+      }
+    }
+    return [];
+  }
+
+  private resolvePythonModule(basePath: string): string | null {
+    return this.toExistingFile(`${basePath}.py`)
+      ?? this.toExistingFile(`${basePath}.pyi`)
+      ?? this.toExistingFile(path.join(basePath, '__init__.py'));
+  }
+
+  // The path relative to the root if it is an existing file under it
+  private toExistingFile(fullPath: string): string | null {
+    const relativePath = path.relative(this.rootPath, fullPath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+
+    let exists = this.fileCache.get(fullPath);
+    if (exists === undefined) {
+      try {
+        exists = fs.statSync(fullPath).isFile();
+      } catch {
+        exists = false;
+      }
+      this.fileCache.set(fullPath, exists);
+    }
+    return exists ? relativePath.split(path.sep).join('/') : null;
+  }
+}
+
+/**
+ * Files reached from the selection by following imports (or importers) up to
+ * `depth` levels, in the order they were found. Selected files are not included.
+ */
+export async function expandImports(
+  rootPath: string,
+  selectedPaths: string[],
+  { direction, depth, candidatePaths = [] }: ImportExpansionOptions
+): Promise<string[]> {
+  const resolver = new ImportResolver(rootPath);
+
+  let neighbours: (relativePath: string) => Promise<string[]>;
+  if (direction === 'imports') {
+    neighbours = relativePath => resolver.resolveFile(relativePath);
+  } else {
+    // Finding importers means parsing every candidate once
+    const importers = new Map<string, string[]>();
+    const sources = candidatePaths.filter(ImportResolver.isSupported);
+    for (let i = 0; i < sources.length; i += READ_BATCH_SIZE) {
+      const batch = sources.slice(i, i + READ_BATCH_SIZE);
+      const resolved = await Promise.all(batch.map(source => resolver.resolveFile(source)));
+      batch.forEach((source, index) => {
+        for (const imported of resolved[index]) {
+          const list = importers.get(imported) ?? [];
+          list.push(source);
+          importers.set(imported, list);
+        }
+      });
+    }
+    neighbours = async relativePath => importers.get(relativePath) ?? [];
+  }
+
+  const visited = new Set(selectedPaths);
+  const added: string[] = [];
+  let frontier = [...selectedPaths];
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next: string[] = [];
+    for (const relativePath of frontier) {
+      for (const neighbour of await neighbours(relativePath)) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+        added.push(neighbour);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+  return added;
+}
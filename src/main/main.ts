@@ -1,42 +1,54 @@
-import { app, BrowserWindow, dialog, ipcMain, clipboard } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain, clipboard, WebContents } from 'electron';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import { Worker } from 'worker_threads';
 import { promisify } from 'util';
 import { createReadStream } from 'fs';
-import { IgnoreManager } from './ignoreUtils';
+import { IgnoreManager, IGNORE_FILE_NAMES } from './ignoreUtils';
 import { 
   isFileBinary, 
   isLikelyBinaryByExtension, 
   BinaryDetectionOptions, 
   DEFAULT_BINARY_OPTIONS 
 } from './binaryDetection';
-
-// Define the FileInfo interface
-interface FileInfo {
-  path: string;
-  relativePath: string;
-  size: number;
-  isDirectory: boolean;
-  isSkipped: boolean;
-  skipReason?: string;
-  tokenEstimate: number;
-  hasChildren?: boolean;
-  childrenLoaded?: boolean;
-  hasLazyChildren?: boolean;
-}
-
-// Binary detection options - used throughout the app
-const binaryDetectionOptions: BinaryDetectionOptions = {
-  ...DEFAULT_BINARY_OPTIONS,
-  // Override defaults if needed
-};
-
-// Simple token estimator for text files
-function estimateTokens(content: string): number {
-  // Very rough estimate: 4 chars per token (GPT tokenization is more complex)
-  // This is a simplified approach
-  return Math.ceil(content.length / 4);
-}
+import { DirectoryWatcher } from './fileWatcher';
+import {
+  ScanService,
+  ScanSettings,
+  ScanStats,
+  FileInfo,
+  resolveScanSettings,
+  toRelativePath
+} from './scanService';
+import { countTokens, freeEncoders, isTokenEncoding, TokenEncoding } from './tokenizer';
+import {
+  getGitRepoInfo,
+  getGitStatus,
+  listGitFiles,
+  getGitDiffs,
+  getCoChangeSuggestions,
+  GitBlobReader,
+  GitFileKind,
+  GitDiffTarget
+} from './gitService';
+import { expandImports, ImportExpansionOptions } from './importGraph';
+import { extractSymbols } from './outline';
+import { applyInclusion, FileInclusion } from './fileInclusion';
+import { getTruncation, readPromptText, truncateText } from './truncation';
+import {
+  DEFAULT_PAYLOAD_FORMAT,
+  isPayloadFormat,
+  PAYLOAD_FILE_EXTENSIONS,
+  PAYLOAD_FORMATS,
+  formatPartHeader,
+  PayloadFileSection,
+  PayloadFormat,
+  PayloadPart
+} from '../shared/payloadFormat';
+import { FileMapEntry, generateFileMap, TreeFormatOptions } from '../shared/fileMap';
+import { composePrompt, omitsFileMap, PromptInstructions, renderInstructionText, TemplateVariable } from '../shared/promptTemplate';
+import { splitIntoParts } from './payloadParts';
 
 // Function to create the main application window
 function createWindow() {
@@ -61,11 +73,11 @@ function createWindow() {
 }
 
 // Handle folder selection dialog
-ipcMain.handle('dialog:openDirectory', async () => {
+ipcMain.handle('dialog:openDirectory', async (_, title?: string) => {
   console.log("Opening directory dialog...");
   const { canceled, filePaths } = await dialog.showOpenDialog({
     properties: ['openDirectory'],
-    title: 'Select a folder to import',
+    title: title || 'Select a folder to import',
   });
   
   if (canceled) {
@@ -94,162 +106,403 @@ ipcMain.handle('verify:droppedFolder', async (_, folderPath) => {
   }
 });
 
-// Directory walker
-ipcMain.handle('directory:walk', async (event, folderPath, options = {}) => {
-  const results: Array<{
-    path: string;
-    relativePath: string;
-    size: number;
-    isDirectory: boolean;
-    isSkipped: boolean;
-    skipReason?: string;
-    tokenEstimate: number;
-  }> = [];
+// Scan workers: one per spare CPU core, each reading a bounded number of files at once
+const SCAN_WORKER_COUNT = Math.max(1, Math.min(os.cpus().length - 1, 8));
+const SCAN_WORKER_CONCURRENCY = 8;
+
+// Shared scan service (walks, child loading, live updates), created on first use
+let scanService: ScanService | null = null;
+
+function getScanService(): ScanService {
+  if (!scanService) {
+    scanService = new ScanService({
+      cacheDir: path.join(app.getPath('userData'), 'cache'),
+      createWorker: () => new Worker(path.join(__dirname, 'scanWorker.js')),
+      workerCount: SCAN_WORKER_COUNT,
+      workerConcurrency: SCAN_WORKER_CONCURRENCY
+    });
+  }
+  return scanService;
+}
+
+// Root and settings of the last scan of each renderer, so child loads
+// compute the same relative paths and classify files the same way
+const lastScans = new Map<number, { rootPath: string; settings: ScanSettings }>();
+
+// Root a directory's relative paths are computed from: the requested root,
+// else the renderer's last scanned root if it contains the directory, else the directory itself
+function resolveScanRoot(senderId: number, dirPath: string, rootPath?: string): string {
+  if (rootPath) return rootPath;
+  const scannedRoot = lastScans.get(senderId)?.rootPath;
+  if (scannedRoot && !toRelativePath(scannedRoot, dirPath).startsWith('..')) {
+    return scannedRoot;
+  }
+  return dirPath;
+}
+
+// Clear the persistent scan cache
+ipcMain.handle('scanCache:clear', async () => {
+  try {
+    const clearedCount = await getScanService().clearCache();
+    console.log(`Cleared scan cache (${clearedCount} entries)`);
+    return { success: true, clearedCount };
+  } catch (error) {
+    console.error('Error clearing scan cache:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Describe the git repository containing a scanned folder
+ipcMain.handle('git:info', async (_, rootPath: string) => {
+  try {
+    return { success: true, info: await getGitRepoInfo(rootPath) };
+  } catch (error) {
+    console.error('Error reading git repository info:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Working tree status of the files under a scanned folder
+ipcMain.handle('git:status', async (_, rootPath: string) => {
+  try {
+    return { success: true, statuses: await getGitStatus(rootPath) };
+  } catch (error) {
+    console.error('Error reading git status:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Files often committed together with the selected files
+ipcMain.handle('git:relatedFiles', async (_, rootPath: string, selectedPaths: string[]) => {
+  try {
+    const { suggestions, commitCount } = await getCoChangeSuggestions(rootPath, selectedPaths);
+    console.log(`Found ${suggestions.length} related files in ${commitCount} commits`);
+    return { success: true, suggestions, commitCount };
+  } catch (error) {
+    console.error('Error finding related files:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// List changed, staged or untracked files under a scanned folder
+ipcMain.handle('git:listFiles', async (_, rootPath: string, kind: GitFileKind, baseRef?: string) => {
+  try {
+    const files = await listGitFiles(rootPath, kind, baseRef);
+    console.log(`Git listed ${files.length} ${kind} files under ${rootPath}`);
+    return { success: true, files };
+  } catch (error) {
+    console.error(`Error listing ${kind} git files:`, error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Files imported by (or importing) the selected files, following the import graph
+ipcMain.handle('imports:expand', async (_, rootPath: string, selectedPaths: string[], options: ImportExpansionOptions) => {
+  try {
+    const paths = await expandImports(rootPath, selectedPaths, options);
+    console.log(`Import expansion (${options.direction}, depth ${options.depth}) found ${paths.length} files`);
+    return { success: true, paths };
+  } catch (error) {
+    console.error('Error expanding imports:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// A file system change pushed to the renderer after a scan
+interface FileChangeEvent {
+  type: 'add' | 'change' | 'delete';
+  relativePath: string;
+  file?: FileInfo; // Missing for deletes
+}
+
+// Live watch of a scanned root, one per renderer
+interface WatchSession {
+  rootPath: string;
+  watcher: DirectoryWatcher;
+  ignoreManager: IgnoreManager;
+  knownPaths: Set<string>;  // Relative paths currently in the renderer's tree
+  unloadedDirs: Set<string>; // Directories whose children haven't been loaded yet (shallow scans)
+  settings: ScanSettings;
+  // Change batches are processed one at a time so events stay in order
+  queue: Promise<void>;
+}
+
+const watchSessions = new Map<number, WatchSession>();
+
+function stopWatching(senderId: number) {
+  const session = watchSessions.get(senderId);
+  if (session) {
+    session.watcher.close();
+    watchSessions.delete(senderId);
+  }
+}
+
+// Watch a freshly scanned root and push add/change/delete events to the renderer
+async function startWatching(
+  sender: WebContents,
+  rootPath: string,
+  files: FileInfo[],
+  settings: ScanSettings
+) {
+  stopWatching(sender.id);
   
-  let fileCount = 0;
-  let totalSize = 0;
-  let totalTokens = 0;
-  let skippedCount = 0;
-  let binaryCount = 0;
-  let sizeSkippedCount = 0;
+  const ignoreManager = new IgnoreManager(rootPath);
+  await ignoreManager.loadIgnoreFile();
   
-  // Customize binary detection options
-  const detectionOptions: BinaryDetectionOptions = {
-    ...binaryDetectionOptions,
-    ...options.binaryDetection,
+  const session: WatchSession = {
+    rootPath,
+    watcher: new DirectoryWatcher(rootPath, (changedPaths) => {
+      session.queue = session.queue
+        .then(() => processWatchChanges(sender, session, changedPaths))
+        .catch(error => console.error('Error processing file changes:', error));
+    }, {
+      // Drop events inside ignored directories (node_modules, .git, build output...).
+      // Rules of directories not seen yet aren't loaded, so those events still get through;
+      // nothing is cached here so they are judged again once processWatchChanges loads them.
+      isIgnored: (fullPath) => session.ignoreManager.isDirectoryIgnoredByLoadedRules(path.dirname(fullPath))
+    }),
+    ignoreManager,
+    knownPaths: new Set(files.map(file => file.relativePath)),
+    unloadedDirs: new Set(files.filter(file => file.hasLazyChildren).map(file => file.relativePath)),
+    settings,
+    queue: Promise.resolve()
   };
   
-  try {
-    // Initialize and load the ignore manager
-    const ignoreManager = new IgnoreManager(folderPath);
-    await ignoreManager.loadIgnoreFile();
+  if (!session.watcher.start()) {
+    return;
+  }
+  watchSessions.set(sender.id, session);
+  console.log(`Watching ${rootPath} for changes`);
+  
+  // Windows can go away without a new scan; don't leak their watchers
+  if (!sender.isDestroyed()) {
+    sender.once('destroyed', () => {
+      if (watchSessions.get(sender.id) === session) {
+        stopWatching(sender.id);
+      }
+    });
+  }
+}
+
+// Record directory contents the renderer loaded on demand, so their changes are watched too
+function trackLoadedChildren(senderId: number, rootPath: string, dirPath: string, files: FileInfo[]) {
+  const session = watchSessions.get(senderId);
+  if (!session || session.rootPath !== rootPath) return;
+  
+  session.unloadedDirs.delete(toRelativePath(rootPath, dirPath));
+  for (const file of files) {
+    session.knownPaths.add(file.relativePath);
+    if (file.hasLazyChildren) {
+      session.unloadedDirs.add(file.relativePath);
+    }
+  }
+}
+
+// Whether a path lies inside a directory the renderer hasn't loaded yet
+function isInsideUnloadedDir(session: WatchSession, relativePath: string): boolean {
+  const segments = relativePath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    if (session.unloadedDirs.has(segments.slice(0, i).join('/'))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Turn a batch of changed paths into add/change/delete events for the renderer
+async function processWatchChanges(sender: WebContents, session: WatchSession, changedPaths: string[]) {
+  const { rootPath, knownPaths, settings } = session;
+  const service = getScanService();
+  const events: FileChangeEvent[] = [];
+  // Paths already reported in this batch (a new directory reports its contents)
+  const handled = new Set<string>();
+  
+  // Edited ignore files change what belongs in the tree from now on
+  if (changedPaths.some(changedPath => IGNORE_FILE_NAMES.includes(path.basename(changedPath)))) {
+    session.ignoreManager = new IgnoreManager(rootPath);
+    await session.ignoreManager.loadIgnoreFile();
+  }
+  const { ignoreManager } = session;
+  
+  const removePath = (relativePath: string) => {
+    const prefix = `${relativePath}/`;
+    for (const knownPath of knownPaths) {
+      if (knownPath === relativePath || knownPath.startsWith(prefix)) {
+        knownPaths.delete(knownPath);
+        session.unloadedDirs.delete(knownPath);
+      }
+    }
+    events.push({ type: 'delete', relativePath });
+  };
+  
+  const report = (file: FileInfo) => {
+    events.push({
+      type: knownPaths.has(file.relativePath) ? 'change' : 'add',
+      relativePath: file.relativePath,
+      file
+    });
+    knownPaths.add(file.relativePath);
+    handled.add(file.relativePath);
+  };
+  
+  // Report a new directory with everything below it (it may have been moved in whole)
+  const addDirectory = async (dirPath: string) => {
+    report({
+      path: dirPath,
+      relativePath: toRelativePath(rootPath, dirPath),
+      size: 0,
+      isDirectory: true,
+      isSkipped: false,
+      tokenEstimate: 0
+    });
+    const { files } = await service.scan({ rootPath, dirPath, settings });
+    files.forEach(report);
+  };
+  
+  // Parents come before their contents
+  for (const fullPath of [...changedPaths].sort()) {
+    const relativePath = toRelativePath(rootPath, fullPath);
+    if (!relativePath || relativePath.startsWith('..') || handled.has(relativePath)) continue;
+    // Unloaded directories are read when the renderer expands them
+    if (isInsideUnloadedDir(session, relativePath)) continue;
+    
+    let stats: fs.Stats | null = null;
+    try {
+      // Links are left alone unless the scan follows them
+      stats = settings.followSymlinks ? await fs.promises.stat(fullPath) : await fs.promises.lstat(fullPath);
+    } catch {
+      // Gone (deleted or renamed away)
+    }
+    if (stats?.isSymbolicLink()) continue;
     
-    // Function to recursively walk directories
-    async function walk(dir: string, baseDir: string): Promise<void> {
-      // Check if directory is ignored
-      if (ignoreManager.shouldIgnore(dir)) {
-        return;
+    if (!stats) {
+      if (knownPaths.has(relativePath)) {
+        removePath(relativePath);
       }
-      
-      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        const relativePath = path.relative(baseDir, fullPath);
-        
-        // Check if this file/directory should be ignored
-        if (ignoreManager.shouldIgnore(fullPath)) {
-          continue;
-        }
-        
-        // Send progress update
-        fileCount++;
-        if (fileCount % 10 === 0) { // Send update every 10 files
-          event.sender.send('directory:walkProgress', {
-            fileCount,
-            totalSize,
-            totalTokens,
-            processing: relativePath,
-            skippedCount,
-            binaryCount,
-            sizeSkippedCount
-          });
-        }
-        
-        if (entry.isDirectory()) {
-          results.push({
-            path: fullPath,
-            relativePath,
-            size: 0,
-            isDirectory: true,
-            isSkipped: false,
-            tokenEstimate: 0
-          });
-          
-          await walk(fullPath, baseDir);
-        } else {
-          try {
-            const stats = await fs.promises.stat(fullPath);
-            const fileSize = stats.size;
-            totalSize += fileSize;
-            
-            // Determine if file should be skipped (binary or too large)
-            let isSkipped = false;
-            let skipReason = '';
-            
-            // Check for binary content
-            const binaryCheck = await isFileBinary(fullPath, detectionOptions);
-            
-            if (binaryCheck.isBinary) {
-              isSkipped = true;
-              skipReason = binaryCheck.details || 'Binary file';
-              
-              if (binaryCheck.reason === 'size') {
-                sizeSkippedCount++;
-              } else {
-                binaryCount++;
-              }
-              
-              skippedCount++;
-            }
-            
-            let tokenEstimate = 0;
-            if (!isSkipped) {
-              try {
-                const content = await fs.promises.readFile(fullPath, 'utf8');
-                tokenEstimate = estimateTokens(content);
-                totalTokens += tokenEstimate;
-              } catch (readError) {
-                // If we can't read as UTF-8, it's likely binary
-                console.error(`Error reading file ${fullPath}:`, readError);
-                isSkipped = true;
-                skipReason = 'Failed to read as text';
-                binaryCount++;
-                skippedCount++;
-              }
-            }
-            
-            results.push({
-              path: fullPath,
-              relativePath,
-              size: fileSize,
-              isDirectory: false,
-              isSkipped,
-              skipReason,
-              tokenEstimate: isSkipped ? 0 : tokenEstimate
-            });
-          } catch (statError) {
-            console.error(`Error getting stats for ${fullPath}:`, statError);
-          }
+      continue;
+    }
+    
+    await ignoreManager.loadIgnoreFilesForDirectory(path.dirname(fullPath));
+    if (ignoreManager.shouldIgnore(fullPath, stats.isDirectory())) {
+      // Newly ignored by an edited ignore file
+      if (knownPaths.has(relativePath)) {
+        removePath(relativePath);
+      }
+      continue;
+    }
+    
+    try {
+      // Make sure the parents exist in the tree (their own events may have been coalesced away)
+      let topMissing: string | null = null;
+      for (let dir = path.dirname(fullPath); toRelativePath(rootPath, dir) && !knownPaths.has(toRelativePath(rootPath, dir)); dir = path.dirname(dir)) {
+        topMissing = dir;
+      }
+      if (topMissing) {
+        await addDirectory(topMissing);
+      } else if (stats.isDirectory()) {
+        // A known directory's own events just mean its entries changed; those are reported separately
+        if (!knownPaths.has(relativePath)) {
+          await addDirectory(fullPath);
         }
+      } else {
+        report((await service.scanFile(rootPath, fullPath, settings, stats)).info);
       }
+    } catch (error) {
+      console.error(`Error processing change for ${fullPath}:`, error);
     }
+  }
+  
+  await service.saveCache();
+  
+  if (events.length > 0 && !sender.isDestroyed()) {
+    sender.send('directory:changes', { rootPath, events });
+  }
+}
+
+// Active directory walks, one per renderer, so they can be canceled
+const activeWalks = new Map<number, AbortController>();
+
+// Cancel the running directory walk of the calling renderer
+ipcMain.handle('directory:cancelWalk', async (event) => {
+  const controller = activeWalks.get(event.sender.id);
+  if (!controller) {
+    return { cancelled: false };
+  }
+  console.log('Canceling directory walk...');
+  controller.abort();
+  return { cancelled: true };
+});
+
+// Directory walker
+ipcMain.handle('directory:walk', async (event, folderPath, options = {}) => {
+  // Starting a new walk supersedes any walk still running for this renderer
+  activeWalks.get(event.sender.id)?.abort();
+  const controller = new AbortController();
+  activeWalks.set(event.sender.id, controller);
+  // The previous tree is being replaced, so stop watching it
+  stopWatching(event.sender.id);
+  
+  const settings = resolveScanSettings(options.binaryDetection, options.tokenEncoding, options.followSymlinks);
+  lastScans.set(event.sender.id, { rootPath: folderPath, settings });
+  // A commit to scan instead of the working tree; always loaded in full
+  const gitRef = typeof options.gitRef === 'string' && options.gitRef.trim() ? options.gitRef.trim() : undefined;
+  // Shallow scans walk only the top levels; deeper directories load on demand
+  const scanDepth = !gitRef && Number.isInteger(options.scanDepth) && options.scanDepth > 0 ? options.scanDepth : undefined;
+  
+  try {
+    const { files, stats, cancelled } = await getScanService().scan({
+      rootPath: folderPath,
+      maxDepth: scanDepth,
+      gitRef,
+      settings,
+      signal: controller.signal,
+      onProgress: (progress, processing) => {
+        event.sender.send('directory:walkProgress', { ...progress, processing });
+      }
+    });
     
-    await walk(folderPath, folderPath);
+    if (cancelled) {
+      console.log(`Directory walk canceled after ${stats.fileCount} files`);
+    } else if (!gitRef) {
+      // A commit doesn't change, so only working tree scans are watched
+      await startWatching(event.sender, folderPath, files, settings);
+    }
+    console.log(`Reused cached results for ${stats.cachedCount} files`);
     
     // Final progress update
     event.sender.send('directory:walkProgress', {
-      fileCount,
-      totalSize,
-      totalTokens,
-      processing: 'Complete',
-      skippedCount,
-      binaryCount,
-      sizeSkippedCount,
-      done: true
+      ...stats,
+      processing: cancelled ? 'Canceled' : 'Complete',
+      done: true,
+      cancelled
     });
     
     return {
       rootPath: folderPath,
-      files: results,
-      stats: {
-        fileCount,
-        totalSize,
-        totalTokens,
-        skippedCount,
-        binaryCount,
-        sizeSkippedCount
-      }
+      files,
+      tokenEncoding: settings.tokenEncoding,
+      cancelled,
+      shallow: scanDepth !== undefined,
+      gitRef,
+      stats
     };
   } catch (error) {
     console.error('Error walking directory:', error);
@@ -258,6 +511,11 @@ ipcMain.handle('directory:walk', async (event, folderPath, options = {}) => {
       message: error instanceof Error ? error.message : String(error)
     });
     throw error;
+  } finally {
+    // Only clear our own controller; a newer walk may have replaced it
+    if (activeWalks.get(event.sender.id) === controller) {
+      activeWalks.delete(event.sender.id);
+    }
   }
 });
 
@@ -292,11 +550,12 @@ ipcMain.handle('file:readContent', async (_, filePath, options = {}) => {
       };
     }
     
-    // Read the file content
-    const content = await fs.promises.readFile(filePath, 'utf8');
+    // Read the file content (the start and end of an oversized file kept truncated)
+    const { content, isTruncated } = await readPromptText(filePath, binaryOptions);
     return {
       content,
-      isSkipped: false
+      isSkipped: false,
+      isTruncated
     };
   } catch (error) {
     console.error(`Error reading file ${filePath}:`, error);
@@ -309,123 +568,55 @@ ipcMain.handle('file:readContent', async (_, filePath, options = {}) => {
   }
 });
 
+// Options for loading the children of a directory
+interface LoadChildrenOptions {
+  rootPath?: string;       // Scanned root (defaults to the renderer's last scanned root)
+  binaryDetection?: BinaryDetectionOptions; // Default: the settings of the renderer's last scan
+  tokenEncoding?: TokenEncoding;
+  followSymlinks?: boolean;
+  recursive?: boolean;     // Load the whole subtree instead of the immediate children
+}
+
+// Result of loading the children of a directory
+interface LoadChildrenResult {
+  children: FileInfo[];
+  stats: ScanStats;
+}
+
+// Load the contents of a directory; unless recursive, subdirectories are left unloaded
+async function loadChildren(senderId: number, dirPath: string, options: LoadChildrenOptions): Promise<LoadChildrenResult | { children: FileInfo[]; error: string }> {
+  const rootPath = resolveScanRoot(senderId, dirPath, options.rootPath);
+  const lastScan = lastScans.get(senderId);
+  const sameRoot = lastScan?.rootPath === rootPath;
+  const settings = !options.binaryDetection && !options.tokenEncoding && options.followSymlinks === undefined && sameRoot
+    ? lastScan.settings
+    : resolveScanSettings(
+        options.binaryDetection,
+        options.tokenEncoding,
+        options.followSymlinks ?? (sameRoot && lastScan.settings.followSymlinks)
+      );
+  
+  const { files, stats, ignored } = await getScanService().scan({
+    rootPath,
+    dirPath,
+    maxDepth: options.recursive ? undefined : 1,
+    settings
+  });
+  if (ignored) {
+    return { children: [], error: 'Directory is ignored' };
+  }
+  trackLoadedChildren(senderId, rootPath, dirPath, files);
+  return { children: files, stats };
+}
+
 // Fetch directory children on demand
-ipcMain.handle('directory:fetchChildren', async (event, dirPath, detectionOptions = {}) => {
+ipcMain.handle('directory:fetchChildren', async (event, dirPath, detectionOptions?: BinaryDetectionOptions, encoding?: TokenEncoding, rootPath?: string) => {
   try {
-    const results: FileInfo[] = [];
-    let fileCount = 0;
-    let totalSize = 0;
-    let totalTokens = 0;
-    let skippedCount = 0;
-    let binaryCount = 0;
-    let sizeSkippedCount = 0;
-    
-    // Initialize ignore manager
-    const ignoreManager = new IgnoreManager(dirPath);
-    await ignoreManager.loadIgnoreFile();
-    
-    // Check if directory is ignored
-    if (ignoreManager.shouldIgnore(dirPath)) {
-      return {
-        children: [],
-        error: 'Directory is ignored'
-      };
-    }
-    
-    // Read directory entries
-    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-    
-    // Process each entry
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      const relativePath = path.relative(path.dirname(dirPath), fullPath);
-      
-      // Check if this file/directory should be ignored
-      if (ignoreManager.shouldIgnore(fullPath)) {
-        continue;
-      }
-      
-      fileCount++;
-      
-      if (entry.isDirectory()) {
-        results.push({
-          path: fullPath,
-          relativePath,
-          size: 0,
-          isDirectory: true,
-          isSkipped: false,
-          tokenEstimate: 0,
-          hasChildren: true, // Mark as having children for lazy loading
-          childrenLoaded: false, // Mark that children aren't loaded yet
-          hasLazyChildren: true // Mark that this directory has unloaded children
-        });
-      } else {
-        try {
-          const stats = await fs.promises.stat(fullPath);
-          const fileSize = stats.size;
-          totalSize += fileSize;
-          
-          // Determine if file should be skipped (binary or too large)
-          let isSkipped = false;
-          let skipReason = '';
-          
-          // Check for binary content
-          const binaryCheck = await isFileBinary(fullPath, detectionOptions);
-          
-          if (binaryCheck.isBinary) {
-            isSkipped = true;
-            skipReason = binaryCheck.details || 'Binary file';
-            
-            if (binaryCheck.reason === 'size') {
-              sizeSkippedCount++;
-            } else {
-              binaryCount++;
-            }
-            
-            skippedCount++;
-          }
-          
-          let tokenEstimate = 0;
-          if (!isSkipped) {
-            try {
-              const content = await fs.promises.readFile(fullPath, 'utf8');
-              tokenEstimate = estimateTokens(content);
-              totalTokens += tokenEstimate;
-            } catch (readError) {
-              // If we can't read as UTF-8, it's likely binary
-              isSkipped = true;
-              skipReason = 'Failed to read as text';
-              binaryCount++;
-              skippedCount++;
-            }
-          }
-          
-          results.push({
-            path: fullPath,
-            relativePath,
-            size: fileSize,
-            isDirectory: false,
-            isSkipped,
-            skipReason,
-            tokenEstimate: isSkipped ? 0 : tokenEstimate
-          });
-        } catch (statError) {
-          console.error(`Error getting stats for ${fullPath}:`, statError);
-        }
-      }
-    }
-    
-    return {
-      children: results,
-      stats: {
-        fileCount,
-        totalSize,
-        totalTokens,
-        skippedCount,
-        binaryCount,
-        sizeSkippedCount
-      }
-    };
+    return await loadChildren(event.sender.id, dirPath, {
+      rootPath,
+      binaryDetection: detectionOptions,
+      tokenEncoding: encoding
+    });
   } catch (error) {
     console.error('Error fetching directory children:', error);
     return {
@@ -449,142 +640,433 @@ ipcMain.handle('clipboard:writePrompt', async (_, payload) => {
   }
 });
 
-// Define the return type for lazy directory loading
-interface LazyChildResult {
-  children: FileInfo[];
-  stats: {
-    fileCount: number;
-    totalSize: number;
-    totalTokens: number;
-    skippedCount: number;
-    binaryCount: number;
-    sizeSkippedCount: number;
+// Default payload limits, used when the renderer does not send a context profile
+const DEFAULT_MAX_TOKENS = 2000000;
+const DEFAULT_WARNING_THRESHOLD = 90; // percent of the limit
+
+// Options sent with a payload request
+interface PayloadOptions {
+  tokenLimit?: number;
+  warningThreshold?: number;
+  rootPath?: string;              // Scanned folder, needed for git diffs and git ref scans
+  gitRef?: string;                // Read file contents from this commit instead of the working tree
+  tokenEncoding?: TokenEncoding;  // Encoding used to count diff and file map tokens
+  gitDiff?: PayloadGitDiffOptions;
+  format?: PayloadFormat;         // Default: XML tags
+  fileMap?: PayloadFileMapOptions;
+  instructions?: PromptInstructions;
+  part?: PayloadPart;             // Heads the payload as one part of a split selection
+  selectionCount?: number;        // Files in the whole selection, for the instructions of one part of it
+}
+
+// Adds the file map as drawn in the renderer's preview
+interface PayloadFileMapOptions {
+  rootFolderName?: string;
+  files: FileMapEntry[];          // All scanned files; the selected ones are marked
+  options: TreeFormatOptions;
+  selectedPaths?: string[];       // Marked files (default: the files sent), so all parts of a split share the map
+}
+
+// Adds a git diff section with the diffs of the selected files
+interface PayloadGitDiffOptions {
+  target: GitDiffTarget;
+  baseRef?: string;
+  replaceContents?: boolean;      // Send only the diff for files whose diff is smaller than the file
+}
+
+// A selected file sent with a payload request
+interface PayloadFile {
+  path: string;
+  relativePath: string;
+  tokenEstimate: number;          // Tokens the file costs (the count of the included part for partial files)
+  isDirectory: boolean;
+  isSkipped: boolean;
+  inclusion?: FileInclusion;      // Default: the whole file
+}
+
+/**
+ * Reads selected files from the working tree, or from a scanned commit with git,
+ * truncating oversized files the way the scan counted them. Call close() when done.
+ */
+function createContentReader(rootPath?: string, gitRef?: string, settings?: ScanSettings) {
+  const blobReader = gitRef && rootPath ? new GitBlobReader(rootPath) : null;
+  const { detectionOptions, tokenEncoding } = settings ?? resolveScanSettings();
+  return {
+    read: async (file: { path: string; relativePath: string }): Promise<string> => {
+      if (!blobReader) {
+        return (await readPromptText(file.path, detectionOptions, tokenEncoding)).content;
+      }
+      const blob = await blobReader.read(`${gitRef}:./${file.relativePath}`);
+      const truncation = getTruncation(blob.length, detectionOptions);
+      const content = blob.toString('utf8');
+      return truncation ? truncateText(content, truncation, tokenEncoding) : content;
+    },
+    close: () => blobReader?.close()
+  };
+}
+
+// Where the instruction variables come from
+interface InstructionContext {
+  rootPath?: string;
+  gitRef?: string;                // Stands in for the branch in git ref scans
+  rootName?: string;              // Default: the name of the root folder
+  selectionCount: number;
+}
+
+/**
+ * Values of the instruction variables other than the file map and files
+ */
+async function getInstructionValues(context: InstructionContext): Promise<Partial<Record<TemplateVariable, string>>> {
+  let branch = context.gitRef ?? '';
+  if (!branch && context.rootPath) {
+    branch = (await getGitRepoInfo(context.rootPath).catch(() => null))?.branch ?? '';
+  }
+  return {
+    git_branch: branch,
+    root_name: context.rootName ?? (context.rootPath ? path.basename(context.rootPath) : ''),
+    selection_count: String(context.selectionCount)
   };
 }
 
+// Tokens the instructions add to a payload, for the renderer's budget
+ipcMain.handle('instructions:countTokens', async (
+  _,
+  instructions: PromptInstructions,
+  context: InstructionContext & { tokenEncoding?: TokenEncoding }
+) => {
+  try {
+    const encoding = isTokenEncoding(context.tokenEncoding) ? context.tokenEncoding : undefined;
+    const { text, copies } = renderInstructionText(instructions, await getInstructionValues(context));
+    return { success: true, tokens: copies * countTokens(text, encoding) };
+  } catch (error) {
+    console.error('Error counting instruction tokens:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Tokens of the file map sent with the selection, for the renderer's budget
+ipcMain.handle('fileMap:countTokens', async (
+  _,
+  fileMap: PayloadFileMapOptions & { selectedPaths: string[] },
+  options: { tokenEncoding?: TokenEncoding } = {}
+) => {
+  try {
+    const encoding = isTokenEncoding(options.tokenEncoding) ? options.tokenEncoding : undefined;
+    return { success: true, tokens: countTokens(renderPayloadFileMap(fileMap, fileMap.selectedPaths), encoding) };
+  } catch (error) {
+    console.error('Error counting file map tokens:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Tokens the git diff adds to each selected file, for the renderer's budget.
+// Negative when only a diff smaller than the file is sent; files without a diff are left out.
+ipcMain.handle('gitDiff:countTokens', async (
+  _,
+  files: Array<{ relativePath: string; tokenEstimate: number }>,
+  options: { rootPath: string; gitDiff: PayloadGitDiffOptions; tokenEncoding?: TokenEncoding }
+) => {
+  try {
+    const encoding = isTokenEncoding(options.tokenEncoding) ? options.tokenEncoding : undefined;
+    const diffs = await getGitDiffs(options.rootPath, options.gitDiff.target, options.gitDiff.baseRef);
+    const tokens: Record<string, number> = {};
+    for (const file of files) {
+      if (!diffs.has(file.relativePath)) continue;
+      tokens[file.relativePath] = getFileCost(file, { diffs, encoding }, options).tokens - file.tokenEstimate;
+    }
+    return { success: true, tokens };
+  } catch (error) {
+    console.error('Error counting git diff tokens:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// Token counts of the included parts of partially included files, for the renderer's budget
+ipcMain.handle('file:partialTokens', async (
+  event,
+  files: Array<{ path: string; relativePath: string; inclusion: FileInclusion }>,
+  options: { rootPath?: string; gitRef?: string; tokenEncoding?: TokenEncoding } = {}
+) => {
+  const encoding = isTokenEncoding(options.tokenEncoding) ? options.tokenEncoding : undefined;
+  const contentReader = createContentReader(options.rootPath, options.gitRef, lastScans.get(event.sender.id)?.settings);
+  try {
+    const counts: Record<string, number> = {};
+    for (const file of files) {
+      try {
+        const included = applyInclusion(file.relativePath, await contentReader.read(file), file.inclusion);
+        if (included) counts[file.relativePath] = countTokens(included.content, encoding);
+      } catch (error) {
+        console.error(`Error reading ${file.path}:`, error);
+      }
+    }
+    return { success: true, counts };
+  } catch (error) {
+    console.error('Error counting partial file tokens:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  } finally {
+    contentReader.close();
+  }
+});
+
+// Last modification times of working tree files, for preferring recently changed files
+ipcMain.handle('file:modifiedTimes', async (_, filePaths: string[]) => {
+  try {
+    const times: Record<string, number> = {};
+    await Promise.all(filePaths.map(async filePath => {
+      try {
+        times[filePath] = (await fs.promises.stat(filePath)).mtimeMs;
+      } catch {
+        // Deleted since the scan
+      }
+    }));
+    return { success: true, times };
+  } catch (error) {
+    console.error('Error reading file modification times:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+});
+
+// File contents with their named declarations, for picking lines to include
+ipcMain.handle('file:symbols', async (
+  event,
+  file: { path: string; relativePath: string },
+  options: { rootPath?: string; gitRef?: string } = {}
+) => {
+  const contentReader = createContentReader(options.rootPath, options.gitRef, lastScans.get(event.sender.id)?.settings);
+  try {
+    const content = await contentReader.read(file);
+    return { success: true, content, symbols: extractSymbols(file.relativePath, content) };
+  } catch (error) {
+    console.error(`Error reading symbols of ${file.path}:`, error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  } finally {
+    contentReader.close();
+  }
+});
+
+// What all payloads of a request share: the diffs, the file map and the instructions
+interface PayloadFrame {
+  diffs: Map<string, string>;
+  diffError: string | null;
+  fileMap?: string;
+  instructionValues: Partial<Record<TemplateVariable, string>>;
+  overheadTokens: number;         // File map, instructions and part heading
+  encoding?: TokenEncoding;
+}
+
+// The file map of a payload, marking `selectedPaths` unless the options name the marked files
+function renderPayloadFileMap(fileMap: PayloadFileMapOptions, selectedPaths: string[]): string {
+  const markedPaths = new Set(fileMap.selectedPaths ?? selectedPaths);
+  const selectedEntries = fileMap.files.filter(file => markedPaths.has(file.path));
+  return generateFileMap(selectedEntries, fileMap.rootFolderName, fileMap.files, fileMap.options);
+}
+
+async function preparePayloadFrame(selectedFiles: PayloadFile[], options: PayloadOptions): Promise<PayloadFrame> {
+  const encoding = isTokenEncoding(options.tokenEncoding) ? options.tokenEncoding : undefined;
+  let overheadTokens = 0;
+
+  // Diffs of the selected files, when requested
+  let diffs = new Map<string, string>();
+  let diffError: string | null = null;
+  if (options.gitDiff && options.rootPath) {
+    try {
+      diffs = await getGitDiffs(options.rootPath, options.gitDiff.target, options.gitDiff.baseRef);
+    } catch (error) {
+      diffError = error instanceof Error ? error.message : String(error);
+      console.error('[Main] Error reading git diff:', error);
+    }
+  }
+
+  // The file map covers the whole selection, like the preview, and counts toward the limit
+  // unless the instructions lay out the prompt without it
+  let fileMap: string | undefined;
+  if (options.fileMap && !(options.instructions && omitsFileMap(options.instructions.text))) {
+    fileMap = renderPayloadFileMap(options.fileMap, selectedFiles.map(file => file.path));
+    overheadTokens += countTokens(fileMap, encoding);
+  }
+
+  // Instructions count toward the limit like the file map
+  let instructionValues: Partial<Record<TemplateVariable, string>> = {};
+  if (options.instructions?.text.trim()) {
+    instructionValues = await getInstructionValues({
+      rootPath: options.rootPath,
+      gitRef: options.gitRef,
+      rootName: options.fileMap?.rootFolderName,
+      selectionCount: options.selectionCount ?? selectedFiles.filter(file => !file.isDirectory && !file.isSkipped).length
+    });
+    const { text, copies } = renderInstructionText(options.instructions, instructionValues);
+    overheadTokens += copies * countTokens(text, encoding);
+  }
+
+  if (options.part) {
+    overheadTokens += countTokens(formatPartHeader(options.part, isPayloadFormat(options.format) ? options.format : undefined), encoding);
+  }
+
+  return { diffs, diffError, fileMap, instructionValues, overheadTokens, encoding };
+}
+
+// Tokens a file adds to a payload: its contents, its diff, or only its diff when that is smaller
+function getFileCost(
+  file: Pick<PayloadFile, 'relativePath' | 'tokenEstimate'>,
+  frame: Pick<PayloadFrame, 'diffs' | 'encoding'>,
+  options: Pick<PayloadOptions, 'gitDiff'>
+) {
+  const diff = frame.diffs.get(file.relativePath);
+  const diffTokens = diff ? countTokens(diff, frame.encoding) : 0;
+  const diffOnly = diff !== undefined && options.gitDiff?.replaceContents === true && diffTokens < file.tokenEstimate;
+  return { diff, diffOnly, tokens: (diffOnly ? 0 : file.tokenEstimate) + diffTokens };
+}
+
+// A payload built for copying or exporting
+interface BuiltPayload {
+  success: true;
+  payload: string;
+  fileCount: number;
+  allFilesProcessed: boolean;     // False when the token limit left files out
+  tokens: number;
+  notes: string;                  // Partial files and git diff, for the result message
+}
+
+/**
+ * Build the payload of the selected files: file map, instructions, file contents
+ * and git diff in the requested format, within the token limit
+ */
+async function buildPayload(
+  senderId: number,
+  selectedFiles: PayloadFile[],
+  options: PayloadOptions
+): Promise<BuiltPayload | { success: false; message: string }> {
+  // Limits come from the renderer's active context profile
+  const MAX_TOKENS = options.tokenLimit && options.tokenLimit > 0 ? options.tokenLimit : DEFAULT_MAX_TOKENS;
+  const warningPercentage = options.warningThreshold ?? DEFAULT_WARNING_THRESHOLD;
+  const WARN_TOKENS_THRESHOLD = Math.floor(MAX_TOKENS * (warningPercentage / 100));
+  const frame = await preparePayloadFrame(selectedFiles, options);
+  const { diffError, fileMap, instructionValues } = frame;
+  let currentTotalTokens = frame.overheadTokens;
+  const fileSections: PayloadFileSection[] = [];
+  let filesProcessedCount = 0;
+  let allFilesProcessed = true;
+  let diffSection = '';
+  let diffCount = 0;
+  let diffOnlyCount = 0;
+  let partialCount = 0;
+
+  const contentReader = createContentReader(options.rootPath, options.gitRef, lastScans.get(senderId)?.settings);
+
+  for (const file of selectedFiles) {
+    if (file.isDirectory || file.isSkipped) {
+      continue;
+    }
+
+    const { diff, diffOnly, tokens: fileTokens } = getFileCost(file, frame, options);
+
+    if (currentTotalTokens + fileTokens > MAX_TOKENS) {
+      console.warn(`[Main] Token limit (${MAX_TOKENS}) reached. Stopping payload generation. Processed ${filesProcessedCount} files.`);
+      allFilesProcessed = false;
+      break; // Stop adding more files
+    }
+
+    try {
+      if (!diffOnly) {
+        const content = await contentReader.read(file);
+        // Partially included files send their outline or line ranges, described in the attributes
+        const included = applyInclusion(file.relativePath, content, file.inclusion);
+        if (included) {
+          fileSections.push({ path: file.relativePath, content: included.content, attributes: included.attributes });
+          partialCount++;
+        } else {
+          fileSections.push({ path: file.relativePath, content });
+        }
+      }
+      if (diff !== undefined) {
+        diffSection += `${diff}\n`;
+        diffCount++;
+        if (diffOnly) diffOnlyCount++;
+      }
+      currentTotalTokens += fileTokens;
+      filesProcessedCount++;
+
+      if (currentTotalTokens > WARN_TOKENS_THRESHOLD && allFilesProcessed) {
+        // Log warning only once if we are still processing all files and cross the threshold
+        console.warn(`[Main] Payload approaching token limit. Current tokens: ${currentTotalTokens}`);
+      }
+
+    } catch (error) {
+      console.error(`[Main] Error reading file ${file.path}:`, error);
+      // Optionally, decide if this error should stop the whole process or just skip the file
+      // For now, we skip the file and log the error.
+    }
+  }
+
+  contentReader.close();
+
+  const payload = fileSections.length > 0 || diffSection.length > 0
+    ? composePrompt(
+        { part: options.part, fileMap, files: fileSections, gitDiff: diffSection },
+        isPayloadFormat(options.format) ? options.format : undefined,
+        options.instructions,
+        instructionValues
+      )
+    : '';
+
+  if (payload.length === 0 && selectedFiles.filter(f => !f.isDirectory && !f.isSkipped).length > 0) {
+    console.warn("[Main] No payload generated, possibly due to all selected files exceeding token limit individually or read errors.");
+    return { success: false, message: 'No content generated. Files might be too large or unreadable.' };
+  }
+  if (payload.length === 0) {
+    return { success: false, message: 'No files selected or processed.' };
+  }
+
+  let notes = '';
+  if (partialCount > 0) {
+    notes += ` ${partialCount} of them partially (outlines or line ranges).`;
+  }
+  notes += diffError
+    ? ` Git diff not included: ${diffError}`
+    : options.gitDiff
+      ? ` Included diffs for ${diffCount} files${diffOnlyCount > 0 ? ` (${diffOnlyCount} as diff only)` : ''}.`
+      : '';
+  return { success: true, payload, fileCount: filesProcessedCount, allFilesProcessed, tokens: currentTotalTokens, notes };
+}
+
+// Result message of a copy or export, e.g. "Copied 3 files to clipboard."
+function describeBuiltPayload(built: BuiltPayload, verb: 'Copied' | 'Exported', destination: string): string {
+  const message = built.allFilesProcessed
+    ? `Successfully ${verb.toLowerCase()} ${built.fileCount} files to ${destination}.`
+    : `${verb} ${built.fileCount} files to ${destination}. Token limit reached, some files may have been excluded.`;
+  return message + built.notes;
+}
+
 // Register all IPC handlers to ensure correct communication between main and renderer processes
 function registerIpcHandlers() {
   // Directory walker handler was already defined above
 
   // Handler for lazy loading child directories
-  ipcMain.handle('directory:lazyLoadChildren', async (event, dirPath, options = {}) => {
+  ipcMain.handle('directory:lazyLoadChildren', async (event, dirPath, options: LoadChildrenOptions = {}) => {
     console.log(`Lazy loading children for directory: ${dirPath}`);
     try {
       if (!fs.existsSync(dirPath)) {
         return { error: 'Directory does not exist' };
       }
-
-      const rootPath = dirPath;
-      const binaryOptions = options.binaryDetection || DEFAULT_BINARY_OPTIONS;
-      const ignoreManager = new IgnoreManager(rootPath);
-      await ignoreManager.loadIgnoreFile();
-      
-      let fileCount = 0;
-      let totalSize = 0;
-      let totalTokens = 0;
-      let skippedCount = 0;
-      let binaryCount = 0;
-      let sizeSkippedCount = 0;
-      
-      const children: FileInfo[] = [];
-      
-      // Read immediate children of the directory
-      const items = await fs.promises.readdir(dirPath);
-      
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item);
-        const relativePath = path.relative(rootPath, itemPath);
-        
-        // Skip files and directories specified in ignore files
-        if (ignoreManager.shouldIgnore(itemPath)) {
-          continue;
-        }
-        
-        try {
-          const stats = await fs.promises.stat(itemPath);
-          
-          if (stats.isDirectory()) {
-            // For directories, just add them without recursion
-            children.push({
-              path: itemPath,
-              relativePath,
-              size: 0, // Will be updated when directory is loaded
-              isDirectory: true,
-              isSkipped: false,
-              tokenEstimate: 0,
-              hasLazyChildren: true // Mark that this directory has unloaded children
-            });
-          } else {
-            // For files, check if they're binary or too large
-            fileCount++;
-            
-            // Skip binary files and files larger than the limit
-            const fileSizeBytes = stats.size;
-            let isSkipped = false;
-            let skipReason = '';
-            
-            // Check file size first (faster than binary check)
-            const binaryCheck = await isFileBinary(itemPath, binaryOptions);
-            if (binaryCheck.isBinary) {
-              isSkipped = true;
-              skipReason = binaryCheck.details || 'Binary file';
-              
-              if (binaryCheck.reason === 'size') {
-                sizeSkippedCount++;
-              } else {
-                binaryCount++;
-              }
-              
-              skippedCount++;
-            }
-            
-            // Estimate tokens based on file size if not binary
-            let tokenEstimate = 0;
-            if (!isSkipped) {
-              try {
-                const content = await fs.promises.readFile(itemPath, 'utf8');
-                tokenEstimate = estimateTokens(content);
-                totalTokens += tokenEstimate;
-              } catch (readError) {
-                // If we can't read as UTF-8, it's likely binary
-                console.error(`Error reading file ${itemPath}:`, readError);
-                isSkipped = true;
-                skipReason = 'Failed to read as text';
-                binaryCount++;
-                skippedCount++;
-              }
-            }
-            
-            // Update totals
-            totalSize += fileSizeBytes;
-            
-            // Add file info
-            children.push({
-              path: itemPath,
-              relativePath,
-              size: fileSizeBytes,
-              isDirectory: false,
-              isSkipped,
-              skipReason,
-              tokenEstimate
-            });
-          }
-        } catch (err) {
-          console.error(`Error processing ${itemPath}:`, err);
-        }
-      }
-      
-      return {
-        children,
-        stats: {
-          fileCount,
-          totalSize,
-          totalTokens,
-          skippedCount,
-          binaryCount,
-          sizeSkippedCount
-        }
-      } as LazyChildResult;
+      return await loadChildren(event.sender.id, dirPath, options);
     } catch (error) {
       console.error('Error in lazyLoadChildren:', error);
       return { error: 'Failed to load directory children' };
@@ -592,60 +1074,84 @@ function registerIpcHandlers() {
   });
 
   // IPC Handler for generating payload and writing to clipboard
-  ipcMain.handle('generate-payload-and-copy', async (_, selectedFiles: Array<{ path: string; relativePath: string; tokenEstimate: number; isDirectory: boolean; isSkipped: boolean }>) => {
-    const MAX_TOKENS = 2000000;
-    const WARN_TOKENS_THRESHOLD = 1800000; // 90% of MAX_TOKENS
-    let currentTotalTokens = 0;
-    let payload = '';
-    let filesProcessedCount = 0;
-    let allFilesProcessed = true;
-
+  ipcMain.handle('generate-payload-and-copy', async (
+    event,
+    selectedFiles: PayloadFile[],
+    options: PayloadOptions = {}
+  ) => {
     console.log('[Main] Received request to generate payload for an_array_of_selected_files_with_length:', selectedFiles.length);
+    const built = await buildPayload(event.sender.id, selectedFiles, options);
+    if (!built.success) return built;
 
-    for (const file of selectedFiles) {
-      if (file.isDirectory || file.isSkipped) {
-        continue;
-      }
-
-      if (currentTotalTokens + file.tokenEstimate > MAX_TOKENS) {
-        console.warn(`[Main] Token limit (${MAX_TOKENS}) reached. Stopping payload generation. Processed ${filesProcessedCount} files.`);
-        allFilesProcessed = false;
-        break; // Stop adding more files
-      }
-
-      try {
-        const content = await fs.promises.readFile(file.path, 'utf-8');
-        payload += `<file_path>${file.relativePath}</file_path>\n<file_contents>\n${content}\n</file_contents>\n\n`;
-        currentTotalTokens += file.tokenEstimate;
-        filesProcessedCount++;
-
-        if (currentTotalTokens > WARN_TOKENS_THRESHOLD && allFilesProcessed) {
-          // Log warning only once if we are still processing all files and cross the threshold
-          console.warn(`[Main] Payload approaching token limit. Current tokens: ${currentTotalTokens}`);
-        }
+    clipboard.writeText(built.payload);
+    const message = describeBuiltPayload(built, 'Copied', 'clipboard');
+    console.log(`[Main] ${message} Total tokens: ${built.tokens}`);
+    return { success: true, message, CANCELED_BECAUSE_TOO_LARGE_BOOLEAN: !built.allFilesProcessed, tokens: built.tokens };
+  });
 
-      } catch (error) {
-        console.error(`[Main] Error reading file ${file.path}:`, error);
-        // Optionally, decide if this error should stop the whole process or just skip the file
-        // For now, we skip the file and log the error.
-      }
+  // Same payload as the clipboard copy, written to a file the user picks
+  ipcMain.handle('generate-payload-and-export', async (
+    event,
+    selectedFiles: PayloadFile[],
+    options: PayloadOptions & { exportDirectory?: string } = {}
+  ) => {
+    const format = isPayloadFormat(options.format) ? options.format : DEFAULT_PAYLOAD_FORMAT;
+    const extension = PAYLOAD_FILE_EXTENSIONS[format];
+    const rootName = options.fileMap?.rootFolderName || (options.rootPath ? path.basename(options.rootPath) : 'repo');
+    const partSuffix = options.part ? `-part${options.part.number}of${options.part.count}` : '';
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Export prompt',
+      defaultPath: path.join(options.exportDirectory || app.getPath('documents'), `${rootName}-prompt${partSuffix}.${extension}`),
+      filters: [
+        { name: PAYLOAD_FORMATS.find(f => f.value === format)!.label, extensions: [extension] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (canceled || !filePath) {
+      return { success: false, cancelled: true, message: 'Export canceled.' };
     }
 
-    if (payload.length === 0 && selectedFiles.filter(f => !f.isDirectory && !f.isSkipped).length > 0) {
-      console.warn("[Main] No payload generated, possibly due to all selected files exceeding token limit individually or read errors.");
-      return { success: false, message: 'No content generated. Files might be too large or unreadable.' };
-    }
+    const built = await buildPayload(event.sender.id, selectedFiles, options);
+    if (!built.success) return built;
 
-    if (payload.length > 0) {
-      clipboard.writeText(payload.trim()); // Trim trailing newlines
-      const message = allFilesProcessed
-        ? `Successfully copied ${filesProcessedCount} files to clipboard.`
-        : `Copied ${filesProcessedCount} files to clipboard. Token limit reached, some files may have been excluded.`;
-      console.log(`[Main] ${message} Total tokens: ${currentTotalTokens}`);
-      return { success: true, message, CANCELED_BECAUSE_TOO_LARGE_BOOLEAN: !allFilesProcessed, tokens: currentTotalTokens };
+    try {
+      await fs.promises.writeFile(filePath, built.payload, 'utf8');
+    } catch (error) {
+      console.error(`[Main] Error writing ${filePath}:`, error);
+      return { success: false, message: `Could not write ${filePath}: ${error instanceof Error ? error.message : String(error)}` };
     }
+    const message = describeBuiltPayload(built, 'Exported', filePath);
+    console.log(`[Main] ${message} Total tokens: ${built.tokens}`);
+    return { success: true, message, filePath, CANCELED_BECAUSE_TOO_LARGE_BOOLEAN: !built.allFilesProcessed, tokens: built.tokens };
+  });
 
-    return { success: false, message: 'No files selected or processed.' };
+  // Split the selection into parts that each fit the token limit with the shared file map and instructions
+  ipcMain.handle('payload:planParts', async (
+    _,
+    selectedFiles: PayloadFile[],
+    options: PayloadOptions = {}
+  ) => {
+    try {
+      const limit = options.tokenLimit && options.tokenLimit > 0 ? options.tokenLimit : DEFAULT_MAX_TOKENS;
+      const files = selectedFiles.filter(file => !file.isDirectory && !file.isSkipped);
+      // Room for the widest heading a part can get
+      const frame = await preparePayloadFrame(selectedFiles, { ...options, part: { number: files.length, count: files.length } });
+      const budget = limit - frame.overheadTokens;
+      if (budget <= 0) {
+        return { success: false, error: 'The file map and instructions alone exceed the token limit of a part.' };
+      }
+      const parts = splitIntoParts(
+        files.map(file => ({ relativePath: file.relativePath, tokens: getFileCost(file, frame, options).tokens })),
+        budget
+      );
+      return { success: true, parts, overheadTokens: frame.overheadTokens };
+    } catch (error) {
+      console.error('[Main] Error planning payload parts:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : String(error)
+      };
+    }
   });
 }
 
@@ -657,6 +1163,14 @@ app.whenReady().then(() => {
   createWindow();
 });
 
+app.on('will-quit', () => {
+  scanService?.destroy();
+  for (const senderId of [...watchSessions.keys()]) {
+    stopWatching(senderId);
+  }
+  freeEncoders();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest';
+import { extractOutline, extractSymbols, isOutlineSupported } from './outline';
+
+describe('outline', () => {
+  it('supports TS/JS, Python and Go only', () => {
+    expect(isOutlineSupported('src/App.tsx')).toBe(true);
+    expect(isOutlineSupported('lib/index.mjs')).toBe(true);
+    expect(isOutlineSupported('app/models.py')).toBe(true);
+    expect(isOutlineSupported('cmd/main.go')).toBe(true);
+    expect(isOutlineSupported('README.md')).toBe(false);
+    expect(extractOutline('README.md', '# Title')).toBeNull();
+  });
+
+  it('keeps TypeScript declarations and elides bodies and values', () => {
+    const content = [
+      "import fs from 'fs';",
+      '',
+      '// Maximum retries',
+      'export const MAX_RETRIES = 3;',
+      '',
+      '/**',
+      ' * Options { with braces } in a comment',
+      ' */',
+      'export interface Options {',
+      '  name: string;',
+      '  nested: { deep: boolean };',
+      '}',
+      '',
+      "export type Mode = 'a' | 'b';",
+      '',
+      'const helper = (value: string) => {',
+      "  return value.replace(/^\\.\\//, '');",
+      '};',
+      '',
+      'export function load(',
+      '  path: string,',
+      '  { strict }: Options',
+      '): Promise<string> {',
+      "  if (strict) { throw new Error('}'); }",
+      '  return fs.promises.readFile(path, `utf8${"{"}`);',
+      '}',
+      '',
+      'export class Loader extends Base {',
+      '  private cache = new Map<string, string>();',
+      '  private waiting: Array<{ resolve: () => void }> = [];',
+      '',
+      '  constructor(private root: string) {',
+      '    super();',
+      '  }',
+      '',
+      '  async read(path: string): Promise<string> {',
+      '    return load(path, { strict: true });',
+      '  }',
+      '}',
+      '',
+      'export const defaults = { retries: 3, mode: \'a\' };',
+      '',
+      "app.on('ready', () => {",
+      '  start();',
+      '});'
+    ].join('\n');
+
+    expect(extractOutline('src/loader.ts', content)).toBe([
+      'export const MAX_RETRIES = 3;',
+      'export interface Options {',
+      '  name: string;',
+      '  nested: { deep: boolean };',
+      '}',
+      "export type Mode = 'a' | 'b';",
+      'const helper = (value: string) => { ... }',
+      'export function load(',
+      '  path: string,',
+      '  { strict }: Options',
+      '): Promise<string> { ... }',
+      'export class Loader extends Base {',
+      '  private cache = new Map<string, string>();',
+      '  private waiting: Array<{ resolve: () => void }> = [];',
+      '  constructor(private root: string) { ... }',
+      '  async read(path: string): Promise<string> { ... }',
+      '}',
+      'export const defaults = { ... };'
+    ].join('\n'));
+  });
+
+  it('keeps Python classes, fields and signatures', () => {
+    const content = [
+      'import os',
+      '',
+      'MAX_SIZE = 1024',
+      'SETTINGS = {',
+      '    "debug": True,',
+      '}',
+      '',
+      '@dataclass',
+      'class Point:',
+      '    """A point.',
+      '',
+      'def not_a_function():',
+      '    """',
+      '    x: int',
+      '    y: int = 0',
+      '',
+      '    def distance(self,',
+      '                 other: "Point") -> float:',
+      '        def square(v):',
+      '            return v * v',
+      '        return 0.0',
+      '',
+      '    @property',
+      '    def origin(self): return Point(0, 0)',
+      '',
+      'async def main():',
+      '    await run()'
+    ].join('\n');
+
+    expect(extractOutline('geometry.py', content)).toBe([
+      'MAX_SIZE = 1024',
+      'SETTINGS = ...',
+      '@dataclass',
+      'class Point:',
+      '    x: int',
+      '    y: int = 0',
+      '    def distance(self,',
+      '                 other: "Point") -> float:',
+      '        ...',
+      '    @property',
+      '    def origin(self): return Point(0, 0)',
+      'async def main():',
+      '    ...'
+    ].join('\n'));
+  });
+
+  it('keeps Go types and signatures', () => {
+    const content = [
+      'package server',
+      '',
+      'import (',
+      '  "fmt"',
+      ')',
+      '',
+      'const (',
+      '  DefaultPort = 8080',
+      ')',
+      '',
+      'type Server struct {',
+      '  Port int',
+      '  opts map[string]interface{}',
+      '}',
+      '',
+      'func (s *Server) Start(handler interface{}) error {',
+      '  fmt.Println(`starting {',
+      '  server`)',
+      '  return nil',
+      '}'
+    ].join('\n');
+
+    expect(extractOutline('server.go', content)).toBe([
+      'package server',
+      'const (',
+      '  DefaultPort = 8080',
+      ')',
+      'type Server struct {',
+      '  Port int',
+      '  opts map[string]interface{}',
+      '}',
+      'func (s *Server) Start(handler interface{}) error { ... }'
+    ].join('\n'));
+  });
+
+  describe('extractSymbols', () => {
+    it('finds TypeScript declarations and methods with their comments', () => {
+      const content = [
+        "import fs from 'fs';",
+        '',
+        '/** Reads files */',
+        'export class Reader {',
+        '  private root = "/";',
+        '',
+        '  @cached()',
+        '  read(path: string): string {',
+        "    if (path) { return ''; }",
+        "    return '';",
+        '  }',
+        '}',
+        '',
+        'export const load = async (path: string) => {',
+        '  return path;',
+        '};'
+      ].join('\n');
+
+      expect(extractSymbols('reader.ts', content)).toEqual([
+        { name: 'Reader', kind: 'class', startLine: 3, endLine: 12 },
+        { name: 'Reader.read', kind: 'method', startLine: 7, endLine: 11 },
+        { name: 'load', kind: 'const', startLine: 14, endLine: 16 }
+      ]);
+    });
+
+    it('finds Python classes, methods and functions', () => {
+      const content = [
+        '@dataclass',
+        'class Point:',
+        '    x: int',
+        '',
+        '    def norm(self):',
+        '        return 0',
+        '',
+        'def main():',
+        '    pass'
+      ].join('\n');
+
+      expect(extractSymbols('point.py', content)).toEqual([
+        { name: 'Point', kind: 'class', startLine: 1, endLine: 6 },
+        { name: 'Point.norm', kind: 'method', startLine: 5, endLine: 6 },
+        { name: 'main', kind: 'function', startLine: 8, endLine: 9 }
+      ]);
+    });
+
+    it('names Go methods after their receiver', () => {
+      const content = [
+        'type Server struct {',
+        '  Port int',
+        '}',
+        '',
+        'func (s *Server) Start() error {',
+        '  return nil',
+        '}'
+      ].join('\n');
+
+      expect(extractSymbols('server.go', content)).toEqual([
+        { name: 'Server', kind: 'struct', startLine: 1, endLine: 3 },
+        { name: 'Server.Start', kind: 'method', startLine: 5, endLine: 7 }
+      ]);
+      expect(extractSymbols('README.md', '# Title')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,429 @@
+/**
+ * Outlines: the top-level declarations of a source file (exports, classes and
+ * their members, function signatures, types) with function bodies and values
+ * elided, so a model sees the shape of a file for a fraction of its tokens.
+ * Also lists the named declarations of a file with the lines they span.
+ */
+
+// How a brace-delimited language is outlined
+interface BraceLanguage {
+  declaration: RegExp;          // Top-level statements that are part of the outline
+  keepBlock: (header: string) => boolean;  // Whether a `{` block's members are shown (classes, types) or elided (bodies, values)
+  rawStringQuote: string;       // Quote of multi-line strings (template literals, Go raw strings)
+  regexLiterals: boolean;       // `/.../` after an operator is a regular expression, not a division
+  symbolName: (statement: string) => { name: string; kind: string } | null;  // Name of a top-level declaration
+}
+
+const TYPESCRIPT: BraceLanguage = {
+  declaration: /^(export\b|declare\b|(async\s+)?function\b|(abstract\s+)?class\b|interface\b|type\s+\w|(const\s+)?enum\b|namespace\s+\w|module\s+\w|module\.exports\b|exports\.\w+\s*=|@\w|(const|let|var)\s+\w+\s*(:[^=]+)?=\s*(async\b\s*)?(\(|function\b|\w+\s*=>))/,
+  keepBlock: header => /\b(class|interface|enum|namespace|module)\b/.test(header) || /^\s*(export\s+)?(declare\s+)?type\b/.test(header),
+  rawStringQuote: '`',
+  regexLiterals: true,
+  symbolName: statement => {
+    const match = statement.match(/^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(function\*?|class|interface|type|(?:const\s+)?enum|namespace|module|const|let|var)\s*([\w$]*)/);
+    if (match) return { name: match[2] || 'default', kind: match[1].replace(/\*$|^const\s+/, '') };
+    return /^module\.exports\b/.test(statement) ? { name: 'module.exports', kind: 'export' } : null;
+  }
+};
+
+const GO: BraceLanguage = {
+  declaration: /^(package|func|type|const|var)\b/,
+  keepBlock: header => /^\s*type\b/.test(header),
+  rawStringQuote: '`',
+  regexLiterals: false,
+  symbolName: statement => {
+    const method = statement.match(/^func\s+\(\s*\w*\s*\*?(\w+)[^)]*\)\s*(\w+)/);
+    if (method) return { name: `${method[1]}.${method[2]}`, kind: 'method' };
+    const match = statement.match(/^(func|type|const|var)\s+(\w+)(\s+(struct|interface)\b)?/);
+    if (!match) return null;
+    return { name: match[2], kind: match[4] ?? (match[1] === 'func' ? 'function' : match[1]) };
+  }
+};
+
+// Outlined languages by file extension
+const LANGUAGES: Record<string, BraceLanguage | 'python'> = {
+  ts: TYPESCRIPT, tsx: TYPESCRIPT, mts: TYPESCRIPT, cts: TYPESCRIPT,
+  js: TYPESCRIPT, jsx: TYPESCRIPT, mjs: TYPESCRIPT, cjs: TYPESCRIPT,
+  go: GO,
+  py: 'python', pyi: 'python'
+};
+
+// Shown in place of an elided body or value
+const ELIDED = '...';
+
+// A statement continues on the next line after these endings, or when the next line starts with these
+const CONTINUES_AFTER = /([=|&,(<]|=>)$/;
+const CONTINUES_BEFORE = /^([|&.)\]>?:]|=>|extends\b|implements\b)/;
+
+// A `/` after these (or at the start of a line) starts a regular expression literal
+const BEFORE_REGEX = /(^|[=(,:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*$/;
+
+// Braces after these are object types, shown in full (`Array<{ a: string }>`, `x: { a: string }`)
+const BEFORE_TYPE_LITERAL = /[<|&:]$/;
+
+// Braces after these start a function body, elided even inside parentheses (callbacks)
+const BEFORE_BODY = /(=>|\))$/;
+
+function extensionOf(filePath: string): string {
+  const match = filePath.match(/\.([^./\\]+)$/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Whether outlines can be made for a file (TS/JS, Python and Go)
+ */
+export function isOutlineSupported(filePath: string): boolean {
+  return extensionOf(filePath) in LANGUAGES;
+}
+
+/**
+ * The outline of a file, or null when its language is not supported.
+ * A supported file without declarations gives an empty outline.
+ */
+export function extractOutline(filePath: string, content: string): string | null {
+  const language = LANGUAGES[extensionOf(filePath)];
+  if (!language) return null;
+  return language === 'python' ? outlinePython(content) : outlineBraceLanguage(content, language);
+}
+
+// Carried between lines: comments and raw strings can span lines
+interface ScanState {
+  inBlockComment: boolean;
+  inRawString: boolean;
+}
+
+/**
+ * A line with comments blanked out (so indices still match the original),
+ * and its brackets outside strings and comments. Empty `{}` pairs are not
+ * blocks and are left out.
+ */
+function scanLine(line: string, state: ScanState, language: BraceLanguage): { code: string; brackets: { char: string; index: number }[] } {
+  const code = line.split('');
+  const brackets: { char: string; index: number }[] = [];
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (state.inBlockComment) {
+      code[i] = ' ';
+      if (char === '*' && line[i + 1] === '/') {
+        code[++i] = ' ';
+        state.inBlockComment = false;
+      }
+    } else if (state.inRawString) {
+      if (char === '\\') i++;
+      else if (char === language.rawStringQuote) state.inRawString = false;
+    } else if (char === '/' && line[i + 1] === '/') {
+      code.fill(' ', i);
+      break;
+    } else if (char === '/' && line[i + 1] === '*') {
+      code[i] = code[++i] = ' ';
+      state.inBlockComment = true;
+    } else if (char === language.rawStringQuote) {
+      state.inRawString = true;
+    } else if (char === '/' && language.regexLiterals && BEFORE_REGEX.test(line.slice(0, i))) {
+      // Skip to the closing slash; slashes inside a [character class] don't close it
+      let inClass = false;
+      for (i++; i < line.length && (inClass || line[i] !== '/'); i++) {
+        if (line[i] === '\\') i++;
+        else if (line[i] === '[') inClass = true;
+        else if (line[i] === ']') inClass = false;
+      }
+    } else if (char === '"' || char === "'") {
+      for (i++; i < line.length && line[i] !== char; i++) {
+        if (line[i] === '\\') i++;
+      }
+    } else if (char === '{' && line[i + 1] === '}') {
+      i++;
+    } else if ('{}()[]'.includes(char)) {
+      brackets.push({ char, index: i });
+    }
+  }
+  return { code: code.join(''), brackets };
+}
+
+function outlineBraceLanguage(content: string, language: BraceLanguage): string {
+  const output: string[] = [];
+  const state: ScanState = { inBlockComment: false, inRawString: false };
+  const blocks: boolean[] = [];   // Open `{` blocks: true when their members are shown
+  let elidedDepth = 0;            // Open blocks whose contents are hidden
+  let parenDepth = 0;
+  let emitting = false;           // The current statement is part of the outline
+  let header = '';                // Text of the current statement so far
+  let previousCode = '';
+
+  for (const line of content.split(/\r?\n/)) {
+    const startedInRawString = state.inRawString;
+    const { code, brackets } = scanLine(line, state, language);
+    const trimmed = code.trim();
+
+    if (elidedDepth === 0 && trimmed && !startedInRawString) {
+      // A declaration at the start of a line begins a new statement, even if an unusual construct confused the scan
+      const resync = blocks.length === 0 && line === line.trimStart() && language.declaration.test(trimmed);
+      if (resync) parenDepth = 0;
+      const continues = !resync && (parenDepth > 0 || CONTINUES_AFTER.test(previousCode) || CONTINUES_BEFORE.test(trimmed));
+      if (!continues) {
+        // Members of shown blocks are always part of the outline
+        emitting = blocks.length > 0 || language.declaration.test(trimmed);
+        header = '';
+      }
+      previousCode = trimmed;
+    }
+
+    // Elided blocks are replaced with `{ ... }`; text after one that closes on this line is kept
+    const visible = elidedDepth === 0 && emitting && trimmed.length > 0;
+    let text = '';
+    let copiedFrom = 0;
+    let cutDepth = -1;
+    for (const { char, index } of brackets) {
+      if (char === '(' || char === '[') {
+        parenDepth++;
+      } else if (char === ')' || char === ']') {
+        parenDepth = Math.max(0, parenDepth - 1);
+      } else if (char === '{') {
+        const before = code.slice(0, index).trimEnd();
+        const keep = elidedDepth === 0 && emitting && (parenDepth > 0
+          ? !BEFORE_BODY.test(before)
+          : BEFORE_TYPE_LITERAL.test(before) || language.keepBlock(header + before));
+        if (!keep && elidedDepth === 0 && visible) {
+          text += `${code.slice(copiedFrom, index + 1)} ${ELIDED} `;
+          cutDepth = blocks.length;
+        }
+        blocks.push(keep);
+        if (!keep) elidedDepth++;
+      } else {
+        if (blocks.pop() === false) elidedDepth--;
+        if (blocks.length === cutDepth) {
+          copiedFrom = index;
+          cutDepth = -1;
+        }
+      }
+    }
+
+    if (visible) {
+      text += cutDepth >= 0 ? '}' : code.slice(copiedFrom);
+      output.push(text.trimEnd());
+    }
+    header += `${code} `;
+  }
+  return output.join('\n');
+}
+
+// Opening or closing of a triple-quoted string
+const TRIPLE_QUOTE = /"""|'''/g;
+
+function outlinePython(content: string): string {
+  const lines = content.split(/\r?\n/);
+  const output: string[] = [];
+  const scopes: { indent: number; isClass: boolean }[] = [];
+  let decorators: string[] = [];
+  let inDocstring = false;
+
+  const indentOf = (line: string) => line.length - line.trimStart().length;
+  const bracketBalance = (line: string) =>
+    (line.match(/[([{]/g) ?? []).length - (line.match(/[)\]}]/g) ?? []).length;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    const wasInDocstring = inDocstring;
+    if ((line.match(TRIPLE_QUOTE) ?? []).length % 2 === 1) inDocstring = !inDocstring;
+    if (wasInDocstring || !trimmed || trimmed.startsWith('#')) continue;
+
+    const indent = indentOf(line);
+    while (scopes.length > 0 && indent <= scopes[scopes.length - 1].indent) scopes.pop();
+    // Nothing inside function bodies is outlined
+    if (!scopes.every(scope => scope.isClass)) continue;
+
+    if (trimmed.startsWith('@')) {
+      decorators.push(line.trimEnd());
+      continue;
+    }
+
+    const definition = trimmed.match(/^(async\s+def|def|class)\b/);
+    if (definition) {
+      // Signatures can span lines until their brackets close
+      const signature = [line.trimEnd()];
+      let balance = bracketBalance(line);
+      while (balance > 0 && i + 1 < lines.length) {
+        signature.push(lines[++i].trimEnd());
+        balance += bracketBalance(lines[i]);
+      }
+      const isClass = definition[1] === 'class';
+      output.push(...decorators, ...signature);
+      // One-line definitions (`def f(): return 1`) have no body to elide
+      if (!isClass && /:\s*(#.*)?$/.test(signature[signature.length - 1])) output.push(`${' '.repeat(indent + 4)}${ELIDED}`);
+      scopes.push({ indent, isClass });
+      decorators = [];
+      continue;
+    }
+    decorators = [];
+
+    // Class fields, module constants and __all__
+    const isField = scopes.length > 0 && /^\w+\s*:/.test(trimmed);
+    const isConstant = scopes.length === 0 && /^([A-Z_][A-Z0-9_]*|__all__)\s*(:[^=]+)?=/.test(trimmed);
+    if (isField || isConstant) {
+      output.push(bracketBalance(line) > 0 ? `${line.slice(0, line.indexOf('=') + 1)} ${ELIDED}` : line.trimEnd());
+    }
+  }
+  return output.join('\n');
+}
+
+/**
+ * A named declaration and the lines it spans (1-based, inclusive),
+ * including its leading comments and decorators
+ */
+export interface CodeSymbol {
+  name: string;              // Members are prefixed with their class (`Loader.read`)
+  kind: string;              // function, class, interface, type, method, ...
+  startLine: number;
+  endLine: number;
+}
+
+// Methods of classes and interfaces: `name(`, `async name<T>(`, `private get name(`
+const MEMBER_NAME = /^(?:(?:public|private|protected|static|readonly|async|abstract|override|get|set)\s+)*\*?\s*([#\w$]+)\s*(?:<[^>]*>)?\s*\(/;
+const NOT_MEMBERS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'super']);
+
+/**
+ * The top-level declarations of a file and the methods of its classes, in
+ * file order. Unsupported languages have no symbols.
+ */
+export function extractSymbols(filePath: string, content: string): CodeSymbol[] {
+  const language = LANGUAGES[extensionOf(filePath)];
+  if (!language) return [];
+  return language === 'python' ? pythonSymbols(content) : braceSymbols(content, language);
+}
+
+function braceSymbols(content: string, language: BraceLanguage): CodeSymbol[] {
+  const symbols: CodeSymbol[] = [];
+  const open: { symbol: CodeSymbol; depth: number }[] = [];  // Declarations still running, innermost last
+  const state: ScanState = { inBlockComment: false, inRawString: false };
+  const blocks: (string | null)[] = [];  // Open `{` blocks: the class name when its methods are listed
+  let parenDepth = 0;
+  let header = '';
+  let previousCode = '';
+  let lastCodeLine = 0;
+  let leadStart: number | null = null;   // First comment or decorator line before a declaration
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    const startedInRawString = state.inRawString;
+    const { code, brackets } = scanLine(line, state, language);
+    const trimmed = code.trim();
+
+    if (startedInRawString) {
+      lastCodeLine = lineNumber;
+    } else if (!trimmed) {
+      // Comments lead into the next declaration; blank lines break the lead
+      leadStart = line.trim() ? leadStart ?? lineNumber : null;
+    } else {
+      const depth = blocks.length;
+      const resync = depth === 0 && line === line.trimStart() && language.declaration.test(trimmed);
+      if (resync) parenDepth = 0;
+      const continues = !resync && (parenDepth > 0 || CONTINUES_AFTER.test(previousCode) || CONTINUES_BEFORE.test(trimmed));
+      if (!continues) {
+        // A new statement ends the declarations running at its depth or deeper
+        while (open.length > 0 && open[open.length - 1].depth >= depth) {
+          open.pop()!.symbol.endLine = lastCodeLine;
+        }
+
+        const container = depth > 0 ? blocks[depth - 1] : null;
+        let found: { name: string; kind: string } | null = null;
+        if (depth === 0 && language.declaration.test(trimmed)) {
+          found = language.symbolName(trimmed);
+        } else if (container) {
+          const member = trimmed.match(MEMBER_NAME);
+          if (member && !NOT_MEMBERS.has(member[1])) found = { name: `${container}.${member[1]}`, kind: 'method' };
+        }
+
+        if (trimmed.startsWith('@')) {
+          leadStart = leadStart ?? lineNumber;
+        } else {
+          if (found) {
+            const symbol = { ...found, startLine: leadStart ?? lineNumber, endLine: lineNumber };
+            symbols.push(symbol);
+            open.push({ symbol, depth });
+          }
+          leadStart = null;
+        }
+        header = '';
+      }
+      previousCode = trimmed;
+      lastCodeLine = lineNumber;
+    }
+
+    for (const { char, index: column } of brackets) {
+      if (char === '(' || char === '[') {
+        parenDepth++;
+      } else if (char === ')' || char === ']') {
+        parenDepth = Math.max(0, parenDepth - 1);
+      } else if (char === '{') {
+        // Methods are listed inside the body of the declaration that opened it (classes, interfaces)
+        const owner = open[open.length - 1];
+        const isContainer = parenDepth === 0 && owner?.depth === blocks.length &&
+          language.keepBlock(header + code.slice(0, column));
+        blocks.push(isContainer ? owner.symbol.name : null);
+      } else {
+        blocks.pop();
+      }
+    }
+    header += `${code} `;
+  });
+
+  for (const { symbol } of open) symbol.endLine = lastCodeLine;
+  return symbols;
+}
+
+function pythonSymbols(content: string): CodeSymbol[] {
+  const symbols: CodeSymbol[] = [];
+  // Open definitions by indentation; only those outside function bodies are listed
+  const scopes: { indent: number; isClass: boolean; symbol: CodeSymbol | null }[] = [];
+  let lastCodeLine = 0;
+  let leadStart: number | null = null;
+  let inDocstring = false;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    const trimmed = line.trim();
+    const wasInDocstring = inDocstring;
+    if ((line.match(TRIPLE_QUOTE) ?? []).length % 2 === 1) inDocstring = !inDocstring;
+    if (wasInDocstring) {
+      lastCodeLine = lineNumber;
+      return;
+    }
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const indent = line.length - line.trimStart().length;
+    while (scopes.length > 0 && indent <= scopes[scopes.length - 1].indent) {
+      const scope = scopes.pop()!;
+      if (scope.symbol) scope.symbol.endLine = lastCodeLine;
+    }
+    lastCodeLine = lineNumber;
+
+    if (trimmed.startsWith('@')) {
+      leadStart = leadStart ?? lineNumber;
+      return;
+    }
+    const definition = trimmed.match(/^(async\s+def|def|class)\s+(\w+)/);
+    if (definition) {
+      const isClass = definition[1] === 'class';
+      let symbol: CodeSymbol | null = null;
+      if (scopes.every(scope => scope.isClass)) {
+        const owner = scopes[scopes.length - 1]?.symbol;
+        symbol = {
+          name: owner ? `${owner.name}.${definition[2]}` : definition[2],
+          kind: isClass ? 'class' : owner ? 'method' : 'function',
+          startLine: leadStart ?? lineNumber,
+          endLine: lineNumber
+        };
+        symbols.push(symbol);
+      }
+      scopes.push({ indent, isClass, symbol });
+    }
+    leadStart = null;
+  });
+
+  for (const { symbol } of scopes) {
+    if (symbol) symbol.endLine = lastCodeLine;
+  }
+  return symbols;
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { splitIntoParts } from './payloadParts';
+
+const file = (relativePath: string, tokens: number) => ({ relativePath, tokens });
+
+describe('splitIntoParts', () => {
+  it('keeps everything in one part when it fits', () => {
+    expect(splitIntoParts([file('b.ts', 10), file('a.ts', 20)], 100)).toEqual([
+      { files: ['a.ts', 'b.ts'], tokens: 30, exceedsBudget: false }
+    ]);
+  });
+
+  it('moves a directory that fits to a new part instead of splitting it', () => {
+    const parts = splitIntoParts([
+      file('api/client.ts', 40),
+      file('api/server.ts', 30),
+      file('ui/App.tsx', 50),
+      file('ui/Button.tsx', 40)
+    ], 100);
+    expect(parts.map(part => part.files)).toEqual([
+      ['api/client.ts', 'api/server.ts'],
+      ['ui/App.tsx', 'ui/Button.tsx']
+    ]);
+    expect(parts.map(part => part.tokens)).toEqual([70, 90]);
+  });
+
+  it('splits directories larger than the budget along their subdirectories', () => {
+    const parts = splitIntoParts([
+      file('src/a/one.ts', 60),
+      file('src/a/two.ts', 30),
+      file('src/b/three.ts', 50),
+      file('src/b/four.ts', 40),
+      file('src/main.ts', 10)
+    ], 100);
+    expect(parts.map(part => part.files)).toEqual([
+      ['src/a/one.ts', 'src/a/two.ts'],
+      ['src/b/four.ts', 'src/b/three.ts', 'src/main.ts']
+    ]);
+  });
+
+  it('gives a file larger than the budget a part of its own', () => {
+    const parts = splitIntoParts([file('a.ts', 20), file('big.sql', 500), file('c.ts', 20)], 100);
+    expect(parts).toEqual([
+      { files: ['a.ts'], tokens: 20, exceedsBudget: false },
+      { files: ['big.sql'], tokens: 500, exceedsBudget: true },
+      { files: ['c.ts'], tokens: 20, exceedsBudget: false }
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * A selected file and the tokens it adds to a payload
+ */
+export interface PartFile {
+  relativePath: string;
+  tokens: number;
+}
+
+/**
+ * Files sent together in one part of a split payload
+ */
+export interface PayloadPartPlan {
+  files: string[];               // Relative paths, in path order
+  tokens: number;                // Tokens of the files (without the shared file map and instructions)
+  exceedsBudget: boolean;        // A single file larger than the budget
+}
+
+// A directory of the selection, or a file
+interface PartNode {
+  name: string;
+  tokens: number;
+  file?: PartFile;
+  children: Map<string, PartNode>;
+}
+
+function buildTree(files: PartFile[]): PartNode {
+  const root: PartNode = { name: '', tokens: 0, children: new Map() };
+  for (const file of files) {
+    const segments = file.relativePath.split('/');
+    let node = root;
+    node.tokens += file.tokens;
+    segments.forEach((segment, index) => {
+      let child = node.children.get(segment);
+      if (!child) {
+        child = { name: segment, tokens: 0, children: new Map() };
+        node.children.set(segment, child);
+      }
+      child.tokens += file.tokens;
+      if (index === segments.length - 1) child.file = file;
+      node = child;
+    });
+  }
+  return root;
+}
+
+function collectFiles(node: PartNode): PartFile[] {
+  if (node.file) return [node.file];
+  return sortedChildren(node).flatMap(collectFiles);
+}
+
+function sortedChildren(node: PartNode): PartNode[] {
+  return [...node.children.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Split files into parts of at most `budget` tokens, in path order.
+ * A directory that fits in a part is kept whole, moving to a new part when
+ * the current one is too full; larger directories are split along their
+ * subdirectories. A file larger than the budget gets a part of its own.
+ */
+export function splitIntoParts(files: PartFile[], budget: number): PayloadPartPlan[] {
+  const parts: PayloadPartPlan[] = [];
+  let current: PayloadPartPlan = { files: [], tokens: 0, exceedsBudget: false };
+
+  const flush = () => {
+    if (current.files.length > 0) parts.push(current);
+    current = { files: [], tokens: 0, exceedsBudget: false };
+  };
+  const add = (node: PartNode) => {
+    current.files.push(...collectFiles(node).map(file => file.relativePath));
+    current.tokens += node.tokens;
+  };
+
+  const place = (node: PartNode) => {
+    if (current.tokens + node.tokens <= budget) {
+      add(node);
+    } else if (node.tokens <= budget) {
+      flush();
+      add(node);
+    } else if (!node.file) {
+      sortedChildren(node).forEach(place);
+    } else {
+      flush();
+      add(node);
+      current.exceedsBudget = true;
+      flush();
+    }
+  };
+
+  sortedChildren(buildTree(files)).forEach(place);
+  flush();
+  return parts;
+}
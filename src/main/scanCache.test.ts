@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ScanCache, CachedFileEntry, getSettingsKey } from './scanCache';
+
+describe('ScanCache', () => {
+  let cacheDir: string;
+  const settingsKey = getSettingsKey({ encoding: 'cl100k_base' });
+  const entry: CachedFileEntry = {
+    size: 10,
+    mtimeMs: 1000,
+    settingsKey,
+    isSkipped: false,
+    tokenEstimate: 3
+  };
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('returns entries only while size, mtime and settings match', () => {
+    const cache = new ScanCache(cacheDir);
+    cache.set('/repo/a.ts', entry);
+    expect(cache.get('/repo/a.ts', { size: 10, mtimeMs: 1000 }, settingsKey)).toEqual(entry);
+    expect(cache.get('/repo/a.ts', { size: 11, mtimeMs: 1000 }, settingsKey)).toBeUndefined();
+    expect(cache.get('/repo/a.ts', { size: 10, mtimeMs: 2000 }, settingsKey)).toBeUndefined();
+    expect(cache.get('/repo/a.ts', { size: 10, mtimeMs: 1000 }, getSettingsKey({ encoding: 'o200k_base' }))).toBeUndefined();
+  });
+
+  it('persists entries across instances', async () => {
+    const cache = new ScanCache(cacheDir);
+    cache.set('/repo/a.ts', entry);
+    await cache.save();
+
+    const reloaded = new ScanCache(cacheDir);
+    await reloaded.load();
+    expect(reloaded.get('/repo/a.ts', { size: 10, mtimeMs: 1000 }, settingsKey)).toEqual(entry);
+  });
+
+  it('prunes entries under the root that were not seen', () => {
+    const cache = new ScanCache(cacheDir);
+    cache.set(path.join('/repo', 'kept.ts'), entry);
+    cache.set(path.join('/repo', 'deleted.ts'), entry);
+    cache.set(path.join('/other', 'file.ts'), entry);
+    cache.prune('/repo', new Set([path.join('/repo', 'kept.ts')]));
+    expect(cache.size).toBe(2);
+    expect(cache.get(path.join('/repo', 'deleted.ts'), entry, settingsKey)).toBeUndefined();
+  });
+
+  it('clears entries in memory and on disk', async () => {
+    const cache = new ScanCache(cacheDir);
+    cache.set('/repo/a.ts', entry);
+    await cache.save();
+    await cache.clear();
+    expect(cache.size).toBe(0);
+
+    const reloaded = new ScanCache(cacheDir);
+    await reloaded.load();
+    expect(reloaded.size).toBe(0);
+  });
+});
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+
+// Bump when the shape of cached entries (or how they are computed) changes
+const CACHE_VERSION = 2;
+const CACHE_FILE_NAME = 'scan-cache.json';
+
+/**
+ * Per-file scan result stored in the cache
+ */
+export interface CachedFileEntry {
+  size: number;
+  mtimeMs: number;
+  settingsKey: string;   // Binary detection options + tokenizer the entry was computed with
+  isSkipped: boolean;
+  skipReason?: string;
+  binaryReason?: 'extension' | 'size' | 'content' | 'read';
+  tokenEstimate: number;
+  isTruncated?: boolean;
+}
+
+interface CacheFile {
+  version: number;
+  entries: Record<string, CachedFileEntry>;
+}
+
+/**
+ * Build the part of the cache key that depends on the scan settings,
+ * so changing the tokenizer or binary options never returns stale results
+ */
+export function getSettingsKey(settings: unknown): string {
+  return JSON.stringify(settings);
+}
+
+/**
+ * On-disk cache of token counts and binary classification, keyed by
+ * absolute path and validated against the file's size and mtime
+ */
+export class ScanCache {
+  private cacheFilePath: string;
+  private entries = new Map<string, CachedFileEntry>();
+  private loaded: boolean = false;
+  private dirty: boolean = false;
+
+  constructor(cacheDir: string) {
+    this.cacheFilePath = path.join(cacheDir, CACHE_FILE_NAME);
+  }
+
+  /**
+   * Load the cache from disk (once); a missing or unreadable cache starts empty
+   */
+  async load(): Promise<void> {
+    if (this.loaded) return;
+
+    try {
+      const content = await fs.promises.readFile(this.cacheFilePath, 'utf8');
+      const data: CacheFile = JSON.parse(content);
+      if (data.version === CACHE_VERSION && data.entries) {
+        this.entries = new Map(Object.entries(data.entries));
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Error loading scan cache, starting empty:', error);
+      }
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Get the cached entry for a file if it is still valid
+   */
+  get(filePath: string, stats: { size: number; mtimeMs: number }, settingsKey: string): CachedFileEntry | undefined {
+    const entry = this.entries.get(filePath);
+    if (
+      entry &&
+      entry.size === stats.size &&
+      entry.mtimeMs === stats.mtimeMs &&
+      entry.settingsKey === settingsKey
+    ) {
+      return entry;
+    }
+    return undefined;
+  }
+
+  /**
+   * Store the scan result for a file
+   */
+  set(filePath: string, entry: CachedFileEntry): void {
+    this.entries.set(filePath, entry);
+    this.dirty = true;
+  }
+
+  /**
+   * Drop entries for files under rootPath that were not seen in a complete scan
+   */
+  prune(rootPath: string, seenPaths: Set<string>): void {
+    const prefix = rootPath.endsWith(path.sep) ? rootPath : rootPath + path.sep;
+    for (const filePath of this.entries.keys()) {
+      if (filePath.startsWith(prefix) && !seenPaths.has(filePath)) {
+        this.entries.delete(filePath);
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Write the cache to disk if it changed
+   */
+  async save(): Promise<void> {
+    if (!this.dirty) return;
+
+    const data: CacheFile = {
+      version: CACHE_VERSION,
+      entries: Object.fromEntries(this.entries)
+    };
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.cacheFilePath), { recursive: true });
+      // Write to a temporary file first so a crash never leaves a truncated cache
+      const tempPath = `${this.cacheFilePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(data));
+      await fs.promises.rename(tempPath, this.cacheFilePath);
+      this.dirty = false;
+    } catch (error) {
+      console.error('Error saving scan cache:', error);
+    }
+  }
+
+  /**
+   * Remove all cached entries, in memory and on disk
+   */
+  async clear(): Promise<void> {
+    this.entries.clear();
+    this.dirty = false;
+    this.loaded = true;
+    await fs.promises.rm(this.cacheFilePath, { force: true });
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+}
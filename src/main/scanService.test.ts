@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { execFileSync } from 'child_process';
+import { ScanService, resolveScanSettings, toRelativePath } from './scanService';
+
+describe('ScanService', () => {
+  let root: string;
+  let cacheDir: string;
+  let service: ScanService;
+  const settings = resolveScanSettings();
+
+  const write = (relativePath: string, content: string | Buffer = '') => {
+    const fullPath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-service-'));
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-service-cache-'));
+    // Workers can't load TypeScript here; the service falls back to classifying in-process
+    service = new ScanService({
+      cacheDir,
+      createWorker: () => new Worker('process.exit(1)', { eval: true }),
+      workerCount: 1,
+      workerConcurrency: 2
+    });
+
+    write('.gitignore', 'dist/\n');
+    write('src/index.ts', 'export const answer = 42;\n');
+    write('src/lib/util.ts', 'export function add(a: number, b: number) { return a + b; }\n');
+    write('dist/bundle.js', 'ignored');
+    write('image.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]));
+  });
+
+  afterEach(async () => {
+    await service.destroy();
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('walks the root, skipping ignored paths and classifying binaries', async () => {
+    const { files, stats, cancelled } = await service.scan({ rootPath: root, settings });
+    const paths = files.map(f => f.relativePath).sort();
+
+    expect(cancelled).toBe(false);
+    expect(paths).toEqual(['.gitignore', 'image.png', 'src', 'src/index.ts', 'src/lib', 'src/lib/util.ts']);
+    expect(files.find(f => f.relativePath === 'image.png')?.isSkipped).toBe(true);
+    expect(stats.fileCount).toBe(4);
+    expect(stats.binaryCount).toBe(1);
+    expect(stats.totalTokens).toBeGreaterThan(0);
+  });
+
+  it('computes the same relative paths when loading children of a subdirectory', async () => {
+    const full = await service.scan({ rootPath: root, settings });
+    const children = await service.scan({ rootPath: root, dirPath: path.join(root, 'src'), maxDepth: 1, settings });
+
+    expect(children.files.map(f => f.relativePath).sort()).toEqual(['src/index.ts', 'src/lib']);
+    expect(children.files.find(f => f.relativePath === 'src/lib')?.hasLazyChildren).toBe(true);
+    const index = children.files.find(f => f.relativePath === 'src/index.ts');
+    expect(index?.tokenEstimate).toBe(full.files.find(f => f.relativePath === 'src/index.ts')?.tokenEstimate);
+  });
+
+  it('leaves directories below maxDepth unloaded', async () => {
+    const { files, stats } = await service.scan({ rootPath: root, maxDepth: 2, settings });
+    const paths = files.map(f => f.relativePath).sort();
+
+    expect(paths).toEqual(['.gitignore', 'image.png', 'src', 'src/index.ts', 'src/lib']);
+    expect(files.find(f => f.relativePath === 'src')?.hasLazyChildren).toBeUndefined();
+    expect(files.find(f => f.relativePath === 'src/lib')?.hasLazyChildren).toBe(true);
+    expect(stats.fileCount).toBe(3);
+  });
+
+  it('reports an ignored directory', async () => {
+    const result = await service.scan({ rootPath: root, dirPath: path.join(root, 'dist'), maxDepth: 1, settings });
+    expect(result.ignored).toBe(true);
+    expect(result.files).toEqual([]);
+  });
+
+  it('reports a directory ignored by an ignore file between the root and it', async () => {
+    write('src/.gitignore', 'generated/\n');
+    write('src/generated/api.ts', 'export {};\n');
+    const result = await service.scan({ rootPath: root, dirPath: path.join(root, 'src', 'generated'), maxDepth: 1, settings });
+    expect(result.ignored).toBe(true);
+    expect(result.files).toEqual([]);
+  });
+
+  it('truncates files over the size limit instead of skipping them when asked to', async () => {
+    write('logs/app.log', 'request handled\n'.repeat(200));
+    const skipped = await service.scan({ rootPath: root, settings: resolveScanSettings({ maxSizeBytes: 1024 }) });
+    const log = skipped.files.find(f => f.relativePath === 'logs/app.log');
+    expect(log?.isSkipped).toBe(true);
+    expect(skipped.stats.sizeSkippedCount).toBe(1);
+
+    const truncated = await service.scan({
+      rootPath: root,
+      settings: resolveScanSettings({ maxSizeBytes: 1024, oversizedFiles: 'truncate', truncateHead: 10, truncateTail: 0 })
+    });
+    const truncatedLog = truncated.files.find(f => f.relativePath === 'logs/app.log');
+    expect(truncatedLog).toMatchObject({ isSkipped: false, isTruncated: true });
+    expect(truncatedLog!.tokenEstimate).toBeGreaterThan(0);
+    expect(truncatedLog!.tokenEstimate).toBeLessThan(100);
+    expect(truncated.stats.truncatedCount).toBe(1);
+  });
+
+  it('serves unchanged files from the cache on the next scan', async () => {
+    await service.scan({ rootPath: root, settings });
+    const { stats } = await service.scan({ rootPath: root, settings });
+    expect(stats.cachedCount).toBe(stats.fileCount);
+  });
+
+  it('stops when the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const { files, cancelled } = await service.scan({ rootPath: root, settings, signal: controller.signal });
+    expect(cancelled).toBe(true);
+    expect(files).toEqual([]);
+  });
+
+  it('scans a git ref without touching the working tree', async () => {
+    const git = (...args: string[]) => execFileSync('git', args, { cwd: root, stdio: 'pipe' });
+    git('init', '--quiet');
+    git('add', '-A');
+    git('-c', 'user.email=test@example.com', '-c', 'user.name=Test', 'commit', '--quiet', '-m', 'initial');
+    git('tag', 'v1');
+    write('src/index.ts', 'export const answer = 43; // changed after the tag\n');
+    write('src/added.ts', 'export {};\n');
+
+    const { files, stats } = await service.scan({ rootPath: root, gitRef: 'v1', settings });
+    const byPath = new Map(files.map(f => [f.relativePath, f]));
+
+    expect([...byPath.keys()].sort()).toEqual(['.gitignore', 'image.png', 'src', 'src/index.ts', 'src/lib', 'src/lib/util.ts']);
+    expect(byPath.get('src/index.ts')?.size).toBe('export const answer = 42;\n'.length);
+    expect(byPath.get('src/index.ts')?.path).toBe(path.join(root, 'src', 'index.ts'));
+    expect(byPath.get('image.png')?.isSkipped).toBe(true);
+    expect(stats.fileCount).toBe(4);
+    expect(stats.totalTokens).toBeGreaterThan(0);
+
+    // Unchanged blobs come from the cache on the next scan
+    const again = await service.scan({ rootPath: root, gitRef: 'v1', settings });
+    expect(again.stats.cachedCount).toBe(again.stats.fileCount);
+  });
+
+  describe('symbolic links', () => {
+    const following = resolveScanSettings(undefined, undefined, true);
+
+    beforeEach(() => {
+      fs.symlinkSync(path.join(root, 'src'), path.join(root, 'src-link'), 'dir');
+      fs.symlinkSync('..', path.join(root, 'src', 'lib', 'up'), 'dir');
+      fs.symlinkSync('index.ts', path.join(root, 'src', 'alias.ts'));
+      fs.symlinkSync('missing.ts', path.join(root, 'broken.ts'));
+    });
+
+    it('lists links as skipped entries when not following them', async () => {
+      const { files } = await service.scan({ rootPath: root, settings });
+      const link = files.find(f => f.relativePath === 'src-link');
+
+      expect(link).toMatchObject({ isSymlink: true, isSkipped: true, skipReason: 'Symbolic link (not followed)' });
+      expect(link?.symlinkTarget).toBe(path.join(root, 'src'));
+      expect(files.some(f => f.relativePath.startsWith('src-link/'))).toBe(false);
+    });
+
+    it('marks cycles, duplicates and broken links when following them', async () => {
+      const { files } = await service.scan({ rootPath: root, settings: following });
+      const byPath = new Map(files.map(f => [f.relativePath, f]));
+
+      expect(byPath.get('src/lib/up')?.skipReason).toBe('Symbolic link cycle');
+      expect(byPath.get('src-link')?.skipReason).toBe('Duplicate of src/');
+      expect(byPath.get('src/alias.ts')?.skipReason).toBe('Duplicate of src/index.ts');
+      expect(byPath.get('broken.ts')?.skipReason).toBe('Broken symbolic link');
+      expect(files.some(f => f.relativePath.startsWith('src-link/'))).toBe(false);
+    });
+
+    it('walks a linked directory whose target is outside the root', async () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-service-outside-'));
+      try {
+        fs.writeFileSync(path.join(outside, 'shared.ts'), 'export const shared = true;\n');
+        fs.symlinkSync(outside, path.join(root, 'shared'), 'dir');
+
+        const { files } = await service.scan({ rootPath: root, settings: following });
+        const shared = files.find(f => f.relativePath === 'shared/shared.ts');
+
+        expect(files.find(f => f.relativePath === 'shared')).toMatchObject({ isSymlink: true, isDirectory: true, isSkipped: false });
+        expect(shared?.tokenEstimate).toBeGreaterThan(0);
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+  });
+
+  it('uses forward slashes in relative paths', () => {
+    expect(toRelativePath(root, path.join(root, 'a', 'b.ts'))).toBe('a/b.ts');
+  });
+});
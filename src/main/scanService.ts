@@ -0,0 +1,586 @@
+import fs from 'fs';
+import path from 'path';
+import type { Worker } from 'worker_threads';
+import { IgnoreManager } from './ignoreUtils';
+import { BinaryDetectionOptions, DEFAULT_BINARY_OPTIONS, checkSizeAndExtension } from './binaryDetection';
+import { ScanCache, getSettingsKey } from './scanCache';
+import { classifyContent, classifyFileContent, FileClassificationResult } from './fileClassifier';
+import { GitBlobReader, GitTreeEntry, listTreeAtRef } from './gitService';
+import { WorkerPool, ScanTask } from './workerPool';
+import { isTokenEncoding, DEFAULT_TOKEN_ENCODING, TokenEncoding } from './tokenizer';
+
+/**
+ * A file or directory found by a scan
+ */
+export interface FileInfo {
+  path: string;
+  relativePath: string;      // Relative to the scanned root, always with `/` separators
+  size: number;
+  isDirectory: boolean;
+  isSkipped: boolean;
+  skipReason?: string;
+  tokenEstimate: number;
+  hasChildren?: boolean;
+  childrenLoaded?: boolean;
+  hasLazyChildren?: boolean;
+  isSymlink?: boolean;
+  symlinkTarget?: string;    // Target as stored in the link
+  isTruncated?: boolean;     // Over the size limit; only its start and end are sent
+}
+
+/**
+ * Totals for a scan
+ */
+export interface ScanStats {
+  fileCount: number;         // Files found (directories are not counted)
+  totalSize: number;
+  totalTokens: number;
+  skippedCount: number;
+  binaryCount: number;
+  sizeSkippedCount: number;
+  truncatedCount: number;    // Files over the size limit kept truncated
+  cachedCount: number;       // Files served from the scan cache
+}
+
+/**
+ * Binary detection and tokenizer settings a scan runs with
+ */
+export interface ScanSettings {
+  detectionOptions: BinaryDetectionOptions;
+  tokenEncoding: TokenEncoding;
+  followSymlinks: boolean;   // Walk into linked directories and read linked files
+  settingsKey: string;       // Cache key part for the classification settings
+}
+
+/**
+ * What to scan
+ */
+export interface ScanRequest {
+  rootPath: string;          // Root the relative paths (tree ids) are computed from
+  dirPath?: string;          // Directory to scan (defaults to the root)
+  maxDepth?: number;         // Directory levels to walk (default: all); deeper directories are left unloaded
+  gitRef?: string;           // Scan this commit (branch, tag, sha) instead of the working tree
+  settings: ScanSettings;
+  signal?: AbortSignal;
+  onProgress?: (stats: ScanStats, processing: string) => void;
+}
+
+export interface ScanResult {
+  files: FileInfo[];
+  stats: ScanStats;
+  cancelled: boolean;
+  ignored: boolean;          // The requested directory itself is ignored
+}
+
+export interface ScanServiceConfig {
+  cacheDir: string;
+  createWorker: () => Worker;
+  workerCount: number;
+  workerConcurrency: number;
+}
+
+// Progress is reported every this many entries
+const PROGRESS_INTERVAL = 10;
+
+/**
+ * Resolve the settings requested by the renderer, filling in defaults
+ */
+export function resolveScanSettings(
+  binaryDetection?: BinaryDetectionOptions,
+  tokenEncoding?: unknown,
+  followSymlinks?: unknown
+): ScanSettings {
+  const detectionOptions: BinaryDetectionOptions = {
+    ...DEFAULT_BINARY_OPTIONS,
+    ...binaryDetection
+  };
+  const encoding = isTokenEncoding(tokenEncoding) ? tokenEncoding : DEFAULT_TOKEN_ENCODING;
+  return {
+    detectionOptions,
+    tokenEncoding: encoding,
+    followSymlinks: followSymlinks === true,
+    // A file's classification doesn't depend on how it was reached, so links stay out of the key
+    settingsKey: getSettingsKey({ detectionOptions, tokenEncoding: encoding })
+  };
+}
+
+/**
+ * Path of a file relative to the scanned root, with `/` separators.
+ * This is the file's identity in the tree, so every channel must use it.
+ */
+export function toRelativePath(rootPath: string, filePath: string): string {
+  return path.relative(rootPath, filePath).split(path.sep).join('/');
+}
+
+// Target of a symbolic link as written in the link
+async function readLinkTarget(linkPath: string): Promise<string> {
+  try {
+    return await fs.promises.readlink(linkPath);
+  } catch {
+    return '';
+  }
+}
+
+function createStats(): ScanStats {
+  return {
+    fileCount: 0,
+    totalSize: 0,
+    totalTokens: 0,
+    skippedCount: 0,
+    binaryCount: 0,
+    sizeSkippedCount: 0,
+    truncatedCount: 0,
+    cachedCount: 0
+  };
+}
+
+/**
+ * The one place files are found, classified and counted.
+ * Full walks, on-demand child loading and live updates all go through it,
+ * so they agree on classification, stats and relative paths.
+ */
+export class ScanService {
+  private cache: ScanCache;
+  private pool: WorkerPool<ScanTask, FileClassificationResult> | null = null;
+  private config: ScanServiceConfig;
+
+  constructor(config: ScanServiceConfig) {
+    this.config = config;
+    this.cache = new ScanCache(config.cacheDir);
+  }
+
+  /**
+   * Scan a directory (the whole root by default).
+   * Ignored entries are left out. With `maxDepth`, directories below that depth are
+   * returned unloaded (`hasLazyChildren`); `maxDepth: 1` loads immediate children only.
+   *
+   * Symbolic links are listed as skipped unless `followSymlinks` is set. Followed links are
+   * resolved after everything reachable without links, so a file reachable both ways is kept
+   * under its real path; directories already walked (link cycles included) and files already
+   * seen are listed as skipped duplicates instead of being walked again.
+   */
+  async scan(request: ScanRequest): Promise<ScanResult> {
+    if (request.gitRef) {
+      return this.scanGitRef(request, request.gitRef);
+    }
+
+    const { rootPath, settings, signal, onProgress } = request;
+    const dirPath = request.dirPath ?? rootPath;
+    const maxDepth = request.maxDepth ?? Infinity;
+    const files: FileInfo[] = [];
+    const stats = createStats();
+    // Files seen, used to prune the cache of deleted files after a complete walk
+    const seenPaths = new Set<string>();
+    // Files being classified right now
+    const pending = new Set<Promise<void>>();
+    const maxInFlight = this.getPool().capacity * 2;
+    let entryCount = 0;
+
+    await this.cache.load();
+
+    const ignoreManager = new IgnoreManager(rootPath);
+    // Rules in the ignore files between the root and the start directory apply to it too
+    await ignoreManager.loadIgnoreFilesForDirectory(path.dirname(dirPath));
+    if (ignoreManager.shouldIgnore(dirPath, true)) {
+      return { files, stats, cancelled: false, ignored: true };
+    }
+
+    // Real paths of walked directories and of files, mapped to where they appear in the tree
+    const visitedDirs = new Map<string, string>();
+    const seenFiles = new Map<string, string>();
+    // Links found while walking, resolved once everything reachable without links is known
+    const deferredLinks: Array<{ fullPath: string; depth: number }> = [];
+
+    const addLinkEntry = (fullPath: string, target: string, isDirectory: boolean, skipReason: string) => {
+      stats.skippedCount++;
+      files.push({
+        path: fullPath,
+        relativePath: toRelativePath(rootPath, fullPath),
+        size: 0,
+        isDirectory,
+        isSkipped: true,
+        skipReason,
+        tokenEstimate: 0,
+        isSymlink: true,
+        symlinkTarget: target
+      });
+    };
+
+    const addFile = async (filePath: string, symlinkTarget?: string) => {
+      try {
+        const file = await this.scanFile(rootPath, filePath, settings);
+        seenPaths.add(filePath);
+        stats.fileCount++;
+        stats.totalSize += file.size;
+        if (file.fromCache) {
+          stats.cachedCount++;
+        }
+        if (file.isSkipped) {
+          if (file.binaryReason === 'size') {
+            stats.sizeSkippedCount++;
+          } else {
+            stats.binaryCount++;
+          }
+          stats.skippedCount++;
+        } else {
+          stats.totalTokens += file.tokenEstimate;
+          if (file.isTruncated) stats.truncatedCount++;
+        }
+        files.push(symlinkTarget === undefined ? file.info : { ...file.info, isSymlink: true, symlinkTarget });
+      } catch (error) {
+        console.error(`Error getting stats for ${filePath}:`, error);
+      }
+    };
+
+    // Keep a bounded number of files in flight; the traversal continues meanwhile
+    const queueFile = async (filePath: string, symlinkTarget?: string) => {
+      if (pending.size >= maxInFlight) {
+        await Promise.race(pending);
+      }
+      const task: Promise<void> = addFile(filePath, symlinkTarget).finally(() => pending.delete(task));
+      pending.add(task);
+    };
+
+    const walk = async (dir: string, depth: number, realDir: string): Promise<void> => {
+      // Stop descending once the scan has been canceled
+      if (signal?.aborted) return;
+      visitedDirs.set(realDir, toRelativePath(rootPath, dir));
+
+      // Pick up any .gitignore / .repopromptignore in this directory
+      await ignoreManager.loadIgnoreFilesForDirectory(dir);
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (signal?.aborted) return;
+
+        const fullPath = path.join(dir, entry.name);
+        if (ignoreManager.shouldIgnore(fullPath, entry.isDirectory())) {
+          continue;
+        }
+
+        entryCount++;
+        if (onProgress && entryCount % PROGRESS_INTERVAL === 0) {
+          onProgress(stats, toRelativePath(rootPath, fullPath));
+        }
+
+        if (entry.isSymbolicLink()) {
+          if (settings.followSymlinks) {
+            deferredLinks.push({ fullPath, depth });
+          } else {
+            addLinkEntry(fullPath, await readLinkTarget(fullPath), false, 'Symbolic link (not followed)');
+          }
+        } else if (entry.isDirectory()) {
+          const loadChildren = depth < maxDepth;
+          files.push({
+            path: fullPath,
+            relativePath: toRelativePath(rootPath, fullPath),
+            size: 0,
+            isDirectory: true,
+            isSkipped: false,
+            tokenEstimate: 0,
+            ...(loadChildren ? {} : { hasChildren: true, childrenLoaded: false, hasLazyChildren: true })
+          });
+          if (loadChildren) {
+            await walk(fullPath, depth + 1, path.join(realDir, entry.name));
+          }
+        } else {
+          if (settings.followSymlinks) {
+            seenFiles.set(path.join(realDir, entry.name), toRelativePath(rootPath, fullPath));
+          }
+          await queueFile(fullPath);
+        }
+      }
+    };
+
+    // Follow a link found by walk(); links found inside linked directories are queued in turn
+    const followLink = async ({ fullPath, depth }: { fullPath: string; depth: number }) => {
+      const target = await readLinkTarget(fullPath);
+      const relativePath = toRelativePath(rootPath, fullPath);
+
+      let realTarget: string;
+      let targetStats: fs.Stats;
+      try {
+        realTarget = await fs.promises.realpath(fullPath);
+        targetStats = await fs.promises.stat(realTarget);
+      } catch {
+        addLinkEntry(fullPath, target, false, 'Broken symbolic link');
+        return;
+      }
+
+      if (targetStats.isDirectory()) {
+        const walkedAt = visitedDirs.get(realTarget);
+        if (walkedAt !== undefined) {
+          // Pointing at an ancestor would walk forever; anything else would list files twice
+          const isCycle = walkedAt === '' || relativePath.startsWith(`${walkedAt}/`);
+          addLinkEntry(fullPath, target, true, isCycle ? 'Symbolic link cycle' : `Duplicate of ${walkedAt}/`);
+          return;
+        }
+
+        const loadChildren = depth < maxDepth;
+        files.push({
+          path: fullPath,
+          relativePath,
+          size: 0,
+          isDirectory: true,
+          isSkipped: false,
+          tokenEstimate: 0,
+          isSymlink: true,
+          symlinkTarget: target,
+          ...(loadChildren ? {} : { hasChildren: true, childrenLoaded: false, hasLazyChildren: true })
+        });
+        if (loadChildren) {
+          await walk(fullPath, depth + 1, realTarget);
+        }
+      } else {
+        const seenAt = seenFiles.get(realTarget);
+        if (seenAt !== undefined) {
+          addLinkEntry(fullPath, target, false, `Duplicate of ${seenAt}`);
+          return;
+        }
+        seenFiles.set(realTarget, relativePath);
+        await queueFile(fullPath, target);
+      }
+    };
+
+    try {
+      // Directories above a subdirectory scan count as walked, so links back up are cycles
+      if (dirPath !== rootPath && !toRelativePath(rootPath, dirPath).startsWith('..')) {
+        for (let dir = path.dirname(dirPath); ; dir = path.dirname(dir)) {
+          visitedDirs.set(await fs.promises.realpath(dir), toRelativePath(rootPath, dir));
+          if (dir === rootPath || dir === path.dirname(dir)) break;
+        }
+      }
+
+      await walk(dirPath, 1, await fs.promises.realpath(dirPath));
+      while (deferredLinks.length > 0 && !signal?.aborted) {
+        await followLink(deferredLinks.shift()!);
+      }
+    } finally {
+      await Promise.all(pending);
+    }
+
+    const cancelled = signal?.aborted ?? false;
+    // Only a complete walk knows which files are gone
+    if (maxDepth === Infinity && !cancelled) {
+      this.cache.prune(dirPath, seenPaths);
+    }
+    await this.cache.save();
+
+    return { files, stats, cancelled, ignored: false };
+  }
+
+  /**
+   * Scan the files of a commit under the root, read with git instead of from the
+   * working tree (which is left untouched). Always loads the whole tree.
+   * Tracked files are listed even if ignore files match them, submodules and
+   * symbolic links are listed as skipped, and results are cached by blob id.
+   * Paths point where the files would be in the working tree.
+   */
+  private async scanGitRef(request: ScanRequest, gitRef: string): Promise<ScanResult> {
+    const { rootPath, settings, signal, onProgress } = request;
+    const files: FileInfo[] = [];
+    const stats = createStats();
+    const pending = new Set<Promise<void>>();
+    const maxInFlight = this.getPool().capacity * 2;
+
+    await this.cache.load();
+    const entries = await listTreeAtRef(rootPath, gitRef);
+    const reader = new GitBlobReader(rootPath);
+
+    const toFileInfo = (entry: GitTreeEntry): FileInfo => ({
+      path: path.join(rootPath, ...entry.relativePath.split('/')),
+      relativePath: entry.relativePath,
+      size: entry.size,
+      isDirectory: entry.type !== 'blob',
+      isSkipped: false,
+      tokenEstimate: 0
+    });
+
+    const addFile = async (entry: GitTreeEntry) => {
+      const info = toFileInfo(entry);
+      try {
+        const cacheKey = `git-blob:${entry.objectId}`;
+        const blobStats = { size: entry.size, mtimeMs: 0 };
+        const cached = this.cache.get(cacheKey, blobStats, settings.settingsKey);
+        let result: FileClassificationResult;
+        if (cached) {
+          result = { ...cached, skipReason: cached.skipReason || '' };
+          stats.cachedCount++;
+        } else {
+          // Too large or a binary extension: no need to read the blob
+          const check = checkSizeAndExtension(info.path, entry.size, settings.detectionOptions);
+          result = check
+            ? { isSkipped: true, skipReason: check.details || 'Binary file', binaryReason: check.reason, tokenEstimate: 0 }
+            : await this.classify(info.path, settings, await reader.read(entry.objectId));
+          this.cache.set(cacheKey, { ...blobStats, settingsKey: settings.settingsKey, ...result });
+        }
+
+        stats.fileCount++;
+        stats.totalSize += entry.size;
+        if (result.isSkipped) {
+          if (result.binaryReason === 'size') {
+            stats.sizeSkippedCount++;
+          } else {
+            stats.binaryCount++;
+          }
+          stats.skippedCount++;
+        } else {
+          stats.totalTokens += result.tokenEstimate;
+          if (result.isTruncated) stats.truncatedCount++;
+        }
+        files.push({
+          ...info,
+          isSkipped: result.isSkipped,
+          skipReason: result.skipReason,
+          tokenEstimate: result.isSkipped ? 0 : result.tokenEstimate,
+          ...(result.isTruncated ? { isTruncated: true } : {})
+        });
+      } catch (error) {
+        console.error(`Error reading ${entry.relativePath} at ${gitRef}:`, error);
+      }
+    };
+
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        if (signal?.aborted) break;
+        const entry = entries[i];
+        if (onProgress && (i + 1) % PROGRESS_INTERVAL === 0) {
+          onProgress(stats, entry.relativePath);
+        }
+
+        if (entry.type === 'tree') {
+          files.push(toFileInfo(entry));
+        } else if (entry.type === 'commit') {
+          stats.skippedCount++;
+          files.push({ ...toFileInfo(entry), isSkipped: true, skipReason: 'Submodule (not scanned)' });
+        } else if (entry.mode === '120000') {
+          // A link's blob holds its target
+          const target = (await reader.read(entry.objectId).catch(() => Buffer.alloc(0))).toString('utf8');
+          stats.skippedCount++;
+          files.push({
+            ...toFileInfo(entry),
+            size: 0,
+            isSkipped: true,
+            skipReason: 'Symbolic link (not followed)',
+            isSymlink: true,
+            symlinkTarget: target
+          });
+        } else {
+          if (pending.size >= maxInFlight) {
+            await Promise.race(pending);
+          }
+          const task: Promise<void> = addFile(entry).finally(() => pending.delete(task));
+          pending.add(task);
+        }
+      }
+    } finally {
+      await Promise.all(pending);
+      reader.close();
+    }
+
+    await this.cache.save();
+    return { files, stats, cancelled: signal?.aborted ?? false, ignored: false };
+  }
+
+  /**
+   * Classify a single file (binary / too large / text) and count its tokens on a scan worker.
+   * Unchanged files (same size and mtime, same settings) are served from the scan cache;
+   * call saveCache() after a batch of these.
+   */
+  async scanFile(
+    rootPath: string,
+    filePath: string,
+    settings: ScanSettings,
+    fileStats?: fs.Stats
+  ): Promise<FileClassificationResult & { info: FileInfo; size: number; fromCache: boolean }> {
+    await this.cache.load();
+    const stats = fileStats ?? await fs.promises.stat(filePath);
+
+    let result: FileClassificationResult;
+    const cached = this.cache.get(filePath, stats, settings.settingsKey);
+    if (cached) {
+      result = {
+        isSkipped: cached.isSkipped,
+        skipReason: cached.skipReason || '',
+        binaryReason: cached.binaryReason,
+        tokenEstimate: cached.tokenEstimate,
+        ...(cached.isTruncated ? { isTruncated: true } : {})
+      };
+    } else {
+      result = await this.classify(filePath, settings);
+      this.cache.set(filePath, {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        settingsKey: settings.settingsKey,
+        ...result
+      });
+    }
+
+    return {
+      ...result,
+      size: stats.size,
+      fromCache: Boolean(cached),
+      info: {
+        path: filePath,
+        relativePath: toRelativePath(rootPath, filePath),
+        size: stats.size,
+        isDirectory: false,
+        isSkipped: result.isSkipped,
+        skipReason: result.skipReason,
+        tokenEstimate: result.isSkipped ? 0 : result.tokenEstimate,
+        ...(result.isTruncated ? { isTruncated: true } : {})
+      }
+    };
+  }
+
+  /**
+   * Write pending cache changes to disk
+   */
+  async saveCache(): Promise<void> {
+    await this.cache.save();
+  }
+
+  /**
+   * Remove every cached scan result; returns how many were dropped
+   */
+  async clearCache(): Promise<number> {
+    await this.cache.load();
+    const clearedCount = this.cache.size;
+    await this.cache.clear();
+    return clearedCount;
+  }
+
+  /**
+   * Stop the scan workers
+   */
+  async destroy(): Promise<void> {
+    await this.pool?.destroy();
+    this.pool = null;
+  }
+
+  private getPool(): WorkerPool<ScanTask, FileClassificationResult> {
+    if (!this.pool) {
+      this.pool = new WorkerPool<ScanTask, FileClassificationResult>(
+        this.config.createWorker,
+        this.config.workerCount,
+        this.config.workerConcurrency
+      );
+    }
+    return this.pool;
+  }
+
+  // Classify on a worker, falling back to this thread if the workers are gone.
+  // `content` is classified instead of reading the file when given.
+  private async classify(filePath: string, settings: ScanSettings, content?: Uint8Array): Promise<FileClassificationResult> {
+    const { detectionOptions, tokenEncoding } = settings;
+    const classifyHere = async () => content
+      ? classifyContent(filePath, content, detectionOptions, tokenEncoding)
+      : classifyFileContent(filePath, detectionOptions, tokenEncoding);
+    const pool = this.getPool();
+    if (!pool.isAvailable) {
+      return classifyHere();
+    }
+    return pool.run({ filePath, content, detectionOptions, tokenEncoding })
+      .catch(classifyHere);
+  }
+}
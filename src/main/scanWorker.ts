@@ -0,0 +1,29 @@
+import { parentPort } from 'worker_threads';
+import { classifyContent, classifyFileContent } from './fileClassifier';
+import { freeEncoders } from './tokenizer';
+import type { ScanWorkerRequest, ScanWorkerResponse } from './workerPool';
+
+/**
+ * Scan worker: classifies files and counts their tokens off the main thread.
+ * Several requests may be in flight at once so file I/O overlaps with tokenizing.
+ */
+if (parentPort) {
+  const port = parentPort;
+
+  port.on('message', async (request: ScanWorkerRequest) => {
+    let response: ScanWorkerResponse;
+    try {
+      const result = request.content
+        ? classifyContent(request.filePath, request.content, request.detectionOptions, request.tokenEncoding)
+        : await classifyFileContent(request.filePath, request.detectionOptions, request.tokenEncoding);
+      response = { id: request.id, result };
+    } catch (error) {
+      response = { id: request.id, error: error instanceof Error ? error.message : String(error) };
+    }
+    port.postMessage(response);
+  });
+
+  port.on('close', () => {
+    freeEncoders();
+  });
+}
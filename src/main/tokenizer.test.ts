@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { countTokens, sliceTokens, isTokenEncoding, TOKEN_ENCODINGS, DEFAULT_TOKEN_ENCODING } from './tokenizer';
+
+describe('tokenizer', () => {
+  it('recognizes the supported encodings', () => {
+    for (const encoding of TOKEN_ENCODINGS) {
+      expect(isTokenEncoding(encoding)).toBe(true);
+    }
+    expect(isTokenEncoding('gpt2')).toBe(false);
+    expect(isTokenEncoding(undefined)).toBe(false);
+    expect(isTokenEncoding(42)).toBe(false);
+  });
+
+  it('counts tokens with each encoding', () => {
+    const code = '    indented code();\n';
+    // Older encodings split runs of whitespace into more tokens
+    expect(countTokens(code, 'cl100k_base')).toBe(5);
+    expect(countTokens(code, 'o200k_base')).toBe(5);
+    expect(countTokens(code, 'p50k_base')).toBe(6);
+    expect(countTokens(code, 'r50k_base')).toBe(8);
+    expect(countTokens('héllo wörld', 'o200k_base')).toBe(5);
+    expect(countTokens('héllo wörld', 'cl100k_base')).toBe(6);
+  });
+
+  it('counts special-token markers as ordinary text', () => {
+    for (const encoding of TOKEN_ENCODINGS) {
+      expect(countTokens('<|endoftext|>', encoding)).toBe(7);
+    }
+  });
+
+  it('uses the default encoding for empty text and unknown encodings', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens('héllo wörld', 'gpt2' as any)).toBe(countTokens('héllo wörld', DEFAULT_TOKEN_ENCODING));
+  });
+
+  it('slices the first or last tokens of a text with each encoding', () => {
+    for (const encoding of TOKEN_ENCODINGS) {
+      expect(sliceTokens('hello brave new world', 2, 'start', encoding)).toBe('hello brave');
+      expect(sliceTokens('hello brave new world', 2, 'end', encoding)).toBe(' new world');
+      expect(sliceTokens('hello world', 10, 'start', encoding)).toBe('hello world');
+      expect(sliceTokens('hello world', 0, 'end', encoding)).toBe('');
+    }
+  });
+});
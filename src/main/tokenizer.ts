@@ -0,0 +1,92 @@
+import { get_encoding, Tiktoken } from '@dqbd/tiktoken';
+
+/**
+ * BPE encodings supported for token counting
+ */
+export type TokenEncoding = 'cl100k_base' | 'o200k_base' | 'p50k_base' | 'r50k_base';
+
+/**
+ * All supported encodings, in the order they are offered to the user
+ */
+export const TOKEN_ENCODINGS: TokenEncoding[] = ['cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base'];
+
+/**
+ * Default encoding (GPT-4 / GPT-3.5 family)
+ */
+export const DEFAULT_TOKEN_ENCODING: TokenEncoding = 'cl100k_base';
+
+// Encoders are expensive to construct (they load the BPE ranks into WASM memory),
+// so we create each one lazily and keep it for the lifetime of the process
+const encoders = new Map<TokenEncoding, Tiktoken>();
+
+/**
+ * Check whether a value names a supported encoding
+ */
+export function isTokenEncoding(value: unknown): value is TokenEncoding {
+  return typeof value === 'string' && TOKEN_ENCODINGS.includes(value as TokenEncoding);
+}
+
+/**
+ * Get (or create) the encoder for an encoding
+ */
+function getEncoder(encoding: TokenEncoding): Tiktoken {
+  let encoder = encoders.get(encoding);
+  if (!encoder) {
+    encoder = get_encoding(encoding);
+    encoders.set(encoding, encoder);
+  }
+  return encoder;
+}
+
+/**
+ * Count the tokens in a piece of text with a real BPE tokenizer.
+ * Special-token markers such as <|endoftext|> are counted as ordinary text,
+ * since that is how they end up in a pasted prompt.
+ */
+export function countTokens(content: string, encoding: TokenEncoding = DEFAULT_TOKEN_ENCODING): number {
+  if (!content) return 0;
+
+  try {
+    return getEncoder(isTokenEncoding(encoding) ? encoding : DEFAULT_TOKEN_ENCODING)
+      .encode_ordinary(content).length;
+  } catch (error) {
+    console.error(`Error counting tokens with ${encoding}, falling back to estimate:`, error);
+    // Fall back to the rough 4-chars-per-token heuristic
+    return Math.ceil(content.length / 4);
+  }
+}
+
+/**
+ * The first (or last) `count` tokens of a piece of text, decoded back to text.
+ * A character split between two tokens at the cut is dropped.
+ */
+export function sliceTokens(
+  content: string,
+  count: number,
+  from: 'start' | 'end',
+  encoding: TokenEncoding = DEFAULT_TOKEN_ENCODING
+): string {
+  if (!content || count <= 0) return '';
+
+  try {
+    const encoder = getEncoder(isTokenEncoding(encoding) ? encoding : DEFAULT_TOKEN_ENCODING);
+    const tokens = encoder.encode_ordinary(content);
+    if (tokens.length <= count) return content;
+    const kept = from === 'start' ? tokens.slice(0, count) : tokens.slice(tokens.length - count);
+    return new TextDecoder().decode(encoder.decode(kept)).replace(/^\uFFFD|\uFFFD$/g, '');
+  } catch (error) {
+    console.error(`Error slicing tokens with ${encoding}, falling back to estimate:`, error);
+    // Same 4-chars-per-token heuristic as countTokens()
+    return from === 'start' ? content.slice(0, count * 4) : content.slice(-count * 4);
+  }
+}
+
+/**
+ * Release all encoders (call when the app is shutting down)
+ */
+export function freeEncoders(): void {
+  for (const encoder of encoders.values()) {
+    encoder.free();
+  }
+  encoders.clear();
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getTruncation, readPromptText, readTruncatedFile, truncateText, Truncation } from './truncation';
+import { countTokens } from './tokenizer';
+
+describe('truncation', () => {
+  const lines = (count: number) => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+  const byLines = (head: number, tail: number, windowBytes = 1024 * 1024): Truncation => ({ unit: 'lines', head, tail, windowBytes });
+  let dir: string | null = null;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  const writeTemp = (content: string) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'truncation-'));
+    const filePath = path.join(dir, 'dump.sql');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  it('only truncates oversized files when asked to', () => {
+    expect(getTruncation(2048, { maxSizeBytes: 1024 })).toBeNull();
+    expect(getTruncation(512, { maxSizeBytes: 1024, oversizedFiles: 'truncate' })).toBeNull();
+    expect(getTruncation(2048, { maxSizeBytes: 1024, oversizedFiles: 'truncate', truncateUnit: 'tokens', truncateHead: 50 }))
+      .toEqual({ unit: 'tokens', head: 50, tail: 100, windowBytes: 1024 });
+  });
+
+  it('keeps the first and last lines around a marker', () => {
+    expect(truncateText(lines(10), byLines(2, 1))).toBe('line 1\nline 2\n... [truncated: 51 B omitted] ...\nline 10');
+    expect(truncateText(lines(10), byLines(0, 2))).toBe('... [truncated: 57 B omitted] ...\nline 9\nline 10');
+    expect(truncateText(lines(3), byLines(2, 1))).toBe(lines(3));
+  });
+
+  it('keeps the first and last tokens', () => {
+    const content = lines(500);
+    const truncated = truncateText(content, { unit: 'tokens', head: 20, tail: 10, windowBytes: 1024 * 1024 });
+    const [head, tail] = truncated.split(/\n\.\.\. \[truncated: .* omitted\] \.\.\.\n/);
+
+    expect(content.startsWith(head)).toBe(true);
+    expect(content.endsWith(tail)).toBe(true);
+    expect(countTokens(head)).toBeLessThanOrEqual(20);
+    expect(countTokens(tail)).toBeLessThanOrEqual(10);
+  });
+
+  it('reads only the ends of a large file, dropping lines cut by the windows', async () => {
+    const content = lines(1000);
+    const filePath = writeTemp(content);
+
+    const truncated = await readTruncatedFile(filePath, Buffer.byteLength(content), byLines(3, 2, 64));
+    expect(truncated).toMatch(/^line 1\nline 2\nline 3\n\.\.\. \[truncated: .* omitted\] \.\.\.\nline 999\nline 1000$/);
+
+    // Windows hold fewer lines than asked for: only whole lines are kept
+    const partial = await readTruncatedFile(filePath, Buffer.byteLength(content), byLines(100, 100, 20));
+    expect(partial).toMatch(/^line 1\nline 2\n\.\.\. \[truncated: .* omitted\] \.\.\.\nline 999\nline 1000$/);
+  });
+
+  it('reads a file whole or truncated depending on the settings', async () => {
+    const filePath = writeTemp(lines(1000));
+
+    expect(await readPromptText(filePath, { maxSizeBytes: 1024 })).toEqual({ content: lines(1000), isTruncated: false });
+    const { content, isTruncated } = await readPromptText(filePath, {
+      maxSizeBytes: 1024,
+      oversizedFiles: 'truncate',
+      truncateHead: 1,
+      truncateTail: 1
+    });
+    expect(isTruncated).toBe(true);
+    expect(content).toMatch(/^line 1\n\.\.\. \[truncated: .* omitted\] \.\.\.\nline 1000$/);
+  });
+});
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import {
+  BinaryDetectionOptions,
+  DEFAULT_BINARY_OPTIONS,
+  TruncateUnit,
+  formatFileSize,
+  isTruncatedBySize
+} from './binaryDetection';
+import { sliceTokens, TokenEncoding } from './tokenizer';
+
+/**
+ * How a file over the size limit is cut down to its start and end
+ */
+export interface Truncation {
+  unit: TruncateUnit;
+  head: number;              // Lines or tokens kept from the start
+  tail: number;              // Lines or tokens kept from the end
+  windowBytes: number;       // Bytes read from each end of a file on disk
+}
+
+/**
+ * The truncation that applies to a file of this size, or null when it is
+ * under the limit or oversized files are skipped
+ */
+export function getTruncation(size: number, options: BinaryDetectionOptions = DEFAULT_BINARY_OPTIONS): Truncation | null {
+  if (!isTruncatedBySize(size, options)) return null;
+  const mergedOptions = { ...DEFAULT_BINARY_OPTIONS, ...options };
+  return {
+    unit: mergedOptions.truncateUnit === 'tokens' ? 'tokens' : 'lines',
+    head: Math.max(0, Math.floor(mergedOptions.truncateHead ?? 0)),
+    tail: Math.max(0, Math.floor(mergedOptions.truncateTail ?? 0)),
+    // The size limit still bounds what is read from each end
+    windowBytes: mergedOptions.maxSizeBytes || 1024 * 1024
+  };
+}
+
+/**
+ * The line that stands for the omitted middle of a truncated file
+ */
+export function formatTruncationMarker(omittedBytes: number): string {
+  return `... [truncated: ${formatFileSize(omittedBytes)} omitted] ...`;
+}
+
+// Lines of a text, without the empty line after a final newline
+function splitLines(text: string): string[] {
+  return (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+}
+
+// Start of a text; `isCut` when the text is a window ending mid-line
+function takeHead(text: string, truncation: Truncation, encoding?: TokenEncoding, isCut = false): string {
+  if (truncation.unit === 'tokens') return sliceTokens(text, truncation.head, 'start', encoding);
+  const lines = splitLines(text);
+  if (isCut && lines.length > 1) lines.pop();
+  return lines.slice(0, truncation.head).join('\n');
+}
+
+// End of a text; `isCut` when the text is a window starting mid-line
+function takeTail(text: string, truncation: Truncation, encoding?: TokenEncoding, isCut = false): string {
+  if (truncation.unit === 'tokens') return sliceTokens(text, truncation.tail, 'end', encoding);
+  if (truncation.tail === 0) return '';
+  const lines = splitLines(text);
+  if (isCut && lines.length > 1) lines.shift();
+  return lines.slice(-truncation.tail).join('\n');
+}
+
+function joinTruncated(head: string, tail: string, totalBytes: number): string {
+  const omittedBytes = Math.max(0, totalBytes - Buffer.byteLength(head) - Buffer.byteLength(tail));
+  return [head, formatTruncationMarker(omittedBytes), tail].filter(part => part !== '').join('\n');
+}
+
+/**
+ * Truncate text already in memory (e.g. a file of a git commit).
+ * Text with no more lines (or tokens) than are kept is returned whole.
+ */
+export function truncateText(content: string, truncation: Truncation, encoding?: TokenEncoding): string {
+  const head = takeHead(content, truncation, encoding);
+  const tail = takeTail(content, truncation, encoding);
+  const isWhole = truncation.unit === 'lines'
+    ? splitLines(content).length <= truncation.head + truncation.tail
+    : Buffer.byteLength(head) + Buffer.byteLength(tail) >= Buffer.byteLength(content);
+  return isWhole ? content : joinTruncated(head, tail, Buffer.byteLength(content));
+}
+
+/**
+ * Truncate a file on disk, reading at most `windowBytes` from each end
+ */
+export async function readTruncatedFile(
+  filePath: string,
+  size: number,
+  truncation: Truncation,
+  encoding?: TokenEncoding
+): Promise<string> {
+  if (size <= truncation.windowBytes * 2) {
+    return truncateText(await fs.promises.readFile(filePath, 'utf8'), truncation, encoding);
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const readWindow = async (position: number) => {
+      const buffer = Buffer.alloc(truncation.windowBytes);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      // A character split at the window's edge decodes as U+FFFD
+      return buffer.toString('utf8', 0, bytesRead).replace(/^\uFFFD+|\uFFFD+$/g, '');
+    };
+    const head = takeHead(await readWindow(0), truncation, encoding, true);
+    const tail = takeTail(await readWindow(size - truncation.windowBytes), truncation, encoding, true);
+    return joinTruncated(head, tail, size);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read a text file as it is sent in a prompt: whole, or truncated when it is
+ * over the size limit and oversized files are truncated
+ */
+export async function readPromptText(
+  filePath: string,
+  options: BinaryDetectionOptions = DEFAULT_BINARY_OPTIONS,
+  encoding?: TokenEncoding
+): Promise<{ content: string; isTruncated: boolean }> {
+  const { size } = await fs.promises.stat(filePath);
+  const truncation = getTruncation(size, options);
+  return truncation
+    ? { content: await readTruncatedFile(filePath, size, truncation, encoding), isTruncated: true }
+    : { content: await fs.promises.readFile(filePath, 'utf8'), isTruncated: false };
+}
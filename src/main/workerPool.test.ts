@@ -0,0 +1,61 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { Worker } from 'worker_threads';
+import { WorkerPool } from './workerPool';
+
+// Doubles `value`, failing for negative numbers; `delay` keeps tasks in flight
+const DOUBLING_WORKER = `
+const { parentPort } = require('worker_threads');
+let running = 0;
+parentPort.on('message', ({ id, value, delay }) => {
+  running++;
+  setTimeout(() => {
+    const maxRunning = running;
+    running--;
+    if (value < 0) parentPort.postMessage({ id, error: 'negative value' });
+    else parentPort.postMessage({ id, result: { doubled: value * 2, maxRunning } });
+  }, delay || 0);
+});
+`;
+
+type Task = { value: number; delay?: number };
+type Result = { doubled: number; maxRunning: number };
+
+describe('WorkerPool', () => {
+  let pool: WorkerPool<Task, Result> | null = null;
+
+  afterEach(async () => {
+    await pool?.destroy();
+    pool = null;
+  });
+
+  it('runs tasks on workers and returns their results', async () => {
+    pool = new WorkerPool<Task, Result>(() => new Worker(DOUBLING_WORKER, { eval: true }), 2, 4);
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => pool!.run({ value })));
+    expect(results.map(r => r.doubled)).toEqual([2, 4, 6, 8, 10]);
+    expect(pool.capacity).toBe(8);
+  });
+
+  it('rejects tasks the worker reports as failed', async () => {
+    pool = new WorkerPool<Task, Result>(() => new Worker(DOUBLING_WORKER, { eval: true }), 1, 1);
+    await expect(pool.run({ value: -1 })).rejects.toThrow('negative value');
+  });
+
+  it('never runs more tasks per worker than its concurrency', async () => {
+    pool = new WorkerPool<Task, Result>(() => new Worker(DOUBLING_WORKER, { eval: true }), 1, 2);
+    const results = await Promise.all(
+      Array.from({ length: 6 }, (_, value) => pool!.run({ value, delay: 20 }))
+    );
+    expect(Math.max(...results.map(r => r.maxRunning))).toBeLessThanOrEqual(2);
+  });
+
+  it('becomes unavailable and rejects tasks when its workers die', async () => {
+    pool = new WorkerPool<Task, Result>(
+      () => new Worker('throw new Error("boom")', { eval: true }),
+      1,
+      1
+    );
+    await expect(pool.run({ value: 1 })).rejects.toThrow();
+    expect(pool.isAvailable).toBe(false);
+    await expect(pool.run({ value: 1 })).rejects.toThrow('No worker threads available');
+  });
+});
@@ -0,0 +1,187 @@
+import type { Worker } from 'worker_threads';
+import type { BinaryDetectionOptions } from './binaryDetection';
+import type { FileClassificationResult } from './fileClassifier';
+import type { TokenEncoding } from './tokenizer';
+
+/**
+ * Message sent to a pool worker; the id pairs it with its response
+ */
+export type WorkerRequest<TTask> = TTask & { id: number };
+
+/**
+ * Message sent back by a pool worker
+ */
+export interface WorkerResponse<TResult> {
+  id: number;
+  result?: TResult;
+  error?: string;
+}
+
+/**
+ * Work item for the scan workers: classify one file and count its tokens
+ */
+export interface ScanTask {
+  filePath: string;
+  content?: Uint8Array;      // Classify this instead of reading filePath (files of a git commit)
+  detectionOptions: BinaryDetectionOptions;
+  tokenEncoding: TokenEncoding;
+}
+
+export type ScanWorkerRequest = WorkerRequest<ScanTask>;
+export type ScanWorkerResponse = WorkerResponse<FileClassificationResult>;
+
+interface PendingTask<TResult> {
+  resolve: (result: TResult) => void;
+  reject: (error: Error) => void;
+}
+
+interface PoolWorker<TResult> {
+  worker: Worker;
+  pending: Map<number, PendingTask<TResult>>;
+}
+
+interface QueuedTask<TTask, TResult> extends PendingTask<TResult> {
+  request: WorkerRequest<TTask>;
+}
+
+/**
+ * Fixed-size pool of worker threads.
+ * Each worker runs at most `concurrencyPerWorker` tasks at once, which bounds
+ * the number of files open at any time; further tasks wait in a queue.
+ * If every worker dies the pool becomes unavailable and rejects all tasks,
+ * so callers can fall back to doing the work themselves.
+ */
+export class WorkerPool<TTask, TResult> {
+  private workers: PoolWorker<TResult>[] = [];
+  private queue: QueuedTask<TTask, TResult>[] = [];
+  private nextId: number = 1;
+  private concurrencyPerWorker: number;
+
+  constructor(createWorker: () => Worker, size: number, concurrencyPerWorker: number) {
+    this.concurrencyPerWorker = Math.max(1, concurrencyPerWorker);
+
+    for (let i = 0; i < Math.max(1, size); i++) {
+      try {
+        this.addWorker(createWorker());
+      } catch (error) {
+        console.error('Unable to start worker thread:', error);
+      }
+    }
+  }
+
+  /**
+   * Whether any worker is still running
+   */
+  get isAvailable(): boolean {
+    return this.workers.length > 0;
+  }
+
+  /**
+   * Maximum number of tasks running at once
+   */
+  get capacity(): number {
+    return Math.max(1, this.workers.length) * this.concurrencyPerWorker;
+  }
+
+  /**
+   * Run a task on the least busy worker
+   */
+  run(task: TTask): Promise<TResult> {
+    if (!this.isAvailable) {
+      return Promise.reject(new Error('No worker threads available'));
+    }
+
+    return new Promise<TResult>((resolve, reject) => {
+      this.queue.push({ request: { ...task, id: this.nextId++ }, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stop all workers; queued and running tasks are rejected
+   */
+  async destroy(): Promise<void> {
+    const workers = this.workers;
+    this.workers = [];
+    this.rejectQueued(new Error('Worker pool destroyed'));
+    await Promise.all(workers.map(({ worker, pending }) => {
+      this.rejectPending(pending, new Error('Worker pool destroyed'));
+      return worker.terminate();
+    }));
+  }
+
+  private addWorker(worker: Worker): void {
+    const poolWorker: PoolWorker<TResult> = { worker, pending: new Map() };
+
+    worker.on('message', (response: WorkerResponse<TResult>) => {
+      const task = poolWorker.pending.get(response.id);
+      if (!task) return;
+      poolWorker.pending.delete(response.id);
+
+      if (response.error !== undefined) {
+        task.reject(new Error(response.error));
+      } else {
+        task.resolve(response.result as TResult);
+      }
+      this.dispatch();
+    });
+
+    const removeWorker = (error: Error) => {
+      if (!this.workers.includes(poolWorker)) return;
+      this.workers = this.workers.filter(w => w !== poolWorker);
+      this.rejectPending(poolWorker.pending, error);
+
+      if (this.isAvailable) {
+        this.dispatch();
+      } else {
+        console.error('All worker threads stopped:', error);
+        this.rejectQueued(error);
+      }
+    };
+
+    worker.on('error', (error) => {
+      console.error('Worker thread failed:', error);
+      removeWorker(error);
+    });
+    worker.on('exit', (code) => {
+      removeWorker(new Error(`Worker thread exited with code ${code}`));
+    });
+
+    this.workers.push(poolWorker);
+  }
+
+  // Hand queued tasks to workers with free slots
+  private dispatch(): void {
+    while (this.queue.length > 0) {
+      let target: PoolWorker<TResult> | null = null;
+      for (const poolWorker of this.workers) {
+        if (
+          poolWorker.pending.size < this.concurrencyPerWorker &&
+          (!target || poolWorker.pending.size < target.pending.size)
+        ) {
+          target = poolWorker;
+        }
+      }
+      if (!target) return;
+
+      const { request, resolve, reject } = this.queue.shift()!;
+      target.pending.set(request.id, { resolve, reject });
+      target.worker.postMessage(request);
+    }
+  }
+
+  private rejectPending(pending: Map<number, PendingTask<TResult>>, error: Error): void {
+    for (const task of pending.values()) {
+      task.reject(error);
+    }
+    pending.clear();
+  }
+
+  private rejectQueued(error: Error): void {
+    const queued = this.queue;
+    this.queue = [];
+    for (const task of queued) {
+      task.reject(error);
+    }
+  }
+}
@@ -2,25 +2,56 @@ import { contextBridge, ipcRenderer } from 'electron';
  
 // Expose secure, whitelisted APIs to the renderer
 contextBridge.exposeInMainWorld('api', {
-  selectFolder: () => ipcRenderer.invoke('dialog:openDirectory'),
+  selectFolder: (title?: string) => ipcRenderer.invoke('dialog:openDirectory', title),
   verifyDroppedFolder: (path: string) => ipcRenderer.invoke('verify:droppedFolder', path),
   // Directory walker
   walkDirectory: (path: string, options?: any) => ipcRenderer.invoke('directory:walk', path, options),
+  // Cancel the running directory walk
+  cancelWalk: () => ipcRenderer.invoke('directory:cancelWalk'),
+  // Clear the persistent scan cache
+  clearScanCache: () => ipcRenderer.invoke('scanCache:clear'),
   // Listen for scan progress
   onWalkProgress: (callback: (data: any) => void) => {
     const listener = (_: any, data: any) => callback(data);
     ipcRenderer.on('directory:walkProgress', listener);
     return () => ipcRenderer.removeListener('directory:walkProgress', listener);
   },
+  // Listen for live file changes under the scanned root
+  onDirectoryChanges: (callback: (data: any) => void) => {
+    const listener = (_: any, data: any) => callback(data);
+    ipcRenderer.on('directory:changes', listener);
+    return () => ipcRenderer.removeListener('directory:changes', listener);
+  },
+  // Git repository info and changed / staged / untracked files
+  getGitInfo: (rootPath: string) => ipcRenderer.invoke('git:info', rootPath),
+  listGitFiles: (rootPath: string, kind: string, baseRef?: string) => ipcRenderer.invoke('git:listFiles', rootPath, kind, baseRef),
+  getGitStatus: (rootPath: string) => ipcRenderer.invoke('git:status', rootPath),
+  getRelatedFiles: (rootPath: string, selectedPaths: string[]) => ipcRenderer.invoke('git:relatedFiles', rootPath, selectedPaths),
+  // Files imported by or importing the selected files
+  expandImports: (rootPath: string, selectedPaths: string[], options: any) => ipcRenderer.invoke('imports:expand', rootPath, selectedPaths, options),
   // Lazy load directory children
   lazyLoadChildren: (path: string, options?: any) => ipcRenderer.invoke('directory:lazyLoadChildren', path, options),
   // File operations
   readFileContent: (path: string, options?: any) => ipcRenderer.invoke('file:readContent', path, options),
+  countPartialTokens: (files: any[], options?: any) => ipcRenderer.invoke('file:partialTokens', files, options),
+  countInstructionTokens: (instructions: any, context: any) => ipcRenderer.invoke('instructions:countTokens', instructions, context),
+  countFileMapTokens: (fileMap: any, options?: any) => ipcRenderer.invoke('fileMap:countTokens', fileMap, options),
+  countDiffTokens: (files: any[], options: any) => ipcRenderer.invoke('gitDiff:countTokens', files, options),
+  getModifiedTimes: (paths: string[]) => ipcRenderer.invoke('file:modifiedTimes', paths),
+  getFileSymbols: (file: any, options?: any) => ipcRenderer.invoke('file:symbols', file, options),
   checkBinaryStatus: (path: string, options?: any) => ipcRenderer.invoke('file:checkBinary', path, options),
   // Clipboard operations
   writeToClipboard: (payload: string) => ipcRenderer.invoke('clipboard:writePrompt', payload),
   // Generate payload and copy to clipboard
   generatePayloadAndCopy: (
-    selectedFiles: Array<{ path: string; relativePath: string; tokenEstimate: number; isDirectory: boolean; isSkipped: boolean }>
-  ) => ipcRenderer.invoke('generate-payload-and-copy', selectedFiles)
+    selectedFiles: Array<{ path: string; relativePath: string; tokenEstimate: number; isDirectory: boolean; isSkipped: boolean }>,
+    options?: { tokenLimit?: number; warningThreshold?: number; rootPath?: string; tokenEncoding?: string; gitRef?: string; gitDiff?: any; format?: string; fileMap?: any; instructions?: any }
+  ) => ipcRenderer.invoke('generate-payload-and-copy', selectedFiles, options),
+  // Split the selection into parts that fit the token limit
+  planPayloadParts: (selectedFiles: any[], options?: any) => ipcRenderer.invoke('payload:planParts', selectedFiles, options),
+  // Generate the same payload and write it to a file chosen in a save dialog
+  generatePayloadAndExport: (
+    selectedFiles: Array<{ path: string; relativePath: string; tokenEstimate: number; isDirectory: boolean; isSkipped: boolean }>,
+    options?: { tokenLimit?: number; warningThreshold?: number; rootPath?: string; tokenEncoding?: string; gitRef?: string; gitDiff?: any; format?: string; fileMap?: any; instructions?: any; exportDirectory?: string }
+  ) => ipcRenderer.invoke('generate-payload-and-export', selectedFiles, options)
 }); 
\ No newline at end of file
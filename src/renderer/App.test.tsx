@@ -71,9 +71,13 @@ vi.mock('./components/Toolbar', () => ({
     onDeselectAll,
     onTogglePreview,
     onToggleStats,
-    onCopyToClipboard
+    onCopyToClipboard,
+    extraTokens,
+    exceedsLimit
   }: any) => (
     <div data-testid="toolbar">
+      <span data-testid="extra-tokens">{extraTokens}</span>
+      {exceedsLimit && <span>Token limit exceeded</span>}
       <button onClick={onExpandAll}>Expand All</button>
       <button onClick={onCollapseAll}>Collapse All</button>
       <button onClick={onSelectAll}>Select All</button>
@@ -85,6 +89,12 @@ vi.mock('./components/Toolbar', () => ({
   )
 }));
 
+vi.mock('./components/GitPanel', () => ({
+  default: ({ onDiffOptionsChange }: any) => (
+    <button onClick={() => onDiffOptionsChange({ target: 'head' })}>Include Diff</button>
+  )
+}));
+
 vi.mock('./components/FileMapPreview', () => ({
   default: () => <div data-testid="file-map-preview">File Map Preview</div>
 }));
@@ -266,6 +276,64 @@ describe('App Component', () => {
     });
   });
   
+  it('counts the git diff toward the token limit', async () => {
+    window.api.countDiffTokens = vi.fn().mockResolvedValue({ success: true, tokens: { 'file1.ts': 1999600 } });
+    render(<App />);
+
+    fireEvent.click(screen.getByText('Select Folder'));
+    await waitFor(() => expect(screen.getByTestId('file-tree')).toBeInTheDocument());
+    fireEvent.click(screen.getByText('Select Files'));
+    expect(screen.queryByText('Token limit exceeded')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Include Diff'));
+
+    await waitFor(() => expect(screen.getByText('Token limit exceeded')).toBeInTheDocument());
+    expect(screen.getByTestId('extra-tokens')).toHaveTextContent('1999600');
+    expect(window.api.countDiffTokens).toHaveBeenCalledWith(
+      [{ relativePath: 'file1.ts', tokenEstimate: 200 }, { relativePath: 'file2.js', tokenEstimate: 300 }],
+      { rootPath: '/test/mock-folder', gitDiff: { target: 'head' }, tokenEncoding: expect.any(String) }
+    );
+  });
+
+  it('counts the file map toward the token limit', async () => {
+    window.api.countFileMapTokens = vi.fn().mockResolvedValue({ success: true, tokens: 1999600 });
+    render(<App />);
+
+    fireEvent.click(screen.getByText('Select Folder'));
+    await waitFor(() => expect(screen.getByTestId('file-tree')).toBeInTheDocument());
+    // 500 tokens of files: the map pushes the selection over the 2M limit
+    fireEvent.click(screen.getByText('Select Files'));
+
+    await waitFor(() => expect(screen.getByText('Token limit exceeded')).toBeInTheDocument());
+    expect(screen.getByTestId('extra-tokens')).toHaveTextContent('1999600');
+    expect(window.api.countFileMapTokens).toHaveBeenCalledWith(
+      expect.objectContaining({
+        rootFolderName: 'mock-folder',
+        selectedPaths: ['/test/mock-folder/file1.ts', '/test/mock-folder/file2.js']
+      }),
+      { tokenEncoding: expect.any(String) }
+    );
+  });
+
+  it('leaves the file map out of the count when the instructions place only the files', async () => {
+    window.localStorage.setItem('repoPromptLite.instructions', JSON.stringify({ text: 'Review\n{{files}}', placement: 'before' }));
+    window.api.countInstructionTokens = vi.fn().mockResolvedValue({ success: true, tokens: 5 });
+    window.api.countFileMapTokens = vi.fn().mockResolvedValue({ success: true, tokens: 1999600 });
+    try {
+      render(<App />);
+
+      fireEvent.click(screen.getByText('Select Folder'));
+      await waitFor(() => expect(screen.getByTestId('file-tree')).toBeInTheDocument());
+      fireEvent.click(screen.getByText('Select Files'));
+
+      await waitFor(() => expect(window.api.countFileMapTokens).toHaveBeenCalled());
+      await waitFor(() => expect(screen.getByTestId('extra-tokens')).toHaveTextContent(/^5$/));
+      expect(screen.queryByText('Token limit exceeded')).not.toBeInTheDocument();
+    } finally {
+      window.localStorage.removeItem('repoPromptLite.instructions');
+    }
+  });
+
   it('clears selection when selecting a new folder', async () => {
     render(<App />);
     
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
 import FolderPicker from './components/FolderPicker';
 import DirectoryScanner from './components/DirectoryScanner';
 import FileTree from './components/FileTree';
@@ -6,21 +6,37 @@ import FileMapPreview from './components/FileMapPreview';
 import SelectionStats from './components/SelectionStats';
 import TokenCounter from './components/TokenCounter';
 import Toolbar from './components/Toolbar';
+import GitPanel from './components/GitPanel';
+import RelatedFiles from './components/RelatedFiles';
+import ImportExpansion from './components/ImportExpansion';
+import FileContentView from './components/FileContentView';
+import InstructionsEditor from './components/InstructionsEditor';
+import PayloadParts from './components/PayloadParts';
+import BudgetFitter from './components/BudgetFitter';
 import clsx from 'clsx';
-import { FileInfo, ScanResults } from './types/common';
+import { ContextProfile, FileInclusion, FileInfo, GitDiffOptions, GitFileStatus, PartialTokenCount, PromptTemplate, ScanResults } from './types/common';
+import type { PayloadFileMapRequest } from './types/api';
 import { 
+  applyFileChanges,
   getSelectedFiles, 
   getTotalTokenCount, 
-  isExceedingTokenLimit, 
-  getTokenUsagePercentage,
   formatNumber
 } from './utils/selectionUtils';
-import { copyPromptToClipboard, DEFAULT_PROMPT_OPTIONS, MAX_TOKEN_LIMIT } from './utils/promptUtils';
+import { applyInclusions, getFileInclusion, getInclusionKey, isPartialCountCurrent } from './utils/inclusionUtils';
+import { DEFAULT_PROMPT_OPTIONS } from './utils/promptUtils';
+import { DEFAULT_PAYLOAD_FORMAT, PayloadFormat } from '../shared/payloadFormat';
+import { omitsFileMap, PromptInstructions } from '../shared/promptTemplate';
 import { TreeFormatOptions } from './utils/formatUtils';
-
-// Token limits - sync with promptUtils
-const TOKEN_LIMIT = MAX_TOKEN_LIMIT; // 2 million tokens
-const WARNING_THRESHOLD = 90; // 90% of limit
+import {
+  loadProfiles,
+  saveProfiles,
+  loadActiveProfileId,
+  saveActiveProfileId,
+  getProfileById,
+  getProfileBudget
+} from './utils/profileUtils';
+import { loadInstructions, loadTemplates, saveInstructions, saveTemplates } from './utils/templateUtils';
+import { loadExportDirectory, saveExportDirectory } from './utils/exportUtils';
 
 // Type for the response from the main process
 interface CopyPayloadResponse {
@@ -28,6 +44,7 @@ interface CopyPayloadResponse {
   message: string;
   CANCELED_BECAUSE_TOO_LARGE_BOOLEAN?: boolean;
   tokens?: number;
+  cancelled?: boolean;  // Export dialog closed without choosing a file
 }
 
 export default function App(): JSX.Element {
@@ -36,9 +53,36 @@ export default function App(): JSX.Element {
   const [selectedFiles, setSelectedFiles] = useState<FileInfo[]>([]);
   const [showPreview, setShowPreview] = useState(false);
   const [isCopying, setIsCopying] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  // Folder the export dialog opens in (persisted in localStorage)
+  const [exportDirectory, setExportDirectory] = useState<string | null>(() => loadExportDirectory());
   const [copyResult, setCopyResult] = useState<{ success: boolean; message: string } | null>(null);
   const [showStats, setShowStats] = useState(true); // Show stats by default
   const [fileMapOptions, setFileMapOptions] = useState<TreeFormatOptions>(DEFAULT_PROMPT_OPTIONS);
+  // Output format of the copied payload
+  const [payloadFormat, setPayloadFormat] = useState<PayloadFormat>(DEFAULT_PAYLOAD_FORMAT);
+  // Git status of the scanned files (null outside a repository or for git ref scans)
+  const [gitStatuses, setGitStatuses] = useState<Record<string, GitFileStatus> | null>(null);
+  // <git_diff> section settings from the Git panel
+  const [gitDiffOptions, setGitDiffOptions] = useState<GitDiffOptions | null>(null);
+  // Files copied partially, as outlines or line ranges (files not listed are copied in full)
+  const [inclusions, setInclusions] = useState<Record<string, FileInclusion>>({});
+  // Token counts of the included parts of those files
+  const [partialTokens, setPartialTokens] = useState<Record<string, PartialTokenCount>>({});
+  // File open in the content view for picking lines
+  const [contentViewPath, setContentViewPath] = useState<string | null>(null);
+  // Context profiles (persisted in localStorage)
+  const [profiles, setProfiles] = useState<ContextProfile[]>(() => loadProfiles());
+  const [activeProfileId, setActiveProfileId] = useState<string>(() => loadActiveProfileId(profiles));
+  // Instructions sent with the files, and saved templates (persisted in localStorage)
+  const [instructions, setInstructions] = useState<PromptInstructions>(() => loadInstructions());
+  const [templates, setTemplates] = useState<PromptTemplate[]>(() => loadTemplates());
+  // Tokens the instructions add to the payload (null while counting)
+  const [instructionTokens, setInstructionTokens] = useState<number | null>(0);
+  // Tokens of the file map sent with the selection
+  const [fileMapTokens, setFileMapTokens] = useState(0);
+  // Tokens the git diff adds to each selected file that has one
+  const [diffTokens, setDiffTokens] = useState<Record<string, number>>({});
   // New state for copy progress
   const [copyProgress, setCopyProgress] = useState<{
     current: number;
@@ -53,14 +97,74 @@ export default function App(): JSX.Element {
     collapseAll: () => void;
     selectAll: () => void;
     deselectAll: () => void;
+    selectPaths: (relativePaths: string[], mode?: 'replace' | 'add') => number;
   } | null>(null);
 
   console.log('App component rendered/re-rendered');
 
+  // Token limits come from the active profile
+  const activeProfile = getProfileById(profiles, activeProfileId);
+  const TOKEN_LIMIT = getProfileBudget(activeProfile);
+  const WARNING_THRESHOLD = activeProfile.warningThreshold;
+
+  useEffect(() => {
+    saveProfiles(profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    saveActiveProfileId(activeProfileId);
+  }, [activeProfileId]);
+
+  useEffect(() => {
+    saveInstructions(instructions);
+  }, [instructions]);
+
+  useEffect(() => {
+    saveTemplates(templates);
+  }, [templates]);
+
+  useEffect(() => {
+    saveExportDirectory(exportDirectory);
+  }, [exportDirectory]);
+
+  // Apply live file changes from the main process to the scanned tree
+  useEffect(() => {
+    const unsubscribe = window.api.onDirectoryChanges?.((changes) => {
+      console.log('[App.tsx] Received', changes.events.length, 'file changes for', changes.rootPath);
+      setScanResults(prevResults => {
+        if (!prevResults || prevResults.rootPath !== changes.rootPath) return prevResults;
+        return {
+          ...prevResults,
+          files: applyFileChanges(prevResults.files, changes.events)
+        };
+      });
+    });
+    return () => unsubscribe?.();
+  }, []);
+
+  // Read the working tree status of the scanned folder
+  const refreshGitStatus = useCallback(async (results: ScanResults | null) => {
+    if (!results || results.gitRef) {
+      setGitStatuses(null);
+      return;
+    }
+    try {
+      const status = await window.api.getGitStatus?.(results.rootPath);
+      setGitStatuses(status?.success && status.statuses ? status.statuses : null);
+    } catch (error) {
+      console.error('[App.tsx] Error reading git status:', error);
+      setGitStatuses(null);
+    }
+  }, []);
+
   const handleFolderSelected = (folderPath: string) => {
     console.log('[App.tsx] handleFolderSelected called with path:', folderPath);
     setSelectedFolder(folderPath);
     setScanResults(null);
+    setGitStatuses(null);
+    setInclusions({});
+    setPartialTokens({});
+    setContentViewPath(null);
     setSelectedFiles([]);
     setShowPreview(false);
     setCopyResult(null);
@@ -69,6 +173,28 @@ export default function App(): JSX.Element {
   const handleScanComplete = (results: ScanResults) => {
     console.log('[App.tsx] handleScanComplete. Total files scanned:', results.files.length);
     setScanResults(results);
+    setPartialTokens({});
+    refreshGitStatus(results);
+  };
+
+  // Copy a file partially, or in full again (null)
+  const handleInclusionChange = useCallback((relativePath: string, inclusion: FileInclusion | null) => {
+    setInclusions(prev => {
+      const next = { ...prev };
+      if (inclusion) next[relativePath] = inclusion;
+      else delete next[relativePath];
+      return next;
+    });
+  }, []);
+
+  // Apply a fit-to-budget proposal: keep only its files, outlining those it downgrades
+  const handleFitToBudget = (keptPaths: string[], outlinedPaths: string[]) => {
+    setInclusions(prev => {
+      const next = { ...prev };
+      for (const relativePath of outlinedPaths) next[relativePath] = { mode: 'outline' };
+      return next;
+    });
+    selectPaths([...keptPaths, ...outlinedPaths], 'replace');
   };
 
   const handleSelectionChange = (files: FileInfo[]) => {
@@ -121,17 +247,35 @@ export default function App(): JSX.Element {
     fileTreeRef.current?.deselectAll();
   };
 
+  // Select the files listed by the Git panel
+  const selectPaths = (relativePaths: string[], mode: 'replace' | 'add') => {
+    console.log('[App.tsx] selectPaths called with', relativePaths.length, 'paths');
+    return fileTreeRef.current?.selectPaths(relativePaths, mode) ?? 0;
+  };
+
   const handleFileMapOptionsChange = (options: TreeFormatOptions) => {
     console.log('[App.tsx] handleFileMapOptionsChange called with options:', options);
     setFileMapOptions(options);
   };
 
+  // Selected files, with the counts of their included parts
+  const includedFiles = useMemo(
+    () => applyInclusions(getSelectedFiles(selectedFiles), inclusions, partialTokens),
+    [selectedFiles, inclusions, partialTokens]
+  );
+
+  // A template that places the files without the map leaves it out of the prompt
+  const sentFileMapTokens = omitsFileMap(instructions.text) ? 0 : fileMapTokens;
+
   const processedSelection = useMemo(() => {
     console.log('[App.tsx] useMemo processedSelection recalculating. Input selectedFiles count:', selectedFiles.length);
-    const filteredFiles = getSelectedFiles(selectedFiles);
-    const totalTokens = getTotalTokenCount(filteredFiles);
-    const tokenPercentage = getTokenUsagePercentage(filteredFiles, TOKEN_LIMIT);
-    const exceedsLimit = isExceedingTokenLimit(filteredFiles, TOKEN_LIMIT);
+    const filteredFiles = includedFiles;
+    // Instructions, the file map and diffs take part of the budget like the files, as the payload builder counts them
+    const diffTotal = filteredFiles.reduce((sum, file) => sum + (diffTokens[file.relativePath] ?? 0), 0);
+    const extraTokens = (instructionTokens ?? 0) + sentFileMapTokens + diffTotal;
+    const totalTokens = getTotalTokenCount(filteredFiles) + extraTokens;
+    const tokenPercentage = (totalTokens / TOKEN_LIMIT) * 100;
+    const exceedsLimit = totalTokens > TOKEN_LIMIT;
     const isWarning = tokenPercentage >= WARNING_THRESHOLD;
 
     console.log('[App.tsx] useMemo processedSelection_RESULT:', {
@@ -139,19 +283,145 @@ export default function App(): JSX.Element {
       filteredCount: filteredFiles.length,
       totalTokens,
       // firstFilteredFile: filteredFiles[0] ? {path: filteredFiles[0].relativePath, tokens: filteredFiles[0].tokenEstimate} : null,
-      exceedsLimit: isExceedingTokenLimit(filteredFiles, TOKEN_LIMIT),
-      isWarning: getTokenUsagePercentage(filteredFiles, TOKEN_LIMIT) >= WARNING_THRESHOLD,
+      exceedsLimit,
+      isWarning,
       filesSample: filteredFiles.slice(0,3).map(f => ({ path: f.relativePath, tokens: f.tokenEstimate, isDir: f.isDirectory, isSkipped: f.isSkipped, size: f.size }))
     });
     return {
       files: filteredFiles,
       count: filteredFiles.length,
       totalTokens,
-      tokenPercentage: getTokenUsagePercentage(filteredFiles, TOKEN_LIMIT),
-      exceedsLimit: isExceedingTokenLimit(filteredFiles, TOKEN_LIMIT),
-      isWarning: getTokenUsagePercentage(filteredFiles, TOKEN_LIMIT) >= WARNING_THRESHOLD
+      extraTokens,
+      tokenPercentage,
+      exceedsLimit,
+      isWarning
     };
-  }, [selectedFiles]);
+  }, [selectedFiles, includedFiles, diffTokens, sentFileMapTokens, instructionTokens, TOKEN_LIMIT, WARNING_THRESHOLD]);
+
+  // Count the included parts of partially included files that are new or changed since they were counted
+  useEffect(() => {
+    const pending = selectedFiles.flatMap(file => {
+      const inclusion = getFileInclusion(file, inclusions);
+      return inclusion && !isPartialCountCurrent(file, inclusion, partialTokens[file.relativePath])
+        ? [{ file, inclusion }]
+        : [];
+    });
+    if (!scanResults || pending.length === 0) return;
+
+    let cancelled = false;
+    const countPartialFiles = async () => {
+      try {
+        const result = await window.api.countPartialTokens(
+          pending.map(({ file, inclusion }) => ({ path: file.path, relativePath: file.relativePath, inclusion })),
+          { rootPath: scanResults.rootPath, gitRef: scanResults.gitRef, tokenEncoding: activeProfile.tokenEncoding }
+        );
+        if (cancelled || !result.success || !result.counts) return;
+        const counts = result.counts;
+        setPartialTokens(prev => {
+          const next = { ...prev };
+          for (const { file, inclusion } of pending) {
+            // Files sent in full after all (no outline, no lines in range) keep their full count
+            next[file.relativePath] = {
+              tokens: counts[file.relativePath] ?? file.tokenEstimate,
+              fullTokens: file.tokenEstimate,
+              inclusionKey: getInclusionKey(inclusion)
+            };
+          }
+          return next;
+        });
+      } catch (error) {
+        console.error('[App.tsx] Error counting partial file tokens:', error);
+      }
+    };
+    countPartialFiles();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFiles, inclusions, partialTokens, scanResults, activeProfile.tokenEncoding]);
+
+  const selectedFileCount = processedSelection.files.filter(file => !file.isDirectory && !file.isSkipped).length;
+
+  // Count the instructions as they are sent, once typing pauses
+  useEffect(() => {
+    if (!instructions.text.trim()) {
+      setInstructionTokens(0);
+      return;
+    }
+
+    setInstructionTokens(null);
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await window.api.countInstructionTokens(instructions, {
+          rootPath: scanResults?.rootPath,
+          gitRef: scanResults?.gitRef,
+          selectionCount: selectedFileCount,
+          tokenEncoding: activeProfile.tokenEncoding
+        });
+        if (!cancelled) setInstructionTokens(result.success ? result.tokens ?? 0 : 0);
+      } catch (error) {
+        console.error('[App.tsx] Error counting instruction tokens:', error);
+        if (!cancelled) setInstructionTokens(0);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [instructions, scanResults?.rootPath, scanResults?.gitRef, selectedFileCount, activeProfile.tokenEncoding]);
+
+  // Files whose diffs are counted, keyed so that an equal selection isn't counted again
+  const diffCountFiles = useMemo(
+    () => includedFiles
+      .filter(file => !file.isDirectory && !file.isSkipped)
+      .map(file => ({ relativePath: file.relativePath, tokenEstimate: file.tokenEstimate })),
+    [includedFiles]
+  );
+  const diffCountKey = diffCountFiles.map(file => `${file.relativePath}:${file.tokenEstimate}`).join('\n');
+
+  // Count what the git diff adds to the selected files, once the selection settles
+  useEffect(() => {
+    const rootPath = scanResults?.rootPath;
+    if (!gitDiffOptions || !rootPath) {
+      setDiffTokens({});
+      return;
+    }
+
+    const files = diffCountFiles;
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await window.api.countDiffTokens(files, {
+          rootPath,
+          gitDiff: gitDiffOptions,
+          tokenEncoding: activeProfile.tokenEncoding
+        });
+        if (!cancelled) setDiffTokens(result.success ? result.tokens ?? {} : {});
+      } catch (error) {
+        console.error('[App.tsx] Error counting git diff tokens:', error);
+        if (!cancelled) setDiffTokens({});
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [diffCountKey, gitDiffOptions, scanResults?.rootPath, activeProfile.tokenEncoding]);
+
+  // The selected file open in the content view
+  const contentViewFile = useMemo(
+    () => (contentViewPath ? selectedFiles.find(file => file.relativePath === contentViewPath) ?? null : null),
+    [contentViewPath, selectedFiles]
+  );
+
+  // Selected file paths, for git history and import graph suggestions
+  const selectedFilePaths = useMemo(
+    () => processedSelection.files.filter(file => !file.isDirectory).map(file => file.relativePath),
+    [processedSelection.files]
+  );
 
   // Extract base folder name from the root path
   const rootFolderName = useMemo(() => {
@@ -159,6 +429,85 @@ export default function App(): JSX.Element {
     return scanResults.rootPath.split('/').pop();
   }, [scanResults?.rootPath]);
 
+  // The same map the preview draws
+  const fileMapRequest = useMemo((): PayloadFileMapRequest => ({
+    rootFolderName,
+    files: (scanResults?.files ?? includedFiles).map(f => ({
+      path: f.path,
+      relativePath: f.relativePath,
+      size: f.size,
+      isDirectory: f.isDirectory,
+      isSkipped: f.isSkipped,
+      tokenEstimate: f.tokenEstimate,
+      isSymlink: f.isSymlink,
+      symlinkTarget: f.symlinkTarget
+    })),
+    options: fileMapOptions
+  }), [rootFolderName, scanResults?.files, includedFiles, fileMapOptions]);
+
+  // Count the file map of the selection as it is sent, once the selection settles.
+  // Keyed on what the map shows, so rescans that change nothing don't count it again.
+  const fileMapKey = useMemo(
+    () => [
+      ...includedFiles.map(file => file.path),
+      '',
+      ...fileMapRequest.files.map(file => `${file.path}:${file.size}:${file.tokenEstimate}:${file.isSkipped}`)
+    ].join('\n'),
+    [includedFiles, fileMapRequest.files]
+  );
+  useEffect(() => {
+    if (includedFiles.length === 0) {
+      setFileMapTokens(0);
+      return;
+    }
+
+    const selectedPaths = includedFiles.map(file => file.path);
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await window.api.countFileMapTokens(
+          { ...fileMapRequest, selectedPaths },
+          { tokenEncoding: activeProfile.tokenEncoding }
+        );
+        if (!cancelled) setFileMapTokens(result.success ? result.tokens ?? 0 : 0);
+      } catch (error) {
+        console.error('[App.tsx] Error counting file map tokens:', error);
+        if (!cancelled) setFileMapTokens(0);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [fileMapKey, fileMapRequest.rootFolderName, fileMapRequest.options, activeProfile.tokenEncoding]);
+
+  // Selected files and options sent to the payload builder, for copying and exporting
+  const getPayloadRequest = () => {
+    // Ensure selected files have all necessary properties for the IPC call
+    const filesToCopy = processedSelection.files.map(f => ({
+      path: f.path, // Full path to the file
+      relativePath: f.relativePath, // Path relative to the project root
+      tokenEstimate: f.tokenEstimate,
+      isDirectory: f.isDirectory,
+      isSkipped: f.isSkipped, // Ensure this is accurate
+      inclusion: f.inclusion
+    }));
+
+    const options = {
+      tokenLimit: TOKEN_LIMIT,
+      warningThreshold: WARNING_THRESHOLD,
+      rootPath: scanResults?.rootPath,
+      tokenEncoding: activeProfile.tokenEncoding,
+      gitRef: scanResults?.gitRef,
+      gitDiff: gitDiffOptions ?? undefined,
+      format: payloadFormat,
+      instructions,
+      fileMap: fileMapRequest
+    };
+    return { filesToCopy, options };
+  };
+
   // Handle copying to clipboard
   const handleCopyToClipboard = async () => {
     console.log('[App.tsx] handleCopyToClipboard called. Processed selection count:', processedSelection.count);
@@ -178,14 +527,7 @@ export default function App(): JSX.Element {
     // setCopyProgress(null); // Progress from main process is not yet implemented
 
     try {
-      // Ensure selected files have all necessary properties for the IPC call
-      const filesToCopy = processedSelection.files.map(f => ({
-        path: f.path, // Full path to the file
-        relativePath: f.relativePath, // Path relative to the project root
-        tokenEstimate: f.tokenEstimate,
-        isDirectory: f.isDirectory,
-        isSkipped: f.isSkipped, // Ensure this is accurate
-      }));
+      const { filesToCopy, options } = getPayloadRequest();
 
       console.log('[App.tsx] Invoking "generate-payload-and-copy" with an_array_of_files_with_length:', filesToCopy.length);
       // log filesToCopy sample
@@ -194,7 +536,7 @@ export default function App(): JSX.Element {
       }
 
       // Call the main process to generate payload and copy to clipboard
-      const result: CopyPayloadResponse = await window.api.generatePayloadAndCopy(filesToCopy);
+      const result: CopyPayloadResponse = await window.api.generatePayloadAndCopy(filesToCopy, options);
 
       console.log('[App.tsx] Received response from "generate-payload-and-copy":', result);
 
@@ -221,6 +563,39 @@ export default function App(): JSX.Element {
     }
   };
 
+  // Write the same payload to a file chosen in a save dialog
+  const handleExport = async () => {
+    if (processedSelection.count === 0) return;
+    setIsExporting(true);
+    setCopyResult(null);
+    try {
+      const { filesToCopy, options } = getPayloadRequest();
+      const result: CopyPayloadResponse = await window.api.generatePayloadAndExport(filesToCopy, {
+        ...options,
+        exportDirectory: exportDirectory ?? undefined
+      });
+      if (!result.cancelled) {
+        setCopyResult({
+          success: result.success,
+          message: result.message || 'Failed to export the payload.'
+        });
+      }
+    } catch (error) {
+      console.error('[App.tsx] Error during handleExport:', error);
+      setCopyResult({
+        success: false,
+        message: error instanceof Error ? error.message : 'An unknown error occurred while exporting.'
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleChooseExportDirectory = async () => {
+    const directory = await window.api.selectFolder('Choose the default export folder');
+    if (directory) setExportDirectory(directory);
+  };
+
   return (
     <div className="flex flex-col items-center justify-center min-h-screen bg-gray-900 text-white p-4">
       <h1 className="text-3xl font-bold mb-4">Repo Prompt Lite</h1>
@@ -233,6 +608,7 @@ export default function App(): JSX.Element {
           <DirectoryScanner 
             folderPath={selectedFolder}
             onScanComplete={handleScanComplete}
+            tokenEncoding={activeProfile.tokenEncoding}
           />
         )}
 
@@ -243,6 +619,7 @@ export default function App(): JSX.Element {
               selectedFiles={processedSelection.files}
               tokenLimit={TOKEN_LIMIT}
               warningThreshold={WARNING_THRESHOLD}
+              extraTokens={processedSelection.extraTokens}
               onExpandAll={expandAll}
               onCollapseAll={collapseAll}
               onSelectAll={selectAll}
@@ -253,9 +630,51 @@ export default function App(): JSX.Element {
               showStats={showStats}
               isCopying={isCopying}
               onCopyToClipboard={handleCopyToClipboard}
+              onExport={handleExport}
+              isExporting={isExporting}
+              exportDirectory={exportDirectory}
+              onChooseExportDirectory={handleChooseExportDirectory}
               exceedsLimit={processedSelection.count === 0 || processedSelection.exceedsLimit}
+              profiles={profiles}
+              activeProfileId={activeProfile.id}
+              onProfileChange={setActiveProfileId}
+              onProfilesChange={setProfiles}
             />
             
+            <InstructionsEditor
+              instructions={instructions}
+              onInstructionsChange={setInstructions}
+              templates={templates}
+              onTemplatesChange={setTemplates}
+              tokenCount={instructionTokens}
+            />
+
+            <GitPanel
+              rootPath={scanResults.rootPath}
+              onSelectPaths={selectPaths}
+              onDiffOptionsChange={setGitDiffOptions}
+              onRefreshStatus={() => refreshGitStatus(scanResults)}
+            />
+
+            {/* History-based suggestions need a working tree inside a repository */}
+            {gitStatuses && (
+              <RelatedFiles
+                rootPath={scanResults.rootPath}
+                selectedPaths={selectedFilePaths}
+                onSelectPaths={selectPaths}
+              />
+            )}
+
+            {/* Imports are read from the working tree, not from a scanned git ref */}
+            {!scanResults.gitRef && (
+              <ImportExpansion
+                rootPath={scanResults.rootPath}
+                selectedPaths={selectedFilePaths}
+                files={scanResults.files}
+                onSelectPaths={selectPaths}
+              />
+            )}
+            
             <FileTree 
               files={scanResults.files}
               rootPath={scanResults.rootPath}
@@ -270,11 +689,36 @@ export default function App(): JSX.Element {
                   };
                 });
               }}
+              gitStatuses={gitStatuses}
+              inclusions={inclusions}
+              partialTokens={partialTokens}
+              onInclusionChange={handleInclusionChange}
+              onOpenContentView={setContentViewPath}
               ref={fileTreeRef}
             />
             
             {processedSelection.count > 0 && (
               <div className="mt-4">
+                {/* Selections over the limit can be reduced to fit, or sent in parts */}
+                {processedSelection.exceedsLimit && (
+                  <BudgetFitter
+                    selectedFiles={processedSelection.files}
+                    budget={Math.max(0, TOKEN_LIMIT - (instructionTokens ?? 0) - sentFileMapTokens)}
+                    diffTokens={diffTokens}
+                    rootPath={scanResults.rootPath}
+                    gitRef={scanResults.gitRef}
+                    tokenEncoding={activeProfile.tokenEncoding}
+                    onApply={handleFitToBudget}
+                  />
+                )}
+                <PayloadParts
+                  selectedFiles={processedSelection.files}
+                  tokenLimit={TOKEN_LIMIT}
+                  getPayloadRequest={getPayloadRequest}
+                  exportDirectory={exportDirectory}
+                  onResult={setCopyResult}
+                />
+
                 {/* Copy progress indicator */}
                 {isCopying && copyProgress && (
                   <div className="mb-4 p-3 bg-blue-900/30 border border-blue-700 text-blue-300 rounded-md">
@@ -308,6 +752,7 @@ export default function App(): JSX.Element {
                     selectedFiles={processedSelection.files}
                     tokenLimit={TOKEN_LIMIT}
                     warningThreshold={WARNING_THRESHOLD}
+                    extraTokens={processedSelection.extraTokens}
                   />
                 )}
                 
@@ -318,6 +763,8 @@ export default function App(): JSX.Element {
                     allFiles={scanResults?.files}
                     options={fileMapOptions}
                     onOptionsChange={handleFileMapOptionsChange}
+                    format={payloadFormat}
+                    onFormatChange={setPayloadFormat}
                   />
                 )}
               </div>
@@ -325,6 +772,20 @@ export default function App(): JSX.Element {
           </>
         )}
       </div>
+
+      {scanResults && contentViewFile && (
+        <FileContentView
+          file={contentViewFile}
+          rootPath={scanResults.rootPath}
+          gitRef={scanResults.gitRef}
+          inclusion={inclusions[contentViewFile.relativePath]}
+          onApply={(inclusion) => {
+            handleInclusionChange(contentViewFile.relativePath, inclusion);
+            setContentViewPath(null);
+          }}
+          onClose={() => setContentViewPath(null)}
+        />
+      )}
     </div>
   );
 } 
\ No newline at end of file
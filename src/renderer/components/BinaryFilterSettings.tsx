@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import clsx from 'clsx';
-import { BinaryDetectionOptions } from '../types/common';
+import { BinaryDetectionOptions, TruncateUnit } from '../types/common';
 
 interface BinaryFilterSettingsProps {
   options: BinaryDetectionOptions;
@@ -45,6 +45,16 @@ export default function BinaryFilterSettings({
     }
   };
   
+  const handleTruncateCountChange = (key: 'truncateHead' | 'truncateTail', e: React.ChangeEvent<HTMLInputElement>) => {
+    const count = parseInt(e.target.value, 10);
+    if (!isNaN(count) && count >= 0) {
+      onOptionsChange({
+        ...options,
+        [key]: count
+      });
+    }
+  };
+  
   const handleThresholdChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const threshold = parseInt(e.target.value, 10);
     if (!isNaN(threshold) && threshold >= 0 && threshold <= 100) {
@@ -99,6 +109,57 @@ export default function BinaryFilterSettings({
             </div>
           </div>
           
+          {/* What happens to text files over the maximum size */}
+          <div>
+            <div className="flex items-center mb-2">
+              <input
+                type="checkbox"
+                id="truncateOversized"
+                checked={options.oversizedFiles === 'truncate'}
+                onChange={() => onOptionsChange({
+                  ...options,
+                  oversizedFiles: options.oversizedFiles === 'truncate' ? 'skip' : 'truncate'
+                })}
+                className="h-4 w-4 text-blue-600 bg-gray-700 border-gray-600 rounded focus:ring-blue-500 focus:ring-offset-gray-800"
+              />
+              <label htmlFor="truncateOversized" className="ml-2 text-sm font-medium text-gray-300">
+                Truncate larger text files instead of skipping them
+              </label>
+            </div>
+            
+            {options.oversizedFiles === 'truncate' && (
+              <div className="ml-6 mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-300">
+                <label htmlFor="truncateHead">Keep the first</label>
+                <input
+                  type="number"
+                  id="truncateHead"
+                  min="0"
+                  value={options.truncateHead ?? 0}
+                  onChange={(e) => handleTruncateCountChange('truncateHead', e)}
+                  className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+                />
+                <label htmlFor="truncateTail">and the last</label>
+                <input
+                  type="number"
+                  id="truncateTail"
+                  min="0"
+                  value={options.truncateTail ?? 0}
+                  onChange={(e) => handleTruncateCountChange('truncateTail', e)}
+                  className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+                />
+                <select
+                  aria-label="Truncation unit"
+                  value={options.truncateUnit ?? 'lines'}
+                  onChange={(e) => onOptionsChange({ ...options, truncateUnit: e.target.value as TruncateUnit })}
+                  className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+                >
+                  <option value="lines">lines</option>
+                  <option value="tokens">tokens</option>
+                </select>
+              </div>
+            )}
+          </div>
+          
           {/* Content-based detection settings */}
           <div>
             <div className="flex items-center mb-2">
@@ -166,7 +227,8 @@ export default function BinaryFilterSettings({
           </div>
           
           <div className="text-xs text-gray-400 mt-2 p-2 bg-gray-700/50 rounded border border-gray-600">
-            Note: Binary and large files are automatically excluded during prompt generation.
+            Note: Binary and large files are automatically excluded during prompt generation,
+            unless large text files are truncated; a marker then stands for the omitted middle.
             These settings affect how files are classified as binary or text.
           </div>
         </div>
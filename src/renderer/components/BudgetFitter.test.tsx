@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import BudgetFitter from './BudgetFitter';
+import { FileInfo } from '../types/common';
+
+const file = (relativePath: string, tokenEstimate: number): FileInfo => ({
+  path: `/test/repo/${relativePath}`,
+  relativePath,
+  size: tokenEstimate * 4,
+  isDirectory: false,
+  isSkipped: false,
+  tokenEstimate
+});
+
+describe('BudgetFitter Component', () => {
+  const files = [file('a.ts', 100), file('b.ts', 500), file('notes.md', 300)];
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.api.countPartialTokens = vi.fn().mockResolvedValue({ success: true, counts: { 'a.ts': 20, 'b.ts': 80 } });
+    window.api.getModifiedTimes = vi.fn().mockResolvedValue({ success: true, times: {} });
+  });
+
+  it('proposes a reduced selection and applies it', async () => {
+    const onApply = vi.fn();
+    render(<BudgetFitter selectedFiles={files} budget={500} rootPath="/test/repo" tokenEncoding="cl100k_base" onApply={onApply} />);
+
+    fireEvent.click(screen.getByText('Propose selection'));
+
+    expect(await screen.findByText('900 → 480 tokens of 500')).toBeInTheDocument();
+    expect(within(screen.getByLabelText('Outlined')).getByText('b.ts')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Dropped')).not.toBeInTheDocument();
+    // Only files sent in full that can be outlined are counted as outlines
+    expect(window.api.countPartialTokens).toHaveBeenCalledWith(
+      [
+        { path: '/test/repo/a.ts', relativePath: 'a.ts', inclusion: { mode: 'outline' } },
+        { path: '/test/repo/b.ts', relativePath: 'b.ts', inclusion: { mode: 'outline' } }
+      ],
+      { rootPath: '/test/repo', gitRef: undefined, tokenEncoding: 'cl100k_base' }
+    );
+
+    fireEvent.click(screen.getByText('Apply'));
+    expect(onApply).toHaveBeenCalledWith(['a.ts', 'notes.md'], ['b.ts']);
+  });
+
+  it('keeps pinned files and drops what no longer fits', async () => {
+    const onApply = vi.fn();
+    render(<BudgetFitter selectedFiles={files} budget={500} rootPath="/test/repo" tokenEncoding="cl100k_base" onApply={onApply} />);
+
+    fireEvent.click(screen.getByText('Propose selection'));
+    fireEvent.click(await screen.findByLabelText('Pin b.ts'));
+
+    expect(screen.getByText('900 → 500 tokens of 500')).toBeInTheDocument();
+    const dropped = screen.getByLabelText('Dropped');
+    expect(within(dropped).getByText('a.ts')).toBeInTheDocument();
+    expect(within(dropped).getByText('notes.md')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Apply'));
+    expect(onApply).toHaveBeenCalledWith(['b.ts'], []);
+  });
+
+  it('lets files be pinned before proposing', async () => {
+    const onApply = vi.fn();
+    render(<BudgetFitter selectedFiles={files} budget={500} rootPath="/test/repo" tokenEncoding="cl100k_base" onApply={onApply} />);
+
+    fireEvent.click(screen.getByLabelText('Keep b.ts'));
+    fireEvent.click(screen.getByText('Propose selection'));
+
+    expect(await screen.findByText('900 → 500 tokens of 500')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Apply'));
+    expect(onApply).toHaveBeenCalledWith(['b.ts'], []);
+  });
+
+  it('counts what the git diff adds to each file', async () => {
+    const onApply = vi.fn();
+    // a.ts gains its diff; b.ts is sent as a diff smaller than the file, so it isn't outlined
+    const diffTokens = { 'a.ts': 300, 'b.ts': -400 };
+    render(<BudgetFitter selectedFiles={files} budget={500} diffTokens={diffTokens} rootPath="/test/repo" tokenEncoding="cl100k_base" onApply={onApply} />);
+
+    fireEvent.click(screen.getByText('Propose selection'));
+
+    expect(await screen.findByText('800 → 400 tokens of 500')).toBeInTheDocument();
+    expect(within(screen.getByLabelText('Dropped')).getByText('a.ts')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Apply'));
+    expect(onApply).toHaveBeenCalledWith(['b.ts', 'notes.md'], []);
+  });
+
+  it('remembers the priorities and skips modification times for git refs', async () => {
+    const { unmount } = render(
+      <BudgetFitter selectedFiles={files} budget={500} rootPath="/test/repo" gitRef="main" tokenEncoding="cl100k_base" onApply={vi.fn()} />
+    );
+    fireEvent.click(screen.getByLabelText('Outline files that don\'t fit'));
+    fireEvent.click(screen.getByText('Propose selection'));
+
+    expect(await screen.findByText('900 → 400 tokens of 500')).toBeInTheDocument();
+    expect(window.api.getModifiedTimes).not.toHaveBeenCalled();
+    unmount();
+
+    render(<BudgetFitter selectedFiles={files} budget={500} rootPath="/test/repo" tokenEncoding="cl100k_base" onApply={vi.fn()} />);
+    expect(screen.getByLabelText('Outline files that don\'t fit')).not.toBeChecked();
+  });
+});
@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FileInfo, TokenEncoding } from '../types/common';
+import { canOutline } from '../utils/inclusionUtils';
+import { formatNumber } from '../utils/selectionUtils';
+import {
+  BudgetCandidate,
+  BudgetPriorities,
+  fitToBudget,
+  loadBudgetPriorities,
+  saveBudgetPriorities
+} from '../utils/budgetUtils';
+
+interface BudgetFitterProps {
+  selectedFiles: FileInfo[];
+  budget: number;                 // Tokens available to the files (the limit less the file map and instructions)
+  diffTokens?: Record<string, number>; // Tokens the git diff adds to a file (negative when only the diff is sent)
+  rootPath: string;
+  gitRef?: string;                // No modification times for git ref scans
+  tokenEncoding: TokenEncoding;
+  // Select only the kept and outlined files, outlining the latter
+  onApply: (keptPaths: string[], outlinedPaths: string[]) => void;
+}
+
+// Outline costs and modification times of the selected files, read once per proposal
+interface FitData {
+  outlineTokens: Record<string, number>;
+  modifiedAt: Record<string, number>;
+}
+
+const PRIORITY_OPTIONS: { key: keyof BudgetPriorities; label: string }[] = [
+  { key: 'preferRecent', label: 'Recently modified first' },
+  { key: 'preferSmall', label: 'Smaller files first' },
+  { key: 'outlineRest', label: 'Outline files that don\'t fit' }
+];
+
+/**
+ * Proposes a reduced selection that fits the token budget and shows what
+ * would be dropped or outlined before applying it. Pinned files are always kept.
+ */
+export default function BudgetFitter({
+  selectedFiles,
+  budget,
+  diffTokens = {},
+  rootPath,
+  gitRef,
+  tokenEncoding,
+  onApply
+}: BudgetFitterProps): JSX.Element {
+  const [priorities, setPriorities] = useState<BudgetPriorities>(() => loadBudgetPriorities());
+  const [pinned, setPinned] = useState<Set<string>>(new Set());
+  const [data, setData] = useState<FitData | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    saveBudgetPriorities(priorities);
+  }, [priorities]);
+
+  // A proposal is only shown for the selection it was made for
+  useEffect(() => {
+    setData(null);
+  }, [selectedFiles]);
+
+  const files = useMemo(() => selectedFiles.filter(file => !file.isDirectory && !file.isSkipped), [selectedFiles]);
+
+  const proposal = useMemo(() => {
+    if (!data) return null;
+    const candidates: BudgetCandidate[] = files.map(file => {
+      const diff = diffTokens[file.relativePath] ?? 0;
+      const outlineTokens = data.outlineTokens[file.relativePath];
+      return {
+        relativePath: file.relativePath,
+        tokens: file.tokenEstimate + diff,
+        // Files already sent partially, or as their diff only, keep how they are sent
+        outlineTokens: file.inclusion || diff < 0 || outlineTokens === undefined ? undefined : outlineTokens + diff,
+        modifiedAt: data.modifiedAt[file.path],
+        pinned: pinned.has(file.relativePath)
+      };
+    });
+    return fitToBudget(candidates, budget, priorities);
+  }, [data, files, budget, diffTokens, priorities, pinned]);
+
+  const handlePropose = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const outlineable = files.filter(file => !file.inclusion && canOutline(file.relativePath));
+      const [outlineResult, timesResult] = await Promise.all([
+        outlineable.length > 0
+          ? window.api.countPartialTokens(
+              outlineable.map(file => ({ path: file.path, relativePath: file.relativePath, inclusion: { mode: 'outline' as const } })),
+              { rootPath, gitRef, tokenEncoding }
+            )
+          : Promise.resolve<{ success: boolean; counts?: Record<string, number>; error?: string }>({ success: true, counts: {} }),
+        gitRef
+          ? Promise.resolve<{ success: boolean; times?: Record<string, number>; error?: string }>({ success: true, times: {} })
+          : window.api.getModifiedTimes(files.map(file => file.path))
+      ]);
+      if (!outlineResult.success || !timesResult.success) {
+        setError(outlineResult.error || timesResult.error || 'Failed to read the selected files.');
+        return;
+      }
+      setData({ outlineTokens: outlineResult.counts ?? {}, modifiedAt: timesResult.times ?? {} });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const togglePin = (relativePath: string) => {
+    setPinned(prev => {
+      const next = new Set(prev);
+      if (next.has(relativePath)) next.delete(relativePath);
+      else next.add(relativePath);
+      return next;
+    });
+  };
+
+  const pinnedInSelection = files.filter(file => pinned.has(file.relativePath));
+  // Largest first: those are the files a proposal is most likely to drop
+  const pinCandidates = useMemo(() => [...files].sort((a, b) => b.tokenEstimate - a.tokenEstimate), [files]);
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <h3 className="mr-2 text-sm font-medium text-gray-300">Fit to budget</h3>
+        {PRIORITY_OPTIONS.map(option => (
+          <label key={option.key} className="flex items-center text-xs text-gray-400">
+            <input
+              type="checkbox"
+              checked={priorities[option.key]}
+              onChange={(e) => setPriorities(prev => ({ ...prev, [option.key]: e.target.checked }))}
+              className="mr-1"
+            />
+            {option.label}
+          </label>
+        ))}
+        <button
+          onClick={handlePropose}
+          disabled={isLoading || files.length === 0}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium disabled:opacity-50"
+        >
+          {isLoading ? 'Reading...' : 'Propose selection'}
+        </button>
+      </div>
+
+      {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+
+      <details className="mt-2 text-xs text-gray-400">
+        <summary className="cursor-pointer">Pin files to keep</summary>
+        <ul className="mt-1 max-h-40 overflow-y-auto" aria-label="Selected files">
+          {pinCandidates.map(file => (
+            <li key={file.relativePath}>
+              <label className="flex items-center gap-2 py-0.5">
+                <input
+                  type="checkbox"
+                  checked={pinned.has(file.relativePath)}
+                  onChange={() => togglePin(file.relativePath)}
+                  aria-label={`Keep ${file.relativePath}`}
+                />
+                <span className="flex-grow truncate text-gray-300" title={file.relativePath}>{file.relativePath}</span>
+                <span className="text-gray-500">{formatNumber(file.tokenEstimate)} tokens</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      </details>
+
+      {pinnedInSelection.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-1 text-xs text-gray-400">
+          Pinned:
+          {pinnedInSelection.map(file => (
+            <button
+              key={file.relativePath}
+              onClick={() => togglePin(file.relativePath)}
+              className="px-1.5 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-gray-200"
+              title="Unpin"
+            >
+              {file.relativePath} ✕
+            </button>
+          ))}
+        </div>
+      )}
+
+      {proposal && (
+        <div className="mt-2 text-xs">
+          <div className={proposal.fits ? "text-gray-300" : "text-red-400"}>
+            {formatNumber(proposal.fromTokens)} → {formatNumber(proposal.toTokens)} tokens of {formatNumber(budget)}
+            {!proposal.fits && ' (the pinned files alone exceed the budget)'}
+          </div>
+
+          {[
+            { title: 'Outlined', rows: proposal.outlined.map(f => ({ path: f.relativePath, note: `${formatNumber(f.fromTokens)} → ${formatNumber(f.toTokens)}` })) },
+            { title: 'Dropped', rows: proposal.dropped.map(f => ({ path: f.relativePath, note: `−${formatNumber(f.tokens)}` })) }
+          ].filter(group => group.rows.length > 0).map(group => (
+            <div key={group.title} className="mt-2">
+              <div className="text-gray-400">{group.title} ({group.rows.length})</div>
+              <ul className="max-h-40 overflow-y-auto" aria-label={group.title}>
+                {group.rows.map(row => (
+                  <li key={row.path} className="flex items-center gap-2 py-0.5">
+                    <span className="flex-grow truncate text-gray-300" title={row.path}>{row.path}</span>
+                    <span className="text-gray-500">{row.note} tokens</span>
+                    <button
+                      onClick={() => togglePin(row.path)}
+                      className="px-1.5 py-0.5 text-gray-400 hover:text-gray-200 hover:bg-gray-700 rounded"
+                      aria-label={`Pin ${row.path}`}
+                    >
+                      Pin
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={() => onApply(proposal.kept, proposal.outlined.map(f => f.relativePath))}
+              className="px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded font-medium"
+            >
+              Apply
+            </button>
+            <button
+              onClick={() => setData(null)}
+              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -205,4 +205,37 @@ describe('DirectoryScanner', () => {
       expect(screen.getByText(/1 files skipped/)).toBeInTheDocument();
     });
   });
-}); 
\ No newline at end of file
+  
+  it('cancels a running scan and reports partial stats', async () => {
+    // Keep the walk pending until the cancel request arrives
+    let resolveWalk: (value: any) => void = () => {};
+    window.api.walkDirectory = vi.fn().mockImplementation(() => new Promise(resolve => {
+      resolveWalk = resolve;
+    }));
+    window.api.cancelWalk = vi.fn().mockImplementation(() => {
+      resolveWalk({
+        files: [],
+        rootPath: '/test/folder',
+        cancelled: true,
+        stats: {
+          fileCount: 42,
+          totalSize: 2048,
+          totalTokens: 700
+        }
+      });
+      return Promise.resolve({ cancelled: true });
+    });
+    
+    render(<DirectoryScanner {...mockProps} />);
+    
+    fireEvent.click(screen.getByText('Cancel'));
+    
+    await waitFor(() => {
+      expect(screen.getByText(/Scan Canceled/)).toBeInTheDocument();
+      expect(screen.getByText(/Stopped after 42 files/)).toBeInTheDocument();
+    });
+    expect(window.api.cancelWalk).toHaveBeenCalledTimes(1);
+    expect(mockProps.onScanComplete).not.toHaveBeenCalled();
+    expect(screen.queryByText('Cancel')).not.toBeInTheDocument();
+  });
+});
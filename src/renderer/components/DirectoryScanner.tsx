@@ -1,7 +1,13 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import clsx from 'clsx';
 import IgnoredPathsInfo from './IgnoredPathsInfo';
 import BinaryFilterSettings from './BinaryFilterSettings';
-import { BinaryDetectionOptions, ScanResults as ScanResultsType } from '../types/common';
+import {
+  BinaryDetectionOptions,
+  ScanResults as ScanResultsType,
+  TokenEncoding,
+  DEFAULT_TOKEN_ENCODING
+} from '../types/common';
 
 interface ScanProgressProps {
   fileCount: number;
@@ -14,6 +20,7 @@ interface ScanProgressProps {
   error?: boolean;
   message?: string;
   done?: boolean;
+  cancelled?: boolean;
 }
 
 interface FileInfo {
@@ -35,12 +42,14 @@ interface ScanResults {
     skippedCount?: number;
     binaryCount?: number;
     sizeSkippedCount?: number;
+    truncatedCount?: number;
   };
 }
 
 interface DirectoryScannerProps {
   folderPath: string | null;
   onScanComplete?: (results: ScanResultsType) => void;
+  tokenEncoding?: TokenEncoding;
 }
 
 // Helper to format file size
@@ -51,31 +60,27 @@ const formatFileSize = (bytes: number): string => {
   return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
 };
 
+// Directory levels walked up front by a shallow scan; deeper folders load when expanded
+const SHALLOW_SCAN_DEPTH = 2;
+
 // Default binary detection options
 const DEFAULT_BINARY_OPTIONS: BinaryDetectionOptions = {
   maxSizeBytes: 1024 * 1024, // 1MB
   checkContent: true,
   checkExtension: true,
   sampleSize: 512,
-  binaryThreshold: 10
+  binaryThreshold: 10,
+  oversizedFiles: 'skip',
+  truncateUnit: 'lines',
+  truncateHead: 200,
+  truncateTail: 100
 };
 
-// Ensure the window.api interface includes the new options
-declare global {
-  interface Window {
-    api: {
-      selectFolder: () => Promise<string | null>;
-      verifyDroppedFolder: (path: string) => Promise<string | null>;
-      walkDirectory: (path: string, options?: any) => Promise<ScanResultsType>;
-      readFileContent: (path: string, options?: any) => Promise<any>;
-      checkBinaryStatus: (path: string, options?: any) => Promise<any>;
-      writeToClipboard: (payload: string) => Promise<any>;
-      onWalkProgress: (callback: (data: any) => void) => () => void;
-    };
-  }
-}
-
-export default function DirectoryScanner({ folderPath, onScanComplete }: DirectoryScannerProps): JSX.Element {
+export default function DirectoryScanner({
+  folderPath,
+  onScanComplete,
+  tokenEncoding = DEFAULT_TOKEN_ENCODING
+}: DirectoryScannerProps): JSX.Element {
   const [scanning, setScanning] = useState(false);
   const [progress, setProgress] = useState<ScanProgressProps | null>(null);
   const [results, setResults] = useState<ScanResultsType | null>(null);
@@ -83,6 +88,18 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
   // Binary detection options state
   const [binaryOptions, setBinaryOptions] = useState<BinaryDetectionOptions>(DEFAULT_BINARY_OPTIONS);
   const [showRescan, setShowRescan] = useState(false);
+  // Shallow scan: walk only the top levels, for very large trees
+  const [shallowScan, setShallowScan] = useState(false);
+  // Follow symbolic links instead of listing them as skipped entries
+  const [followSymlinks, setFollowSymlinks] = useState(false);
+  // Commit to scan instead of the working tree (empty = working tree)
+  const [gitRef, setGitRef] = useState('');
+  // Partial stats of a canceled scan
+  const [cancelledStats, setCancelledStats] = useState<ScanResultsType['stats'] | null>(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [cacheMessage, setCacheMessage] = useState<string | null>(null);
+  // Incremented for every scan so results of a superseded scan are dropped
+  const scanIdRef = useRef(0);
 
   // Start scanning when folderPath changes
   useEffect(() => {
@@ -103,7 +120,9 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
         setScanning(false);
       }
       
-      if (data.done) {
+      // A canceled walk's final update is handled when its promise resolves,
+      // since a new scan may already be running
+      if (data.done && !data.cancelled) {
         setScanning(false);
       }
     });
@@ -123,30 +142,107 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
     }
   };
 
+  // Handle symbolic link toggle
+  const handleFollowSymlinksChange = (enabled: boolean) => {
+    setFollowSymlinks(enabled);
+    if (results) {
+      setShowRescan(true);
+    }
+  };
+
+  // Handle git ref change
+  const handleGitRefChange = (ref: string) => {
+    setGitRef(ref);
+    if (results) {
+      setShowRescan(true);
+    }
+  };
+
+  // Handle shallow scan toggle
+  const handleShallowScanChange = (enabled: boolean) => {
+    setShallowScan(enabled);
+    if (results) {
+      setShowRescan(true);
+    }
+  };
+
+  // Token counts are computed during the scan, so a profile with a
+  // different tokenizer needs a rescan
+  useEffect(() => {
+    if (results?.tokenEncoding && results.tokenEncoding !== tokenEncoding) {
+      setShowRescan(true);
+    }
+  }, [tokenEncoding, results]);
+
   const startScan = useCallback(async (path: string) => {
+    const scanId = ++scanIdRef.current;
     setScanning(true);
+    setCancelling(false);
     setError(null);
     setProgress(null);
     setResults(null);
+    setCancelledStats(null);
     setShowRescan(false);
     try {
-      // Pass binary detection options to the scanner
+      // Pass binary detection options and tokenizer encoding to the scanner
       const scanResults = await window.api.walkDirectory(path, {
-        binaryDetection: binaryOptions
+        binaryDetection: binaryOptions,
+        tokenEncoding,
+        scanDepth: shallowScan ? SHALLOW_SCAN_DEPTH : undefined,
+        followSymlinks,
+        gitRef: gitRef.trim() || undefined
       });
 
+      // A newer scan has started in the meantime
+      if (scanId !== scanIdRef.current) return;
+
+      // Canceled scans only report their partial stats; the partial file
+      // list is not handed to the tree
+      if (scanResults.cancelled) {
+        setCancelledStats(scanResults.stats);
+        return;
+      }
+
       // Set results on successful scan
       setResults(scanResults);
       if (onScanComplete) {
         onScanComplete(scanResults);
       }
     } catch (error: any) {
+      if (scanId !== scanIdRef.current) return;
       console.error('Error scanning directory:', error);
       setError('Failed to scan directory. Please try again.');
     } finally {
-      setScanning(false);
+      if (scanId === scanIdRef.current) {
+        setScanning(false);
+        setCancelling(false);
+      }
     }
-  }, [onScanComplete, binaryOptions]);
+  }, [onScanComplete, binaryOptions, tokenEncoding, shallowScan, followSymlinks, gitRef]);
+
+  // Ask the main process to stop the running scan
+  const handleCancelScan = async () => {
+    setCancelling(true);
+    try {
+      await window.api.cancelWalk?.();
+    } catch (error) {
+      console.error('Error canceling scan:', error);
+      setCancelling(false);
+    }
+  };
+
+  // Clear the on-disk scan cache so the next scan re-reads every file
+  const handleClearCache = async () => {
+    try {
+      const result = await window.api.clearScanCache();
+      setCacheMessage(result.success
+        ? `Scan cache cleared (${(result.clearedCount || 0).toLocaleString()} entries).`
+        : `Failed to clear scan cache: ${result.error || 'unknown error'}`);
+    } catch (error) {
+      console.error('Error clearing scan cache:', error);
+      setCacheMessage('Failed to clear scan cache.');
+    }
+  };
 
   // Trigger a rescan with the current binary options
   const handleRescan = () => {
@@ -170,9 +266,42 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
           onOptionsChange={handleBinaryOptionsChange}
         />
         
+        <label className="mt-2 flex items-center text-sm text-gray-300">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={shallowScan}
+            onChange={(e) => handleShallowScanChange(e.target.checked)}
+          />
+          Shallow scan (walk the top {SHALLOW_SCAN_DEPTH} levels, load deeper folders when expanded)
+        </label>
+        
+        <label className="mt-1 flex items-center text-sm text-gray-300">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={followSymlinks}
+            onChange={(e) => handleFollowSymlinksChange(e.target.checked)}
+          />
+          Follow symbolic links
+        </label>
+        
+        <label className="mt-1 flex items-center text-sm text-gray-300">
+          <span className="mr-2">Git ref</span>
+          <input
+            type="text"
+            value={gitRef}
+            onChange={(e) => handleGitRefChange(e.target.value)}
+            placeholder="Working tree"
+            className="w-48 px-2 py-0.5 bg-gray-900 border border-gray-600 rounded text-gray-200"
+            aria-label="Git ref"
+          />
+          <span className="ml-2 text-xs text-gray-500">Branch, tag or commit to scan without checking it out</span>
+        </label>
+        
         {showRescan && !scanning && (
           <div className="mt-2 p-2 bg-blue-900/30 border border-blue-700 rounded text-blue-300 text-sm flex justify-between items-center">
-            <span>Binary detection settings have changed. Rescan to apply changes.</span>
+            <span>Scan settings have changed. Rescan to apply changes.</span>
             <button 
               onClick={handleRescan}
               className="px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded text-xs font-medium"
@@ -183,11 +312,23 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
         )}
       </div>
       
-      {scanning && progress && (
+      {scanning && (
         <div className="mb-6 p-4 bg-gray-800 rounded-lg">
-          <div className="mb-2 flex justify-between">
-            <span className="text-gray-300">Scanning folder...</span>
-            <span className="text-gray-400">{progress.fileCount} files</span>
+          <div className="mb-2 flex justify-between items-center">
+            <span className="text-gray-300">{cancelling ? 'Canceling scan...' : 'Scanning folder...'}</span>
+            <div className="flex items-center space-x-3">
+              {progress && <span className="text-gray-400">{progress.fileCount} files</span>}
+              <button
+                onClick={handleCancelScan}
+                disabled={cancelling}
+                className={clsx(
+                  "px-2 py-1 bg-red-800 hover:bg-red-700 rounded text-xs font-medium text-white",
+                  cancelling && "opacity-50 cursor-not-allowed"
+                )}
+              >
+                Cancel
+              </button>
+            </div>
           </div>
           
           <div className="h-2 w-full bg-gray-700 rounded overflow-hidden">
@@ -195,15 +336,17 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
             <div className="h-full bg-blue-600 animate-pulse" style={{ width: '100%' }}></div>
           </div>
           
-          <div className="mt-2 flex justify-between text-sm">
-            <span className="text-gray-400">Processing: {progress.processing}</span>
-            <span className="text-gray-400">
-              Size: {formatFileSize(progress.totalSize)} | 
-              Tokens: {progress.totalTokens.toLocaleString()}
-            </span>
-          </div>
+          {progress && !progress.error && (
+            <div className="mt-2 flex justify-between text-sm">
+              <span className="text-gray-400">Processing: {progress.processing}</span>
+              <span className="text-gray-400">
+                Size: {formatFileSize(progress.totalSize)} | 
+                Tokens: {progress.totalTokens.toLocaleString()}
+              </span>
+            </div>
+          )}
 
-          {progress.skippedCount !== undefined && (
+          {progress?.skippedCount !== undefined && (
             <div className="mt-2 grid grid-cols-3 gap-2 text-xs text-gray-400">
               <div>Skipped: {progress.skippedCount}</div>
               {progress.binaryCount !== undefined && <div>Binary: {progress.binaryCount}</div>}
@@ -213,6 +356,25 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
         </div>
       )}
       
+      {cancelledStats && !scanning && (
+        <div className="mb-6 p-4 bg-gray-800 border border-yellow-700 rounded-lg">
+          <div className="flex justify-between items-center">
+            <h3 className="text-lg font-medium text-yellow-400">Scan Canceled</h3>
+            <button 
+              onClick={handleRescan}
+              className="px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded text-xs font-medium"
+            >
+              Scan Again
+            </button>
+          </div>
+          <div className="mt-2 text-sm text-gray-400">
+            Stopped after {cancelledStats.fileCount.toLocaleString()} files
+            ({formatFileSize(cancelledStats.totalSize)}, {cancelledStats.totalTokens.toLocaleString()} tokens).
+            Choose another folder or scan again.
+          </div>
+        </div>
+      )}
+      
       {error && (
         <div className="mb-6 p-4 bg-red-900/30 border border-red-700 rounded-lg text-red-400">
           {error}
@@ -242,7 +404,9 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
               <div className="text-xl font-semibold text-gray-200">
                 {results.stats.totalTokens.toLocaleString()}
               </div>
-              <div className="text-sm text-gray-400">Estimated Tokens</div>
+              <div className="text-sm text-gray-400">
+                Tokens{results.tokenEncoding ? ` (${results.tokenEncoding})` : ''}
+              </div>
             </div>
           </div>
           
@@ -273,6 +437,15 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
                   <div className="text-sm text-gray-400">Size Limit Exceeded</div>
                 </div>
               )}
+
+              {!!results.stats.truncatedCount && (
+                <div className="p-3 bg-gray-700/50 rounded-lg">
+                  <div className="text-lg font-medium text-blue-400">
+                    {results.stats.truncatedCount}
+                  </div>
+                  <div className="text-sm text-gray-400">Truncated Files</div>
+                </div>
+              )}
             </div>
           )}
           
@@ -280,6 +453,35 @@ export default function DirectoryScanner({ folderPath, onScanComplete }: Directo
             Path: <span className="text-gray-300">{results.rootPath}</span>
           </div>
           
+          {results.gitRef && (
+            <div className="text-sm text-gray-400 mb-2">
+              Scanned at git ref <span className="text-gray-300">{results.gitRef}</span>; the working tree is not watched.
+            </div>
+          )}
+          
+          {results.shallow && (
+            <div className="text-sm text-gray-400 mb-2">
+              Shallow scan: counts cover the folders loaded so far.
+            </div>
+          )}
+          
+          {results.stats.cachedCount !== undefined && (
+            <div className="text-sm text-gray-400 mb-2 flex items-center justify-between">
+              <span>
+                {results.stats.cachedCount.toLocaleString()} unchanged files reused from the scan cache
+              </span>
+              <button
+                onClick={handleClearCache}
+                className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium text-gray-300"
+              >
+                Clear Cache
+              </button>
+            </div>
+          )}
+          {cacheMessage && (
+            <div className="text-xs text-gray-400 mb-2">{cacheMessage}</div>
+          )}
+          
           <div className="text-sm text-gray-400">
             <span className="text-yellow-500">
               {results.files.filter(f => f.isSkipped).length} files skipped
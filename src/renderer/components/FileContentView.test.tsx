@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import FileContentView from './FileContentView';
+import { FileInfo } from '../types/common';
+
+const file: FileInfo = {
+  path: '/test/repo/src/math.ts',
+  relativePath: 'src/math.ts',
+  size: 120,
+  isDirectory: false,
+  isSkipped: false,
+  tokenEstimate: 30
+};
+
+const content = [
+  'export function add(a: number, b: number) {',
+  '  return a + b;',
+  '}',
+  '',
+  'export function sub(a: number, b: number) {',
+  '  return a - b;',
+  '}'
+].join('\n');
+
+describe('FileContentView Component', () => {
+  const renderView = (onApply = vi.fn()) => {
+    window.api.getFileSymbols = vi.fn().mockResolvedValue({
+      success: true,
+      content,
+      symbols: [
+        { name: 'add', kind: 'function', startLine: 1, endLine: 3 },
+        { name: 'sub', kind: 'function', startLine: 5, endLine: 7 }
+      ]
+    });
+    render(<FileContentView file={file} rootPath="/test/repo" gitRef="main" onApply={onApply} onClose={vi.fn()} />);
+    return onApply;
+  };
+
+  it('picks lines from symbols and line numbers', async () => {
+    const onApply = renderView();
+
+    fireEvent.click(await screen.findByRole('checkbox', { name: /sub/ }));
+    fireEvent.click(screen.getByLabelText('Line 1'));
+    fireEvent.click(screen.getByLabelText('Line 2'), { shiftKey: true });
+
+    expect(window.api.getFileSymbols).toHaveBeenCalledWith(
+      { path: file.path, relativePath: file.relativePath },
+      { rootPath: '/test/repo', gitRef: 'main' }
+    );
+    expect(screen.getByLabelText('Lines')).toHaveValue('1-2, 5-7');
+
+    fireEvent.click(screen.getByText('Include selected lines'));
+    expect(onApply).toHaveBeenCalledWith({ mode: 'ranges', ranges: [{ start: 1, end: 2 }, { start: 5, end: 7 }] });
+  });
+
+  it('accepts typed ranges and rejects malformed ones', async () => {
+    const onApply = renderView();
+    await screen.findByLabelText('Line 1');
+
+    fireEvent.change(screen.getByLabelText('Lines'), { target: { value: '3-1' } });
+    expect(screen.getByText('Include selected lines')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Lines'), { target: { value: '1-3' } });
+    expect(screen.getByRole('checkbox', { name: /add/ })).toBeChecked();
+
+    fireEvent.click(screen.getByText('Include in full'));
+    expect(onApply).toHaveBeenCalledWith(null);
+  });
+});
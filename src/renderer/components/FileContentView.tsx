@@ -0,0 +1,192 @@
+import React, { useEffect, useRef, useState } from 'react';
+import clsx from 'clsx';
+import { CodeSymbol, FileInclusion, FileInfo, LineRange } from '../types/common';
+import {
+  formatLineRanges,
+  isLineRangeCovered,
+  normalizeLineRanges,
+  parseLineRanges,
+  removeLineRange
+} from '../utils/inclusionUtils';
+
+interface FileContentViewProps {
+  file: FileInfo;
+  rootPath: string;
+  gitRef?: string;            // Read the file at this ref instead of the working tree
+  inclusion?: FileInclusion;  // Current inclusion, to start from its lines
+  // Include only the given lines, or the whole file again (null)
+  onApply: (inclusion: FileInclusion | null) => void;
+  onClose: () => void;
+}
+
+/**
+ * Shows a file with line numbers and its named symbols, to pick the lines
+ * that are included in the prompt. Lines are picked by clicking line numbers
+ * (shift-click for a span), checking symbols, or typing ranges.
+ */
+export default function FileContentView({ file, rootPath, gitRef, inclusion, onApply, onClose }: FileContentViewProps): JSX.Element {
+  const [lines, setLines] = useState<string[] | null>(null);
+  const [symbols, setSymbols] = useState<CodeSymbol[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [ranges, setRanges] = useState<LineRange[]>(inclusion?.mode === 'ranges' ? inclusion.ranges : []);
+  const [rangesText, setRangesText] = useState(formatLineRanges(ranges));
+  const [isRangesTextValid, setIsRangesTextValid] = useState(true);
+  // Start of a shift-click span
+  const lastClickedLine = useRef<number | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadFile = async () => {
+      try {
+        const result = await window.api.getFileSymbols({ path: file.path, relativePath: file.relativePath }, { rootPath, gitRef });
+        if (cancelled) return;
+        if (!result.success || result.content === undefined) {
+          setError(result.error || 'Failed to read the file.');
+          return;
+        }
+        setLines(result.content.split(/\r?\n/));
+        setSymbols(result.symbols ?? []);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : String(err));
+      }
+    };
+    loadFile();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file.path, file.relativePath, rootPath, gitRef]);
+
+  const updateRanges = (next: LineRange[]) => {
+    const normalized = normalizeLineRanges(next, lines?.length);
+    setRanges(normalized);
+    setRangesText(formatLineRanges(normalized));
+    setIsRangesTextValid(true);
+  };
+
+  const handleLineClick = (line: number, extend: boolean) => {
+    if (extend && lastClickedLine.current !== null) {
+      const start = Math.min(lastClickedLine.current, line);
+      const end = Math.max(lastClickedLine.current, line);
+      updateRanges([...ranges, { start, end }]);
+    } else {
+      const range = { start: line, end: line };
+      updateRanges(isLineRangeCovered(ranges, range) ? removeLineRange(ranges, range) : [...ranges, range]);
+    }
+    lastClickedLine.current = line;
+  };
+
+  const handleSymbolToggle = (symbol: CodeSymbol) => {
+    const range = { start: symbol.startLine, end: symbol.endLine };
+    updateRanges(isLineRangeCovered(ranges, range) ? removeLineRange(ranges, range) : [...ranges, range]);
+  };
+
+  const handleRangesTextChange = (text: string) => {
+    setRangesText(text);
+    const parsed = parseLineRanges(text);
+    setIsRangesTextValid(parsed !== null);
+    if (parsed) setRanges(normalizeLineRanges(parsed, lines?.length));
+  };
+
+  const selectedLineCount = ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div
+        className="flex flex-col w-full max-w-5xl max-h-full bg-gray-800 border border-gray-700 rounded-md"
+        role="dialog"
+        aria-label={`Lines of ${file.relativePath}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-3 border-b border-gray-700">
+          <h2 className="text-sm font-medium text-gray-200 truncate" title={file.relativePath}>
+            {file.relativePath}{gitRef ? ` @ ${gitRef}` : ''}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-200" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {error ? (
+          <div className="p-3 text-sm text-red-400">{error}</div>
+        ) : lines === null ? (
+          <div className="p-3 text-sm text-gray-400">Loading...</div>
+        ) : (
+          <div className="flex flex-grow min-h-0">
+            {symbols.length > 0 && (
+              <ul className="w-64 shrink-0 overflow-auto p-2 border-r border-gray-700 text-xs" aria-label="Symbols">
+                {symbols.map(symbol => (
+                  <li key={`${symbol.name}:${symbol.startLine}`}>
+                    <label className="flex items-center gap-1 py-0.5 text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={isLineRangeCovered(ranges, { start: symbol.startLine, end: symbol.endLine })}
+                        onChange={() => handleSymbolToggle(symbol)}
+                      />
+                      <span className="truncate" title={`${symbol.kind} ${symbol.name}, lines ${symbol.startLine}-${symbol.endLine}`}>
+                        {symbol.name}
+                      </span>
+                      <span className="ml-auto text-gray-500">{symbol.kind}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex-grow overflow-auto font-mono text-xs">
+              {lines.map((text, index) => {
+                const line = index + 1;
+                const isSelected = isLineRangeCovered(ranges, { start: line, end: line });
+                return (
+                  <div key={line} className={clsx("flex", isSelected && "bg-blue-900/40")}>
+                    <button
+                      onClick={(e) => handleLineClick(line, e.shiftKey)}
+                      className={clsx(
+                        "w-12 shrink-0 pr-2 text-right select-none",
+                        isSelected ? "text-blue-300" : "text-gray-500 hover:text-gray-300"
+                      )}
+                      aria-label={`Line ${line}`}
+                      aria-pressed={isSelected}
+                    >
+                      {line}
+                    </button>
+                    <pre className="whitespace-pre text-gray-200">{text}</pre>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2 p-3 border-t border-gray-700 text-sm">
+          <label htmlFor="line-ranges" className="text-gray-400">Lines</label>
+          <input
+            id="line-ranges"
+            type="text"
+            value={rangesText}
+            onChange={(e) => handleRangesTextChange(e.target.value)}
+            placeholder="e.g. 10-42, 100"
+            className={clsx(
+              "flex-grow px-2 py-1 bg-gray-900 border rounded text-gray-200",
+              isRangesTextValid ? "border-gray-600" : "border-red-500"
+            )}
+            aria-invalid={!isRangesTextValid}
+          />
+          <span className="text-xs text-gray-500">{selectedLineCount} lines</span>
+          <button
+            onClick={() => onApply({ mode: 'ranges', ranges })}
+            disabled={!isRangesTextValid || ranges.length === 0}
+            className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+          >
+            Include selected lines
+          </button>
+          <button
+            onClick={() => onApply(null)}
+            className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+          >
+            Include in full
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
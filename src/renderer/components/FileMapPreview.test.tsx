@@ -67,6 +67,18 @@ describe('FileMapPreview Component', () => {
     expect(screen.getByText(/mock-file-map-content/)).toBeInTheDocument();
   });
   
+  it('lays out the preview in the selected output format', () => {
+    const onFormatChange = vi.fn();
+    render(<FileMapPreview {...defaultProps} format="markdown" onFormatChange={onFormatChange} />);
+
+    expect(screen.getByText('## File map')).toBeInTheDocument();
+    expect(screen.getByText('## file1.ts')).toBeInTheDocument();
+    expect(screen.getByText('```typescript')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Format:'), { target: { value: 'json' } });
+    expect(onFormatChange).toHaveBeenCalledWith('json');
+  });
+
   it('toggles show sizes option', () => {
     render(<FileMapPreview {...defaultProps} />);
     
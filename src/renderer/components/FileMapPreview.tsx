@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { FileInfo } from '../types/common';
 import { generateFileMap, TreeFormatOptions } from '../utils/formatUtils';
+import { DEFAULT_PAYLOAD_FORMAT, formatPayload, PAYLOAD_FORMATS, PayloadFormat } from '../../shared/payloadFormat';
 import clsx from 'clsx';
 
 interface FileMapPreviewProps {
@@ -9,8 +10,14 @@ interface FileMapPreviewProps {
   allFiles?: FileInfo[];
   options?: TreeFormatOptions;
   onOptionsChange?: (options: TreeFormatOptions) => void;
+  format?: PayloadFormat;                       // Output format of the copied payload
+  onFormatChange?: (format: PayloadFormat) => void;
 }
 
+// Selected files shown after the map, to preview how file contents are laid out
+const PREVIEW_FILE_COUNT = 2;
+const CONTENT_PLACEHOLDER = '...';
+
 /**
  * Component to preview the file map that will be generated
  */
@@ -19,7 +26,9 @@ export default function FileMapPreview({
   rootFolderName, 
   allFiles,
   options: externalOptions,
-  onOptionsChange
+  onOptionsChange,
+  format = DEFAULT_PAYLOAD_FORMAT,
+  onFormatChange
 }: FileMapPreviewProps): JSX.Element {
   // State for tree formatting options
   const [options, setOptions] = useState<TreeFormatOptions>({
@@ -69,11 +78,16 @@ export default function FileMapPreview({
     }
   };
   
-  // Generate the file map with current options
+  // Generate the file map with current options, laid out in the output format
   const fileMap = generateFileMap(selectedFiles, rootFolderName, allFiles, options);
+  const previewFiles = selectedFiles.filter(f => !f.isDirectory && !f.isSkipped).slice(0, PREVIEW_FILE_COUNT);
+  const preview = formatPayload({
+    fileMap,
+    files: previewFiles.map(f => ({ path: f.relativePath, content: CONTENT_PLACEHOLDER }))
+  }, format);
   
   // Split into lines for rendering
-  const lines = fileMap.split('\n');
+  const lines = preview.split('\n');
   
   // Calculate some stats for the preview header
   const totalFiles = selectedFiles.filter(f => !f.isDirectory).length;
@@ -91,6 +105,20 @@ export default function FileMapPreview({
       </div>
       
       <div className="mb-4 bg-gray-800 rounded-lg p-3 flex flex-wrap gap-3">
+        <div className="flex items-center space-x-2">
+          <label htmlFor="payload-format" className="text-sm text-gray-300">Format:</label>
+          <select
+            id="payload-format"
+            className="bg-gray-700 text-gray-300 text-sm rounded px-2 py-1 border border-gray-600"
+            value={format}
+            onChange={(e) => onFormatChange?.(e.target.value as PayloadFormat)}
+          >
+            {PAYLOAD_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        
         <div className="flex items-center space-x-2">
           <label className="text-sm text-gray-300">View:</label>
           <select
@@ -184,7 +212,6 @@ export default function FileMapPreview({
       <div className="bg-gray-900 rounded-lg border border-gray-700 overflow-auto">
         <pre className="p-4 text-sm font-mono text-gray-300 whitespace-pre overflow-x-auto">
           <code>
-            &lt;file_map&gt;
             {lines.map((line, index) => {
               // Check if this line contains a selected file marker (for syntax highlighting)
               const isSelected = options.highlightSelected && 
@@ -204,13 +231,12 @@ export default function FileMapPreview({
                 </div>
               );
             })}
-            &lt;/file_map&gt;
           </code>
         </pre>
       </div>
       
       <div className="mt-2 text-xs text-gray-500">
-        Note: This is a preview. The actual copied output will not include any additional formatting or syntax highlighting.
+        Note: This is a preview. File contents are shown as "{CONTENT_PLACEHOLDER}"; the actual copied output will not include any additional formatting or syntax highlighting.
       </div>
     </div>
   );
@@ -2,8 +2,17 @@ import React, { useState, useMemo, useReducer, useEffect, useRef, forwardRef, us
 import { useVirtualizer } from '@tanstack/react-virtual';
 import clsx from 'clsx';
 import { produce, enableMapSet } from 'immer';
-import { FileInfo, CheckState, FlattenedFile } from '../types/common';
-import { flattenSelection, formatFileSize as formatFileSizeUtil } from '../utils/selectionUtils';
+import { FileInfo, CheckState, FlattenedFile, GitFileStatus, FileInclusion, PartialTokenCount } from '../types/common';
+import {
+  flattenSelection,
+  formatFileSize as formatFileSizeUtil,
+  syncNodeStates,
+  selectNodesByPath,
+  mergeLoadedChildren,
+  getDirectoryTotals,
+  resolveGitStatuses
+} from '../utils/selectionUtils';
+import { canOutline, formatLineRanges, getInclusionKey } from '../utils/inclusionUtils';
 
 // Enable Immer's MapSet plugin to work with Map and Set
 enableMapSet();
@@ -216,6 +225,26 @@ const ChevronIcon = ({ isOpen }: { isOpen: boolean }) => (
   </svg>
 );
 
+// Letter, color and description of each git status badge
+const GIT_STATUS_BADGES: Record<GitFileStatus, { letter: string; color: string; label: string }> = {
+  modified: { letter: 'M', color: 'text-yellow-400', label: 'Modified' },
+  added: { letter: 'A', color: 'text-green-400', label: 'Added' },
+  untracked: { letter: 'U', color: 'text-green-300', label: 'Untracked' },
+  ignored: { letter: 'I', color: 'text-gray-500', label: 'Ignored by git' },
+  conflicted: { letter: 'C', color: 'text-red-500', label: 'Conflicted' }
+};
+
+// Git status badge; directories show the most important status of their files
+const GitStatusBadge = ({ status, isDirectory }: { status: GitFileStatus; isDirectory: boolean }) => {
+  const badge = GIT_STATUS_BADGES[status];
+  const title = isDirectory && status !== 'ignored' ? `Contains ${badge.label.toLowerCase()} files` : badge.label;
+  return (
+    <span className={clsx("ml-2 text-xs font-semibold", badge.color)} title={title} aria-label={title}>
+      {badge.letter}
+    </span>
+  );
+};
+
 // Component to show skip reason tooltip
 const SkipReasonIndicator = ({ file }: { file: FlattenedFile }) => {
   if (!file.isSkipped || !file.skipReason) return null;
@@ -307,6 +336,8 @@ export interface FileTreeHandle {
   collapseAll: () => void;
   selectAll: () => void;
   deselectAll: () => void;
+  // Check the files at these relative paths; returns how many were found in the tree
+  selectPaths: (relativePaths: string[], mode?: 'replace' | 'add') => number;
 }
 
 interface FileTreeProps {
@@ -314,6 +345,11 @@ interface FileTreeProps {
   rootPath: string;
   onSelectionChange?: (selectedFiles: FileInfo[]) => void;
   onFilesUpdate?: (updatedFiles: FileInfo[]) => void;
+  gitStatuses?: Record<string, GitFileStatus> | null;  // Working tree status (null outside a repository)
+  inclusions?: Record<string, FileInclusion>;          // Files included partially (others in full)
+  partialTokens?: Record<string, PartialTokenCount>;   // Counted tokens of the included parts, for display
+  onInclusionChange?: (relativePath: string, inclusion: FileInclusion | null) => void;
+  onOpenContentView?: (relativePath: string) => void;  // Pick the lines of a file to include
 }
 
 // Format file size helper
@@ -330,11 +366,12 @@ type SelectionAction =
   | { type: 'SELECT_ALL'; nodes: FlattenedFile[] }
   | { type: 'DESELECT_ALL'; nodes: FlattenedFile[] }
   | { type: 'TOGGLE_VISIBLE_NODES'; nodes: FlattenedFile[] }
-  | { type: 'INITIALIZE_STATES'; initialStates: Map<string, CheckState> };
+  | { type: 'SYNC_NODES'; nodes: FlattenedFile[] }
+  | { type: 'SELECT_PATHS'; nodes: FlattenedFile[]; paths: string[]; mode: 'replace' | 'add' };
 
 // Convert to forwardRef to allow parent components to access methods
 const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Element => {
-  const { files, rootPath, onSelectionChange, onFilesUpdate } = props;
+  const { files, rootPath, onSelectionChange, onFilesUpdate, gitStatuses, inclusions, partialTokens, onInclusionChange, onOpenContentView } = props;
   
   console.log('[FileTree.tsx] Rendering with files:', files.length, 'Root path:', rootPath);
   
@@ -352,6 +389,38 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
   const [expandedNodes, setExpandedNodes] = useState<Set<string>>(new Set<string>()); // Initialize as empty
   const [loadedDirectories, setLoadedDirectories] = useState<Set<string>>(new Set());
   const [loadingDirectories, setLoadingDirectories] = useState<Set<string>>(new Set());
+  // Directories being loaded right now (a ref, so effects never start the same load twice)
+  const loadingRef = useRef<Set<string>>(new Set());
+  // Latest file list, including loads that finished since the last render
+  const filesRef = useRef<FileInfo[]>(files);
+  filesRef.current = files;
+  
+  // Load a directory that a shallow scan left unloaded, either its immediate
+  // children (on expand) or its whole subtree (when it is selected)
+  const loadDirectory = async (node: FlattenedFile, recursive: boolean) => {
+    if (loadingRef.current.has(node.id) || !window.api?.lazyLoadChildren) return;
+    
+    loadingRef.current.add(node.id);
+    setLoadingDirectories(new Set(loadingRef.current));
+    logDebug(`Loading ${recursive ? 'subtree' : 'children'} of ${node.id}`);
+    try {
+      const result = await window.api.lazyLoadChildren(node.path, { rootPath, recursive });
+      if (!result || result.error || !result.children) {
+        console.error(`[FileTree.tsx] Failed to load ${node.id}:`, result?.error);
+        return;
+      }
+      
+      const merged = mergeLoadedChildren(filesRef.current, node.id, result.children);
+      filesRef.current = merged;
+      onFilesUpdate?.(merged);
+      setLoadedDirectories(prev => new Set(prev).add(node.id));
+    } catch (error) {
+      console.error(`[FileTree.tsx] Error loading ${node.id}:`, error);
+    } finally {
+      loadingRef.current.delete(node.id);
+      setLoadingDirectories(new Set(loadingRef.current));
+    }
+  };
   
   // Convert FileInfo objects to FlattenedFile objects
   const buildFlattenedTree = (filesToFlatten: FileInfo[], _currentRootPathIgnored: string): FlattenedFile[] => {
@@ -384,6 +453,9 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
         size: file.size,
         tokenEstimate: file.tokenEstimate,
         hasLazyChildren: file.hasLazyChildren,
+        isSymlink: file.isSymlink,
+        symlinkTarget: file.symlinkTarget,
+        isTruncated: file.isTruncated,
         // isExpanded and checkState will be managed by component state/reducer elsewhere
       });
     }
@@ -404,7 +476,7 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
   // Selection reducer to handle the tri-state checkboxes
   const selectionReducer = (state: SelectionState, action: SelectionAction): SelectionState => {
     return produce(state, draft => {
-      logDebug(`selectionReducer ACTION: ${action.type}`, 'node' in action && action.node ? action.node.id : ('nodes' in action ? action.nodes.length + ' nodes' : 'initialStates' in action ? action.initialStates.size + ' states' : 'unknown target'));
+      logDebug(`selectionReducer ACTION: ${action.type}`, 'node' in action && action.node ? action.node.id : ('nodes' in action ? action.nodes.length + ' nodes' : 'unknown target'));
       
       const currentFlattenedNodes = flattenedNodes; 
 
@@ -501,30 +573,18 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
           break;
         }
         
-        case 'INITIALIZE_STATES': {
-          draft.nodeStates = new Map(action.initialStates); // Ensure it's a new map for Immer
-          const parentIdsToUpdate = new Set<string | null>();
-          currentFlattenedNodes.forEach(node => { // Iterate all nodes to find parents that might need updates
-            if (action.initialStates.has(node.id) && node.parentId) {
-              parentIdsToUpdate.add(node.parentId);
-            }
-          });
-          // Also add parents of any initially checked/indeterminate directories themselves
-          action.initialStates.forEach((state, nodeId) => {
-            if (state === 'checked' || state === 'indeterminate') {
-              const n = currentFlattenedNodes.find(fn => fn.id === nodeId);
-              if (n && n.isDirectory && n.parentId) {
-                parentIdsToUpdate.add(n.parentId);
-              }
-            }
-          });
-
-          parentIdsToUpdate.forEach(parentId => {
-            if (parentId) { // Ensure parentId is not null
-              updateParentStatesAfterToggle(parentId, draft.nodeStates, currentFlattenedNodes, 'INITIALIZE_PARENTS');
-            }
-          });
-          logDebug('[FileTree.tsx] INITIALIZE_STATES completed and parents updated if necessary');
+        case 'SYNC_NODES': {
+          // Files were added, changed or removed (live updates, lazy loading, rescans):
+          // keep the selection of nodes that still exist
+          draft.nodeStates = syncNodeStates(action.nodes, state.nodeStates);
+          logDebug('[FileTree.tsx] SYNC_NODES completed for', action.nodes.length, 'nodes');
+          break;
+        }
+        
+        case 'SELECT_PATHS': {
+          // Selection driven from outside the tree (e.g. the Git panel)
+          draft.nodeStates = selectNodesByPath(action.nodes, state.nodeStates, action.paths, action.mode);
+          logDebug('[FileTree.tsx] SELECT_PATHS completed for', action.paths.length, 'paths');
           break;
         }
         
@@ -578,6 +638,13 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
     nodeStates: new Map<string, CheckState>()
   });
   
+  // Git status of every node, and whether only changed files are listed
+  const resolvedGitStatuses = useMemo(
+    () => gitStatuses ? resolveGitStatuses(files, gitStatuses) : null,
+    [files, gitStatuses]
+  );
+  const [showOnlyDirty, setShowOnlyDirty] = useState(false);
+  
   // Filtered list of visible nodes based on expanded state
   const flattenedVisibleNodes = useMemo(() => {
     console.log('[FileTree.tsx] Calculating flattenedVisibleNodes');
@@ -611,26 +678,38 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
     };
     
     // Filter nodes based on visibility
+    const isDirty = (node: FlattenedFile) => {
+      const status = resolvedGitStatuses?.get(node.id);
+      return status !== undefined && status !== 'ignored';
+    };
     flattenedNodes.forEach(node => {
-      if (isVisible(node)) {
+      if (isVisible(node) && (!showOnlyDirty || !resolvedGitStatuses || isDirty(node))) {
         visibleNodes.push(node);
       }
     });
     
     console.log(`[FileTree.tsx] flattenedVisibleNodes calculated: ${visibleNodes.length} visible out of ${flattenedNodes.length} total`);
     return visibleNodes;
-  }, [flattenedNodes, expandedNodes]);
+  }, [flattenedNodes, expandedNodes, showOnlyDirty, resolvedGitStatuses]);
   
-  // Initialize selection state when files change
+  // Selected directories that were never loaded need their whole subtree,
+  // so their files end up in the selection (this is what makes select-all work in shallow scans)
   useEffect(() => {
-    console.log('[FileTree.tsx] Initializing selection state for', flattenedNodes.length, 'nodes');
-    
-    const initialNodeStates = new Map<string, CheckState>();
     flattenedNodes.forEach(node => {
-      initialNodeStates.set(node.id, 'unchecked');
+      if (node.isDirectory && node.hasLazyChildren && selectionState.nodeStates.get(node.id) === 'checked') {
+        loadDirectory(node, true);
+      }
     });
-    
-    dispatchSelection({ type: 'INITIALIZE_STATES', initialStates: initialNodeStates });
+  }, [selectionState.nodeStates, flattenedNodes]);
+  
+  // Aggregated counts per directory; they fill in as directories load
+  const directoryTotals = useMemo(() => getDirectoryTotals(files), [files]);
+  const hasUnloadedDirectories = useMemo(() => files.some(f => f.isDirectory && f.hasLazyChildren), [files]);
+  
+  // Sync selection state when files change, preserving the current selection
+  useEffect(() => {
+    console.log('[FileTree.tsx] Syncing selection state for', flattenedNodes.length, 'nodes');
+    dispatchSelection({ type: 'SYNC_NODES', nodes: flattenedNodes });
   }, [flattenedNodes]);
   
   // Update App.tsx with selected files whenever selection changes
@@ -687,6 +766,12 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
     deselectAll: () => {
       console.log('[FileTree.tsx] deselectAll called');
       dispatchSelection({ type: 'DESELECT_ALL', nodes: flattenedNodes });
+    },
+    selectPaths: (relativePaths, mode = 'replace') => {
+      console.log(`[FileTree.tsx] selectPaths called with ${relativePaths.length} paths (${mode})`);
+      dispatchSelection({ type: 'SELECT_PATHS', nodes: flattenedNodes, paths: relativePaths, mode });
+      const wanted = new Set(relativePaths);
+      return flattenedNodes.filter(node => !node.isDirectory && !node.isSkipped && wanted.has(node.id)).length;
     }
   }));
   
@@ -706,6 +791,11 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
   const toggleNodeExpand = (node: FlattenedFile) => {
     console.log(`[FileTree.tsx] toggleNodeExpand for ${node.id}`);
     
+    // Directories left unloaded by a shallow scan load their children on first expand
+    if (node.isDirectory && node.hasLazyChildren && !expandedNodes.has(node.id)) {
+      loadDirectory(node, false);
+    }
+    
     if (node.isDirectory) {
       setExpandedNodes(prev => {
         const newSet = new Set(prev);
@@ -754,6 +844,14 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
     
     const nodeState = selectionState.nodeStates.get(node.relativePath) || 'unchecked';
     const isExpanded = node.isDirectory && expandedNodes.has(node.relativePath);
+    // Selected files can be included partially: source files as outlines, any file as line ranges
+    const inclusion = inclusions?.[node.id];
+    const isOutlined = inclusion?.mode === 'outline';
+    const isSelectedFile = !node.isDirectory && !node.isSkipped && nodeState === 'checked';
+    const canToggleOutline = !!onInclusionChange && isSelectedFile && canOutline(node.id);
+    const partialCount = inclusion && partialTokens?.[node.id];
+    const showPartialCount = !!partialCount && partialCount.fullTokens === node.tokenEstimate &&
+      partialCount.inclusionKey === getInclusionKey(inclusion);
 
     // Main click handler for the entire row
     const handleRowClick = () => {
@@ -833,11 +931,72 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
           >
             {node.name}
           </span>
-          {node.tokenEstimate !== undefined && (
+          {node.isSymlink && (
+            <span
+              className="ml-1 text-xs text-blue-500 truncate"
+              title={node.isSkipped && node.skipReason ? node.skipReason : `Symbolic link to ${node.symlinkTarget}`}
+            >
+              ↪ {node.symlinkTarget}
+            </span>
+          )}
+          {node.isDirectory ? (
+            <span className="ml-2 text-xs text-gray-500">
+              {loadingDirectories.has(node.id)
+                ? 'Loading...'
+                : `(${(directoryTotals.get(node.id)?.tokens ?? 0).toLocaleString()}${directoryTotals.get(node.id)?.partial ? '+' : ''} tokens)`}
+            </span>
+          ) : showPartialCount ? (
+            <span className="ml-2 text-xs text-gray-500" title={`${node.tokenEstimate} tokens in full`}>
+              ({partialCount.tokens} tokens {inclusion.mode === 'outline' ? 'as outline' : `of lines ${formatLineRanges(inclusion.ranges)}`})
+            </span>
+          ) : node.tokenEstimate !== undefined && (
             <span className="ml-2 text-xs text-gray-500">
               ({node.tokenEstimate} tokens)
             </span>
           )}
+          {canToggleOutline && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation(); // Don't toggle the selection
+                onInclusionChange!(node.id, isOutlined ? null : { mode: 'outline' });
+              }}
+              className={clsx(
+                "ml-2 px-1 rounded text-xs border",
+                isOutlined ? "border-blue-500 text-blue-400" : "border-gray-600 text-gray-500 hover:text-gray-300"
+              )}
+              title={isOutlined ? 'Included as an outline of its declarations; click to include in full' : 'Include only the top-level declarations'}
+              aria-pressed={isOutlined}
+            >
+              outline
+            </button>
+          )}
+          {onOpenContentView && isSelectedFile && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation(); // Don't toggle the selection
+                onOpenContentView(node.id);
+              }}
+              className={clsx(
+                "ml-1 px-1 rounded text-xs border",
+                inclusion?.mode === 'ranges' ? "border-blue-500 text-blue-400" : "border-gray-600 text-gray-500 hover:text-gray-300"
+              )}
+              title="Pick the lines or symbols of this file to include"
+              aria-pressed={inclusion?.mode === 'ranges'}
+            >
+              lines
+            </button>
+          )}
+          {node.isTruncated && (
+            <span
+              className="ml-1 text-xs text-blue-400"
+              title="Over the size limit: only its start and end are copied"
+            >
+              truncated
+            </span>
+          )}
+          {resolvedGitStatuses?.has(node.id) && (
+            <GitStatusBadge status={resolvedGitStatuses.get(node.id)!} isDirectory={node.isDirectory} />
+          )}
           <SkipReasonIndicator file={node} />
         </div>
         {!node.isDirectory && node.size !== undefined && (
@@ -867,6 +1026,17 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
           />
           <span>Name</span>
         </div>
+        {resolvedGitStatuses && (
+          <label className="flex items-center mr-4">
+            <input
+              type="checkbox"
+              className="mr-1"
+              checked={showOnlyDirty}
+              onChange={(e) => setShowOnlyDirty(e.target.checked)}
+            />
+            Only changed files
+          </label>
+        )}
         <div className="w-20 text-right">Size</div>
       </div>
       
@@ -908,7 +1078,14 @@ const FileTree = forwardRef<FileTreeHandle, FileTreeProps>((props, ref): JSX.Ele
           <span className="mx-4">•</span>
           <span>Collapse All</span>
         </div>
-        <div>{selectedData.count > 0 ? `${selectedData.count} files, ${formatFileSize(selectedData.totalSize)} selected` : ''}</div>
+        <div>
+          {selectedData.count > 0 ? `${selectedData.count} files, ${formatFileSize(selectedData.totalSize)} selected` : ''}
+          {hasUnloadedDirectories && (
+            <span className="ml-2 text-xs text-gray-500" title="Folders load when expanded or selected">
+              (some folders not loaded yet)
+            </span>
+          )}
+        </div>
       </div>
     </div>
   );
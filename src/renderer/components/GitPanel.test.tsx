@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import GitPanel from './GitPanel';
+
+describe('GitPanel Component', () => {
+  const repoInfo = {
+    repoRoot: '/test/repo',
+    branch: 'feature',
+    refs: ['feature', 'main'],
+    defaultBaseRef: 'main'
+  };
+
+  it('renders nothing outside a git repository', async () => {
+    window.api.getGitInfo = vi.fn().mockResolvedValue({ success: true, info: null });
+    const { container } = render(<GitPanel rootPath="/test/folder" onSelectPaths={vi.fn()} />);
+
+    await waitFor(() => expect(window.api.getGitInfo).toHaveBeenCalledWith('/test/folder'));
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('selects the files changed since the base ref', async () => {
+    window.api.getGitInfo = vi.fn().mockResolvedValue({ success: true, info: repoInfo });
+    window.api.listGitFiles = vi.fn().mockResolvedValue({ success: true, files: ['src/a.ts', 'dist/out.js'] });
+    const onSelectPaths = vi.fn().mockReturnValue(1);
+    render(<GitPanel rootPath="/test/repo" onSelectPaths={onSelectPaths} />);
+
+    expect(await screen.findByText('On branch feature')).toBeInTheDocument();
+    expect(screen.getByLabelText('Base ref')).toHaveValue('main');
+
+    fireEvent.click(screen.getByText('Changed'));
+
+    await waitFor(() => expect(onSelectPaths).toHaveBeenCalledWith(['src/a.ts', 'dist/out.js'], 'replace'));
+    expect(window.api.listGitFiles).toHaveBeenCalledWith('/test/repo', 'changed', 'main');
+    expect(await screen.findByText(/Selected 1 of 2 changed files/)).toBeInTheDocument();
+  });
+
+  it('adds staged files to the selection and reports git errors', async () => {
+    window.api.getGitInfo = vi.fn().mockResolvedValue({ success: true, info: repoInfo });
+    window.api.listGitFiles = vi.fn()
+      .mockResolvedValueOnce({ success: true, files: ['src/b.ts'] })
+      .mockResolvedValueOnce({ success: false, error: 'fatal: bad revision' });
+    const onSelectPaths = vi.fn().mockReturnValue(1);
+    render(<GitPanel rootPath="/test/repo" onSelectPaths={onSelectPaths} />);
+
+    fireEvent.click(await screen.findByLabelText('Add to current selection'));
+    fireEvent.click(screen.getByText('Staged'));
+    await waitFor(() => expect(onSelectPaths).toHaveBeenCalledWith(['src/b.ts'], 'add'));
+
+    fireEvent.click(await screen.findByText('Untracked'));
+    expect(await screen.findByText('fatal: bad revision')).toBeInTheDocument();
+  });
+
+  it('reports the diff settings for copying', async () => {
+    window.api.getGitInfo = vi.fn().mockResolvedValue({ success: true, info: repoInfo });
+    const onDiffOptionsChange = vi.fn();
+    render(<GitPanel rootPath="/test/repo" onSelectPaths={vi.fn()} onDiffOptionsChange={onDiffOptionsChange} />);
+
+    fireEvent.change(await screen.findByLabelText('Include diff when copying'), { target: { value: 'base' } });
+    fireEvent.click(screen.getByLabelText('Send only the diff when it is smaller than the file'));
+
+    expect(onDiffOptionsChange).toHaveBeenLastCalledWith({ target: 'base', baseRef: 'main', replaceContents: true });
+
+    fireEvent.change(screen.getByLabelText('Include diff when copying'), { target: { value: 'none' } });
+    expect(onDiffOptionsChange).toHaveBeenLastCalledWith(null);
+  });
+});
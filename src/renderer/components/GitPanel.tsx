@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import { GitDiffOptions, GitDiffTarget, GitFileKind, GitRepoInfo } from '../types/common';
+
+interface GitPanelProps {
+  rootPath: string;
+  // Check the files at these relative paths; returns how many were found in the tree
+  onSelectPaths: (relativePaths: string[], mode: 'replace' | 'add') => number;
+  // Diff settings for copying (null when no diff should be included)
+  onDiffOptionsChange?: (options: GitDiffOptions | null) => void;
+  // Re-read the status badges shown in the file tree
+  onRefreshStatus?: () => void;
+}
+
+// Selection buttons, in display order
+const KIND_LABELS: Record<GitFileKind, string> = {
+  changed: 'Changed',
+  staged: 'Staged',
+  untracked: 'Untracked'
+};
+
+/**
+ * One-click selection of the files git reports as changed vs. a base ref,
+ * staged, or untracked, and the <git_diff> setting for copying.
+ * Hidden when the scanned folder is not in a git repository.
+ */
+export default function GitPanel({ rootPath, onSelectPaths, onDiffOptionsChange, onRefreshStatus }: GitPanelProps): JSX.Element | null {
+  const [info, setInfo] = useState<GitRepoInfo | null>(null);
+  const [baseRef, setBaseRef] = useState('');
+  const [addToSelection, setAddToSelection] = useState(false);
+  const [loadingKind, setLoadingKind] = useState<GitFileKind | null>(null);
+  const [message, setMessage] = useState<{ text: string; isError: boolean } | null>(null);
+  const [diffTarget, setDiffTarget] = useState<GitDiffTarget | 'none'>('none');
+  const [diffOnly, setDiffOnly] = useState(false);
+
+  // Look up the repository whenever a new folder is scanned
+  useEffect(() => {
+    let cancelled = false;
+    setInfo(null);
+    setMessage(null);
+
+    const loadInfo = async () => {
+      try {
+        const result = await window.api.getGitInfo?.(rootPath);
+        if (cancelled || !result?.success || !result.info) return;
+        setInfo(result.info);
+        setBaseRef(result.info.defaultBaseRef ?? 'HEAD');
+      } catch (error) {
+        console.error('[GitPanel.tsx] Error reading git info:', error);
+      }
+    };
+    loadInfo();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rootPath]);
+
+  // Report the diff settings; nothing is diffed outside a repository
+  useEffect(() => {
+    onDiffOptionsChange?.(info && diffTarget !== 'none'
+      ? { target: diffTarget, baseRef: baseRef.trim(), replaceContents: diffOnly }
+      : null);
+  }, [info, diffTarget, baseRef, diffOnly, onDiffOptionsChange]);
+
+  const handleSelect = async (kind: GitFileKind) => {
+    setLoadingKind(kind);
+    setMessage(null);
+    try {
+      const result = await window.api.listGitFiles(rootPath, kind, kind === 'changed' ? baseRef.trim() : undefined);
+      if (!result.success || !result.files) {
+        setMessage({ text: result.error || `Failed to list ${kind} files.`, isError: true });
+        return;
+      }
+
+      const matched = onSelectPaths(result.files, addToSelection ? 'add' : 'replace');
+      let text = result.files.length === 0
+        ? `No ${kind} files.`
+        : `Selected ${matched} of ${result.files.length} ${kind} files.`;
+      if (matched < result.files.length) {
+        text += ' The rest are ignored, skipped or in folders not loaded yet.';
+      }
+      setMessage({ text, isError: false });
+    } catch (error) {
+      console.error('[GitPanel.tsx] Error listing git files:', error);
+      setMessage({ text: error instanceof Error ? error.message : 'Failed to run git.', isError: true });
+    } finally {
+      setLoadingKind(null);
+    }
+  };
+
+  if (!info) return null;
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-300">Git</h3>
+        <div className="flex items-center text-xs text-gray-400">
+          <span>{info.branch ? `On branch ${info.branch}` : 'Detached HEAD'}</span>
+          {onRefreshStatus && (
+            <button
+              onClick={onRefreshStatus}
+              className="ml-3 text-blue-400 hover:underline"
+            >
+              Refresh status
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        <label className="flex items-center text-gray-300">
+          <span className="mr-2">Base</span>
+          <input
+            type="text"
+            list="git-base-refs"
+            value={baseRef}
+            onChange={(e) => setBaseRef(e.target.value)}
+            className="w-40 px-2 py-1 bg-gray-900 border border-gray-600 rounded text-gray-200"
+            aria-label="Base ref"
+          />
+          <datalist id="git-base-refs">
+            {info.refs.map(ref => <option key={ref} value={ref} />)}
+          </datalist>
+        </label>
+
+        {(Object.keys(KIND_LABELS) as GitFileKind[]).map(kind => (
+          <button
+            key={kind}
+            onClick={() => handleSelect(kind)}
+            disabled={loadingKind !== null || (kind === 'changed' && !baseRef.trim())}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium disabled:opacity-50"
+          >
+            {loadingKind === kind ? 'Loading...' : KIND_LABELS[kind]}
+          </button>
+        ))}
+
+        <label className="flex items-center text-xs text-gray-400">
+          <input
+            type="checkbox"
+            className="mr-1"
+            checked={addToSelection}
+            onChange={(e) => setAddToSelection(e.target.checked)}
+          />
+          Add to current selection
+        </label>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-400">
+        <label className="flex items-center">
+          <span className="mr-2">Include diff when copying</span>
+          <select
+            value={diffTarget}
+            onChange={(e) => setDiffTarget(e.target.value as GitDiffTarget | 'none')}
+            className="px-1 py-0.5 bg-gray-900 border border-gray-600 rounded text-gray-200"
+            aria-label="Include diff when copying"
+            title="Untracked files have no diff; they are sent in full"
+          >
+            <option value="none">No</option>
+            <option value="head">Uncommitted changes (vs. HEAD)</option>
+            <option value="base">Branch changes (vs. base)</option>
+          </select>
+        </label>
+        {diffTarget !== 'none' && (
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              className="mr-1"
+              checked={diffOnly}
+              onChange={(e) => setDiffOnly(e.target.checked)}
+            />
+            Send only the diff when it is smaller than the file
+          </label>
+        )}
+      </div>
+
+      {message && (
+        <div className={clsx("mt-2 text-xs", message.isError ? "text-red-400" : "text-gray-400")}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
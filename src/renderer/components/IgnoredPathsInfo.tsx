@@ -6,7 +6,7 @@ interface IgnoredPathsInfoProps {
 
 export default function IgnoredPathsInfo({ rootPath }: IgnoredPathsInfoProps): JSX.Element {
   const [showDetails, setShowDetails] = useState(false);
-  const [defaultPatterns] = useState(['node_modules/**', '.git/**']);
+  const [defaultPatterns] = useState(['node_modules/', '.git/']);
 
   return (
     <div className="mt-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
@@ -23,20 +23,23 @@ export default function IgnoredPathsInfo({ rootPath }: IgnoredPathsInfoProps): J
       {showDetails && (
         <div className="mt-2">
           <p className="text-xs text-gray-400 mb-2">
-            The following patterns are ignored from scan based on your .repopromptignore file:
+            The following patterns are always ignored from scan (unless re-included with <code>!</code>):
           </p>
           <div className="text-xs bg-gray-900 p-2 rounded-md">
             {defaultPatterns.map((pattern, idx) => (
               <div key={idx} className="text-amber-400">{pattern}</div>
             ))}
             <div className="text-gray-500 italic mt-1">
-              + any patterns defined in .repopromptignore
+              + .git/info/exclude and any .gitignore or .repopromptignore file, in every directory
             </div>
           </div>
           
           <div className="mt-2 text-xs text-gray-400">
-            <p>To customize ignored paths, create or edit .repopromptignore file in your project root.</p>
-            <p className="mt-1">Each line should contain a glob pattern (e.g. build/**, *.log).</p>
+            <p>Ignore files follow .gitignore rules: deeper files override their parents and the last matching line wins.</p>
+            <p className="mt-1">
+              Use .repopromptignore for patterns that should only affect this app
+              (e.g. <code>/docs/</code>, <code>*.{'{'}png,svg{'}'}</code>, <code>!keep.log</code>).
+            </p>
           </div>
         </div>
       )}
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ImportExpansion from './ImportExpansion';
+import { FileInfo } from '../types/common';
+
+const file = (relativePath: string, tokenEstimate: number, isSkipped = false): FileInfo => ({
+  path: `/test/repo/${relativePath}`,
+  relativePath,
+  size: tokenEstimate * 4,
+  isDirectory: false,
+  isSkipped,
+  tokenEstimate
+});
+
+describe('ImportExpansion Component', () => {
+  const files = [
+    file('src/App.tsx', 100),
+    file('src/Button.tsx', 40),
+    file('src/theme.ts', 10),
+    file('src/logo.svg', 0, true)
+  ];
+
+  it('previews imports with their token cost before adding them', async () => {
+    window.api.expandImports = vi.fn().mockResolvedValue({
+      success: true,
+      paths: ['src/Button.tsx', 'src/theme.ts', 'src/logo.svg']
+    });
+    const onSelectPaths = vi.fn().mockReturnValue(2);
+    render(<ImportExpansion rootPath="/test/repo" selectedPaths={['src/App.tsx']} files={files} onSelectPaths={onSelectPaths} />);
+
+    fireEvent.change(screen.getByLabelText('Import depth'), { target: { value: '2' } });
+    fireEvent.click(screen.getByText('Add imports'));
+
+    expect(await screen.findByText(/\+50 tokens/)).toBeInTheDocument();
+    expect(screen.getByText(/1 more are skipped/)).toBeInTheDocument();
+    expect(window.api.expandImports).toHaveBeenCalledWith('/test/repo', ['src/App.tsx'], {
+      direction: 'imports',
+      depth: 2,
+      candidatePaths: undefined
+    });
+    expect(onSelectPaths).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Add 2 files'));
+    expect(onSelectPaths).toHaveBeenCalledWith(['src/Button.tsx', 'src/theme.ts'], 'add');
+    expect(screen.getByText('Added 2 imported files.')).toBeInTheDocument();
+  });
+
+  it('searches the scanned files for importers', async () => {
+    window.api.expandImports = vi.fn().mockResolvedValue({ success: true, paths: [] });
+    render(<ImportExpansion rootPath="/test/repo" selectedPaths={['src/theme.ts']} files={files} onSelectPaths={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Add importers'));
+
+    expect(await screen.findByText('No scanned files import the selection.')).toBeInTheDocument();
+    expect(window.api.expandImports).toHaveBeenCalledWith('/test/repo', ['src/theme.ts'], {
+      direction: 'importers',
+      depth: 1,
+      candidatePaths: ['src/App.tsx', 'src/Button.tsx', 'src/theme.ts']
+    });
+  });
+
+  it('reports errors and is disabled without a selection', async () => {
+    window.api.expandImports = vi.fn().mockResolvedValue({ success: false, error: 'EACCES' });
+    const { rerender } = render(
+      <ImportExpansion rootPath="/test/repo" selectedPaths={[]} files={files} onSelectPaths={vi.fn()} />
+    );
+    expect(screen.getByText('Add imports')).toBeDisabled();
+
+    rerender(<ImportExpansion rootPath="/test/repo" selectedPaths={['src/App.tsx']} files={files} onSelectPaths={vi.fn()} />);
+    fireEvent.click(screen.getByText('Add imports'));
+
+    await waitFor(() => expect(screen.getByText('EACCES')).toBeInTheDocument());
+  });
+});
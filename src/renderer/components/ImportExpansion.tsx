@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import clsx from 'clsx';
+import { FileInfo, ImportDirection } from '../types/common';
+
+interface ImportExpansionProps {
+  rootPath: string;
+  // Relative paths of the selected files
+  selectedPaths: string[];
+  // Scanned files, for importer candidates and token costs
+  files: FileInfo[];
+  // Check the files at these relative paths; returns how many were found in the tree
+  onSelectPaths: (relativePaths: string[], mode: 'replace' | 'add') => number;
+}
+
+// Found files awaiting confirmation
+interface ExpansionPreview {
+  direction: ImportDirection;
+  paths: string[];
+  tokens: number;
+  notScanned: number;        // Found on disk but skipped, ignored or not loaded in the tree
+}
+
+const MAX_DEPTH = 10;
+
+// Preview file names listed before collapsing into "and N more"
+const PREVIEW_LIST_LIMIT = 8;
+
+/**
+ * Adds the modules the selected files import (or the files importing them),
+ * following the import graph a chosen number of levels, after previewing
+ * the files and their token cost.
+ */
+export default function ImportExpansion({ rootPath, selectedPaths, files, onSelectPaths }: ImportExpansionProps): JSX.Element {
+  const [depth, setDepth] = useState(1);
+  const [loadingDirection, setLoadingDirection] = useState<ImportDirection | null>(null);
+  const [preview, setPreview] = useState<ExpansionPreview | null>(null);
+  const [message, setMessage] = useState<{ text: string; isError: boolean } | null>(null);
+
+  // Selectable files by path; skipped files cannot be added
+  const scannedFiles = useMemo(() => {
+    const byPath = new Map<string, FileInfo>();
+    for (const file of files) {
+      if (!file.isDirectory && !file.isSkipped) byPath.set(file.relativePath, file);
+    }
+    return byPath;
+  }, [files]);
+
+  // A preview only applies to the selection it was computed for
+  useEffect(() => {
+    setPreview(null);
+  }, [rootPath, selectedPaths]);
+
+  const handlePreview = async (direction: ImportDirection) => {
+    setLoadingDirection(direction);
+    setMessage(null);
+    setPreview(null);
+    try {
+      const result = await window.api.expandImports(rootPath, selectedPaths, {
+        direction,
+        depth,
+        candidatePaths: direction === 'importers' ? [...scannedFiles.keys()] : undefined
+      });
+      if (!result.success || !result.paths) {
+        setMessage({ text: result.error || 'Failed to read imports.', isError: true });
+        return;
+      }
+      if (result.paths.length === 0) {
+        setMessage({
+          text: direction === 'imports' ? 'The selection imports no other local files.' : 'No scanned files import the selection.',
+          isError: false
+        });
+        return;
+      }
+
+      const selectable = result.paths.filter(relativePath => scannedFiles.has(relativePath));
+      setPreview({
+        direction,
+        paths: selectable,
+        tokens: selectable.reduce((sum, relativePath) => sum + (scannedFiles.get(relativePath)?.tokenEstimate ?? 0), 0),
+        notScanned: result.paths.length - selectable.length
+      });
+    } catch (error) {
+      console.error('[ImportExpansion.tsx] Error expanding imports:', error);
+      setMessage({ text: error instanceof Error ? error.message : 'Failed to read imports.', isError: true });
+    } finally {
+      setLoadingDirection(null);
+    }
+  };
+
+  const handleAdd = () => {
+    if (!preview) return;
+    const matched = onSelectPaths(preview.paths, 'add');
+    setMessage({ text: `Added ${matched} ${preview.direction === 'imports' ? 'imported' : 'importing'} files.`, isError: false });
+    setPreview(null);
+  };
+
+  const isBusy = loadingDirection !== null;
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <h3 className="mr-2 text-sm font-medium text-gray-300">Dependencies</h3>
+        <label className="flex items-center text-xs text-gray-400">
+          <span className="mr-1">Depth</span>
+          <input
+            type="number"
+            min={1}
+            max={MAX_DEPTH}
+            value={depth}
+            onChange={(e) => setDepth(Math.min(MAX_DEPTH, Math.max(1, Number(e.target.value) || 1)))}
+            className="w-14 px-1 py-0.5 bg-gray-900 border border-gray-600 rounded text-gray-200"
+            aria-label="Import depth"
+          />
+        </label>
+        <button
+          onClick={() => handlePreview('imports')}
+          disabled={isBusy || selectedPaths.length === 0}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium disabled:opacity-50"
+        >
+          {loadingDirection === 'imports' ? 'Reading...' : 'Add imports'}
+        </button>
+        <button
+          onClick={() => handlePreview('importers')}
+          disabled={isBusy || selectedPaths.length === 0}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium disabled:opacity-50"
+        >
+          {loadingDirection === 'importers' ? 'Reading...' : 'Add importers'}
+        </button>
+      </div>
+
+      {preview && (
+        <div className="mt-2 text-xs text-gray-400">
+          <div>
+            {preview.paths.length} {preview.direction === 'imports' ? 'imported' : 'importing'} files,
+            {' '}+{preview.tokens.toLocaleString()} tokens
+            {preview.notScanned > 0 && ` (${preview.notScanned} more are skipped, ignored or not loaded)`}
+          </div>
+          <ul className="mt-1 text-gray-300">
+            {preview.paths.slice(0, PREVIEW_LIST_LIMIT).map(relativePath => (
+              <li key={relativePath} className="truncate" title={relativePath}>{relativePath}</li>
+            ))}
+            {preview.paths.length > PREVIEW_LIST_LIMIT && (
+              <li>and {preview.paths.length - PREVIEW_LIST_LIMIT} more</li>
+            )}
+          </ul>
+          <div className="mt-2 flex gap-2">
+            <button
+              onClick={handleAdd}
+              disabled={preview.paths.length === 0}
+              className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium disabled:opacity-50"
+            >
+              Add {preview.paths.length} files
+            </button>
+            <button
+              onClick={() => setPreview(null)}
+              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className={clsx("mt-2 text-xs", message.isError ? "text-red-400" : "text-gray-400")}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
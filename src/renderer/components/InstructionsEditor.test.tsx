@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import InstructionsEditor from './InstructionsEditor';
+import { PromptTemplate } from '../types/common';
+
+describe('InstructionsEditor Component', () => {
+  const templates: PromptTemplate[] = [
+    { id: 'review', name: 'Code review', text: 'Review {{root_name}}', placement: 'before', builtIn: true },
+    { id: 'custom-1', name: 'Tests', text: 'Write tests', placement: 'after' }
+  ];
+
+  it('loads a template into the editor and shows its token count', () => {
+    const onInstructionsChange = vi.fn();
+    render(
+      <InstructionsEditor
+        instructions={{ text: 'Explain', placement: 'before' }}
+        onInstructionsChange={onInstructionsChange}
+        templates={templates}
+        onTemplatesChange={vi.fn()}
+        tokenCount={1234}
+      />
+    );
+
+    expect(screen.getByText('≈ 1,234 tokens')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'custom-1' } });
+    expect(onInstructionsChange).toHaveBeenCalledWith({ text: 'Write tests', placement: 'after' });
+  });
+
+  it('saves the instructions as a template and deletes custom templates only', () => {
+    const onTemplatesChange = vi.fn();
+    const { rerender } = render(
+      <InstructionsEditor
+        instructions={{ text: 'Explain', placement: 'both' }}
+        onInstructionsChange={vi.fn()}
+        templates={templates}
+        onTemplatesChange={onTemplatesChange}
+        tokenCount={null}
+      />
+    );
+
+    expect(screen.getByText('Counting...')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Template name'), { target: { value: 'Explainer' } });
+    fireEvent.click(screen.getByText('Save as template'));
+    const saved = onTemplatesChange.mock.calls[0][0];
+    expect(saved).toHaveLength(3);
+    expect(saved[2]).toMatchObject({ name: 'Explainer', text: 'Explain', placement: 'both' });
+
+    fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'review' } });
+    expect(screen.queryByText('Delete template')).not.toBeInTheDocument();
+
+    rerender(
+      <InstructionsEditor
+        instructions={{ text: 'Write tests', placement: 'after' }}
+        onInstructionsChange={vi.fn()}
+        templates={templates}
+        onTemplatesChange={onTemplatesChange}
+        tokenCount={3}
+      />
+    );
+    fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'custom-1' } });
+    fireEvent.click(screen.getByText('Delete template'));
+    expect(onTemplatesChange).toHaveBeenLastCalledWith([templates[0]]);
+  });
+});
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { PromptTemplate } from '../types/common';
+import { InstructionPlacement, PromptInstructions, TEMPLATE_VARIABLES } from '../../shared/promptTemplate';
+import { createTemplate, INSTRUCTION_PLACEMENTS } from '../utils/templateUtils';
+import { formatNumber } from '../utils/selectionUtils';
+
+interface InstructionsEditorProps {
+  instructions: PromptInstructions;
+  onInstructionsChange: (instructions: PromptInstructions) => void;
+  templates: PromptTemplate[];
+  onTemplatesChange: (templates: PromptTemplate[]) => void;
+  tokenCount: number | null;  // Tokens the instructions add to the payload (null while counting)
+}
+
+/**
+ * Editor for the instructions sent with the payload, with saved templates
+ * and the variables they can use
+ */
+export default function InstructionsEditor({
+  instructions,
+  onInstructionsChange,
+  templates,
+  onTemplatesChange,
+  tokenCount
+}: InstructionsEditorProps): JSX.Element {
+  const [templateId, setTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [showVariables, setShowVariables] = useState(false);
+
+  const selectedTemplate = templates.find(template => template.id === templateId);
+
+  const handleTemplateChange = (id: string) => {
+    setTemplateId(id);
+    const template = templates.find(t => t.id === id);
+    if (template) {
+      onInstructionsChange({ text: template.text, placement: template.placement });
+    }
+  };
+
+  const handleSave = () => {
+    const name = templateName.trim();
+    if (!name || !instructions.text.trim()) return;
+    const template = createTemplate(name, instructions);
+    onTemplatesChange([...templates, template]);
+    setTemplateId(template.id);
+    setTemplateName('');
+  };
+
+  const handleDelete = () => {
+    if (!selectedTemplate || selectedTemplate.builtIn) return;
+    onTemplatesChange(templates.filter(template => template.id !== selectedTemplate.id));
+    setTemplateId('');
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <h3 className="mr-2 text-sm font-medium text-gray-300">Instructions</h3>
+        <select
+          value={templateId}
+          onChange={(e) => handleTemplateChange(e.target.value)}
+          className="bg-gray-700 text-gray-300 text-xs rounded px-2 py-1 border border-gray-600"
+          aria-label="Template"
+        >
+          <option value="">Choose a template...</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        {selectedTemplate && !selectedTemplate.builtIn && (
+          <button
+            onClick={handleDelete}
+            className="px-2 py-1 text-xs bg-red-800 hover:bg-red-700 rounded"
+          >
+            Delete template
+          </button>
+        )}
+        <select
+          value={instructions.placement}
+          onChange={(e) => onInstructionsChange({ ...instructions, placement: e.target.value as InstructionPlacement })}
+          className="bg-gray-700 text-gray-300 text-xs rounded px-2 py-1 border border-gray-600"
+          aria-label="Placement"
+        >
+          {INSTRUCTION_PLACEMENTS.map(placement => (
+            <option key={placement.value} value={placement.value}>{placement.label}</option>
+          ))}
+        </select>
+        {instructions.text.trim() && (
+          <span className="ml-auto text-xs text-gray-400">
+            {tokenCount === null ? 'Counting...' : `≈ ${formatNumber(tokenCount)} tokens`}
+          </span>
+        )}
+      </div>
+
+      <textarea
+        value={instructions.text}
+        onChange={(e) => onInstructionsChange({ ...instructions, text: e.target.value })}
+        rows={4}
+        placeholder="What should the model do with these files?"
+        className="w-full px-2 py-1 bg-gray-900 border border-gray-600 rounded text-sm text-gray-200 font-mono"
+        aria-label="Instructions"
+      />
+
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+        <input
+          type="text"
+          value={templateName}
+          onChange={(e) => setTemplateName(e.target.value)}
+          placeholder="Template name"
+          className="px-2 py-1 bg-gray-900 border border-gray-600 rounded text-gray-200"
+          aria-label="Template name"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!templateName.trim() || !instructions.text.trim()}
+          className="px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded disabled:opacity-50"
+        >
+          Save as template
+        </button>
+        <button
+          onClick={() => setShowVariables(prev => !prev)}
+          className="ml-auto text-gray-400 hover:text-gray-200"
+        >
+          {showVariables ? 'Hide variables' : 'Variables'}
+        </button>
+      </div>
+
+      {showVariables && (
+        <ul className="mt-2 text-xs text-gray-400" aria-label="Template variables">
+          {TEMPLATE_VARIABLES.map(variable => (
+            <li key={variable.name}>
+              <code className="text-gray-200">{`{{${variable.name}}}`}</code> {variable.description}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PayloadParts from './PayloadParts';
+import { FileInfo } from '../types/common';
+
+const file = (relativePath: string, tokenEstimate: number): FileInfo => ({
+  path: `/test/repo/${relativePath}`,
+  relativePath,
+  size: tokenEstimate * 4,
+  isDirectory: false,
+  isSkipped: false,
+  tokenEstimate
+});
+
+describe('PayloadParts Component', () => {
+  const files = [file('api/client.ts', 600), file('ui/App.tsx', 700)];
+  const request = {
+    filesToCopy: files.map(({ path, relativePath, tokenEstimate, isDirectory, isSkipped }) => ({
+      path, relativePath, tokenEstimate, isDirectory, isSkipped
+    })),
+    options: { tokenLimit: 1000, fileMap: { rootFolderName: 'repo', files, options: {} } }
+  };
+
+  it('splits the selection and copies each part with its heading and the whole file map', async () => {
+    window.api.planPayloadParts = vi.fn().mockResolvedValue({
+      success: true,
+      parts: [
+        { files: ['api/client.ts'], tokens: 600, exceedsBudget: false },
+        { files: ['ui/App.tsx'], tokens: 700, exceedsBudget: false }
+      ],
+      overheadTokens: 50
+    });
+    window.api.generatePayloadAndCopy = vi.fn().mockResolvedValue({ success: true, message: 'Successfully copied 1 files to clipboard.' });
+    const onResult = vi.fn();
+    render(<PayloadParts selectedFiles={files} tokenLimit={1000} getPayloadRequest={() => request} onResult={onResult} />);
+
+    fireEvent.change(screen.getByLabelText('Tokens per part'), { target: { value: '800' } });
+    fireEvent.click(screen.getByText('Split'));
+
+    expect(await screen.findByText(/Part 2 of 2: 1 files, 750 tokens/)).toBeInTheDocument();
+    expect(window.api.planPayloadParts).toHaveBeenCalledWith(request.filesToCopy, expect.objectContaining({ tokenLimit: 800 }));
+
+    fireEvent.click(screen.getByLabelText('Copy part 2'));
+    await waitFor(() => expect(onResult).toHaveBeenCalledWith({
+      success: true,
+      message: 'Part 2 of 2: Successfully copied 1 files to clipboard.'
+    }));
+    expect(window.api.generatePayloadAndCopy).toHaveBeenCalledWith(
+      [request.filesToCopy[1]],
+      expect.objectContaining({
+        tokenLimit: 800,
+        part: { number: 2, count: 2 },
+        selectionCount: 2,
+        fileMap: expect.objectContaining({ selectedPaths: ['/test/repo/api/client.ts', '/test/repo/ui/App.tsx'] })
+      })
+    );
+    expect(screen.getByText(/✓ Part 2 of 2/)).toBeInTheDocument();
+  });
+
+  it('sends a part holding a single file over the limit whole', async () => {
+    window.api.planPayloadParts = vi.fn().mockResolvedValue({
+      success: true,
+      parts: [
+        { files: ['api/client.ts'], tokens: 600, exceedsBudget: false },
+        { files: ['ui/App.tsx'], tokens: 700, exceedsBudget: true }
+      ],
+      overheadTokens: 50
+    });
+    window.api.generatePayloadAndExport = vi.fn().mockResolvedValue({ success: true, message: 'Exported 1 files to /out/repo-prompt-2.xml.' });
+    render(<PayloadParts selectedFiles={files} tokenLimit={650} getPayloadRequest={() => request} onResult={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Split'));
+    expect(await screen.findByText(/sent whole/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Export part 2'));
+    await waitFor(() => expect(window.api.generatePayloadAndExport).toHaveBeenCalledWith(
+      [request.filesToCopy[1]],
+      expect.objectContaining({ tokenLimit: 750, part: { number: 2, count: 2 } })
+    ));
+    expect(await screen.findByText(/✓ Part 2 of 2/)).toBeInTheDocument();
+  });
+
+  it('shows why a selection cannot be split', async () => {
+    window.api.planPayloadParts = vi.fn().mockResolvedValue({
+      success: false,
+      error: 'The file map and instructions alone exceed the token limit of a part.'
+    });
+    render(<PayloadParts selectedFiles={files} tokenLimit={10} getPayloadRequest={() => request} onResult={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Split'));
+    expect(await screen.findByText(/alone exceed the token limit/)).toBeInTheDocument();
+  });
+});
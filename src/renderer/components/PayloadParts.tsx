@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import { FileInfo, PayloadPartPlan } from '../types/common';
+import type { PayloadRequestFile, PayloadRequestOptions } from '../types/api';
+import { formatNumber } from '../utils/selectionUtils';
+
+interface PayloadPartsProps {
+  selectedFiles: FileInfo[];
+  tokenLimit: number;                        // Default per-part limit (the active profile's budget)
+  // The whole selection, as it is copied
+  getPayloadRequest: () => { filesToCopy: PayloadRequestFile[]; options: PayloadRequestOptions };
+  exportDirectory?: string | null;           // Folder the export dialog opens in
+  onResult: (result: { success: boolean; message: string }) => void;
+}
+
+/**
+ * Splits a selection too large for one prompt into numbered parts that each
+ * fit a token limit, to copy or export one after the other. Every part is
+ * headed "part k of N" and carries the file map of the whole selection.
+ */
+export default function PayloadParts({
+  selectedFiles,
+  tokenLimit,
+  getPayloadRequest,
+  exportDirectory,
+  onResult
+}: PayloadPartsProps): JSX.Element {
+  const [partLimit, setPartLimit] = useState(tokenLimit);
+  const [parts, setParts] = useState<PayloadPartPlan[] | null>(null);
+  const [overheadTokens, setOverheadTokens] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [busyPart, setBusyPart] = useState<number | null>(null);
+  // Parts already copied or exported
+  const [sentParts, setSentParts] = useState<Set<number>>(new Set());
+
+  useEffect(() => {
+    setPartLimit(tokenLimit);
+  }, [tokenLimit]);
+
+  // A plan is only valid for the selection it was made for
+  useEffect(() => {
+    setParts(null);
+    setSentParts(new Set());
+    setError(null);
+  }, [selectedFiles, partLimit]);
+
+  const handleSplit = async () => {
+    setIsPlanning(true);
+    setError(null);
+    try {
+      const { filesToCopy, options } = getPayloadRequest();
+      const result = await window.api.planPayloadParts(filesToCopy, { ...options, tokenLimit: partLimit });
+      if (result.success && result.parts) {
+        setParts(result.parts);
+        setOverheadTokens(result.overheadTokens ?? 0);
+        setSentParts(new Set());
+      } else {
+        setError(result.error || 'Failed to split the selection.');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handleSend = async (index: number, mode: 'copy' | 'export') => {
+    if (!parts) return;
+    setBusyPart(index);
+    try {
+      const { filesToCopy, options } = getPayloadRequest();
+      const part = parts[index];
+      const partPaths = new Set(part.files);
+      const partOptions = {
+        ...options,
+        // A part holding a single file over the limit is sent whole rather than not at all
+        tokenLimit: part.exceedsBudget ? Math.max(partLimit, part.tokens + overheadTokens) : partLimit,
+        part: { number: index + 1, count: parts.length },
+        // Instructions are rendered as they were planned, for the whole selection
+        selectionCount: filesToCopy.filter(file => !file.isDirectory && !file.isSkipped).length,
+        // Every part shows the whole selection in its file map
+        fileMap: options.fileMap && { ...options.fileMap, selectedPaths: filesToCopy.map(file => file.path) }
+      };
+      const partFiles = filesToCopy.filter(file => partPaths.has(file.relativePath));
+      const result = mode === 'copy'
+        ? await window.api.generatePayloadAndCopy(partFiles, partOptions)
+        : await window.api.generatePayloadAndExport(partFiles, { ...partOptions, exportDirectory: exportDirectory ?? undefined });
+      if (result.cancelled) return;
+      onResult({ success: result.success, message: `Part ${index + 1} of ${parts.length}: ${result.message}` });
+      if (result.success) setSentParts(prev => new Set(prev).add(index));
+    } catch (err) {
+      onResult({ success: false, message: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setBusyPart(null);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <h3 className="mr-2 text-sm font-medium text-gray-300">Split into parts</h3>
+        <label className="flex items-center text-xs text-gray-400">
+          <span className="mr-1">Tokens per part</span>
+          <input
+            type="number"
+            min={1}
+            value={partLimit}
+            onChange={(e) => setPartLimit(Math.max(1, Number(e.target.value) || 1))}
+            className="w-28 px-1 py-0.5 bg-gray-900 border border-gray-600 rounded text-gray-200"
+            aria-label="Tokens per part"
+          />
+        </label>
+        <button
+          onClick={handleSplit}
+          disabled={isPlanning || selectedFiles.length === 0}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium disabled:opacity-50"
+        >
+          {isPlanning ? 'Splitting...' : 'Split'}
+        </button>
+        {parts && (
+          <span className="text-xs text-gray-500">
+            Each part also carries {formatNumber(overheadTokens)} tokens of file map, instructions and heading
+          </span>
+        )}
+      </div>
+
+      {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+
+      {parts && (
+        <ul className="mt-2 space-y-1 text-xs" aria-label="Parts">
+          {parts.map((part, index) => (
+            <li key={index} className="flex items-center gap-2">
+              <span className={clsx("flex-grow", sentParts.has(index) ? "text-gray-500" : "text-gray-300")}>
+                {sentParts.has(index) ? '✓ ' : ''}Part {index + 1} of {parts.length}: {part.files.length} files,{' '}
+                {formatNumber(part.tokens + overheadTokens)} tokens
+                {part.exceedsBudget && <span className="ml-1 text-red-400">(a single file over the limit, sent whole)</span>}
+              </span>
+              <button
+                onClick={() => handleSend(index, 'copy')}
+                disabled={busyPart !== null}
+                className="px-2 py-0.5 bg-blue-700 hover:bg-blue-600 rounded disabled:opacity-50"
+                aria-label={`Copy part ${index + 1}`}
+              >
+                Copy
+              </button>
+              <button
+                onClick={() => handleSend(index, 'export')}
+                disabled={busyPart !== null}
+                className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50"
+                aria-label={`Export part ${index + 1}`}
+              >
+                Export…
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import clsx from 'clsx';
+import { ContextProfile, TokenEncoding, TOKEN_ENCODING_OPTIONS } from '../types/common';
+import { duplicateProfile, getProfileBudget } from '../utils/profileUtils';
+import { formatNumber } from '../utils/selectionUtils';
+
+interface ProfileSelectorProps {
+  profiles: ContextProfile[];
+  activeProfileId: string;
+  onProfileChange: (id: string) => void;
+  onProfilesChange: (profiles: ContextProfile[]) => void;
+  className?: string;
+}
+
+/**
+ * Component for choosing and editing the active context profile
+ */
+export default function ProfileSelector({
+  profiles,
+  activeProfileId,
+  onProfileChange,
+  onProfilesChange,
+  className
+}: ProfileSelectorProps): JSX.Element {
+  const [isEditing, setIsEditing] = useState(false);
+
+  const activeProfile = profiles.find(p => p.id === activeProfileId) || profiles[0];
+
+  // Update a single field of the active profile
+  const updateActiveProfile = (changes: Partial<ContextProfile>) => {
+    onProfilesChange(profiles.map(p => (p.id === activeProfile.id ? { ...p, ...changes } : p)));
+  };
+
+  const handleNumberChange = (key: 'tokenLimit' | 'warningThreshold' | 'reservedOutputTokens', min: number, max?: number) =>
+    (e: React.ChangeEvent<HTMLInputElement>) => {
+      const value = parseInt(e.target.value, 10);
+      if (!isNaN(value) && value >= min && (max === undefined || value <= max)) {
+        updateActiveProfile({ [key]: value });
+      }
+    };
+
+  const handleDuplicate = () => {
+    const copy = duplicateProfile(activeProfile);
+    onProfilesChange([...profiles, copy]);
+    onProfileChange(copy.id);
+    setIsEditing(true);
+  };
+
+  const handleDelete = () => {
+    if (activeProfile.builtIn) return;
+    const remaining = profiles.filter(p => p.id !== activeProfile.id);
+    onProfilesChange(remaining);
+    onProfileChange(remaining[0].id);
+  };
+
+  return (
+    <div className={clsx('flex flex-col', className)}>
+      <div className="flex items-center space-x-2">
+        <label htmlFor="contextProfile" className="text-sm text-gray-300">Profile:</label>
+        <select
+          id="contextProfile"
+          className="bg-gray-700 text-gray-300 text-sm rounded px-2 py-1 border border-gray-600"
+          value={activeProfile.id}
+          onChange={(e) => onProfileChange(e.target.value)}
+        >
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-400" title="Prompt budget (context window minus reserved output)">
+          {formatNumber(getProfileBudget(activeProfile))} budget
+        </span>
+        <button
+          onClick={() => setIsEditing(prev => !prev)}
+          className={clsx(
+            "px-2 py-1 text-xs rounded",
+            isEditing ? "bg-gray-600 text-gray-200" : "text-gray-300 hover:bg-gray-700"
+          )}
+          title="Edit profile"
+        >
+          Edit
+        </button>
+      </div>
+
+      {isEditing && (
+        <div className="mt-2 p-3 bg-gray-900/50 rounded border border-gray-700 grid grid-cols-2 gap-3 text-sm">
+          <label className="flex flex-col text-gray-300">
+            Name
+            <input
+              type="text"
+              value={activeProfile.name}
+              onChange={(e) => updateActiveProfile({ name: e.target.value })}
+              className="mt-1 bg-gray-700 rounded px-2 py-1 border border-gray-600"
+            />
+          </label>
+          <label className="flex flex-col text-gray-300">
+            Tokenizer
+            <select
+              value={activeProfile.tokenEncoding}
+              onChange={(e) => updateActiveProfile({ tokenEncoding: e.target.value as TokenEncoding })}
+              className="mt-1 bg-gray-700 rounded px-2 py-1 border border-gray-600"
+            >
+              {TOKEN_ENCODING_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col text-gray-300">
+            Context limit (tokens)
+            <input
+              type="number"
+              min={1}
+              value={activeProfile.tokenLimit}
+              onChange={handleNumberChange('tokenLimit', 1)}
+              className="mt-1 bg-gray-700 rounded px-2 py-1 border border-gray-600"
+            />
+          </label>
+          <label className="flex flex-col text-gray-300">
+            Reserved output tokens
+            <input
+              type="number"
+              min={0}
+              value={activeProfile.reservedOutputTokens}
+              onChange={handleNumberChange('reservedOutputTokens', 0)}
+              className="mt-1 bg-gray-700 rounded px-2 py-1 border border-gray-600"
+            />
+          </label>
+          <label className="flex flex-col text-gray-300">
+            Warning threshold (%)
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={activeProfile.warningThreshold}
+              onChange={handleNumberChange('warningThreshold', 1, 100)}
+              className="mt-1 bg-gray-700 rounded px-2 py-1 border border-gray-600"
+            />
+          </label>
+          <div className="flex items-end space-x-2">
+            <button
+              onClick={handleDuplicate}
+              className="px-2 py-1 text-xs bg-blue-700 hover:bg-blue-600 rounded"
+            >
+              Duplicate
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={activeProfile.builtIn}
+              className={clsx(
+                "px-2 py-1 text-xs bg-red-800 hover:bg-red-700 rounded",
+                activeProfile.builtIn && "opacity-50 cursor-not-allowed"
+              )}
+              title={activeProfile.builtIn ? 'Built-in profiles cannot be deleted' : 'Delete profile'}
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
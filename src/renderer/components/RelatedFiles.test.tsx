@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import RelatedFiles from './RelatedFiles';
+
+describe('RelatedFiles Component', () => {
+  const suggestions = [
+    { relativePath: 'src/b.ts', coChangeCount: 4, score: 0.8 },
+    { relativePath: 'src/a.test.ts', coChangeCount: 2, score: 0.4 }
+  ];
+
+  it('is disabled without a selection', () => {
+    render(<RelatedFiles rootPath="/test/repo" selectedPaths={[]} onSelectPaths={vi.fn()} />);
+    expect(screen.getByText('Find files changed together')).toBeDisabled();
+  });
+
+  it('lists co-changed files with their score and adds them to the selection', async () => {
+    window.api.getRelatedFiles = vi.fn().mockResolvedValue({ success: true, suggestions, commitCount: 5 });
+    const onSelectPaths = vi.fn().mockReturnValue(1);
+    const { rerender } = render(
+      <RelatedFiles rootPath="/test/repo" selectedPaths={['src/a.ts']} onSelectPaths={onSelectPaths} />
+    );
+
+    fireEvent.click(screen.getByText('Find files changed together'));
+
+    expect(await screen.findByText('src/b.ts')).toBeInTheDocument();
+    expect(window.api.getRelatedFiles).toHaveBeenCalledWith('/test/repo', ['src/a.ts']);
+    expect(screen.getByText('80%')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Add src/b.ts'));
+    expect(onSelectPaths).toHaveBeenCalledWith(['src/b.ts'], 'add');
+
+    // Once selected, a file is no longer suggested
+    rerender(
+      <RelatedFiles rootPath="/test/repo" selectedPaths={['src/a.ts', 'src/b.ts']} onSelectPaths={onSelectPaths} />
+    );
+    expect(screen.queryByText('src/b.ts')).not.toBeInTheDocument();
+    expect(screen.getByText('src/a.test.ts')).toBeInTheDocument();
+  });
+
+  it('reports git errors', async () => {
+    window.api.getRelatedFiles = vi.fn().mockResolvedValue({ success: false, error: 'fatal: not a git repository' });
+    render(<RelatedFiles rootPath="/test/repo" selectedPaths={['src/a.ts']} onSelectPaths={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Find files changed together'));
+
+    await waitFor(() => expect(screen.getByText('fatal: not a git repository')).toBeInTheDocument());
+  });
+});
@@ -0,0 +1,124 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import clsx from 'clsx';
+import { CoChangeSuggestion } from '../types/common';
+
+interface RelatedFilesProps {
+  rootPath: string;
+  // Relative paths of the selected files
+  selectedPaths: string[];
+  // Check the files at these relative paths; returns how many were found in the tree
+  onSelectPaths: (relativePaths: string[], mode: 'replace' | 'add') => number;
+}
+
+/**
+ * Suggests files that git history shows are usually committed together
+ * with the current selection, each with a one-click add.
+ */
+export default function RelatedFiles({ rootPath, selectedPaths, onSelectPaths }: RelatedFilesProps): JSX.Element {
+  const [suggestions, setSuggestions] = useState<CoChangeSuggestion[] | null>(null);
+  const [commitCount, setCommitCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState<{ text: string; isError: boolean } | null>(null);
+
+  // Suggestions belong to the folder they were mined for
+  useEffect(() => {
+    setSuggestions(null);
+    setMessage(null);
+  }, [rootPath]);
+
+  // Files added since the last search are no longer suggested
+  const visibleSuggestions = useMemo(() => {
+    const selected = new Set(selectedPaths);
+    return (suggestions ?? []).filter(suggestion => !selected.has(suggestion.relativePath));
+  }, [suggestions, selectedPaths]);
+
+  const handleFind = async () => {
+    setIsLoading(true);
+    setMessage(null);
+    try {
+      const result = await window.api.getRelatedFiles(rootPath, selectedPaths);
+      if (!result.success || !result.suggestions) {
+        setSuggestions(null);
+        setMessage({ text: result.error || 'Failed to read the git history.', isError: true });
+        return;
+      }
+      setSuggestions(result.suggestions);
+      setCommitCount(result.commitCount ?? 0);
+      if (result.suggestions.length === 0) {
+        setMessage({ text: 'No files are regularly committed together with the selection.', isError: false });
+      }
+    } catch (error) {
+      console.error('[RelatedFiles.tsx] Error finding related files:', error);
+      setMessage({ text: error instanceof Error ? error.message : 'Failed to run git.', isError: true });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAdd = (relativePaths: string[]) => {
+    const matched = onSelectPaths(relativePaths, 'add');
+    setMessage(matched < relativePaths.length
+      ? { text: `Added ${matched} of ${relativePaths.length} files. The rest are skipped or in folders not loaded yet.`, isError: false }
+      : null);
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-300">Related files</h3>
+        <div className="flex items-center gap-2">
+          {visibleSuggestions.length > 1 && (
+            <button
+              onClick={() => handleAdd(visibleSuggestions.map(suggestion => suggestion.relativePath))}
+              className="text-xs text-blue-400 hover:underline"
+            >
+              Add all
+            </button>
+          )}
+          <button
+            onClick={handleFind}
+            disabled={isLoading || selectedPaths.length === 0}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium disabled:opacity-50"
+          >
+            {isLoading ? 'Searching...' : 'Find files changed together'}
+          </button>
+        </div>
+      </div>
+
+      {visibleSuggestions.length > 0 && (
+        <>
+          <p className="mt-1 text-xs text-gray-500">
+            Share of the {commitCount} recent commits touching the selection that also changed each file.
+          </p>
+          <ul className="mt-2 space-y-1 text-sm">
+            {visibleSuggestions.map(suggestion => (
+              <li key={suggestion.relativePath} className="flex items-center justify-between">
+                <span className="truncate text-gray-300" title={suggestion.relativePath}>
+                  {suggestion.relativePath}
+                </span>
+                <span className="flex items-center flex-shrink-0 ml-2 text-xs text-gray-400">
+                  <span title={`${suggestion.coChangeCount} commits together`}>
+                    {Math.round(suggestion.score * 100)}%
+                  </span>
+                  <button
+                    onClick={() => handleAdd([suggestion.relativePath])}
+                    className="ml-2 px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded"
+                    aria-label={`Add ${suggestion.relativePath}`}
+                  >
+                    Add
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {message && (
+        <div className={clsx("mt-2 text-xs", message.isError ? "text-red-400" : "text-gray-400")}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
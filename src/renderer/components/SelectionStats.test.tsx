@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import SelectionStats from './SelectionStats';
+import { FileInfo } from '../types/common';
+
+describe('SelectionStats Component', () => {
+  const files: FileInfo[] = [
+    { path: '/test/a.ts', relativePath: 'a.ts', size: 1000, isDirectory: false, isSkipped: false, tokenEstimate: 200 },
+    { path: '/test/b.js', relativePath: 'b.js', size: 2000, isDirectory: false, isSkipped: false, tokenEstimate: 300 }
+  ];
+
+  it('shows the token usage of the files', () => {
+    render(<SelectionStats selectedFiles={files} tokenLimit={1000} warningThreshold={80} />);
+
+    expect(screen.getByText('500 tokens (50.0%)')).toBeInTheDocument();
+    expect(screen.queryByText(/token limit/)).not.toBeInTheDocument();
+  });
+
+  it('counts the tokens sent besides the files toward the limit', () => {
+    render(<SelectionStats selectedFiles={files} tokenLimit={1000} warningThreshold={80} extraTokens={600} />);
+
+    expect(screen.getByText('1,100 tokens (110.0%)')).toBeInTheDocument();
+    expect(screen.getByText('Selection exceeds the 1,000 token limit. Please reduce your selection.')).toBeInTheDocument();
+    // The breakdown is of the files alone
+    expect(screen.getByText('(60.0%)')).toBeInTheDocument();
+  });
+});
@@ -5,36 +5,30 @@ import {
   getFileStats, 
   formatNumber, 
   formatFileSize,
-  getTotalTokenCount,
-  getTokenUsagePercentage,
-  isExceedingTokenLimit
 } from '../utils/selectionUtils';
 
 interface SelectionStatsProps {
   selectedFiles: FileInfo[];
   tokenLimit?: number;
   warningThreshold?: number;
+  extraTokens?: number;       // Tokens sent besides the files (instructions, file map, git diff)
 }
 
 export default function SelectionStats({ 
   selectedFiles, 
   tokenLimit = 2000000, 
-  warningThreshold = 90 
+  warningThreshold = 90,
+  extraTokens = 0
 }: SelectionStatsProps): JSX.Element {
   // Calculate stats only when selection changes
   const stats = useMemo(() => {
     return getFileStats(selectedFiles);
   }, [selectedFiles]);
   
-  // Calculate token usage percentage
-  const tokenPercentage = useMemo(() => {
-    return getTokenUsagePercentage(selectedFiles, tokenLimit);
-  }, [selectedFiles, tokenLimit]);
-  
-  // Check if we're exceeding token limit
-  const exceedsLimit = useMemo(() => {
-    return isExceedingTokenLimit(selectedFiles, tokenLimit);
-  }, [selectedFiles, tokenLimit]);
+  // Everything sent counts toward the limit, not only the files
+  const totalTokens = stats.totalTokens + extraTokens;
+  const tokenPercentage = (totalTokens / tokenLimit) * 100;
+  const exceedsLimit = totalTokens > tokenLimit;
   
   // Check if we're approaching token limit
   const isWarning = useMemo(() => {
@@ -59,7 +53,7 @@ export default function SelectionStats({
           exceedsLimit ? "text-red-400" : 
           isWarning ? "text-yellow-400" : "text-gray-400"
         )}>
-          {formatNumber(stats.totalTokens)} tokens ({tokenPercentage.toFixed(1)}%)
+          {formatNumber(totalTokens)} tokens ({tokenPercentage.toFixed(1)}%)
         </span>
       </div>
       
@@ -7,6 +7,7 @@ interface TokenCounterProps {
   selectedFiles: FileInfo[];
   tokenLimit: number;
   warningThreshold: number;
+  extraTokens?: number;       // Tokens sent besides the files (e.g. instructions, file map, git diff)
   className?: string;
 }
 
@@ -14,6 +15,7 @@ export default function TokenCounter({
   selectedFiles, 
   tokenLimit, 
   warningThreshold,
+  extraTokens = 0,
   className
 }: TokenCounterProps): JSX.Element {
   const [tokenCount, setTokenCount] = useState(0);
@@ -22,7 +24,7 @@ export default function TokenCounter({
 
   useEffect(() => {
     // Calculate tokens
-    const totalTokens = getTotalTokenCount(selectedFiles);
+    const totalTokens = getTotalTokenCount(selectedFiles) + extraTokens;
     const percentageUsed = (totalTokens / tokenLimit) * 100;
     
     // Update state
@@ -34,7 +36,7 @@ export default function TokenCounter({
     const timeout = setTimeout(() => setAnimate(false), 300);
     
     return () => clearTimeout(timeout);
-  }, [selectedFiles, tokenLimit]);
+  }, [selectedFiles, tokenLimit, extraTokens]);
 
   // Visual states based on token usage
   const isExceeding = percentage > 100;
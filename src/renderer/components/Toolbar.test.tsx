@@ -151,6 +151,32 @@ describe('Toolbar Component', () => {
     expect(mockProps.onCopyToClipboard).not.toHaveBeenCalled();
   });
   
+  it('exports to a file and picks the export folder', () => {
+    const onExport = vi.fn();
+    const onChooseExportDirectory = vi.fn();
+    render(
+      <Toolbar
+        {...mockProps}
+        onExport={onExport}
+        exportDirectory="/home/user/prompts"
+        onChooseExportDirectory={onChooseExportDirectory}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Export…'));
+    expect(onExport).toHaveBeenCalledTimes(1);
+
+    const folderButton = screen.getByText('Export folder…');
+    expect(folderButton).toHaveAttribute('title', 'Default export folder: /home/user/prompts');
+    fireEvent.click(folderButton);
+    expect(onChooseExportDirectory).toHaveBeenCalledTimes(1);
+  });
+
+  it('disables export while exporting or over the limit', () => {
+    render(<Toolbar {...mockProps} onExport={vi.fn()} isExporting={true} />);
+    expect(screen.getByText('Exporting...').closest('button')).toHaveAttribute('disabled');
+  });
+
   it('displays loading spinner when copying', () => {
     const copyingProps = {
       ...mockProps,
@@ -2,12 +2,14 @@ import React, { useEffect, useState } from 'react';
 import clsx from 'clsx';
 import { TreeFormatOptions } from '../utils/formatUtils';
 import TokenCounter from './TokenCounter';
-import { FileInfo } from '../types/common';
+import ProfileSelector from './ProfileSelector';
+import { ContextProfile, FileInfo } from '../types/common';
 
 interface ToolbarProps {
   selectedFiles: FileInfo[];
   tokenLimit: number;
   warningThreshold: number;
+  extraTokens?: number;            // Tokens sent besides the files (instructions, file map, git diff)
   onExpandAll: () => void;
   onCollapseAll: () => void;
   onSelectAll: () => void;
@@ -19,6 +21,14 @@ interface ToolbarProps {
   isCopying: boolean;
   onCopyToClipboard: () => void;
   exceedsLimit: boolean;
+  onExport?: () => void;           // Write the payload to a file instead of the clipboard
+  isExporting?: boolean;
+  exportDirectory?: string | null; // Folder the export dialog opens in (null: Documents)
+  onChooseExportDirectory?: () => void;
+  profiles?: ContextProfile[];
+  activeProfileId?: string;
+  onProfileChange?: (id: string) => void;
+  onProfilesChange?: (profiles: ContextProfile[]) => void;
   className?: string;
 }
 
@@ -26,6 +36,7 @@ export default function Toolbar({
   selectedFiles,
   tokenLimit,
   warningThreshold,
+  extraTokens = 0,
   onExpandAll,
   onCollapseAll,
   onSelectAll,
@@ -37,6 +48,14 @@ export default function Toolbar({
   isCopying,
   onCopyToClipboard,
   exceedsLimit,
+  onExport,
+  isExporting = false,
+  exportDirectory,
+  onChooseExportDirectory,
+  profiles,
+  activeProfileId,
+  onProfileChange,
+  onProfilesChange,
   className
 }: ToolbarProps): JSX.Element {
   console.log('[Toolbar.tsx] Render/Re-render. Props received:', {
@@ -258,6 +277,17 @@ export default function Toolbar({
             <ShortcutBadge shortcut="S" />
           </button>
         </div>
+        
+        {/* Context Profile */}
+        {profiles && activeProfileId && onProfileChange && onProfilesChange && (
+          <ProfileSelector
+            className="ml-auto"
+            profiles={profiles}
+            activeProfileId={activeProfileId}
+            onProfileChange={onProfileChange}
+            onProfilesChange={onProfilesChange}
+          />
+        )}
       </div>
       
       <div className="flex justify-between items-center mt-2">
@@ -266,9 +296,10 @@ export default function Toolbar({
           selectedFiles={selectedFiles}
           tokenLimit={tokenLimit}
           warningThreshold={warningThreshold}
+          extraTokens={extraTokens}
         />
         
-        {/* Copy Button */}
+        {/* Copy and export buttons */}
         {selectedFiles.length === 0 ? (
           <div className="text-blue-400 flex items-center bg-blue-900/20 px-3 py-2 rounded-md border border-blue-800">
             <svg className="w-5 h-5 mr-2 text-blue-500 flex-shrink-0" viewBox="0 0 20 20" fill="currentColor">
@@ -277,34 +308,60 @@ export default function Toolbar({
             <span>Select files from the tree below to enable copying</span>
           </div>
         ) : (
-          <button 
-            className={clsx(
-              "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 text-white font-medium flex items-center",
-              (exceedsLimit || isCopying) && "opacity-50 cursor-not-allowed"
-            )}
-            disabled={exceedsLimit || isCopying}
-            onClick={handleCopyToClipboardClick}
-            title={exceedsLimit ? "Token limit exceeded" : "Copy to clipboard"}
-          >
-            {isCopying ? (
-              <span className="flex items-center">
-                <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Copying...
-              </span>
-            ) : (
+          <div className="flex items-center space-x-2">
+            {onExport && (
               <>
-                <svg className="w-4 h-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
-                  <path d="M8 2a1 1 0 000 2h2a1 1 0 100-2H8z" />
-                  <path d="M3 5a2 2 0 012-2 3 3 0 003 3h2a3 3 0 003-3 2 2 0 012 2v6h-4.586l1.293-1.293a1 1 0 00-1.414-1.414l-3 3a1 1 0 000 1.414l3 3a1 1 0 001.414-1.414L10.414 13H15v3a2 2 0 01-2 2H5a2 2 0 01-2-2V5zM15 11h2a1 1 0 110 2h-2v-2z" />
-                </svg>
-                Copy to Clipboard
-                <ShortcutBadge shortcut="Cmd+C" />
+                {onChooseExportDirectory && (
+                  <button
+                    onClick={onChooseExportDirectory}
+                    className="px-2 py-2 text-xs text-gray-400 hover:text-gray-200 hover:bg-gray-700 rounded-md"
+                    title={`Default export folder: ${exportDirectory || 'Documents'}`}
+                  >
+                    Export folder…
+                  </button>
+                )}
+                <button
+                  className={clsx(
+                    "px-4 py-2 bg-gray-700 rounded-md hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 text-white font-medium",
+                    (exceedsLimit || isExporting) && "opacity-50 cursor-not-allowed"
+                  )}
+                  disabled={exceedsLimit || isExporting}
+                  onClick={onExport}
+                  title={exceedsLimit ? "Token limit exceeded" : "Save the prompt to a file"}
+                >
+                  {isExporting ? 'Exporting...' : 'Export…'}
+                </button>
               </>
             )}
-          </button>
+            <button 
+              className={clsx(
+                "px-4 py-2 bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 text-white font-medium flex items-center",
+                (exceedsLimit || isCopying) && "opacity-50 cursor-not-allowed"
+              )}
+              disabled={exceedsLimit || isCopying}
+              onClick={handleCopyToClipboardClick}
+              title={exceedsLimit ? "Token limit exceeded: split the selection into parts" : "Copy to clipboard"}
+            >
+              {isCopying ? (
+                <span className="flex items-center">
+                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Copying...
+                </span>
+              ) : (
+                <>
+                  <svg className="w-4 h-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                    <path d="M8 2a1 1 0 000 2h2a1 1 0 100-2H8z" />
+                    <path d="M3 5a2 2 0 012-2 3 3 0 003 3h2a3 3 0 003-3 2 2 0 012 2v6h-4.586l1.293-1.293a1 1 0 00-1.414-1.414l-3 3a1 1 0 000 1.414l3 3a1 1 0 001.414-1.414L10.414 13H15v3a2 2 0 01-2 2H5a2 2 0 01-2-2V5zM15 11h2a1 1 0 110 2h-2v-2z" />
+                  </svg>
+                  Copy to Clipboard
+                  <ShortcutBadge shortcut="Cmd+C" />
+                </>
+              )}
+            </button>
+          </div>
         )}
       </div>
     </div>
@@ -1,3 +1,8 @@
+import type { TokenEncoding, DirectoryChanges, CodeSymbol, PayloadPartPlan, CoChangeSuggestion, FileInclusion, GitDiffOptions, GitFileKind, GitFileStatus, GitRepoInfo, ImportExpansionOptions } from './common';
+import type { PayloadFormat, PayloadPart } from '../../shared/payloadFormat';
+import type { FileMapEntry, TreeFormatOptions } from '../../shared/fileMap';
+import type { PromptInstructions } from '../../shared/promptTemplate';
+
 interface ScanProgressData {
   fileCount: number;
   totalSize: number;
@@ -6,6 +11,7 @@ interface ScanProgressData {
   error?: boolean;
   message?: string;
   done?: boolean;
+  cancelled?: boolean;
 }
 
 interface FileInfo {
@@ -20,6 +26,10 @@ interface FileInfo {
 interface ScanResults {
   rootPath: string;
   files: FileInfo[];
+  tokenEncoding?: TokenEncoding;
+  cancelled?: boolean;
+  shallow?: boolean;
+  gitRef?: string;
   stats: {
     fileCount: number;
     totalSize: number;
@@ -30,6 +40,7 @@ interface ScanResults {
 interface FileContentResult {
   content: string;
   isSkipped: boolean;
+  isTruncated?: boolean;
   error?: string;
 }
 
@@ -38,16 +49,65 @@ interface ClipboardResult {
   error?: string;
 }
 
+// A selected file sent to the payload builder
+export interface PayloadRequestFile {
+  path: string;
+  relativePath: string;
+  tokenEstimate: number;
+  isDirectory: boolean;
+  isSkipped: boolean;
+  inclusion?: FileInclusion;
+}
+
+export interface PayloadFileMapRequest {
+  rootFolderName?: string;
+  files: FileMapEntry[];
+  options: TreeFormatOptions;
+  selectedPaths?: string[];
+}
+
+export interface PayloadRequestOptions {
+  tokenLimit?: number;
+  warningThreshold?: number;
+  rootPath?: string;
+  tokenEncoding?: TokenEncoding;
+  gitRef?: string;
+  gitDiff?: GitDiffOptions;
+  format?: PayloadFormat;
+  fileMap?: PayloadFileMapRequest;
+  instructions?: PromptInstructions;
+  part?: PayloadPart;
+  selectionCount?: number;
+}
+
 interface API {
-  selectFolder: () => Promise<string | null>;
+  selectFolder: (title?: string) => Promise<string | null>;
   verifyDroppedFolder: (path: string) => Promise<string | null>;
-  walkDirectory: (path: string) => Promise<ScanResults>;
+  walkDirectory: (path: string, options?: { binaryDetection?: any; tokenEncoding?: TokenEncoding; scanDepth?: number; followSymlinks?: boolean; gitRef?: string }) => Promise<ScanResults>;
+  cancelWalk: () => Promise<{ cancelled: boolean }>;
+  clearScanCache: () => Promise<{ success: boolean; clearedCount?: number; error?: string }>;
   readFileContent: (path: string) => Promise<FileContentResult>;
+  countPartialTokens: (files: Array<{ path: string; relativePath: string; inclusion: FileInclusion }>, options?: { rootPath?: string; gitRef?: string; tokenEncoding?: TokenEncoding }) => Promise<{ success: boolean; counts?: Record<string, number>; error?: string }>;
+  countInstructionTokens: (instructions: PromptInstructions, context: { rootPath?: string; gitRef?: string; rootName?: string; selectionCount: number; tokenEncoding?: TokenEncoding }) => Promise<{ success: boolean; tokens?: number; error?: string }>;
+  countFileMapTokens: (fileMap: PayloadFileMapRequest & { selectedPaths: string[] }, options?: { tokenEncoding?: TokenEncoding }) => Promise<{ success: boolean; tokens?: number; error?: string }>;
+  // Tokens the diff adds to each file with one (negative when only a smaller diff is sent)
+  countDiffTokens: (files: Array<{ relativePath: string; tokenEstimate: number }>, options: { rootPath: string; gitDiff: GitDiffOptions; tokenEncoding?: TokenEncoding }) => Promise<{ success: boolean; tokens?: Record<string, number>; error?: string }>;
+  getModifiedTimes: (paths: string[]) => Promise<{ success: boolean; times?: Record<string, number>; error?: string }>;
+  getFileSymbols: (file: { path: string; relativePath: string }, options?: { rootPath?: string; gitRef?: string }) => Promise<{ success: boolean; content?: string; symbols?: CodeSymbol[]; error?: string }>;
   writeToClipboard: (payload: string) => Promise<ClipboardResult>;
   onWalkProgress: (callback: (data: ScanProgressData) => void) => (() => void) | undefined;
-  lazyLoadChildren: (path: string, options?: any) => Promise<any>;
+  onDirectoryChanges: (callback: (data: DirectoryChanges) => void) => (() => void) | undefined;
+  getGitInfo: (rootPath: string) => Promise<{ success: boolean; info?: GitRepoInfo | null; error?: string }>;
+  listGitFiles: (rootPath: string, kind: GitFileKind, baseRef?: string) => Promise<{ success: boolean; files?: string[]; error?: string }>;
+  getGitStatus: (rootPath: string) => Promise<{ success: boolean; statuses?: Record<string, GitFileStatus>; error?: string }>;
+  getRelatedFiles: (rootPath: string, selectedPaths: string[]) => Promise<{ success: boolean; suggestions?: CoChangeSuggestion[]; commitCount?: number; error?: string }>;
+  expandImports: (rootPath: string, selectedPaths: string[], options: ImportExpansionOptions) => Promise<{ success: boolean; paths?: string[]; error?: string }>;
+  lazyLoadChildren: (path: string, options?: { rootPath?: string; binaryDetection?: any; tokenEncoding?: TokenEncoding; followSymlinks?: boolean; recursive?: boolean }) => Promise<any>;
   checkBinaryStatus: (path: string, options?: any) => Promise<any>;
-  generatePayloadAndCopy: (selectedFiles: Array<{ path: string; relativePath: string; tokenEstimate: number; isDirectory: boolean; isSkipped: boolean }>) => Promise<any>;
+  generatePayloadAndCopy: (selectedFiles: PayloadRequestFile[], options?: PayloadRequestOptions) => Promise<any>;
+  planPayloadParts: (selectedFiles: PayloadRequestFile[], options?: PayloadRequestOptions) => Promise<{ success: boolean; parts?: PayloadPartPlan[]; overheadTokens?: number; error?: string }>;
+  // Resolves with `cancelled` when the save dialog is closed
+  generatePayloadAndExport: (selectedFiles: PayloadRequestFile[], options?: PayloadRequestOptions & { exportDirectory?: string }) => Promise<any>;
 }
 
 declare global {
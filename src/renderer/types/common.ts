@@ -1,6 +1,7 @@
 /**
  * Common types used throughout the application
  */
+import type { InstructionPlacement } from '../../shared/promptTemplate';
 
 // File information from the directory scan
 export interface FileInfo {
@@ -14,12 +15,91 @@ export interface FileInfo {
   hasChildren?: boolean;
   childrenLoaded?: boolean;
   hasLazyChildren?: boolean;
+  isSymlink?: boolean;           // Entry is a symbolic link
+  symlinkTarget?: string;        // Link target as stored in the link
+  isTruncated?: boolean;         // Over the size limit; only its start and end are copied
+  inclusion?: FileInclusion;     // How much of the file is copied (default: all of it)
+}
+
+// Lines of a file, 1-based and inclusive
+export interface LineRange {
+  start: number;
+  end: number;
+}
+
+// How much of a selected file is copied: only its top-level declarations, or only some lines
+export type FileInclusion =
+  | { mode: 'outline' }
+  | { mode: 'ranges'; ranges: LineRange[] };
+
+// Extensions of files that can be included as an outline (TS/JS, Python, Go)
+export const OUTLINE_EXTENSIONS = ['ts', 'tsx', 'mts', 'cts', 'js', 'jsx', 'mjs', 'cjs', 'py', 'pyi', 'go'];
+
+// A named declaration of a file and the lines it spans
+export interface CodeSymbol {
+  name: string;                  // Methods are prefixed with their class (`Loader.read`)
+  kind: string;
+  startLine: number;
+  endLine: number;
+}
+
+// Token count of a partially included file, with the inclusion and full count it was made for
+// (stale once either changes)
+export interface PartialTokenCount {
+  tokens: number;
+  fullTokens: number;
+  inclusionKey: string;
+}
+
+// BPE encodings the main process can count tokens with
+export type TokenEncoding = 'cl100k_base' | 'o200k_base' | 'p50k_base' | 'r50k_base';
+
+// Encodings offered in the UI, with a short description of the models using them
+export const TOKEN_ENCODING_OPTIONS: { value: TokenEncoding; label: string }[] = [
+  { value: 'cl100k_base', label: 'cl100k_base (GPT-4, GPT-3.5)' },
+  { value: 'o200k_base', label: 'o200k_base (GPT-4o, o1)' },
+  { value: 'p50k_base', label: 'p50k_base (Codex, text-davinci)' },
+  { value: 'r50k_base', label: 'r50k_base (GPT-3)' }
+];
+
+// Default encoding used for token counts
+export const DEFAULT_TOKEN_ENCODING: TokenEncoding = 'cl100k_base';
+
+// Per-model context profile (limits and tokenizer for a target model)
+export interface ContextProfile {
+  id: string;
+  name: string;
+  tokenLimit: number;            // Context window size in tokens
+  warningThreshold: number;      // Warning threshold as a percentage of the budget
+  tokenEncoding: TokenEncoding;  // Tokenizer used for counts
+  reservedOutputTokens: number;  // Tokens kept free for the model's answer
+  builtIn?: boolean;             // Shipped with the app (cannot be deleted)
+}
+
+// Saved instructions, with `{{variable}}` placeholders
+export interface PromptTemplate {
+  id: string;
+  name: string;
+  text: string;
+  placement: InstructionPlacement;
+  builtIn?: boolean;             // Shipped with the app (cannot be deleted)
+}
+
+// Files sent together in one part of a split payload
+export interface PayloadPartPlan {
+  files: string[];               // Relative paths
+  tokens: number;                // Tokens of the files (without the shared file map and instructions)
+  exceedsBudget: boolean;        // A single file larger than the per-part limit
 }
 
 // Results from a directory scan
 export interface ScanResults {
   rootPath: string;
   files: FileInfo[];
+  tokenEncoding?: TokenEncoding;
+  cancelled?: boolean;           // Scan was canceled; files and stats are partial
+  shallow?: boolean;             // Only the top levels were walked; stats cover loaded folders
+  gitRef?: string;               // Files were read from this commit, not the working tree
   stats: {
     fileCount: number;
     totalSize: number;
@@ -27,9 +107,55 @@ export interface ScanResults {
     skippedCount?: number;
     binaryCount?: number;
     sizeSkippedCount?: number;
+    truncatedCount?: number;     // Files over the size limit kept truncated
+    cachedCount?: number;        // Files served from the scan cache
   };
 }
 
+// A file system change under the scanned root, pushed by the main process
+export interface FileChangeEvent {
+  type: 'add' | 'change' | 'delete';
+  relativePath: string;
+  file?: FileInfo;               // New file info (missing for deletes)
+}
+
+// Batch of live changes for a scanned root
+export interface DirectoryChanges {
+  rootPath: string;
+  events: FileChangeEvent[];
+}
+
+// Which files a git selection picks: changed vs. a base ref, staged, or untracked
+export type GitFileKind = 'changed' | 'staged' | 'untracked';
+
+// Git repository containing the scanned folder
+export interface GitRepoInfo {
+  repoRoot: string;
+  branch: string | null;         // Current branch (null when detached)
+  refs: string[];                // Local branches, remote branches and tags
+  defaultBaseRef: string | null;
+}
+
+// Working tree status of a file; keys ending in `/` in a status map cover a whole directory
+export type GitFileStatus = 'modified' | 'added' | 'untracked' | 'ignored' | 'conflicted';
+
+// A file often committed together with the selection
+export interface CoChangeSuggestion {
+  relativePath: string;
+  coChangeCount: number;         // Commits touching both this file and the selection
+  score: number;                 // Share of the selection's commits that touched this file (0-1)
+}
+
+// What a git diff compares the working tree against: the last commit or the branch base
+export type GitDiffTarget = 'head' | 'base';
+
+// Adds a <git_diff> section to the copied payload
+export interface GitDiffOptions {
+  target: GitDiffTarget;
+  baseRef?: string;              // Base branch (for the 'base' target)
+  replaceContents?: boolean;     // Send only the diff for files whose diff is smaller than the file
+}
+
 // Checkbox states for the file tree
 export type CheckState = 'checked' | 'unchecked' | 'indeterminate';
 
@@ -48,6 +174,9 @@ export interface FlattenedFile {
   size: number;
   tokenEstimate: number;
   hasLazyChildren?: boolean;
+  isSymlink?: boolean;
+  symlinkTarget?: string;
+  isTruncated?: boolean;
   checkState?: CheckState;
 }
 
@@ -58,11 +187,30 @@ export interface BinaryDetectionOptions {
   checkExtension?: boolean;    // Whether to check file extension (default: true)
   sampleSize?: number;         // Bytes to sample for content check (default: 512)
   binaryThreshold?: number;    // Binary threshold percentage (default: 10%)
+  oversizedFiles?: OversizedFilePolicy; // Text files over maxSizeBytes (default: skip)
+  truncateUnit?: TruncateUnit;  // What truncateHead/truncateTail count (default: lines)
+  truncateHead?: number;       // Lines or tokens kept from the start (default: 200)
+  truncateTail?: number;       // Lines or tokens kept from the end (default: 100)
 }
 
+// Text files over the size limit are left out, or kept as their first and last lines (or tokens)
+export type OversizedFilePolicy = 'skip' | 'truncate';
+
+export type TruncateUnit = 'lines' | 'tokens';
+
 // Result of a binary file check
 export interface BinaryCheckResult {
   isBinary: boolean;
   reason?: 'extension' | 'size' | 'content' | 'error';
   details?: string;
-} 
\ No newline at end of file
+}
+
+// Which way an import expansion follows the dependency graph
+export type ImportDirection = 'imports' | 'importers';
+
+// Options for adding dependencies of the selection
+export interface ImportExpansionOptions {
+  direction: ImportDirection;
+  depth: number;                 // Levels of the graph to follow (1 = direct imports only)
+  candidatePaths?: string[];     // Files searched for importers
+}
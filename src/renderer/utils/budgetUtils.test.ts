@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_BUDGET_PRIORITIES,
+  RECENT_WINDOW_MS,
+  fitToBudget,
+  loadBudgetPriorities,
+  saveBudgetPriorities
+} from './budgetUtils';
+
+describe('budgetUtils', () => {
+  const now = 1_700_000_000_000;
+  const old = now - RECENT_WINDOW_MS - 1;
+  const candidates = [
+    { relativePath: 'big.ts', tokens: 600, outlineTokens: 80, modifiedAt: old },
+    { relativePath: 'recent.ts', tokens: 300, outlineTokens: 40, modifiedAt: now - 1000 },
+    { relativePath: 'small.md', tokens: 100, modifiedAt: old },
+    { relativePath: 'medium.ts', tokens: 400, outlineTokens: 50, modifiedAt: old }
+  ];
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('keeps recent, then small files, and outlines or drops the rest', () => {
+    const proposal = fitToBudget(candidates, 500, DEFAULT_BUDGET_PRIORITIES, now);
+    expect(proposal.kept).toEqual(['recent.ts', 'small.md']);
+    expect(proposal.outlined).toEqual([{ relativePath: 'medium.ts', fromTokens: 400, toTokens: 50 }]);
+    expect(proposal.dropped).toEqual([{ relativePath: 'big.ts', tokens: 600 }]);
+    expect(proposal).toMatchObject({ fromTokens: 1400, toTokens: 450, fits: true });
+  });
+
+  it('reports when pinned files alone exceed the budget', () => {
+    const proposal = fitToBudget([{ relativePath: 'big.ts', tokens: 600, pinned: true }], 500, DEFAULT_BUDGET_PRIORITIES, now);
+    expect(proposal).toMatchObject({ kept: ['big.ts'], toTokens: 600, fits: false });
+  });
+
+  it('drops what does not fit when outlines are off', () => {
+    const proposal = fitToBudget(candidates, 500, { ...DEFAULT_BUDGET_PRIORITIES, outlineRest: false }, now);
+    expect(proposal.kept).toEqual(['recent.ts', 'small.md']);
+    expect(proposal.dropped.map(file => file.relativePath)).toEqual(['medium.ts', 'big.ts']);
+    expect(proposal).toMatchObject({ toTokens: 400, fits: true });
+  });
+
+  it('always keeps pinned files', () => {
+    const pinned = candidates.map(c => (c.relativePath === 'big.ts' ? { ...c, pinned: true } : c));
+    const proposal = fitToBudget(pinned, 700, { preferRecent: false, preferSmall: true, outlineRest: false }, now);
+    expect(proposal.kept).toEqual(['big.ts', 'small.md']);
+    expect(proposal.dropped.map(file => file.relativePath)).toEqual(['recent.ts', 'medium.ts']);
+  });
+
+  it('round-trips priorities', () => {
+    expect(loadBudgetPriorities()).toEqual(DEFAULT_BUDGET_PRIORITIES);
+    saveBudgetPriorities({ preferRecent: false, preferSmall: true, outlineRest: false });
+    expect(loadBudgetPriorities()).toEqual({ preferRecent: false, preferSmall: true, outlineRest: false });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Utilities for fitting a selection to the token budget
+ */
+
+// localStorage key for the fit-to-budget priorities
+const BUDGET_PRIORITIES_STORAGE_KEY = 'repoPromptLite.budgetPriorities';
+
+// Files modified this recently count as recently modified
+export const RECENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * What a reduced selection keeps first. Pinned files are always kept whole.
+ */
+export interface BudgetPriorities {
+  preferRecent: boolean;       // Keep files modified in the last week before older ones
+  preferSmall: boolean;        // Keep smaller files before larger ones
+  outlineRest: boolean;        // Send files that don't fit in full as outlines
+}
+
+export const DEFAULT_BUDGET_PRIORITIES: BudgetPriorities = {
+  preferRecent: true,
+  preferSmall: true,
+  outlineRest: true
+};
+
+/**
+ * A selected file as the optimizer sees it
+ */
+export interface BudgetCandidate {
+  relativePath: string;
+  tokens: number;              // What the file costs now
+  outlineTokens?: number;      // Cost as an outline, for files sent in full that can be outlined
+  modifiedAt?: number;         // Last modification time (ms)
+  pinned?: boolean;
+}
+
+/**
+ * A reduced selection and how it differs from the current one
+ */
+export interface BudgetProposal {
+  kept: string[];
+  outlined: { relativePath: string; fromTokens: number; toTokens: number }[];
+  dropped: { relativePath: string; tokens: number }[];
+  fromTokens: number;
+  toTokens: number;
+  fits: boolean;               // False when the pinned files alone exceed the budget
+}
+
+/**
+ * Propose a selection within `budget` tokens: pinned files first, then the
+ * others in priority order, each kept whole if it fits, else outlined if
+ * that fits, else dropped
+ */
+export function fitToBudget(
+  candidates: BudgetCandidate[],
+  budget: number,
+  priorities: BudgetPriorities,
+  now = Date.now()
+): BudgetProposal {
+  const isRecent = (candidate: BudgetCandidate) =>
+    candidate.modifiedAt !== undefined && now - candidate.modifiedAt <= RECENT_WINDOW_MS;
+  const ordered = [...candidates].sort((a, b) => {
+    if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+    if (priorities.preferRecent && isRecent(a) !== isRecent(b)) return isRecent(a) ? -1 : 1;
+    if (priorities.preferSmall && a.tokens !== b.tokens) return a.tokens - b.tokens;
+    return 0;
+  });
+
+  const proposal: BudgetProposal = { kept: [], outlined: [], dropped: [], fromTokens: 0, toTokens: 0, fits: true };
+  let remaining = budget;
+  for (const candidate of ordered) {
+    proposal.fromTokens += candidate.tokens;
+    if (candidate.pinned || candidate.tokens <= remaining) {
+      proposal.kept.push(candidate.relativePath);
+      remaining -= candidate.tokens;
+    } else if (priorities.outlineRest && candidate.outlineTokens !== undefined && candidate.outlineTokens <= remaining) {
+      proposal.outlined.push({ relativePath: candidate.relativePath, fromTokens: candidate.tokens, toTokens: candidate.outlineTokens });
+      remaining -= candidate.outlineTokens;
+    } else {
+      proposal.dropped.push({ relativePath: candidate.relativePath, tokens: candidate.tokens });
+    }
+  }
+  proposal.toTokens = budget - remaining;
+  proposal.fits = remaining >= 0;
+  return proposal;
+}
+
+/**
+ * Loads the fit-to-budget priorities
+ */
+export function loadBudgetPriorities(): BudgetPriorities {
+  try {
+    const raw = window.localStorage.getItem(BUDGET_PRIORITIES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed && typeof parsed === 'object') {
+      return {
+        preferRecent: typeof parsed.preferRecent === 'boolean' ? parsed.preferRecent : DEFAULT_BUDGET_PRIORITIES.preferRecent,
+        preferSmall: typeof parsed.preferSmall === 'boolean' ? parsed.preferSmall : DEFAULT_BUDGET_PRIORITIES.preferSmall,
+        outlineRest: typeof parsed.outlineRest === 'boolean' ? parsed.outlineRest : DEFAULT_BUDGET_PRIORITIES.outlineRest
+      };
+    }
+  } catch (error) {
+    console.error('Error loading budget priorities:', error);
+  }
+  return DEFAULT_BUDGET_PRIORITIES;
+}
+
+/**
+ * Persists the fit-to-budget priorities
+ */
+export function saveBudgetPriorities(priorities: BudgetPriorities): void {
+  try {
+    window.localStorage.setItem(BUDGET_PRIORITIES_STORAGE_KEY, JSON.stringify(priorities));
+  } catch (error) {
+    console.error('Error saving budget priorities:', error);
+  }
+}
@@ -0,0 +1,16 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadExportDirectory, saveExportDirectory } from './exportUtils';
+
+describe('exportUtils', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('round-trips the default export folder', () => {
+    expect(loadExportDirectory()).toBeNull();
+    saveExportDirectory('/home/user/prompts');
+    expect(loadExportDirectory()).toBe('/home/user/prompts');
+    saveExportDirectory(null);
+    expect(loadExportDirectory()).toBeNull();
+  });
+});
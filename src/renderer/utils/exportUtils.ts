@@ -0,0 +1,33 @@
+/**
+ * Utilities for exporting the payload to a file
+ */
+
+// localStorage key for the default export folder
+const EXPORT_DIRECTORY_STORAGE_KEY = 'repoPromptLite.exportDirectory';
+
+/**
+ * Loads the folder the export dialog opens in (null: the system's Documents folder)
+ */
+export function loadExportDirectory(): string | null {
+  try {
+    return window.localStorage.getItem(EXPORT_DIRECTORY_STORAGE_KEY) || null;
+  } catch (error) {
+    console.error('Error loading export folder:', error);
+    return null;
+  }
+}
+
+/**
+ * Persists the default export folder
+ */
+export function saveExportDirectory(directory: string | null): void {
+  try {
+    if (directory) {
+      window.localStorage.setItem(EXPORT_DIRECTORY_STORAGE_KEY, directory);
+    } else {
+      window.localStorage.removeItem(EXPORT_DIRECTORY_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving export folder:', error);
+  }
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  canOutline,
+  normalizeLineRanges,
+  formatLineRanges,
+  parseLineRanges,
+  removeLineRange,
+  isLineRangeCovered,
+  getInclusionKey,
+  applyInclusions
+} from './inclusionUtils';
+import { FileInfo } from '../types/common';
+
+const file = (relativePath: string, tokenEstimate: number, isSkipped = false): FileInfo => ({
+  path: `/test/${relativePath}`,
+  relativePath,
+  size: tokenEstimate * 4,
+  isDirectory: false,
+  isSkipped,
+  tokenEstimate
+});
+
+describe('Inclusion Utilities', () => {
+  it('only outlines supported languages', () => {
+    expect(canOutline('src/App.tsx')).toBe(true);
+    expect(canOutline('tools/build.py')).toBe(true);
+    expect(canOutline('README.md')).toBe(false);
+    expect(canOutline('Makefile')).toBe(false);
+  });
+
+  describe('line ranges', () => {
+    it('sorts, clamps and merges ranges', () => {
+      expect(normalizeLineRanges([{ start: 50, end: 60 }, { start: 0, end: 10 }, { start: 8, end: 12 }, { start: 13, end: 14 }], 55))
+        .toEqual([{ start: 1, end: 14 }, { start: 50, end: 55 }]);
+    });
+
+    it('parses and formats typed ranges', () => {
+      const ranges = parseLineRanges(' 100, 10-42 ,41-45');
+      expect(ranges).toEqual([{ start: 10, end: 45 }, { start: 100, end: 100 }]);
+      expect(formatLineRanges(ranges!)).toBe('10-45, 100');
+      expect(parseLineRanges('')).toEqual([]);
+    });
+
+    it('rejects malformed ranges', () => {
+      expect(parseLineRanges('10-')).toBeNull();
+      expect(parseLineRanges('20-10')).toBeNull();
+      expect(parseLineRanges('0')).toBeNull();
+      expect(parseLineRanges('abc')).toBeNull();
+    });
+
+    it('removes lines from ranges', () => {
+      const ranges = [{ start: 1, end: 10 }, { start: 20, end: 30 }];
+      expect(removeLineRange(ranges, { start: 5, end: 22 })).toEqual([{ start: 1, end: 4 }, { start: 23, end: 30 }]);
+      expect(removeLineRange(ranges, { start: 20, end: 30 })).toEqual([{ start: 1, end: 10 }]);
+      expect(isLineRangeCovered(ranges, { start: 2, end: 9 })).toBe(true);
+      expect(isLineRangeCovered(ranges, { start: 9, end: 21 })).toBe(false);
+    });
+  });
+
+  describe('applyInclusions', () => {
+    const files = [file('a.ts', 250), file('b.js', 500), file('notes.md', 300), file('c.ts', 375)];
+
+    it('counts the included part once it is counted for the current contents and inclusion', () => {
+      const ranges = { mode: 'ranges' as const, ranges: [{ start: 1, end: 20 }] };
+      const result = applyInclusions(
+        files,
+        { 'a.ts': { mode: 'outline' }, 'b.js': { mode: 'outline' }, 'notes.md': ranges, 'c.ts': ranges },
+        {
+          'a.ts': { tokens: 40, fullTokens: 250, inclusionKey: 'outline' },
+          // Counted for older contents
+          'b.js': { tokens: 90, fullTokens: 480, inclusionKey: 'outline' },
+          'notes.md': { tokens: 60, fullTokens: 300, inclusionKey: getInclusionKey(ranges) },
+          // Counted for other lines
+          'c.ts': { tokens: 30, fullTokens: 375, inclusionKey: 'lines:1-5' }
+        }
+      );
+      const byPath = new Map(result.map(f => [f.relativePath, f]));
+
+      expect(byPath.get('a.ts')).toMatchObject({ inclusion: { mode: 'outline' }, tokenEstimate: 40 });
+      expect(byPath.get('b.js')).toMatchObject({ inclusion: { mode: 'outline' }, tokenEstimate: 500 });
+      expect(byPath.get('notes.md')).toMatchObject({ inclusion: ranges, tokenEstimate: 60 });
+      expect(byPath.get('c.ts')?.tokenEstimate).toBe(375);
+    });
+
+    it('ignores outlines of unsupported languages', () => {
+      const [notes] = applyInclusions([files[2]], { 'notes.md': { mode: 'outline' } }, {});
+      expect(notes.inclusion).toBeUndefined();
+      expect(notes.tokenEstimate).toBe(300);
+    });
+  });
+});
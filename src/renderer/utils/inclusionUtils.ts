@@ -0,0 +1,122 @@
+/**
+ * Utilities for partially included files (outlines and line ranges)
+ */
+import { FileInclusion, FileInfo, LineRange, OUTLINE_EXTENSIONS, PartialTokenCount } from '../types/common';
+
+/**
+ * Whether a file can be included as an outline of its top-level declarations
+ */
+export function canOutline(relativePath: string): boolean {
+  const extension = relativePath.split('.').pop()?.toLowerCase() ?? '';
+  return relativePath.includes('.') && OUTLINE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Sorts ranges, clamps them to the file and merges overlapping or adjacent ones
+ */
+export function normalizeLineRanges(ranges: LineRange[], lineCount: number = Infinity): LineRange[] {
+  const sorted = ranges
+    .map(range => ({ start: Math.max(1, range.start), end: Math.min(lineCount, range.end) }))
+    .filter(range => range.start <= range.end)
+    .sort((a, b) => a.start - b.start);
+
+  const merged: LineRange[] = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Formats ranges for display: `10-42, 100`
+ */
+export function formatLineRanges(ranges: LineRange[]): string {
+  return ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Parses ranges typed as `10-42, 100`
+ * Returns null when any part is not a line or a range of lines
+ */
+export function parseLineRanges(text: string): LineRange[] | null {
+  const ranges: LineRange[] = [];
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) return null;
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (start < 1 || end < start) return null;
+    ranges.push({ start, end });
+  }
+  return normalizeLineRanges(ranges);
+}
+
+/**
+ * Removes the lines of a range from ranges
+ */
+export function removeLineRange(ranges: LineRange[], removed: LineRange): LineRange[] {
+  return ranges.flatMap(range => {
+    if (range.end < removed.start || range.start > removed.end) return [range];
+    const kept: LineRange[] = [];
+    if (range.start < removed.start) kept.push({ start: range.start, end: removed.start - 1 });
+    if (range.end > removed.end) kept.push({ start: removed.end + 1, end: range.end });
+    return kept;
+  });
+}
+
+/**
+ * Whether every line of a range is in the (normalized) ranges
+ */
+export function isLineRangeCovered(ranges: LineRange[], range: LineRange): boolean {
+  return ranges.some(r => r.start <= range.start && r.end >= range.end);
+}
+
+/**
+ * Identifies an inclusion, to tell whether a token count was made for it
+ */
+export function getInclusionKey(inclusion: FileInclusion): string {
+  return inclusion.mode === 'outline' ? 'outline' : `lines:${formatLineRanges(inclusion.ranges)}`;
+}
+
+/**
+ * Whether a token count was made for the file's current contents and inclusion
+ */
+export function isPartialCountCurrent(file: FileInfo, inclusion: FileInclusion, count?: PartialTokenCount): boolean {
+  return count !== undefined && count.fullTokens === file.tokenEstimate && count.inclusionKey === getInclusionKey(inclusion);
+}
+
+/**
+ * The inclusion that applies to a file, if any (outlines only apply to supported languages)
+ */
+export function getFileInclusion(file: FileInfo, inclusions: Record<string, FileInclusion>): FileInclusion | undefined {
+  const inclusion = inclusions[file.relativePath];
+  if (!inclusion || (inclusion.mode === 'outline' && !canOutline(file.relativePath))) return undefined;
+  return inclusion;
+}
+
+/**
+ * Applies per-file inclusions to a selection
+ * - Partially included files carry their inclusion and cost the tokens of the included part
+ * - Until the part is counted for the file's current contents, the full count is used
+ */
+export function applyInclusions(
+  files: FileInfo[],
+  inclusions: Record<string, FileInclusion>,
+  partialTokens: Record<string, PartialTokenCount>
+): FileInfo[] {
+  return files.map(file => {
+    const inclusion = getFileInclusion(file, inclusions);
+    if (!inclusion) return file;
+    const count = partialTokens[file.relativePath];
+    return {
+      ...file,
+      inclusion,
+      tokenEstimate: isPartialCountCurrent(file, inclusion, count) ? count.tokens : file.tokenEstimate
+    };
+  });
+}
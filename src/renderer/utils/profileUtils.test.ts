@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_PROFILES,
+  getProfileBudget,
+  getProfileById,
+  loadProfiles,
+  saveProfiles,
+  loadActiveProfileId,
+  saveActiveProfileId,
+  duplicateProfile,
+  isValidProfile
+} from './profileUtils';
+import { ContextProfile } from '../types/common';
+
+describe('profileUtils', () => {
+  const customProfile: ContextProfile = {
+    id: 'custom-1',
+    name: 'Custom',
+    tokenLimit: 100000,
+    warningThreshold: 80,
+    tokenEncoding: 'o200k_base',
+    reservedOutputTokens: 4000
+  };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  describe('getProfileBudget', () => {
+    it('subtracts reserved output tokens from the limit', () => {
+      expect(getProfileBudget(customProfile)).toBe(96000);
+    });
+
+    it('never returns a negative budget', () => {
+      expect(getProfileBudget({ ...customProfile, reservedOutputTokens: 200000 })).toBe(0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('falls back to the built-in profiles when nothing is stored', () => {
+      expect(loadProfiles()).toEqual(DEFAULT_PROFILES);
+    });
+
+    it('round-trips saved profiles', () => {
+      saveProfiles([customProfile]);
+      expect(loadProfiles()).toEqual([customProfile]);
+    });
+
+    it('drops invalid stored profiles', () => {
+      window.localStorage.setItem(
+        'repoPromptLite.contextProfiles',
+        JSON.stringify([customProfile, { id: 'broken', tokenLimit: -1 }])
+      );
+      expect(loadProfiles()).toEqual([customProfile]);
+    });
+
+    it('ignores corrupt storage', () => {
+      window.localStorage.setItem('repoPromptLite.contextProfiles', '{not json');
+      expect(loadProfiles()).toEqual(DEFAULT_PROFILES);
+    });
+
+    it('restores the active profile only if it still exists', () => {
+      saveActiveProfileId('custom-1');
+      expect(loadActiveProfileId([customProfile])).toBe('custom-1');
+      expect(loadActiveProfileId(DEFAULT_PROFILES)).toBe(DEFAULT_PROFILES[0].id);
+    });
+  });
+
+  describe('getProfileById', () => {
+    it('falls back to the first profile for unknown ids', () => {
+      expect(getProfileById([customProfile], 'missing')).toBe(customProfile);
+    });
+  });
+
+  describe('duplicateProfile', () => {
+    it('creates an editable copy with a new id', () => {
+      const copy = duplicateProfile(DEFAULT_PROFILES[1]);
+      expect(copy.id).not.toBe(DEFAULT_PROFILES[1].id);
+      expect(copy.builtIn).toBe(false);
+      expect(copy.tokenLimit).toBe(DEFAULT_PROFILES[1].tokenLimit);
+      expect(isValidProfile(copy)).toBe(true);
+    });
+  });
+
+  describe('isValidProfile', () => {
+    it('rejects unknown token encodings', () => {
+      expect(isValidProfile({ ...customProfile, tokenEncoding: 'gpt2' })).toBe(false);
+      expect(isValidProfile({ ...customProfile, tokenEncoding: 42 })).toBe(false);
+      expect(isValidProfile(customProfile)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Utilities for per-model context profiles
+ */
+import { ContextProfile, DEFAULT_TOKEN_ENCODING, TOKEN_ENCODING_OPTIONS } from '../types/common';
+
+// localStorage keys for persisted profiles
+const PROFILES_STORAGE_KEY = 'repoPromptLite.contextProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'repoPromptLite.activeProfileId';
+
+/**
+ * Built-in profiles
+ * The first one matches the app's original hard-coded 2M / 90% behaviour
+ */
+export const DEFAULT_PROFILES: ContextProfile[] = [
+  {
+    id: 'default-2m',
+    name: 'Default (2M)',
+    tokenLimit: 2000000,
+    warningThreshold: 90,
+    tokenEncoding: DEFAULT_TOKEN_ENCODING,
+    reservedOutputTokens: 0,
+    builtIn: true
+  },
+  {
+    id: 'window-128k',
+    name: '128k context',
+    tokenLimit: 128000,
+    warningThreshold: 85,
+    tokenEncoding: 'o200k_base',
+    reservedOutputTokens: 16000,
+    builtIn: true
+  },
+  {
+    id: 'window-200k',
+    name: '200k context',
+    tokenLimit: 200000,
+    warningThreshold: 85,
+    tokenEncoding: 'cl100k_base',
+    reservedOutputTokens: 8000,
+    builtIn: true
+  },
+  {
+    id: 'window-1m',
+    name: '1M context',
+    tokenLimit: 1000000,
+    warningThreshold: 90,
+    tokenEncoding: 'cl100k_base',
+    reservedOutputTokens: 8000,
+    builtIn: true
+  }
+];
+
+export const DEFAULT_PROFILE_ID = DEFAULT_PROFILES[0].id;
+
+/**
+ * Gets the number of tokens available for the prompt itself
+ * (the context window minus the tokens reserved for the model's answer)
+ */
+export function getProfileBudget(profile: ContextProfile): number {
+  return Math.max(0, profile.tokenLimit - profile.reservedOutputTokens);
+}
+
+/**
+ * Checks that a value loaded from storage looks like a usable profile
+ */
+export function isValidProfile(value: any): value is ContextProfile {
+  return !!value &&
+    typeof value.id === 'string' &&
+    typeof value.name === 'string' &&
+    typeof value.tokenLimit === 'number' && value.tokenLimit > 0 &&
+    typeof value.warningThreshold === 'number' &&
+    value.warningThreshold > 0 && value.warningThreshold <= 100 &&
+    TOKEN_ENCODING_OPTIONS.some(option => option.value === value.tokenEncoding) &&
+    typeof value.reservedOutputTokens === 'number' && value.reservedOutputTokens >= 0;
+}
+
+/**
+ * Loads profiles from localStorage, falling back to the built-in set
+ */
+export function loadProfiles(): ContextProfile[] {
+  try {
+    const raw = window.localStorage.getItem(PROFILES_STORAGE_KEY);
+    if (!raw) return DEFAULT_PROFILES;
+
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return DEFAULT_PROFILES;
+
+    const profiles = parsed.filter(isValidProfile);
+    return profiles.length > 0 ? profiles : DEFAULT_PROFILES;
+  } catch (error) {
+    console.error('Error loading context profiles:', error);
+    return DEFAULT_PROFILES;
+  }
+}
+
+/**
+ * Persists profiles to localStorage
+ */
+export function saveProfiles(profiles: ContextProfile[]): void {
+  try {
+    window.localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error('Error saving context profiles:', error);
+  }
+}
+
+/**
+ * Loads the id of the last selected profile
+ */
+export function loadActiveProfileId(profiles: ContextProfile[]): string {
+  try {
+    const id = window.localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    if (id && profiles.some(p => p.id === id)) {
+      return id;
+    }
+  } catch (error) {
+    console.error('Error loading active context profile:', error);
+  }
+  return profiles[0]?.id ?? DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Persists the id of the selected profile
+ */
+export function saveActiveProfileId(id: string): void {
+  try {
+    window.localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, id);
+  } catch (error) {
+    console.error('Error saving active context profile:', error);
+  }
+}
+
+/**
+ * Finds a profile by id, falling back to the first profile
+ */
+export function getProfileById(profiles: ContextProfile[], id: string): ContextProfile {
+  return profiles.find(p => p.id === id) || profiles[0] || DEFAULT_PROFILES[0];
+}
+
+/**
+ * Creates an editable copy of a profile with a fresh id
+ */
+export function duplicateProfile(profile: ContextProfile, name?: string): ContextProfile {
+  return {
+    ...profile,
+    id: `custom-${Date.now().toString(36)}`,
+    name: name || `${profile.name} (copy)`,
+    builtIn: false
+  };
+}
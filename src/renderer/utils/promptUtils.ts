@@ -3,6 +3,7 @@
  */
 import { FileInfo } from '../types/common';
 import { generateFileMap, TreeFormatOptions } from './formatUtils';
+import { DEFAULT_PAYLOAD_FORMAT, formatPayload, PayloadFileSection, PayloadFormat } from '../../shared/payloadFormat';
 
 /**
  * Default options for the file map formatter
@@ -20,7 +21,7 @@ export const DEFAULT_PROMPT_OPTIONS: TreeFormatOptions = {
   maxDepth: undefined      // No maximum depth
 };
 
-// Maximum token limit (2M)
+// Default maximum token limit (2M), used when no context profile limit is given
 export const MAX_TOKEN_LIMIT = 2000000;
 
 /**
@@ -36,7 +37,9 @@ export async function generateFullPrompt(
     total: number, 
     fileName: string,
     percentage: number
-  }) => void
+  }) => void,
+  tokenLimit: number = MAX_TOKEN_LIMIT,
+  format: PayloadFormat = DEFAULT_PAYLOAD_FORMAT
 ): Promise<{
   prompt: string;
   success: boolean;
@@ -52,8 +55,8 @@ export async function generateFullPrompt(
   // Generate the file map with all files, but marking selected ones
   const fileMap = generateFileMap(selectedFiles, rootFolderName, allFiles, mergedOptions);
   
-  // Start building the prompt
-  let prompt = `<file_map>\n${fileMap}</file_map>\n\n`;
+  // File contents, formatted with the map once all are read
+  const fileSections: PayloadFileSection[] = [];
   
   // Track total token count
   let totalTokens = 0;
@@ -84,9 +87,9 @@ export async function generateFullPrompt(
     
     try {
       // Check if adding this file would exceed the token limit
-      if (totalTokens + file.tokenEstimate > MAX_TOKEN_LIMIT) {
+      if (totalTokens + file.tokenEstimate > tokenLimit) {
         tokenCapExceeded = true;
-        errors.push(`Token limit of ${MAX_TOKEN_LIMIT.toLocaleString()} exceeded. Some files were omitted.`);
+        errors.push(`Token limit of ${tokenLimit.toLocaleString()} exceeded. Some files were omitted.`);
         break;
       }
       
@@ -102,7 +105,7 @@ export async function generateFullPrompt(
       if (!content) continue;
       
       // Add to the prompt
-      prompt += `<file_contents path="${file.relativePath}">\n${content}\n</file_contents>\n\n`;
+      fileSections.push({ path: file.relativePath, content });
       
       // Update token count
       totalTokens += file.tokenEstimate;
@@ -112,7 +115,7 @@ export async function generateFullPrompt(
   }
   
   return {
-    prompt,
+    prompt: formatPayload({ fileMap, files: fileSections }, format),
     success: errors.length === 0,
     error: errors.length > 0 ? errors.join('\n') : undefined,
     tokensApprox: totalTokens,
@@ -135,7 +138,9 @@ export async function copyPromptToClipboard(
     total: number, 
     fileName: string,
     percentage: number
-  }) => void
+  }) => void,
+  tokenLimit: number = MAX_TOKEN_LIMIT,
+  format: PayloadFormat = DEFAULT_PAYLOAD_FORMAT
 ): Promise<{
   success: boolean;
   error?: string;
@@ -151,7 +156,9 @@ export async function copyPromptToClipboard(
       rootFolderName,
       allFiles,
       options,
-      onProgress
+      onProgress,
+      tokenLimit,
+      format
     );
     
     if (!result.success && !result.tokenCapExceeded) {
@@ -7,9 +7,15 @@ import {
   formatFileSize,
   filterByExtension,
   groupByExtension,
-  getFileStats
+  getFileStats,
+  applyFileChanges,
+  syncNodeStates,
+  selectNodesByPath,
+  resolveGitStatuses,
+  mergeLoadedChildren,
+  getDirectoryTotals
 } from './selectionUtils';
-import { FileInfo } from '../types/common';
+import { CheckState, FileInfo, FlattenedFile } from '../types/common';
 
 describe('Selection Utilities', () => {
   // Sample test data
@@ -199,4 +205,196 @@ describe('Selection Utilities', () => {
       expect(stats.byExtension[1].count).toBe(1);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('applyFileChanges', () => {
+    const file = (relativePath: string, tokenEstimate = 10, isDirectory = false): FileInfo => ({
+      path: `/test/${relativePath}`,
+      relativePath,
+      size: isDirectory ? 0 : 100,
+      isDirectory,
+      isSkipped: false,
+      tokenEstimate
+    });
+
+    it('adds new files and replaces changed ones', () => {
+      const files = [file('a.ts'), file('b.ts')];
+      const updated = applyFileChanges(files, [
+        { type: 'change', relativePath: 'a.ts', file: file('a.ts', 42) },
+        { type: 'add', relativePath: 'c.ts', file: file('c.ts') }
+      ]);
+
+      expect(updated.map(f => f.relativePath)).toEqual(['a.ts', 'b.ts', 'c.ts']);
+      expect(updated[0].tokenEstimate).toBe(42);
+    });
+
+    it('removes deleted directories with their contents', () => {
+      const files = [file('src', 0, true), file('src/a.ts'), file('src-old.ts')];
+      const updated = applyFileChanges(files, [{ type: 'delete', relativePath: 'src' }]);
+
+      expect(updated.map(f => f.relativePath)).toEqual(['src-old.ts']);
+    });
+  });
+
+  describe('syncNodeStates', () => {
+    const node = (id: string, isDirectory = false, isSkipped = false): FlattenedFile => ({
+      id,
+      parentId: id.includes('/') ? id.split('/').slice(0, -1).join('/') : null,
+      path: `/test/${id}`,
+      relativePath: id,
+      name: id.split('/').pop() || id,
+      level: id.split('/').length - 1,
+      isDirectory,
+      isSkipped,
+      size: 0,
+      tokenEstimate: 0
+    });
+
+    it('keeps existing states and checks new files in checked directories', () => {
+      const previous = new Map<string, CheckState>([['src', 'checked'], ['src/a.ts', 'checked']]);
+      const states = syncNodeStates([node('src', true), node('src/a.ts'), node('src/b.ts')], previous);
+
+      expect(states.get('src/b.ts')).toBe('checked');
+      expect(states.get('src')).toBe('checked');
+    });
+
+    it('recomputes directory states after files are added or removed', () => {
+      const previous = new Map<string, CheckState>([
+        ['src', 'indeterminate'],
+        ['src/a.ts', 'checked'],
+        ['src/b.ts', 'unchecked']
+      ]);
+
+      // b.ts was deleted: every remaining child is checked
+      expect(syncNodeStates([node('src', true), node('src/a.ts')], previous).get('src')).toBe('checked');
+
+      // A new file in a partially selected directory stays unchecked
+      const states = syncNodeStates([node('src', true), node('src/a.ts'), node('src/b.ts'), node('src/c.ts')], previous);
+      expect(states.get('src/c.ts')).toBe('unchecked');
+      expect(states.get('src')).toBe('indeterminate');
+    });
+  });
+
+  describe('selectNodesByPath', () => {
+    const node = (id: string, isDirectory = false, isSkipped = false): FlattenedFile => ({
+      id,
+      parentId: id.includes('/') ? id.split('/').slice(0, -1).join('/') : null,
+      path: `/test/${id}`,
+      relativePath: id,
+      name: id.split('/').pop() || id,
+      level: id.split('/').length - 1,
+      isDirectory,
+      isSkipped,
+      size: 0,
+      tokenEstimate: 0
+    });
+    const nodes = [node('README.md'), node('src', true), node('src/a.ts'), node('src/b.ts'), node('src/logo.png', false, true)];
+
+    it('replaces the selection with the listed files', () => {
+      const previous = new Map<string, CheckState>([['README.md', 'checked']]);
+      const states = selectNodesByPath(nodes, previous, ['src/a.ts', 'src/logo.png', 'missing.ts']);
+
+      expect(states.get('README.md')).toBe('unchecked');
+      expect(states.get('src/a.ts')).toBe('checked');
+      expect(states.get('src/logo.png')).toBe('unchecked');
+      expect(states.get('src')).toBe('indeterminate');
+    });
+
+    it('adds the listed files to the selection', () => {
+      const previous = new Map<string, CheckState>([['README.md', 'checked'], ['src/a.ts', 'checked']]);
+      const states = selectNodesByPath(nodes, previous, ['src/b.ts'], 'add');
+
+      expect(states.get('README.md')).toBe('checked');
+      expect(states.get('src')).toBe('checked');
+    });
+  });
+
+  describe('resolveGitStatuses', () => {
+    const entry = (relativePath: string, isDirectory = false): FileInfo => ({
+      path: `/test/${relativePath}`,
+      relativePath,
+      size: 0,
+      isDirectory,
+      isSkipped: false,
+      tokenEstimate: 0
+    });
+    const files = [
+      entry('src', true),
+      entry('src/a.ts'),
+      entry('src/b.ts'),
+      entry('src/lib', true),
+      entry('src/lib/c.ts'),
+      entry('new', true),
+      entry('new/d.ts'),
+      entry('logs', true),
+      entry('logs/e.log'),
+      entry('README.md')
+    ];
+
+    it('gives files their own status or that of a directory listed as a whole', () => {
+      const statuses = resolveGitStatuses(files, { 'src/a.ts': 'modified', 'new/': 'untracked', 'logs/': 'ignored' });
+
+      expect(statuses.get('src/a.ts')).toBe('modified');
+      expect(statuses.get('new/d.ts')).toBe('untracked');
+      expect(statuses.get('logs/e.log')).toBe('ignored');
+      expect(statuses.has('README.md')).toBe(false);
+    });
+
+    it('rolls the most important status up to directories', () => {
+      const statuses = resolveGitStatuses(files, {
+        'src/a.ts': 'added',
+        'src/lib/c.ts': 'conflicted',
+        'src/b.ts': 'modified',
+        'logs/': 'ignored'
+      });
+
+      expect(statuses.get('src/lib')).toBe('conflicted');
+      expect(statuses.get('src')).toBe('conflicted');
+      expect(statuses.get('logs')).toBe('ignored');
+      expect(statuses.has('new')).toBe(false);
+    });
+  });
+
+  describe('lazy loading', () => {
+    const dir = (relativePath: string, hasLazyChildren = false): FileInfo => ({
+      path: `/test/${relativePath}`,
+      relativePath,
+      size: 0,
+      isDirectory: true,
+      isSkipped: false,
+      tokenEstimate: 0,
+      hasLazyChildren
+    });
+    const file = (relativePath: string, tokenEstimate: number, isSkipped = false): FileInfo => ({
+      path: `/test/${relativePath}`,
+      relativePath,
+      size: 100,
+      isDirectory: false,
+      isSkipped,
+      tokenEstimate
+    });
+
+    it('merges loaded children and marks the directory as loaded', () => {
+      const merged = mergeLoadedChildren([dir('src', true)], 'src', [file('src/a.ts', 5), dir('src/lib', true)]);
+
+      expect(merged.map(f => f.relativePath)).toEqual(['src', 'src/a.ts', 'src/lib']);
+      expect(merged[0].hasLazyChildren).toBe(false);
+      expect(merged[0].childrenLoaded).toBe(true);
+      expect(merged[2].hasLazyChildren).toBe(true);
+    });
+
+    it('aggregates totals per directory and flags unloaded subtrees', () => {
+      const totals = getDirectoryTotals([
+        dir('src'),
+        file('src/a.ts', 5),
+        file('src/b.png', 0, true),
+        dir('src/lib', true),
+        dir('docs'),
+        file('docs/readme.md', 7)
+      ]);
+
+      expect(totals.get('src')).toEqual({ fileCount: 1, size: 100, tokens: 5, partial: true });
+      expect(totals.get('src/lib')?.partial).toBe(true);
+      expect(totals.get('docs')).toEqual({ fileCount: 1, size: 100, tokens: 7, partial: false });
+    });
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * Utilities for handling file selection and flattening
  */
-import { FileInfo, FlattenedFile } from '../types/common';
+import { CheckState, FileChangeEvent, FileInfo, FlattenedFile, GitFileStatus } from '../types/common';
 
 /**
  * Gets all selected files from the selection
@@ -55,6 +55,229 @@ export function flattenSelection(rootNode: FlattenedFile, nodeStates: Map<string
   return selectedFiles.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
 }
 
+/**
+ * Applies live file changes to a scanned file list
+ * - Adds and changes replace the entry with the same relative path
+ * - Deleting a directory also removes everything below it
+ */
+export function applyFileChanges(files: FileInfo[], events: FileChangeEvent[]): FileInfo[] {
+  const byPath = new Map(files.map(file => [file.relativePath, file]));
+  
+  for (const event of events) {
+    if (event.type === 'delete') {
+      const removed = byPath.get(event.relativePath);
+      byPath.delete(event.relativePath);
+      if (removed?.isDirectory) {
+        const prefix = `${event.relativePath}/`;
+        for (const relativePath of [...byPath.keys()]) {
+          if (relativePath.startsWith(prefix)) {
+            byPath.delete(relativePath);
+          }
+        }
+      }
+    } else if (event.file) {
+      byPath.set(event.relativePath, event.file);
+    }
+  }
+  
+  return [...byPath.values()];
+}
+
+/**
+ * Merges the contents of a lazily loaded directory into a scanned file list
+ * - The directory is marked as loaded
+ * - Loaded entries replace existing entries with the same relative path
+ */
+export function mergeLoadedChildren(files: FileInfo[], directoryPath: string, children: FileInfo[]): FileInfo[] {
+  const byPath = new Map(files.map(file => [file.relativePath, file]));
+  
+  const directory = byPath.get(directoryPath);
+  if (directory) {
+    byPath.set(directoryPath, { ...directory, hasLazyChildren: false, childrenLoaded: true });
+  }
+  for (const child of children) {
+    byPath.set(child.relativePath, child);
+  }
+  
+  return [...byPath.values()];
+}
+
+/**
+ * Aggregated totals of a directory's loaded descendants
+ */
+export interface DirectoryTotals {
+  fileCount: number;
+  size: number;
+  tokens: number;
+  partial: boolean;   // Some folders below (or the directory itself) are not loaded yet
+}
+
+/**
+ * Sums file counts, sizes and tokens (skipped files excluded) for every directory
+ */
+export function getDirectoryTotals(files: FileInfo[]): Map<string, DirectoryTotals> {
+  const totals = new Map<string, DirectoryTotals>();
+  const getTotals = (directoryPath: string) => {
+    let entry = totals.get(directoryPath);
+    if (!entry) {
+      entry = { fileCount: 0, size: 0, tokens: 0, partial: false };
+      totals.set(directoryPath, entry);
+    }
+    return entry;
+  };
+  
+  for (const file of files) {
+    const segments = file.relativePath.split('/');
+    const ancestors = segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join('/'));
+    
+    if (file.isDirectory) {
+      getTotals(file.relativePath);
+      if (file.hasLazyChildren) {
+        [...ancestors, file.relativePath].forEach(dir => { getTotals(dir).partial = true; });
+      }
+    } else if (!file.isSkipped) {
+      for (const dir of ancestors) {
+        const entry = getTotals(dir);
+        entry.fileCount++;
+        entry.size += file.size;
+        entry.tokens += file.tokenEstimate;
+      }
+    }
+  }
+  
+  return totals;
+}
+
+/**
+ * Carries checkbox states over to a changed tree
+ * - Existing nodes keep their state
+ * - New nodes are checked when their parent directory is checked
+ * - Directory states are recomputed from their children (checked / indeterminate / unchecked)
+ */
+export function syncNodeStates(
+  nodes: FlattenedFile[],
+  previousStates: Map<string, CheckState>
+): Map<string, CheckState> {
+  const nodeStates = new Map<string, CheckState>();
+  const childrenByParent = new Map<string, FlattenedFile[]>();
+  
+  // Parents sort before their children, so inherited states are already known
+  const sortedNodes = [...nodes].sort((a, b) => a.id.localeCompare(b.id));
+  for (const node of sortedNodes) {
+    const previous = previousStates.get(node.id);
+    const parentState = node.parentId ? nodeStates.get(node.parentId) : undefined;
+    nodeStates.set(
+      node.id,
+      previous ?? (parentState === 'checked' && !node.isSkipped ? 'checked' : 'unchecked')
+    );
+    
+    if (node.parentId) {
+      const siblings = childrenByParent.get(node.parentId) || [];
+      siblings.push(node);
+      childrenByParent.set(node.parentId, siblings);
+    }
+  }
+  
+  // Deepest directories first so each one sees its children's final state
+  for (let i = sortedNodes.length - 1; i >= 0; i--) {
+    const node = sortedNodes[i];
+    if (!node.isDirectory || node.isSkipped) continue;
+    
+    const children = (childrenByParent.get(node.id) || []).filter(child => !child.isSkipped);
+    if (children.length === 0) continue;
+    
+    const states = children.map(child => nodeStates.get(child.id));
+    if (states.every(state => state === 'checked')) {
+      nodeStates.set(node.id, 'checked');
+    } else if (states.some(state => state === 'checked' || state === 'indeterminate')) {
+      nodeStates.set(node.id, 'indeterminate');
+    } else {
+      nodeStates.set(node.id, 'unchecked');
+    }
+  }
+  
+  return nodeStates;
+}
+
+/**
+ * Checks the files at the given relative paths (e.g. files listed by git)
+ * - 'replace' clears the previous selection first, 'add' keeps it
+ * - Directories, skipped files and paths not in the tree are left alone
+ * - Directory states are recomputed from their children
+ */
+export function selectNodesByPath(
+  nodes: FlattenedFile[],
+  previousStates: Map<string, CheckState>,
+  relativePaths: string[],
+  mode: 'replace' | 'add' = 'replace'
+): Map<string, CheckState> {
+  const wanted = new Set(relativePaths);
+  const states = new Map<string, CheckState>();
+  
+  for (const node of nodes) {
+    if (!node.isDirectory && !node.isSkipped && wanted.has(node.id)) {
+      states.set(node.id, 'checked');
+    } else if (mode === 'add' && previousStates.has(node.id)) {
+      states.set(node.id, previousStates.get(node.id)!);
+    } else {
+      states.set(node.id, 'unchecked');
+    }
+  }
+  
+  return syncNodeStates(nodes, states);
+}
+
+// Statuses rolled up to directories, most important first; ignored files don't make a directory dirty
+const GIT_STATUS_PRIORITY: GitFileStatus[] = ['conflicted', 'modified', 'added', 'untracked'];
+
+/**
+ * Git status of every file and directory in the tree
+ * - Files take their own status, or that of an untracked / ignored directory above them
+ * - Directories take the most important status of the files below them
+ */
+export function resolveGitStatuses(
+  files: FileInfo[],
+  statuses: Record<string, GitFileStatus>
+): Map<string, GitFileStatus> {
+  const resolved = new Map<string, GitFileStatus>();
+  
+  // Status of the nearest directory above a path listed as a whole (`dir/`)
+  const getDirectoryEntryStatus = (relativePath: string): GitFileStatus | undefined => {
+    const parts = relativePath.split('/');
+    for (let i = parts.length; i > 0; i--) {
+      const status = statuses[`${parts.slice(0, i).join('/')}/`];
+      if (status) return status;
+    }
+    return undefined;
+  };
+  
+  for (const file of files) {
+    if (file.isDirectory) continue;
+    const status = statuses[file.relativePath] ?? getDirectoryEntryStatus(file.relativePath);
+    if (!status) continue;
+    resolved.set(file.relativePath, status);
+    if (status === 'ignored') continue;
+    
+    // Parents already showing an equal or more important status have passed it up already
+    const parts = file.relativePath.split('/');
+    for (let i = parts.length - 1; i > 0; i--) {
+      const directory = parts.slice(0, i).join('/');
+      const current = resolved.get(directory);
+      if (current && GIT_STATUS_PRIORITY.indexOf(current) <= GIT_STATUS_PRIORITY.indexOf(status)) break;
+      resolved.set(directory, status);
+    }
+  }
+  
+  // Directories with no dirty files below may still be untracked or ignored as a whole
+  for (const file of files) {
+    if (!file.isDirectory || resolved.has(file.relativePath)) continue;
+    const status = getDirectoryEntryStatus(file.relativePath);
+    if (status) resolved.set(file.relativePath, status);
+  }
+  
+  return resolved;
+}
+
 /**
  * Filters a selection by file extension
  */
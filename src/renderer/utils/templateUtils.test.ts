@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_TEMPLATES,
+  EMPTY_INSTRUCTIONS,
+  createTemplate,
+  isValidTemplate,
+  loadInstructions,
+  loadTemplates,
+  saveInstructions,
+  saveTemplates
+} from './templateUtils';
+import { PromptTemplate } from '../types/common';
+
+describe('templateUtils', () => {
+  const customTemplate: PromptTemplate = {
+    id: 'custom-1',
+    name: 'Tests',
+    text: 'Write tests for {{root_name}}',
+    placement: 'after'
+  };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('falls back to the built-in templates when nothing is stored', () => {
+    expect(loadTemplates()).toEqual(DEFAULT_TEMPLATES);
+    expect(DEFAULT_TEMPLATES.every(isValidTemplate)).toBe(true);
+  });
+
+  it('round-trips saved templates and drops invalid ones', () => {
+    saveTemplates([customTemplate]);
+    expect(loadTemplates()).toEqual([customTemplate]);
+
+    window.localStorage.setItem(
+      'repoPromptLite.promptTemplates',
+      JSON.stringify([customTemplate, { id: 'broken', text: 'x', placement: 'middle' }])
+    );
+    expect(loadTemplates()).toEqual([customTemplate]);
+  });
+
+  it('round-trips the instructions being edited', () => {
+    expect(loadInstructions()).toEqual(EMPTY_INSTRUCTIONS);
+    saveInstructions({ text: 'Explain', placement: 'both' });
+    expect(loadInstructions()).toEqual({ text: 'Explain', placement: 'both' });
+
+    window.localStorage.setItem('repoPromptLite.instructions', '{not json');
+    expect(loadInstructions()).toEqual(EMPTY_INSTRUCTIONS);
+  });
+
+  it('creates an editable template from instructions', () => {
+    const template = createTemplate('Mine', { text: 'Do it', placement: 'after' });
+    expect(template).toMatchObject({ name: 'Mine', text: 'Do it', placement: 'after', builtIn: false });
+    expect(template.id).toMatch(/^custom-/);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Utilities for prompt instructions and saved templates
+ */
+import { PromptTemplate } from '../types/common';
+import { InstructionPlacement, PromptInstructions } from '../../shared/promptTemplate';
+
+// localStorage keys for persisted templates and the instructions being edited
+const TEMPLATES_STORAGE_KEY = 'repoPromptLite.promptTemplates';
+const INSTRUCTIONS_STORAGE_KEY = 'repoPromptLite.instructions';
+
+export const INSTRUCTION_PLACEMENTS: { value: InstructionPlacement; label: string }[] = [
+  { value: 'before', label: 'Before the files' },
+  { value: 'after', label: 'After the files' },
+  { value: 'both', label: 'Before and after' }
+];
+
+export const EMPTY_INSTRUCTIONS: PromptInstructions = { text: '', placement: 'before' };
+
+/**
+ * Built-in templates
+ */
+export const DEFAULT_TEMPLATES: PromptTemplate[] = [
+  {
+    id: 'review',
+    name: 'Code review',
+    text: 'Review the code from {{root_name}} ({{git_branch}}) below. Point out bugs, risky changes and missing tests, most important first.',
+    placement: 'before',
+    builtIn: true
+  },
+  {
+    id: 'explain',
+    name: 'Explain',
+    text: 'Here is the layout of {{root_name}}:\n\n{{file_map}}\n\nExplain how the {{selection_count}} files below work together.',
+    placement: 'before',
+    builtIn: true
+  },
+  {
+    id: 'implement',
+    name: 'Implement a change',
+    text: 'Implement the following change in {{root_name}}, and answer with the complete updated files:\n\n',
+    placement: 'both',
+    builtIn: true
+  }
+];
+
+function isPlacement(value: unknown): value is InstructionPlacement {
+  return INSTRUCTION_PLACEMENTS.some(placement => placement.value === value);
+}
+
+/**
+ * Checks that a value loaded from storage looks like a usable template
+ */
+export function isValidTemplate(value: any): value is PromptTemplate {
+  return !!value &&
+    typeof value.id === 'string' &&
+    typeof value.name === 'string' &&
+    typeof value.text === 'string' &&
+    isPlacement(value.placement);
+}
+
+/**
+ * Loads templates from localStorage, falling back to the built-in set
+ */
+export function loadTemplates(): PromptTemplate[] {
+  try {
+    const raw = window.localStorage.getItem(TEMPLATES_STORAGE_KEY);
+    if (!raw) return DEFAULT_TEMPLATES;
+
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return DEFAULT_TEMPLATES;
+
+    const templates = parsed.filter(isValidTemplate);
+    return templates.length > 0 ? templates : DEFAULT_TEMPLATES;
+  } catch (error) {
+    console.error('Error loading prompt templates:', error);
+    return DEFAULT_TEMPLATES;
+  }
+}
+
+/**
+ * Persists templates to localStorage
+ */
+export function saveTemplates(templates: PromptTemplate[]): void {
+  try {
+    window.localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+  } catch (error) {
+    console.error('Error saving prompt templates:', error);
+  }
+}
+
+/**
+ * Loads the instructions last edited
+ */
+export function loadInstructions(): PromptInstructions {
+  try {
+    const raw = window.localStorage.getItem(INSTRUCTIONS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed && typeof parsed.text === 'string' && isPlacement(parsed.placement)) {
+      return { text: parsed.text, placement: parsed.placement };
+    }
+  } catch (error) {
+    console.error('Error loading prompt instructions:', error);
+  }
+  return EMPTY_INSTRUCTIONS;
+}
+
+/**
+ * Persists the instructions being edited
+ */
+export function saveInstructions(instructions: PromptInstructions): void {
+  try {
+    window.localStorage.setItem(INSTRUCTIONS_STORAGE_KEY, JSON.stringify(instructions));
+  } catch (error) {
+    console.error('Error saving prompt instructions:', error);
+  }
+}
+
+/**
+ * Creates a template from the current instructions
+ */
+export function createTemplate(name: string, instructions: PromptInstructions): PromptTemplate {
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    name,
+    text: instructions.text,
+    placement: instructions.placement,
+    builtIn: false
+  };
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { FileMapEntry, generateFileMap } from './fileMap';
+
+const entry = (relativePath: string, isDirectory = false, tokenEstimate = 0, size = 0): FileMapEntry => ({
+  path: `/repo/${relativePath}`,
+  relativePath,
+  size,
+  isDirectory,
+  isSkipped: false,
+  tokenEstimate
+});
+
+describe('fileMap', () => {
+  const files = [
+    entry('src', true),
+    entry('src/app.ts', false, 120, 2048),
+    entry('src/util', true),
+    entry('src/util/math.ts', false, 30, 512),
+    entry('README.md', false, 10, 100)
+  ];
+
+  it('draws every file under the root, directories first', () => {
+    expect(generateFileMap([files[1]], 'repo', files)).toBe([
+      '└── repo/',
+      '    ├── src/',
+      '    │   ├── util/',
+      '    │   │   └── math.ts',
+      '    │   └── app.ts',
+      '    └── README.md',
+      ''
+    ].join('\n'));
+  });
+
+  it('honors showOnlySelected, maxDepth and showTokens', () => {
+    const map = generateFileMap([files[1]], undefined, files, { showOnlySelected: true, showTokens: true });
+    expect(map).toBe('└── src/\n    └── app.ts (120 tokens)\n');
+
+    expect(generateFileMap([], undefined, files, { maxDepth: 1 })).toBe([
+      '├── src/',
+      '│   ├── ...',
+      '└── README.md',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { formatPayload, getMarkdownLanguage, PayloadSections } from './payloadFormat';
+
+describe('payloadFormat', () => {
+  const sections: PayloadSections = {
+    fileMap: 'repo\n└── src\n    └── app.ts\n',
+    files: [
+      { path: 'src/app.ts', content: 'export const a = 1;' },
+      { path: 'README.md', content: 'Run ```npm start```', attributes: { lines: '1-2' } }
+    ],
+    gitDiff: 'diff --git a/src/app.ts b/src/app.ts\n'
+  };
+
+  it('formats XML tags', () => {
+    expect(formatPayload(sections, 'xml')).toBe([
+      '<file_map>\nrepo\n└── src\n    └── app.ts\n</file_map>',
+      '<file_contents path="src/app.ts">\nexport const a = 1;\n</file_contents>',
+      '<file_contents path="README.md" lines="1-2">\nRun ```npm start```\n</file_contents>',
+      '<git_diff>\ndiff --git a/src/app.ts b/src/app.ts\n</git_diff>'
+    ].join('\n\n'));
+  });
+
+  it('formats Markdown with language tags and fences longer than the content\'s backticks', () => {
+    expect(formatPayload(sections, 'markdown')).toBe([
+      '## File map\n\n```\nrepo\n└── src\n    └── app.ts\n```',
+      '## src/app.ts\n\n```typescript\nexport const a = 1;\n```',
+      '## README.md (lines: 1-2)\n\n````markdown\nRun ```npm start```\n````',
+      '## Git diff\n\n```diff\ndiff --git a/src/app.ts b/src/app.ts\n```'
+    ].join('\n\n'));
+  });
+
+  it('formats JSON', () => {
+    expect(JSON.parse(formatPayload(sections, 'json'))).toEqual({
+      fileMap: sections.fileMap,
+      files: [
+        { path: 'src/app.ts', content: 'export const a = 1;' },
+        { path: 'README.md', lines: '1-2', content: 'Run ```npm start```' }
+      ],
+      gitDiff: sections.gitDiff
+    });
+  });
+
+  it('formats plain text with separators, leaving out empty sections', () => {
+    expect(formatPayload({ files: sections.files }, 'plain')).toBe(
+      '==== src/app.ts ====\nexport const a = 1;\n\n==== README.md (lines: 1-2) ====\nRun ```npm start```'
+    );
+  });
+
+  it('heads each part of a split payload', () => {
+    const part = { number: 1, count: 3 };
+    expect(formatPayload({ part, files: [] }, 'xml')).toBe('<payload_part number="1" count="3">Part 1 of 3</payload_part>');
+    expect(formatPayload({ part, files: [] }, 'plain')).toBe('==== Part 1 of 3 ====');
+    expect(JSON.parse(formatPayload({ part, files: [] }, 'json')).part).toEqual(part);
+  });
+
+  it('tags fences with the language of the file', () => {
+    expect(getMarkdownLanguage('src/App.tsx')).toBe('tsx');
+    expect(getMarkdownLanguage('docker/Dockerfile')).toBe('dockerfile');
+    expect(getMarkdownLanguage('LICENSE')).toBe('');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Formats the copied payload (file map, file contents, git diff) in the
+ * selected output format. Shared by the main process and the renderer so both
+ * copy paths produce the same shape; keep it free of Node and DOM APIs.
+ */
+
+/**
+ * Output formats of the payload
+ * - xml: `<file_map>`, `<file_contents path="...">` and `<git_diff>` tags
+ * - markdown: headings with fenced code blocks tagged with the file's language
+ * - json: one object with `fileMap`, `files` and `gitDiff`
+ * - plain: sections separated by `==== title ====` lines
+ */
+export type PayloadFormat = 'xml' | 'markdown' | 'json' | 'plain';
+
+export const PAYLOAD_FORMATS: { value: PayloadFormat; label: string }[] = [
+  { value: 'xml', label: 'XML tags' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'json', label: 'JSON' },
+  { value: 'plain', label: 'Plain text' }
+];
+
+export const DEFAULT_PAYLOAD_FORMAT: PayloadFormat = 'xml';
+
+// Extension of an exported payload file
+export const PAYLOAD_FILE_EXTENSIONS: Record<PayloadFormat, string> = {
+  xml: 'xml',
+  markdown: 'md',
+  json: 'json',
+  plain: 'txt'
+};
+
+/**
+ * A file sent in the payload
+ */
+export interface PayloadFileSection {
+  path: string;                          // Relative to the scanned root
+  content: string;
+  attributes?: Record<string, string>;   // What part of the file is sent (e.g. `lines: '10-42'`)
+}
+
+/**
+ * Position of a payload in a selection split into parts
+ */
+export interface PayloadPart {
+  number: number;                        // 1-based
+  count: number;
+}
+
+/**
+ * Everything a payload holds; empty sections are left out
+ */
+export interface PayloadSections {
+  part?: PayloadPart;                    // Heads each part of a split payload
+  fileMap?: string;                      // Tree of the files, without the surrounding tag
+  files: PayloadFileSection[];
+  gitDiff?: string;                      // Unified diff of the selected files
+}
+
+export function isPayloadFormat(value: unknown): value is PayloadFormat {
+  return PAYLOAD_FORMATS.some(format => format.value === value);
+}
+
+// Fence languages of common extensions, for syntax highlighting in Markdown
+const MARKDOWN_LANGUAGES: Record<string, string> = {
+  ts: 'typescript', tsx: 'tsx', mts: 'typescript', cts: 'typescript',
+  js: 'javascript', jsx: 'jsx', mjs: 'javascript', cjs: 'javascript',
+  py: 'python', pyi: 'python', go: 'go', rs: 'rust', java: 'java', kt: 'kotlin',
+  rb: 'ruby', php: 'php', cs: 'csharp', c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp',
+  swift: 'swift', scala: 'scala', sh: 'bash', bash: 'bash', zsh: 'bash',
+  json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml', html: 'html',
+  css: 'css', scss: 'scss', sql: 'sql', md: 'markdown', graphql: 'graphql', vue: 'vue'
+};
+
+/**
+ * Fence language for a file, or '' when unknown
+ */
+export function getMarkdownLanguage(filePath: string): string {
+  const name = filePath.split('/').pop() ?? '';
+  if (name === 'Dockerfile') return 'dockerfile';
+  if (name === 'Makefile') return 'makefile';
+  const extension = name.includes('.') ? name.split('.').pop()!.toLowerCase() : '';
+  return MARKDOWN_LANGUAGES[extension] ?? '';
+}
+
+// A fence longer than any backtick run in the content, so the block can't end early
+function fenceFor(content: string): string {
+  const longestRun = Math.max(0, ...(content.match(/`+/g) ?? []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+function escapeXmlAttribute(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Attributes as a note after a file's title: ` (lines: 10-42)`
+function describeAttributes(attributes?: Record<string, string>): string {
+  const entries = Object.entries(attributes ?? {});
+  return entries.length > 0 ? ` (${entries.map(([key, value]) => `${key}: ${value}`).join(', ')})` : '';
+}
+
+/**
+ * The "part k of N" heading of a split payload (JSON holds it in a `part` field instead)
+ */
+export function formatPartHeader(part: PayloadPart, format: PayloadFormat = DEFAULT_PAYLOAD_FORMAT): string {
+  const text = `Part ${part.number} of ${part.count}`;
+  switch (format) {
+    case 'markdown':
+      return `# ${text}`;
+    case 'json':
+      return JSON.stringify({ part });
+    case 'plain':
+      return `==== ${text} ====`;
+    default:
+      return `<payload_part number="${part.number}" count="${part.count}">${text}</payload_part>`;
+  }
+}
+
+function formatXml({ part, fileMap, files, gitDiff }: PayloadSections): string {
+  const parts: string[] = [];
+  if (part) parts.push(formatPartHeader(part, 'xml'));
+  if (fileMap) parts.push(`<file_map>\n${fileMap.replace(/\n?$/, '\n')}</file_map>`);
+  for (const file of files) {
+    const attributes = Object.entries({ path: file.path, ...file.attributes })
+      .map(([key, value]) => ` ${key}="${escapeXmlAttribute(value)}"`)
+      .join('');
+    parts.push(`<file_contents${attributes}>\n${file.content}\n</file_contents>`);
+  }
+  if (gitDiff) parts.push(`<git_diff>\n${gitDiff.replace(/\n?$/, '\n')}</git_diff>`);
+  return parts.join('\n\n');
+}
+
+function formatMarkdown({ part, fileMap, files, gitDiff }: PayloadSections): string {
+  const parts: string[] = [];
+  if (part) parts.push(formatPartHeader(part, 'markdown'));
+  if (fileMap) parts.push(`## File map\n\n${fenceFor(fileMap)}\n${fileMap.replace(/\n$/, '')}\n${fenceFor(fileMap)}`);
+  for (const file of files) {
+    const fence = fenceFor(file.content);
+    parts.push(`## ${file.path}${describeAttributes(file.attributes)}\n\n${fence}${getMarkdownLanguage(file.path)}\n${file.content}\n${fence}`);
+  }
+  if (gitDiff) parts.push(`## Git diff\n\n${fenceFor(gitDiff)}diff\n${gitDiff.replace(/\n$/, '')}\n${fenceFor(gitDiff)}`);
+  return parts.join('\n\n');
+}
+
+function formatJson({ part, fileMap, files, gitDiff }: PayloadSections): string {
+  return JSON.stringify({
+    ...(part ? { part } : {}),
+    ...(fileMap ? { fileMap } : {}),
+    files: files.map(file => ({ path: file.path, ...file.attributes, content: file.content })),
+    ...(gitDiff ? { gitDiff } : {})
+  }, null, 2);
+}
+
+function formatPlain({ part, fileMap, files, gitDiff }: PayloadSections): string {
+  const parts: string[] = [];
+  if (part) parts.push(formatPartHeader(part, 'plain'));
+  if (fileMap) parts.push(`==== File map ====\n${fileMap.replace(/\n$/, '')}`);
+  for (const file of files) {
+    parts.push(`==== ${file.path}${describeAttributes(file.attributes)} ====\n${file.content}`);
+  }
+  if (gitDiff) parts.push(`==== Git diff ====\n${gitDiff.replace(/\n$/, '')}`);
+  return parts.join('\n\n');
+}
+
+/**
+ * Format a payload; the result has no trailing newline
+ */
+export function formatPayload(sections: PayloadSections, format: PayloadFormat = DEFAULT_PAYLOAD_FORMAT): string {
+  switch (format) {
+    case 'markdown':
+      return formatMarkdown(sections);
+    case 'json':
+      return formatJson(sections);
+    case 'plain':
+      return formatPlain(sections);
+    default:
+      return formatXml(sections);
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { composePrompt, omitsFileMap, renderInstructionText, renderTemplate, usesVariable } from './promptTemplate';
+import { PayloadSections } from './payloadFormat';
+
+const sections: PayloadSections = {
+  fileMap: '└── repo/\n    └── a.ts\n',
+  files: [{ path: 'a.ts', content: 'const a = 1;' }]
+};
+
+const MAP = '<file_map>\n└── repo/\n    └── a.ts\n</file_map>';
+const FILE = '<file_contents path="a.ts">\nconst a = 1;\n</file_contents>';
+
+describe('promptTemplate', () => {
+  it('replaces known variables and leaves unknown ones', () => {
+    expect(renderTemplate('{{ root_name }} on {{git_branch}}: {{unknown}}', { root_name: 'repo', git_branch: 'main' }))
+      .toBe('repo on main: {{unknown}}');
+    expect(usesVariable('Files: {{ files }}', 'files')).toBe(true);
+    expect(usesVariable('Files: {{file_map}}', 'files')).toBe(false);
+  });
+
+  it('returns the plain payload without instructions', () => {
+    expect(composePrompt(sections, 'xml', undefined)).toBe(`${MAP}\n\n${FILE}`);
+    expect(composePrompt(sections, 'xml', { text: '  ', placement: 'before' })).toBe(`${MAP}\n\n${FILE}`);
+  });
+
+  it('places instructions before, after or around the payload', () => {
+    const values = { root_name: 'repo' };
+    expect(composePrompt(sections, 'xml', { text: 'Review {{root_name}}', placement: 'before' }, values))
+      .toBe(`Review repo\n\n${MAP}\n\n${FILE}`);
+    expect(composePrompt(sections, 'xml', { text: 'Review {{root_name}}', placement: 'after' }, values))
+      .toBe(`${MAP}\n\n${FILE}\n\nReview repo`);
+    expect(composePrompt(sections, 'xml', { text: 'Review', placement: 'both' }, values))
+      .toBe(`Review\n\n${MAP}\n\n${FILE}\n\nReview`);
+  });
+
+  it('moves the file map into the instructions when they use it', () => {
+    expect(composePrompt(sections, 'xml', { text: 'Layout:\n{{file_map}}', placement: 'before' }))
+      .toBe(`Layout:\n${MAP}\n\n${FILE}`);
+  });
+
+  it('lets a template with {{files}} lay out the whole prompt', () => {
+    const text = 'Start\n{{file_map}}\n---\n{{files}}\nEnd';
+    expect(composePrompt(sections, 'xml', { text, placement: 'both' }))
+      .toBe(`Start\n${MAP}\n---\n${FILE}\nEnd`);
+  });
+
+  it('leaves the file map out when a template places only the files', () => {
+    expect(composePrompt(sections, 'xml', { text: 'Review\n{{files}}', placement: 'before' })).toBe(`Review\n${FILE}`);
+    expect(omitsFileMap('Review\n{{files}}')).toBe(true);
+    expect(omitsFileMap('{{file_map}}\n{{files}}')).toBe(false);
+    expect(omitsFileMap('Review')).toBe(false);
+  });
+
+  it('keeps the part heading of a split payload above the instructions', () => {
+    expect(composePrompt({ ...sections, part: { number: 2, count: 3 } }, 'markdown', { text: 'Review', placement: 'before' }))
+      .toMatch(/^# Part 2 of 3\n\nReview\n\n## File map/);
+  });
+
+  it('keeps the part of a split JSON payload when the template places the files', () => {
+    const part = { number: 2, count: 3 };
+    const prompt = composePrompt({ ...sections, part }, 'json', { text: 'Review\n{{files}}', placement: 'before' });
+    expect(prompt.startsWith('Review\n')).toBe(true);
+    expect(JSON.parse(prompt.slice('Review\n'.length))).toMatchObject({ part, files: [{ path: 'a.ts' }] });
+  });
+
+  it('renders the instruction text alone for counting', () => {
+    expect(renderInstructionText({ text: 'Review {{files}} of {{root_name}}', placement: 'both' }, { root_name: 'repo' }))
+      .toEqual({ text: 'Review  of repo', copies: 1 });
+    expect(renderInstructionText({ text: 'Review', placement: 'both' }, {})).toEqual({ text: 'Review', copies: 2 });
+    expect(renderInstructionText({ text: '{{file_map}}', placement: 'after' }, {})).toEqual({ text: '', copies: 0 });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * User instructions sent with the payload, written as templates with
+ * `{{variable}}` placeholders. Shared by the main process (which renders them
+ * into the copied prompt) and the renderer (which counts their tokens).
+ */
+import { formatPartHeader, formatPayload, PayloadFormat, PayloadSections } from './payloadFormat';
+
+/**
+ * Where instructions go relative to the payload
+ * (ignored when the template places the files itself with `{{files}}`)
+ */
+export type InstructionPlacement = 'before' | 'after' | 'both';
+
+/**
+ * Instructions as edited in the renderer
+ */
+export interface PromptInstructions {
+  text: string;
+  placement: InstructionPlacement;
+}
+
+export type TemplateVariable = 'file_map' | 'files' | 'git_branch' | 'root_name' | 'selection_count';
+
+export const TEMPLATE_VARIABLES: { name: TemplateVariable; description: string }[] = [
+  { name: 'file_map', description: 'The file map (then left out of the payload)' },
+  { name: 'files', description: 'The file contents and git diff (the template then lays out the whole prompt)' },
+  { name: 'git_branch', description: 'Current branch, or the scanned git ref' },
+  { name: 'root_name', description: 'Name of the scanned folder' },
+  { name: 'selection_count', description: 'Number of selected files' }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Whether a template uses a variable
+ */
+export function usesVariable(text: string, name: TemplateVariable): boolean {
+  return [...text.matchAll(VARIABLE_PATTERN)].some(match => match[1] === name);
+}
+
+/**
+ * Whether a template leaves the file map out of the prompt:
+ * it lays out the whole prompt with `{{files}}` but doesn't place `{{file_map}}`
+ */
+export function omitsFileMap(text: string): boolean {
+  return usesVariable(text, 'files') && !usesVariable(text, 'file_map');
+}
+
+/**
+ * Replace the placeholders of known variables; unknown ones are left as typed
+ */
+export function renderTemplate(text: string, values: Partial<Record<TemplateVariable, string>>): string {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name: string) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name as TemplateVariable]! : placeholder
+  );
+}
+
+/**
+ * The instructions as they appear in the prompt, without the file map and files
+ * (counted separately), and how many times they appear
+ */
+export function renderInstructionText(
+  instructions: PromptInstructions,
+  values: Partial<Record<TemplateVariable, string>>
+): { text: string; copies: number } {
+  const text = renderTemplate(instructions.text, { ...values, file_map: '', files: '' }).trim();
+  const copies = instructions.placement === 'both' && !usesVariable(instructions.text, 'files') ? 2 : 1;
+  return { text, copies: text ? copies : 0 };
+}
+
+/**
+ * Build the prompt: the formatted payload with the instructions around it,
+ * or the template itself when it places `{{files}}`
+ */
+export function composePrompt(
+  sections: PayloadSections,
+  format: PayloadFormat | undefined,
+  instructions: PromptInstructions | undefined,
+  values: Partial<Record<TemplateVariable, string>> = {}
+): string {
+  if (!instructions || !instructions.text.trim()) {
+    return formatPayload(sections, format);
+  }
+
+  // A part heading stays on top, above the instructions (JSON keeps it in its object)
+  if (sections.part && format !== 'json') {
+    const prompt = composePrompt({ ...sections, part: undefined }, format, instructions, values);
+    return `${formatPartHeader(sections.part, format)}\n\n${prompt}`;
+  }
+
+  const mapInTemplate = usesVariable(instructions.text, 'file_map');
+  const allValues = {
+    ...values,
+    file_map: sections.fileMap ? formatPayload({ fileMap: sections.fileMap, files: [] }, format) : '',
+    // Only a JSON part is still here; it stays in the object holding the files
+    files: formatPayload({ files: sections.files, gitDiff: sections.gitDiff, part: sections.part }, format)
+  };
+  const rendered = renderTemplate(instructions.text, allValues).trim();
+  if (usesVariable(instructions.text, 'files')) {
+    return rendered;
+  }
+
+  const payload = formatPayload(mapInTemplate ? { ...sections, fileMap: undefined } : sections, format);
+  const parts = instructions.placement === 'after'
+    ? [payload, rendered]
+    : instructions.placement === 'both'
+      ? [rendered, payload, rendered]
+      : [rendered, payload];
+  return parts.filter(part => part !== '').join('\n\n');
+}
@@ -15,11 +15,26 @@ const mockApiCalls = {
   selectFolder: vi.fn(),
   verifyDroppedFolder: vi.fn(),
   walkDirectory: vi.fn(),
+  cancelWalk: vi.fn(),
+  clearScanCache: vi.fn(),
+  getGitInfo: vi.fn(),
+  listGitFiles: vi.fn(),
+  getGitStatus: vi.fn(),
+  getRelatedFiles: vi.fn(),
+  expandImports: vi.fn(),
   lazyLoadChildren: vi.fn(),
   readFileContent: vi.fn(),
+  countPartialTokens: vi.fn(),
+  countInstructionTokens: vi.fn(),
+  countFileMapTokens: vi.fn(),
+  countDiffTokens: vi.fn(),
+  planPayloadParts: vi.fn(),
+  getModifiedTimes: vi.fn(),
+  getFileSymbols: vi.fn(),
   checkBinaryStatus: vi.fn(),
   writeToClipboard: vi.fn(),
   onWalkProgress: vi.fn(() => vi.fn()), // Mock the event remover function
+  onDirectoryChanges: vi.fn(() => vi.fn()),
 };
 
 // Add window.api for the tests